@@ -1,4 +1,5 @@
 import { Client, Pool } from 'pg';
+import { requireTenant } from '../proxy/utils/tenant.js';
 
 // Database configuration
 const dbConfig = {
@@ -43,26 +44,67 @@ class Database {
     }
   }
 
-  // Save chat message
-  async saveChatMessage(userEmail, message, response, agentType) {
+  /**
+   * Create chat_messages, or bring a table created by an older version up to date
+   */
+  async migrate() {
+    const statements = [
+      `CREATE TABLE IF NOT EXISTS chat_messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_email VARCHAR(255),
+        message TEXT NOT NULL,
+        response TEXT,
+        agent_type VARCHAR(100),
+        tool_calls JSONB DEFAULT '[]',
+        org_id TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )`,
+      // Tool invocations are saved with each message since tool calling was added
+      "ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS tool_calls JSONB DEFAULT '[]'",
+      // History is read per tenant. Rows saved before tenants existed keep a NULL org_id and
+      // are never listed: they were written without sign-in, so nothing says whose they are.
+      'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS org_id TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_chat_messages_org_user ON chat_messages(org_id, user_email, created_at DESC)'
+    ];
+
+    for (const statement of statements) {
+      await this.query(statement);
+    }
+  }
+
+  // Runs the migration once, on startup or before the first chat message is read or written
+  schema() {
+    if (!this.migrated) {
+      this.migrated = this.migrate().catch(error => {
+        this.migrated = null;
+        throw error;
+      });
+    }
+    return this.migrated;
+  }
+
+  // Save chat message of a tenant along with any tool invocations made while answering it
+  async saveChatMessage(orgId, userEmail, message, response, agentType, toolCalls = []) {
+    await this.schema();
     const query = `
-      INSERT INTO chat_messages (user_email, message, response, agent_type)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO chat_messages (org_id, user_email, message, response, agent_type, tool_calls)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
-    const result = await this.query(query, [userEmail, message, response, agentType]);
+    const result = await this.query(query, [requireTenant(orgId), userEmail, message, response, agentType, JSON.stringify(toolCalls)]);
     return result.rows[0];
   }
 
-  // Get chat history
-  async getChatHistory(userEmail, limit = 10) {
+  // Get chat history of a user within their tenant
+  async getChatHistory(orgId, userEmail, limit = 10) {
+    await this.schema();
     const query = `
       SELECT * FROM chat_messages 
-      WHERE user_email = $1 
+      WHERE org_id = $1 AND user_email = $2 
       ORDER BY created_at DESC 
-      LIMIT $2
+      LIMIT $3
     `;
-    const result = await this.query(query, [userEmail, limit]);
+    const result = await this.query(query, [requireTenant(orgId), userEmail, limit]);
     return result.rows;
   }
 
@@ -1,21 +1,41 @@
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
-import OpenAI from 'openai';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import winston from 'winston';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import db from './db.js';
+import conversationMemory from '../proxy/services/conversation-memory.js';
+import llmProviders from '../proxy/services/llm-providers.js';
+import agentRegistry from '../proxy/services/agent-registry.js';
+import agentsRoutes from '../proxy/routes/agents.js';
+import toolRegistry from '../proxy/services/tool-registry.js';
+import arabicTextAnalyzer from '../proxy/services/arabic-text-analyzer.js';
+import financialRoutes from '../proxy/routes/chat-simple.js';
+import zatcaRoutes from '../proxy/routes/zatca.js';
+import invoiceRoutes from '../proxy/routes/invoices.js';
+import authRoutes from '../proxy/routes/auth.js';
+import authService from '../proxy/services/auth-service.js';
+import { requireAuth, allowDemo, demoLimiter } from '../proxy/middleware/auth.js';
+import { requirePermission } from '../proxy/middleware/permissions.js';
+import { requireAdminToken } from '../proxy/middleware/admin-token.js';
+import roleRoutes from '../proxy/routes/roles.js';
+import apiKeyRoutes from '../proxy/routes/api-keys.js';
+import organizationRoutes from '../proxy/routes/organizations.js';
+import calendarRoutes from '../proxy/routes/calendar.js';
+import hijriCalendar from '../proxy/services/hijri-calendar.js';
+import databaseManager from '../proxy/database-config.js';
+import { tenantOf } from '../proxy/utils/tenant.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-dotenv.config();
+// Refuse to start in production without a real JWT_SECRET
+authService.assertConfigured();
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -30,11 +50,6 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Initialize OpenAI
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-}) : null;
-
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -66,7 +81,8 @@ app.get('/api/health', async (req, res) => {
     res.json({ 
       status: 'healthy', 
       timestamp: new Date().toISOString(),
-      openai: !!openai,
+      openai: llmProviders.isAvailable('openai'),
+      llmProviders: llmProviders.list(),
       database: dbTest.success,
       dbTime: dbTest.time || null
     });
@@ -74,140 +90,294 @@ app.get('/api/health', async (req, res) => {
     res.status(500).json({
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
-      openai: !!openai,
+      openai: llmProviders.isAvailable('openai'),
       database: false,
       error: error.message
     });
   }
 });
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
+// Continue an existing conversation of the user, or start one when no id is given
+const resolveConversation = async (conversationId, user, agent) => {
+  if (!conversationId) return conversationMemory.create(user, agent.id);
+  return conversationMemory.load(conversationId, user);
+};
+
+// System prompt, replayed prior turns that fit the token budget, then the new message
+const buildMessages = (agent, conversation, message) => {
+  const budget = conversationMemory.tokenBudget - conversationMemory.estimateTokens(message);
+  return [
+    { role: 'system', content: agent.systemPrompt },
+    ...conversationMemory.buildContext(conversation.messages, budget),
+    { role: 'user', content: message }
+  ];
+};
+
+// Provider, model and request parameters for one chat turn
+const buildCompletionRequest = (agent, conversation, message) => {
+  const { provider, ...settings } = llmProviders.resolve(agent.modelSettings);
+  return {
+    provider,
+    request: { ...settings, agent: agent.nameArabic, messages: buildMessages(agent, conversation, message) }
+  };
+};
+
+// Upper bound on model turns that request tools before a text answer is forced
+const MAX_TOOL_ROUNDS = 3;
+
+/**
+ * Run the calculator for a message the text analyzer fully understood (e.g. "احسب ضريبة
+ * 1000 ريال"), so the model words an exact result instead of computing it. Null otherwise.
+ */
+const routeToCalculator = async (agent, message) => {
+  let toolRequest;
   try {
-    const { message, agent = 'المحاسب الذكي', userEmail = 'anonymous@doganai.com' } = req.body;
+    ({ toolRequest } = arabicTextAnalyzer.analyze(message));
+  } catch (error) {
+    return null;
+  }
+  if (!toolRequest || !agent.allowedTools.includes(toolRequest.tool)) return null;
+
+  const invocation = await toolRegistry.execute(toolRequest.tool, toolRequest.arguments, { allowed: agent.allowedTools });
+  return invocation.error ? null : invocation;
+};
+
+/**
+ * Run one chat turn: route a structured request straight to its calculator, call the
+ * model, execute any tool calls it makes server-side, and feed the results back until
+ * it answers in text. With onDelta the model
+ * output is streamed and each text fragment is passed to onDelta as it arrives.
+ */
+const runChat = async (agent, conversation, message, { signal, onDelta, onToolCall } = {}) => {
+  const { provider, request } = buildCompletionRequest(agent, conversation, message);
+  const tools = toolRegistry.definitions(agent.allowedTools);
+  const messages = [...request.messages];
+  const toolCalls = [];
+  let response = '';
+
+  const routed = await routeToCalculator(agent, message);
+  if (routed) {
+    const id = `call_analysis_${uuidv4()}`;
+    logger.info('Tool invocation', { agent: agent.id, conversationId: conversation.id, routed: true, ...routed });
+    toolCalls.push(routed);
+    if (onToolCall) onToolCall(routed);
+
+    messages.push(
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id, type: 'function', function: { name: routed.tool, arguments: JSON.stringify(routed.arguments) } }]
+      },
+      { role: 'tool', tool_call_id: id, content: JSON.stringify(routed.result) }
+    );
+  }
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+  for (let round = 0; ; round++) {
+    const turn = {
+      ...request,
+      messages,
+      signal,
+      tools,
+      toolChoice: round < MAX_TOOL_ROUNDS ? 'auto' : 'none'
+    };
+
+    let result;
+    if (onDelta) {
+      result = { content: '', toolCalls: [] };
+      for await (const event of provider.stream(turn)) {
+        if (event.type === 'content') {
+          result.content += event.content;
+          onDelta(event.content);
+        } else if (event.type === 'tool_calls') {
+          result.toolCalls = event.toolCalls;
+        }
+      }
+    } else {
+      result = await provider.complete(turn);
     }
 
-    let response;
+    response += result.content;
+    if (!result.toolCalls.length) break;
 
-    if (!openai) {
-      // Fallback response when OpenAI is not available
-      response = `مرحباً! أنا ${agent}. للأسف، لا يمكنني الوصول إلى خدمة الذكاء الاصطناعي حالياً. يرجى التأكد من إعداد مفتاح OpenAI API بشكل صحيح.`;
-    } else {
-      const systemPrompt = `أنت ${agent}، مساعد ذكي متخصص في الأعمال والمحاسبة. 
-      قدم إجابات مفيدة ودقيقة باللغة العربية.`;
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7
-      });
+    messages.push({
+      role: 'assistant',
+      content: result.content || null,
+      tool_calls: result.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of result.toolCalls) {
+      const invocation = await toolRegistry.execute(call.name, call.arguments, { allowed: agent.allowedTools });
+      logger.info('Tool invocation', { agent: agent.id, conversationId: conversation.id, ...invocation });
 
-      response = completion.choices[0]?.message?.content || 'عذراً، لم أتمكن من معالجة طلبك.';
+      toolCalls.push(invocation);
+      if (onToolCall) onToolCall(invocation);
+
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result)
+      });
     }
+  }
 
-    // Save to database
+  return { response, toolCalls };
+};
+
+// chat_messages are kept per tenant and email; API keys, which have none, by their principal id
+const historyOwner = (user) => user.email || user.id;
+
+// Persist a finished exchange; a database failure must not fail the chat
+const persistChat = async (user, message, response, agent, conversation, toolCalls = []) => {
+  try {
+    await db.saveChatMessage(tenantOf(user), historyOwner(user), message, response, agent.id, toolCalls);
+  } catch (dbError) {
+    logger.error('Database save error:', dbError);
+  }
+
+  // Usage is tracked per organization; personal and demo chats are not counted
+  if (user.orgId) {
     try {
-      await db.saveChatMessage(userEmail, message, response, agent);
+      await databaseManager.recordUsage(user.orgId, 'chat_messages');
     } catch (dbError) {
-      logger.error('Database save error:', dbError);
-      // Continue even if database save fails
+      logger.error('Usage record error:', dbError);
     }
+  }
 
-    res.json({
-      response,
-      agent,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    logger.error('Chat error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'حدث خطأ أثناء معالجة طلبك'
-    });
+  try {
+    await conversationMemory.appendTurn(conversation, message, response, toolCalls);
+  } catch (dbError) {
+    logger.error('Conversation save error:', dbError);
   }
-});
+};
+
+// Write one Server-Sent Event and push it through the compression buffer
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') res.flush();
+};
+
+// A client asks for streaming with `Accept: text/event-stream` or `stream: true`
+const wantsStream = (req) =>
+  req.body.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+
+// Stream a chat completion token by token over SSE
+const streamChat = async (req, res, { message, agent, user, conversation }) => {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let response = '';
+  let toolCalls = [];
 
-// Auth endpoints
-app.post('/api/auth/register', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
-    
-    if (!email || !password || !name) {
-      return res.status(400).json({ error: 'All fields are required' });
+    ({ response, toolCalls } = await runChat(agent, conversation, message, {
+      signal: controller.signal,
+      onDelta: (content) => {
+        response += content;
+        sendEvent(res, 'delta', { content });
+      },
+      onToolCall: (invocation) => {
+        toolCalls.push(invocation);
+        sendEvent(res, 'tool', { tool: invocation.tool, result: invocation.result, error: invocation.error });
+      }
+    }));
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      logger.error('Chat stream error:', error);
+      sendEvent(res, 'error', {
+        error: 'Internal server error',
+        message: 'حدث خطأ أثناء معالجة طلبك'
+      });
     }
+  }
 
-    // Simple mock registration
-    const user = {
-      id: uuidv4(),
-      email,
-      name,
-      createdAt: new Date().toISOString()
-    };
+  if (controller.signal.aborted) {
+    logger.info('Chat stream aborted by client', { agent: agent.id, received: response.length });
+  }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: '24h' }
-    );
+  // Save whatever was assembled, including a partial answer from an aborted stream
+  if (response) {
+    await persistChat(user, message, response, agent, conversation, toolCalls);
+  }
 
-    res.json({
-      message: 'User registered successfully',
-      user,
-      token
+  if (!controller.signal.aborted) {
+    sendEvent(res, 'done', {
+      response,
+      agent: agent.nameArabic,
+      agentId: agent.id,
+      conversationId: conversation.id,
+      timestamp: new Date().toISOString()
     });
-
-  } catch (error) {
-    logger.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    res.end();
   }
-});
+};
 
-app.post('/api/auth/login', async (req, res) => {
+// Chat endpoint; the signed-in user, or the rate-limited demo identity when ENABLE_DEMO_MODE=true
+app.post('/api/chat', allowDemo, demoLimiter, requirePermission('chat:use'), async (req, res) => {
   try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    const { message, agent: agentRef = 'accountant', conversationId } = req.body;
+    const { user } = req;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Simple mock login
-    const user = {
-      id: uuidv4(),
-      email,
-      name: 'Test User'
-    };
+    const agent = await agentRegistry.resolve(tenantOf(user), agentRef);
+    if (!agent) {
+      return res.status(400).json({ error: 'Unknown agent', message: 'الوكيل المطلوب غير موجود' });
+    }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: '24h' }
-    );
+    const conversation = await resolveConversation(conversationId, user, agent);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (wantsStream(req)) {
+      return await streamChat(req, res, { message, agent, user, conversation });
+    }
+
+    const result = await runChat(agent, conversation, message);
+    const response = result.response || 'عذراً، لم أتمكن من معالجة طلبك.';
+
+    // Save to database
+    await persistChat(user, message, response, agent, conversation, result.toolCalls);
 
     res.json({
-      message: 'Login successful',
-      user,
-      token
+      response,
+      agent: agent.nameArabic,
+      agentId: agent.id,
+      conversationId: conversation.id,
+      toolCalls: result.toolCalls.map(({ tool, result, error }) => ({ tool, result, error })),
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    logger.error('Chat error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'حدث خطأ أثناء معالجة طلبك'
+    });
   }
 });
 
 // Chat history endpoint
-app.get('/api/chat/history', async (req, res) => {
+app.get('/api/chat/history', requireAuth, requirePermission('chat:use'), async (req, res) => {
   try {
-    const { userEmail = 'anonymous@doganai.com', limit = 10 } = req.query;
-    const history = await db.getChatHistory(userEmail, parseInt(limit));
+    const { limit = 10 } = req.query;
+    const history = await db.getChatHistory(tenantOf(req.user), historyOwner(req.user), parseInt(limit));
     
     res.json({
       history: history.map(msg => ({
@@ -215,7 +385,8 @@ app.get('/api/chat/history', async (req, res) => {
         message: msg.message,
         response: msg.response,
         agent: msg.agent_type,
-        timestamp: msg.created_at
+        timestamp: msg.created_at,
+        timestampDual: hijriCalendar.dual(msg.created_at)
       }))
     });
   } catch (error) {
@@ -224,8 +395,55 @@ app.get('/api/chat/history', async (req, res) => {
   }
 });
 
+// Conversation list endpoint
+app.get('/api/chat/conversations', requireAuth, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const conversations = await conversationMemory.list(req.user, parseInt(limit));
+
+    res.json({
+      conversations: conversations.map(conversation => ({
+        id: conversation.id,
+        agent: conversation.agentType,
+        title: conversation.metadata.title,
+        messageCount: conversation.messages.length,
+        updatedAt: conversation.updatedAt,
+        updatedAtDual: hijriCalendar.dual(conversation.updatedAt)
+      }))
+    });
+  } catch (error) {
+    logger.error('Conversation list error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Conversation transcript endpoint
+app.get('/api/chat/conversations/:id', requireAuth, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const conversation = await conversationMemory.load(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({
+      id: conversation.id,
+      agent: conversation.agentType,
+      title: conversation.metadata.title,
+      messages: conversation.messages,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      createdAtDual: hijriCalendar.dual(conversation.createdAt),
+      updatedAtDual: hijriCalendar.dual(conversation.updatedAt)
+    });
+  } catch (error) {
+    logger.error('Conversation fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
 // Database test endpoint
-app.get('/api/db/test', async (req, res) => {
+app.get('/api/db/test', requireAdminToken, async (req, res) => {
   try {
     const result = await db.query('SELECT COUNT(*) as total_messages FROM chat_messages');
     const users = await db.query('SELECT COUNT(*) as total_users FROM users');
@@ -244,6 +462,33 @@ app.get('/api/db/test', async (req, res) => {
   }
 });
 
+// Registration and login
+app.use('/api/auth', authRoutes);
+
+// API keys for the organization's machine clients (X-API-Key)
+app.use('/api/org/api-keys', apiKeyRoutes);
+
+// Organization onboarding and member invitations
+app.use('/api/org', organizationRoutes);
+
+// Roles, permissions and member role assignments of the user's organization
+app.use('/api/org', roleRoutes);
+
+// Agent registry
+app.use('/api/agents', agentsRoutes);
+
+// Financial services (VAT, ...) under /api/chat/*
+app.use('/api', financialRoutes);
+
+// ZATCA e-invoicing
+app.use('/api/zatca', zatcaRoutes);
+
+// Invoices, credit notes and debit notes
+app.use('/api/invoices', invoiceRoutes);
+
+// Hijri/Gregorian calendar
+app.use('/api/calendar', calendarRoutes);
+
 // Subscription endpoints
 app.get('/api/subscription/plans', (req, res) => {
   res.json({
@@ -266,8 +511,75 @@ app.get('/api/subscription/plans', (req, res) => {
   });
 });
 
-// Error handling
+// Usage per type of the user's organization: today, or a range: ?from=&to= (Gregorian or Hijri
+// dates) or a period: ?calendar=hijri&year=1446[&month=9|&quarter=2][&startMonth=7]
+app.get('/api/subscription/usage', requireAuth, requirePermission('usage:read'), async (req, res) => {
+  const { orgId } = req.user;
+
+  try {
+    const { from, to, period } = hijriCalendar.resolveRange(req.query);
+    const usage = await databaseManager.getUsage(orgId, from || to ? { from, to } : 'current');
+    res.json({
+      orgId,
+      usage,
+      from: from || null,
+      to: to || null,
+      fromDual: hijriCalendar.dual(from),
+      toDual: hijriCalendar.dual(to),
+      ...(period && { period })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message, message: 'الفترة غير صالحة', details: error.details });
+    }
+    logger.error('Usage query error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Error handling; service errors a route passes on keep their status
 app.use((err, req, res, next) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({
+      error: err.message,
+      message: 'البيانات المدخلة غير صحيحة',
+      details: err.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (err.name === 'ConflictError') {
+    return res.status(409).json({
+      error: err.message,
+      message: 'الطلب يتعارض مع الحالة الحالية للمورد',
+      details: err.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (err.name === 'AuthenticationError') {
+    return res.status(401).json({
+      error: err.message,
+      message: 'المصادقة مطلوبة',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: err.message,
+      message: 'ليس لديك صلاحية لتنفيذ هذا الإجراء',
+      details: err.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (err.name === 'RateLimitError') {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({
+      error: err.message,
+      message: 'طلبات كثيرة، يرجى المحاولة لاحقاً',
+      retryAfter: err.retryAfter,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   logger.error('Unhandled error:', err);
   res.status(500).json({
     error: 'Internal Server Error',
@@ -292,11 +604,17 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.info(`🚀 Dogan AI Factory Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`OpenAI enabled: ${!!openai}`);
-});
+// Start server; tests listen on a port of their own
+if (process.env.NODE_ENV !== 'test') {
+  // Bring chat_messages up to date; on failure it is retried before the first message
+  db.schema().catch(error => logger.error('chat_messages migration error:', error));
+
+  app.listen(PORT, () => {
+    logger.info(`🚀 Dogan AI Factory Server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`OpenAI enabled: ${llmProviders.isAvailable('openai')}`);
+    logger.info(`Default LLM provider: ${llmProviders.defaultProvider}`);
+  });
+}
 
 export default app;
\ No newline at end of file
@@ -5,6 +5,9 @@
 
 import { createClient } from '@supabase/supabase-js';
 import pkg from 'pg';
+import taxIdValidator from './services/tax-id-validator.js';
+import { ConflictError } from './utils/errors.js';
+import { requireTenant } from './utils/tenant.js';
 const { Pool } = pkg;
 
 class DatabaseManager {
@@ -14,7 +17,8 @@ class DatabaseManager {
     this.isConnected = false;
     this.connectionType = 'none';
     
-    this.init();
+    // Resolves once a backend (or the in-memory fallback) is ready
+    this.ready = this.init();
   }
 
   async init() {
@@ -29,13 +33,13 @@ class DatabaseManager {
       }
       // Use in-memory storage (demo/testing)
       else {
-        this.initInMemory();
+        await this.initInMemory();
       }
 
       console.log(`✅ Database initialized: ${this.connectionType}`);
     } catch (error) {
       console.error('❌ Database initialization failed:', error.message);
-      this.initInMemory();
+      await this.initInMemory();
     }
   }
 
@@ -97,10 +101,21 @@ class DatabaseManager {
       this.inMemoryStorage = {
         organizations: new Map(),
         users: new Map(),
+        authSessions: new Map(),
+        otpCodes: new Map(),
+        roles: new Map(),
+        invites: new Map(),
+        apiKeys: new Map(),
         subscriptions: new Map(),
         environments: new Map(),
         usage: new Map(),
-        sessions: new Map()
+        sessions: new Map(),
+        agents: new Map(),
+        exchangeRates: new Map(),
+        egsUnits: new Map(),
+        invoiceChain: new Map(),
+        invoices: new Map(),
+        invoiceSequences: new Map()
       };
     }
     
@@ -122,6 +137,7 @@ class DatabaseManager {
         industry TEXT,
         country TEXT DEFAULT 'SA',
         vat_number TEXT,
+        cr_number TEXT,
         settings JSONB DEFAULT '{}',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -155,6 +171,63 @@ class DatabaseManager {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // Custom roles of an organization; built-in roles (owner, admin, ...) live in rbac-service.js
+      `CREATE TABLE IF NOT EXISTS roles (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        key VARCHAR(50) NOT NULL,
+        name TEXT NOT NULL,
+        name_arabic TEXT,
+        permissions JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (org_id, key)
+      )`,
+
+      // Email invitations to join an organization; the signed token itself is never stored
+      `CREATE TABLE IF NOT EXISTS org_invites (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        invited_by TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_by TEXT,
+        accepted_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Login sessions: one rotating refresh token per device, stored as a SHA-256 hash,
+      // with the hashes of the tokens it replaced so a replayed one can be recognized
+      `CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        rotated_token_hashes JSONB DEFAULT '[]',
+        ip_address TEXT,
+        user_agent TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // One-time login codes sent by SMS or email, stored as an HMAC of the code
+      `CREATE TABLE IF NOT EXISTS otp_codes (
+        id TEXT PRIMARY KEY,
+        identifier TEXT NOT NULL,
+        channel VARCHAR(10) NOT NULL,
+        purpose VARCHAR(20) NOT NULL DEFAULT 'login',
+        code_hash TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
       // Environments table
       `CREATE TABLE IF NOT EXISTS environments (
         id VARCHAR(50) PRIMARY KEY,
@@ -182,7 +255,7 @@ class DatabaseManager {
       // Chat sessions table (CRITICAL FOR AGENT MEMORY!)
       `CREATE TABLE IF NOT EXISTS chat_sessions (
         id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
-        org_id TEXT DEFAULT 'default',
+        org_id TEXT NOT NULL,
         user_id TEXT,
         agent_type TEXT,
         session_id TEXT NOT NULL,
@@ -192,6 +265,109 @@ class DatabaseManager {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // Agent registry table; ids are unique per organization (see idx_agents_org_agent)
+      `CREATE TABLE IF NOT EXISTS agents (
+        id VARCHAR(50) NOT NULL,
+        name_arabic TEXT NOT NULL,
+        name_english TEXT NOT NULL,
+        system_prompt TEXT NOT NULL,
+        model_settings JSONB DEFAULT '{}',
+        allowed_tools JSONB DEFAULT '[]',
+        commitment_profile TEXT,
+        is_builtin BOOLEAN DEFAULT FALSE,
+        org_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Effective-dated exchange rates, quoted as SAR per unit of currency
+      `CREATE TABLE IF NOT EXISTS exchange_rates (
+        id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+        currency VARCHAR(3) NOT NULL,
+        rate NUMERIC(20, 10) NOT NULL,
+        effective_date DATE NOT NULL,
+        snapshot_id TEXT NOT NULL,
+        source TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // ZATCA e-invoice generation solution (EGS) units and their stamping keys
+      `CREATE TABLE IF NOT EXISTS egs_units (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        serial_number TEXT NOT NULL,
+        common_name TEXT NOT NULL,
+        vat_number TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        csr TEXT NOT NULL,
+        certificate TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // ICV/PIH chain of stamped invoices, one gap-free sequence per EGS unit
+      `CREATE TABLE IF NOT EXISTS invoice_chain (
+        id TEXT PRIMARY KEY,
+        egs_id TEXT NOT NULL REFERENCES egs_units(id) ON DELETE RESTRICT,
+        org_id TEXT NOT NULL,
+        icv INTEGER NOT NULL,
+        invoice_uuid TEXT NOT NULL,
+        invoice_number TEXT NOT NULL,
+        invoice_hash TEXT NOT NULL,
+        previous_hash TEXT NOT NULL,
+        xml TEXT NOT NULL,
+        signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (egs_id, icv)
+      )`,
+
+      // Invoices, credit notes and debit notes; numbers are assigned on issue
+      `CREATE TABLE IF NOT EXISTS invoices (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE RESTRICT,
+        document_type TEXT NOT NULL DEFAULT 'invoice',
+        type TEXT NOT NULL DEFAULT 'standard',
+        series TEXT NOT NULL,
+        sequence INTEGER,
+        number TEXT,
+        status TEXT NOT NULL DEFAULT 'draft',
+        uuid TEXT NOT NULL,
+        issue_date DATE,
+        issue_time TEXT,
+        currency VARCHAR(3) DEFAULT 'SAR',
+        customer JSONB DEFAULT '{}',
+        seller JSONB DEFAULT '{}',
+        lines JSONB DEFAULT '[]',
+        options JSONB DEFAULT '{}',
+        original_invoice_id TEXT REFERENCES invoices(id) ON DELETE RESTRICT,
+        billing_reference TEXT,
+        reason TEXT,
+        egs_id TEXT,
+        totals JSONB DEFAULT '{}',
+        breakdown JSONB DEFAULT '[]',
+        qr TEXT,
+        xml TEXT,
+        invoice_hash TEXT,
+        icv INTEGER,
+        issued_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        cancellation_reason TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (org_id, series, sequence)
+      )`,
+
+      // Last number handed out per organization and series
+      `CREATE TABLE IF NOT EXISTS invoice_sequences (
+        org_id TEXT NOT NULL,
+        series TEXT NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (org_id, series)
+      )`,
+
       // API keys table
       `CREATE TABLE IF NOT EXISTS api_keys (
         id VARCHAR(50) PRIMARY KEY,
@@ -213,13 +389,66 @@ class DatabaseManager {
       }
     }
 
+    // Columns added after the first release
+    const migrations = [
+      'ALTER TABLE organizations ADD COLUMN IF NOT EXISTS cr_number TEXT',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(20)',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP',
+      'ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS prefix VARCHAR(20)',
+      'ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS created_by VARCHAR(50)',
+      'ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP',
+      // Custom agents belong to the organization that created them; built-ins have no org
+      'ALTER TABLE agents ADD COLUMN IF NOT EXISTS org_id TEXT',
+      // ...and their ids only need to be unique within it, so tenants cannot probe or block each other's
+      'ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_pkey',
+      // Conversations are always saved with their tenant; nothing falls back to a shared org
+      'ALTER TABLE chat_sessions ALTER COLUMN org_id DROP DEFAULT',
+      // recordUsage upserts one row per org, type and day; fold duplicates written before
+      // that was enforced so the unique index below can be built
+      `UPDATE usage_tracking SET amount = merged.total
+       FROM (
+         SELECT MIN(id) AS id, SUM(amount) AS total FROM usage_tracking
+         GROUP BY org_id, usage_type, period_start HAVING COUNT(*) > 1
+       ) merged
+       WHERE usage_tracking.id = merged.id`,
+      `DELETE FROM usage_tracking duplicate USING usage_tracking kept
+       WHERE duplicate.org_id IS NOT DISTINCT FROM kept.org_id AND duplicate.usage_type = kept.usage_type
+         AND duplicate.period_start = kept.period_start AND duplicate.id > kept.id`
+    ];
+
+    for (const migrationSQL of migrations) {
+      try {
+        await this.query(migrationSQL);
+      } catch (error) {
+        console.error('❌ Failed to migrate table:', error.message);
+      }
+    }
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_subscriptions_org_id ON subscriptions(org_id)',
       'CREATE INDEX IF NOT EXISTS idx_users_org_id ON users(org_id)',
+      'CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id, revoked_at)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_phone ON users(phone) WHERE phone IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_otp_codes_identifier ON otp_codes(identifier, purpose, created_at DESC)',
       'CREATE INDEX IF NOT EXISTS idx_usage_tracking_org_id ON usage_tracking(org_id, period_start)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_tracking_period ON usage_tracking(org_id, usage_type, period_start)',
       'CREATE INDEX IF NOT EXISTS idx_chat_sessions_org_id ON chat_sessions(org_id)',
-      'CREATE INDEX IF NOT EXISTS idx_api_keys_org_id ON api_keys(org_id)'
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_sessions_session_id ON chat_sessions(session_id)',
+      'CREATE INDEX IF NOT EXISTS idx_chat_sessions_org_user ON chat_sessions(org_id, user_id, updated_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(currency, effective_date DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_exchange_rates_snapshot_id ON exchange_rates(snapshot_id)',
+      'CREATE INDEX IF NOT EXISTS idx_egs_units_org_id ON egs_units(org_id)',
+      'CREATE INDEX IF NOT EXISTS idx_invoices_org_id ON invoices(org_id, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_invoices_org_status ON invoices(org_id, status, issue_date)',
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_org_id ON api_keys(org_id)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_builtin_id ON agents(id) WHERE org_id IS NULL',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_org_agent ON agents(org_id, id) WHERE org_id IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_org_invites_org_id ON org_invites(org_id, created_at DESC)'
     ];
 
     for (const indexSQL of indexes) {
@@ -256,11 +485,41 @@ class DatabaseManager {
     }
   }
 
+  // Run `work(query)` in one transaction; in-memory and Supabase run it directly
+  async transaction(work) {
+    if (this.connectionType !== 'postgresql') {
+      return work((sql, params) => this.query(sql, params));
+    }
+
+    const client = await this.postgresPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(async (sql, params = []) => (await client.query(sql, params)).rows);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Organization methods
+  // Saudi organizations must carry well-formed VAT and CR numbers; values are stored normalized
+  validateOrganizationIds(orgData) {
+    const ids = {};
+    if (orgData.vatNumber !== undefined) ids.vatNumber = taxIdValidator.assertVatNumber(orgData.vatNumber);
+    if (orgData.crNumber !== undefined) ids.crNumber = taxIdValidator.assertCrNumber(orgData.crNumber);
+    return ids;
+  }
+
   async createOrganization(orgData) {
+    orgData = { ...orgData, ...this.validateOrganizationIds(orgData) };
+
     const sql = `
-      INSERT INTO organizations (id, name, name_arabic, industry, country, vat_number, settings)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO organizations (id, name, name_arabic, industry, country, vat_number, cr_number, settings)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `;
     
@@ -271,6 +530,7 @@ class DatabaseManager {
       orgData.industry,
       orgData.country,
       orgData.vatNumber,
+      orgData.crNumber || null,
       JSON.stringify(orgData.settings || {})
     ];
 
@@ -294,6 +554,8 @@ class DatabaseManager {
   }
 
   async updateOrganization(orgId, updates) {
+    updates = { ...updates, ...this.validateOrganizationIds(updates) };
+
     if (this.connectionType === 'in-memory') {
       const existing = this.inMemoryStorage.organizations.get(orgId);
       if (existing) {
@@ -304,6 +566,7 @@ class DatabaseManager {
       return null;
     }
 
+    const jsonFields = ['settings'];
     const fields = Object.keys(updates).map((key, index) => 
       `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 2}`
     ).join(', ');
@@ -315,13 +578,1063 @@ class DatabaseManager {
       RETURNING *
     `;
     
-    const params = [orgId, ...Object.values(updates)];
+    const params = [orgId, ...Object.entries(updates).map(([key, value]) =>
+      jsonFields.includes(key) ? JSON.stringify(value) : value
+    )];
     const result = await this.query(sql, params);
     return result[0];
   }
 
+  // User methods; emails arrive lower-cased, so the unique index makes them case-insensitive
+  async createUser(user) {
+    if (this.connectionType === 'in-memory') {
+      const taken = Array.from(this.inMemoryStorage.users.values())
+        .some(existing => existing.email === user.email || (user.phone && existing.phone === user.phone));
+      if (taken) {
+        const error = new Error(`Email ${user.email} or its phone number is already registered`);
+        error.code = '23505';
+        throw error;
+      }
+      const stored = { ...user, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.users.set(user.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO users (id, org_id, email, name, role, password_hash, email_verified, phone)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await this.query(sql, [
+      user.id,
+      user.orgId || null,
+      user.email,
+      user.name,
+      user.role || 'user',
+      user.passwordHash,
+      !!user.emailVerified,
+      user.phone || null
+    ]);
+    return result[0];
+  }
+
+  async getUserByEmail(email) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.users.values()).find(user => user.email === email);
+    }
+
+    const result = await this.query('SELECT * FROM users WHERE email = $1', [email]);
+    return result[0];
+  }
+
+  async getUserByPhone(phone) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.users.values()).find(user => user.phone === phone);
+    }
+
+    const result = await this.query('SELECT * FROM users WHERE phone = $1', [phone]);
+    return result[0];
+  }
+
+  async getUserById(userId) {
+    if (this.connectionType === 'in-memory') {
+      return this.inMemoryStorage.users.get(userId);
+    }
+
+    const result = await this.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return result[0];
+  }
+
+  async updateUser(userId, updates) {
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.users.get(userId);
+      if (!existing) return null;
+      const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.users.set(userId, updated);
+      return updated;
+    }
+
+    const jsonFields = ['permissions'];
+    const fields = Object.keys(updates).map((key, index) =>
+      `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 2}`
+    ).join(', ');
+
+    const result = await this.query(
+      `UPDATE users SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [userId, ...Object.entries(updates).map(([key, value]) =>
+        jsonFields.includes(key) ? JSON.stringify(value) : value
+      )]
+    );
+    return result[0];
+  }
+
+  // Members of an organization, oldest first
+  async listOrgUsers(orgId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.users.values())
+        .filter(user => user.orgId === orgId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    return this.query('SELECT * FROM users WHERE org_id = $1 ORDER BY created_at ASC', [orgId]);
+  }
+
+  // Role methods (custom roles, keyed by org and role key)
+  async createRole(role) {
+    requireTenant(role.orgId);
+    if (this.connectionType === 'in-memory') {
+      const taken = Array.from(this.inMemoryStorage.roles.values())
+        .some(existing => existing.orgId === role.orgId && existing.key === role.key);
+      if (taken) {
+        const error = new Error(`Role ${role.key} already exists`);
+        error.code = '23505';
+        throw error;
+      }
+      const stored = { ...role, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.roles.set(role.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO roles (id, org_id, key, name, name_arabic, permissions)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await this.query(sql, [
+      role.id, role.orgId, role.key, role.name, role.nameArabic || null, JSON.stringify(role.permissions || [])
+    ]);
+    return result[0];
+  }
+
+  async getRole(orgId, key) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.roles.values()).find(role => role.orgId === orgId && role.key === key);
+    }
+
+    const result = await this.query('SELECT * FROM roles WHERE org_id = $1 AND key = $2', [orgId, key]);
+    return result[0];
+  }
+
+  async listRoles(orgId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.roles.values())
+        .filter(role => role.orgId === orgId)
+        .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    return this.query('SELECT * FROM roles WHERE org_id = $1 ORDER BY key ASC', [orgId]);
+  }
+
+  async updateRole(orgId, key, updates) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = await this.getRole(orgId, key);
+      if (!existing) return null;
+      const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.roles.set(existing.id, updated);
+      return updated;
+    }
+
+    const jsonFields = ['permissions'];
+    const fields = Object.keys(updates).map((field, index) =>
+      `${field.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 3}`
+    ).join(', ');
+
+    const result = await this.query(
+      `UPDATE roles SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE org_id = $1 AND key = $2 RETURNING *`,
+      [orgId, key, ...Object.entries(updates).map(([field, value]) =>
+        jsonFields.includes(field) ? JSON.stringify(value) : value
+      )]
+    );
+    return result[0] || null;
+  }
+
+  async deleteRole(orgId, key) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = await this.getRole(orgId, key);
+      return existing ? this.inMemoryStorage.roles.delete(existing.id) : false;
+    }
+
+    const result = await this.query('DELETE FROM roles WHERE org_id = $1 AND key = $2 RETURNING id', [orgId, key]);
+    return result.length > 0;
+  }
+
+  // Invitation methods
+  async createInvite(invite) {
+    requireTenant(invite.orgId);
+    if (this.connectionType === 'in-memory') {
+      const stored = { ...invite, status: 'pending', acceptedBy: null, acceptedAt: null, revokedAt: null, createdAt: new Date().toISOString() };
+      this.inMemoryStorage.invites.set(invite.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO org_invites (id, org_id, email, role, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await this.query(sql, [
+      invite.id, invite.orgId, invite.email, invite.role, invite.invitedBy || null, invite.expiresAt
+    ]);
+    return result[0];
+  }
+
+  async getInvite(orgId, inviteId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const invite = this.inMemoryStorage.invites.get(inviteId);
+      return invite?.orgId === orgId ? invite : undefined;
+    }
+
+    const result = await this.query('SELECT * FROM org_invites WHERE org_id = $1 AND id = $2', [orgId, inviteId]);
+    return result[0];
+  }
+
+  // Newest first; `filters`: status, email
+  async listInvites(orgId, filters = {}) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.invites.values())
+        .filter(invite => invite.orgId === orgId)
+        .filter(invite => !filters.status || invite.status === filters.status)
+        .filter(invite => !filters.email || invite.email === filters.email)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return this.query(
+      `SELECT * FROM org_invites
+       WHERE org_id = $1 AND ($2::text IS NULL OR status = $2) AND ($3::text IS NULL OR email = $3)
+       ORDER BY created_at DESC`,
+      [orgId, filters.status || null, filters.email || null]
+    );
+  }
+
+  // Updates only apply while the invite is still in `expectedStatus`; returns null otherwise
+  async updateInvite(orgId, inviteId, updates, expectedStatus) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.invites.get(inviteId);
+      if (!existing || existing.orgId !== orgId || existing.status !== expectedStatus) return null;
+      const updated = { ...existing, ...updates };
+      this.inMemoryStorage.invites.set(inviteId, updated);
+      return updated;
+    }
+
+    const fields = Object.keys(updates).map((key, index) =>
+      `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 4}`
+    ).join(', ');
+
+    const result = await this.query(
+      `UPDATE org_invites SET ${fields} WHERE org_id = $1 AND id = $2 AND status = $3 RETURNING *`,
+      [orgId, inviteId, expectedStatus, ...Object.values(updates)]
+    );
+    return result[0] || null;
+  }
+
+  // One-time code methods
+  async createOTPCode(otp) {
+    if (this.connectionType === 'in-memory') {
+      const stored = { ...otp, attempts: 0, consumedAt: null, createdAt: new Date().toISOString() };
+      this.inMemoryStorage.otpCodes.set(otp.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO otp_codes (id, identifier, channel, purpose, code_hash, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await this.query(sql, [otp.id, otp.identifier, otp.channel, otp.purpose, otp.codeHash, otp.expiresAt]);
+    return result[0];
+  }
+
+  // Codes sent to an identifier since a time, newest first
+  async listOTPCodes(identifier, purpose, since) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.otpCodes.values())
+        .filter(otp => otp.identifier === identifier && otp.purpose === purpose && otp.createdAt >= since)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    const result = await this.query(
+      'SELECT * FROM otp_codes WHERE identifier = $1 AND purpose = $2 AND created_at >= $3 ORDER BY created_at DESC',
+      [identifier, purpose, since]
+    );
+    return result;
+  }
+
+  // Counts a verification attempt; returns the code with its new attempt count
+  async recordOTPAttempt(otpId) {
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.otpCodes.get(otpId);
+      if (!existing) return null;
+      const updated = { ...existing, attempts: existing.attempts + 1 };
+      this.inMemoryStorage.otpCodes.set(otpId, updated);
+      return updated;
+    }
+
+    const result = await this.query('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = $1 RETURNING *', [otpId]);
+    return result[0] || null;
+  }
+
+  // Marks a code used; null when it was already used, so a code signs in only once
+  async consumeOTPCode(otpId) {
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.otpCodes.get(otpId);
+      if (!existing || existing.consumedAt) return null;
+      const updated = { ...existing, consumedAt: new Date().toISOString() };
+      this.inMemoryStorage.otpCodes.set(otpId, updated);
+      return updated;
+    }
+
+    const result = await this.query(
+      'UPDATE otp_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = $1 AND consumed_at IS NULL RETURNING *',
+      [otpId]
+    );
+    return result[0] || null;
+  }
+
+  // API key methods; keys are looked up by the SHA-256 of the full key
+  async createApiKey(apiKey) {
+    requireTenant(apiKey.orgId);
+    if (this.connectionType === 'in-memory') {
+      const stored = { ...apiKey, lastUsed: null, revokedAt: null, createdAt: new Date().toISOString() };
+      this.inMemoryStorage.apiKeys.set(apiKey.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO api_keys (id, org_id, key_hash, prefix, name, permissions, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const result = await this.query(sql, [
+      apiKey.id,
+      apiKey.orgId,
+      apiKey.keyHash,
+      apiKey.prefix,
+      apiKey.name,
+      JSON.stringify(apiKey.permissions || []),
+      apiKey.createdBy || null,
+      apiKey.expiresAt || null
+    ]);
+    return result[0];
+  }
+
+  async getApiKey(orgId, apiKeyId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const apiKey = this.inMemoryStorage.apiKeys.get(apiKeyId);
+      return apiKey?.orgId === orgId ? apiKey : undefined;
+    }
+
+    const result = await this.query('SELECT * FROM api_keys WHERE org_id = $1 AND id = $2', [orgId, apiKeyId]);
+    return result[0];
+  }
+
+  async getApiKeyByHash(keyHash) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.apiKeys.values()).find(apiKey => apiKey.keyHash === keyHash);
+    }
+
+    const result = await this.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+    return result[0];
+  }
+
+  async listApiKeys(orgId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.apiKeys.values())
+        .filter(apiKey => apiKey.orgId === orgId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return this.query('SELECT * FROM api_keys WHERE org_id = $1 ORDER BY created_at DESC', [orgId]);
+  }
+
+  async updateApiKey(orgId, apiKeyId, updates) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.apiKeys.get(apiKeyId);
+      if (!existing || existing.orgId !== orgId) return null;
+      const updated = { ...existing, ...updates };
+      this.inMemoryStorage.apiKeys.set(apiKeyId, updated);
+      return updated;
+    }
+
+    const jsonFields = ['permissions'];
+    const fields = Object.keys(updates).map((key, index) =>
+      `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 3}`
+    ).join(', ');
+
+    const result = await this.query(
+      `UPDATE api_keys SET ${fields} WHERE org_id = $1 AND id = $2 RETURNING *`,
+      [orgId, apiKeyId, ...Object.entries(updates).map(([key, value]) =>
+        jsonFields.includes(key) ? JSON.stringify(value) : value
+      )]
+    );
+    return result[0] || null;
+  }
+
+  // Login session methods
+  async createAuthSession(session) {
+    if (this.connectionType === 'in-memory') {
+      const now = new Date().toISOString();
+      const stored = { ...session, rotatedTokenHashes: [], revokedAt: null, revokedReason: null, lastUsedAt: now, createdAt: now };
+      this.inMemoryStorage.authSessions.set(session.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO auth_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await this.query(sql, [
+      session.id,
+      session.userId,
+      session.refreshTokenHash,
+      session.ipAddress || null,
+      session.userAgent || null,
+      session.expiresAt
+    ]);
+    return result[0];
+  }
+
+  async getAuthSession(sessionId) {
+    if (this.connectionType === 'in-memory') {
+      return this.inMemoryStorage.authSessions.get(sessionId);
+    }
+
+    const result = await this.query('SELECT * FROM auth_sessions WHERE id = $1', [sessionId]);
+    return result[0];
+  }
+
+  // Active sessions of a user, most recently used first
+  async listAuthSessions(userId) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.authSessions.values())
+        .filter(session => session.userId === userId && !session.revokedAt && session.expiresAt > new Date().toISOString())
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+    }
+
+    const sql = `
+      SELECT * FROM auth_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `;
+    return this.query(sql, [userId]);
+  }
+
+  /**
+   * Swap the refresh token only if `currentHash` is still the session's token, so two
+   * refreshes with the same token cannot both succeed; null when the swap lost
+   */
+  async rotateAuthSession(sessionId, currentHash, { refreshTokenHash, rotatedTokenHashes, expiresAt, ipAddress, userAgent }) {
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.authSessions.get(sessionId);
+      if (!existing || existing.revokedAt || existing.refreshTokenHash !== currentHash) return null;
+      const updated = {
+        ...existing,
+        refreshTokenHash,
+        rotatedTokenHashes,
+        expiresAt,
+        ipAddress: ipAddress || existing.ipAddress,
+        userAgent: userAgent || existing.userAgent,
+        lastUsedAt: new Date().toISOString()
+      };
+      this.inMemoryStorage.authSessions.set(sessionId, updated);
+      return updated;
+    }
+
+    const sql = `
+      UPDATE auth_sessions
+      SET refresh_token_hash = $3, rotated_token_hashes = $4, expires_at = $5, ip_address = COALESCE($6, ip_address),
+          user_agent = COALESCE($7, user_agent), last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const result = await this.query(sql, [
+      sessionId,
+      currentHash,
+      refreshTokenHash,
+      JSON.stringify(rotatedTokenHashes),
+      expiresAt,
+      ipAddress || null,
+      userAgent || null
+    ]);
+    return result[0] || null;
+  }
+
+  // Revoke sessions of a user: one (`sessionId`), or all but `exceptId`; returns the count
+  async revokeAuthSessions(userId, { sessionId, exceptId, reason }) {
+    if (this.connectionType === 'in-memory') {
+      let count = 0;
+      const now = new Date().toISOString();
+      for (const session of this.inMemoryStorage.authSessions.values()) {
+        if (session.userId !== userId || session.revokedAt) continue;
+        if (sessionId && session.id !== sessionId) continue;
+        if (exceptId && session.id === exceptId) continue;
+        this.inMemoryStorage.authSessions.set(session.id, { ...session, revokedAt: now, revokedReason: reason });
+        count += 1;
+      }
+      return count;
+    }
+
+    const sql = `
+      UPDATE auth_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $4
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND ($2::text IS NULL OR id = $2) AND ($3::text IS NULL OR id <> $3)
+      RETURNING id
+    `;
+    const result = await this.query(sql, [userId, sessionId || null, exceptId || null, reason]);
+    return result.length;
+  }
+
+  // Agent registry methods; built-in agents (no org) are shared, custom agents belong to one org
+  // and are keyed by (org, id) like the unique indexes on agents
+  agentKey(orgId, agentId) {
+    return `${orgId || ''}:${agentId}`;
+  }
+
+  async createAgent(agentData) {
+    if (!agentData.isBuiltin) requireTenant(agentData.orgId);
+    if (this.connectionType === 'in-memory') {
+      const orgId = agentData.isBuiltin ? null : agentData.orgId;
+      const key = this.agentKey(orgId, agentData.id);
+      if (this.inMemoryStorage.agents.has(key)) {
+        const error = new Error(`Agent ${agentData.id} already exists`);
+        error.code = '23505';
+        throw error;
+      }
+      const agent = {
+        ...agentData,
+        orgId,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      this.inMemoryStorage.agents.set(key, agent);
+      return agent;
+    }
+
+    const sql = `
+      INSERT INTO agents (id, name_arabic, name_english, system_prompt, model_settings, allowed_tools, commitment_profile, is_builtin, org_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const params = [
+      agentData.id,
+      agentData.nameArabic,
+      agentData.nameEnglish,
+      agentData.systemPrompt,
+      JSON.stringify(agentData.modelSettings || {}),
+      JSON.stringify(agentData.allowedTools || []),
+      agentData.commitmentProfile || null,
+      !!agentData.isBuiltin,
+      agentData.isBuiltin ? null : agentData.orgId
+    ];
+
+    const result = await this.query(sql, params);
+    return result[0];
+  }
+
+  // A built-in agent or one of the organization's own; built-ins are looked up first
+  async getAgent(orgId, agentId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return this.inMemoryStorage.agents.get(this.agentKey(null, agentId)) ||
+        this.inMemoryStorage.agents.get(this.agentKey(orgId, agentId));
+    }
+
+    const sql = 'SELECT * FROM agents WHERE id = $2 AND (is_builtin OR org_id = $1) ORDER BY is_builtin DESC LIMIT 1';
+    const result = await this.query(sql, [orgId, agentId]);
+    return result[0];
+  }
+
+  async listAgents(orgId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.agents.values())
+        .filter(agent => agent.isBuiltin || agent.orgId === orgId);
+    }
+
+    return this.query('SELECT * FROM agents WHERE is_builtin OR org_id = $1 ORDER BY is_builtin DESC, created_at ASC', [orgId]);
+  }
+
+  async listBuiltinAgents() {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.agents.values()).filter(agent => agent.isBuiltin);
+    }
+
+    return this.query('SELECT * FROM agents WHERE is_builtin ORDER BY created_at ASC');
+  }
+
+  // Only the organization's custom agents can be changed or deleted
+  async updateAgent(orgId, agentId, updates) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const key = this.agentKey(orgId, agentId);
+      const existing = this.inMemoryStorage.agents.get(key);
+      if (existing && !existing.isBuiltin) {
+        const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+        this.inMemoryStorage.agents.set(key, updated);
+        return updated;
+      }
+      return null;
+    }
+
+    const jsonFields = ['modelSettings', 'allowedTools'];
+    const fields = Object.keys(updates).map((key, index) =>
+      `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 3}`
+    ).join(', ');
+
+    const sql = `
+      UPDATE agents
+      SET ${fields}, updated_at = CURRENT_TIMESTAMP
+      WHERE org_id = $1 AND id = $2 AND NOT is_builtin
+      RETURNING *
+    `;
+
+    const params = [orgId, agentId, ...Object.entries(updates).map(([key, value]) =>
+      jsonFields.includes(key) ? JSON.stringify(value) : value
+    )];
+    const result = await this.query(sql, params);
+    return result[0] || null;
+  }
+
+  async deleteAgent(orgId, agentId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const key = this.agentKey(orgId, agentId);
+      const existing = this.inMemoryStorage.agents.get(key);
+      if (!existing || existing.isBuiltin) return false;
+      return this.inMemoryStorage.agents.delete(key);
+    }
+
+    const result = await this.query('DELETE FROM agents WHERE org_id = $1 AND id = $2 AND NOT is_builtin RETURNING id', [orgId, agentId]);
+    return result.length > 0;
+  }
+
+  async insertExchangeRates(rates) {
+    const createdAt = new Date().toISOString();
+
+    if (this.connectionType === 'in-memory') {
+      return rates.map(rate => {
+        const stored = { ...rate, createdAt };
+        this.inMemoryStorage.exchangeRates.set(rate.id, stored);
+        return stored;
+      });
+    }
+
+    const inserted = [];
+    for (const rate of rates) {
+      const sql = `
+        INSERT INTO exchange_rates (id, currency, rate, effective_date, snapshot_id, source)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+      const result = await this.query(sql, [
+        rate.id,
+        rate.currency,
+        rate.rate,
+        rate.effectiveDate,
+        rate.snapshotId,
+        rate.source || null
+      ]);
+      inserted.push(result[0]);
+    }
+    return inserted;
+  }
+
+  // Latest rate for a currency effective on or before the given date (YYYY-MM-DD)
+  async getExchangeRate(currency, date) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.exchangeRates.values())
+        .filter(rate => rate.currency === currency && rate.effectiveDate <= date)
+        .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate) || b.createdAt.localeCompare(a.createdAt))[0];
+    }
+
+    const sql = `
+      SELECT * FROM exchange_rates
+      WHERE currency = $1 AND effective_date <= $2
+      ORDER BY effective_date DESC, created_at DESC
+      LIMIT 1
+    `;
+    const result = await this.query(sql, [currency, date]);
+    return result[0];
+  }
+
+  // One rate per currency, as effective on the given date
+  async listExchangeRates(date) {
+    if (this.connectionType === 'in-memory') {
+      const currencies = new Set(Array.from(this.inMemoryStorage.exchangeRates.values()).map(rate => rate.currency));
+      const rates = await Promise.all(Array.from(currencies).map(currency => this.getExchangeRate(currency, date)));
+      return rates.filter(Boolean);
+    }
+
+    const sql = `
+      SELECT DISTINCT ON (currency) * FROM exchange_rates
+      WHERE effective_date <= $1
+      ORDER BY currency, effective_date DESC, created_at DESC
+    `;
+    return this.query(sql, [date]);
+  }
+
+  async countExchangeRates(snapshotId) {
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.exchangeRates.values())
+        .filter(rate => rate.snapshotId === snapshotId).length;
+    }
+
+    const result = await this.query('SELECT COUNT(*) AS total FROM exchange_rates WHERE snapshot_id = $1', [snapshotId]);
+    return parseInt(result[0]?.total || 0);
+  }
+
+  // EGS unit methods
+  async createEgsUnit(unit) {
+    requireTenant(unit.orgId);
+    if (this.connectionType === 'in-memory') {
+      const stored = { ...unit, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.egsUnits.set(unit.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO egs_units (id, org_id, name, serial_number, common_name, vat_number, private_key, public_key, csr, certificate)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const result = await this.query(sql, [
+      unit.id,
+      unit.orgId,
+      unit.name,
+      unit.serialNumber,
+      unit.commonName,
+      unit.vatNumber,
+      unit.privateKey,
+      unit.publicKey,
+      unit.csr,
+      unit.certificate || null
+    ]);
+    return result[0];
+  }
+
+  async getEgsUnit(orgId, egsId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const unit = this.inMemoryStorage.egsUnits.get(egsId);
+      return unit?.orgId === orgId ? unit : undefined;
+    }
+
+    const result = await this.query('SELECT * FROM egs_units WHERE org_id = $1 AND id = $2', [orgId, egsId]);
+    return result[0];
+  }
+
+  async listEgsUnits(orgId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.egsUnits.values())
+        .filter(unit => unit.orgId === orgId);
+    }
+
+    return this.query('SELECT * FROM egs_units WHERE org_id = $1 ORDER BY created_at ASC', [orgId]);
+  }
+
+  async updateEgsUnit(orgId, egsId, updates) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.egsUnits.get(egsId);
+      if (!existing || existing.orgId !== orgId) return null;
+      const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.egsUnits.set(egsId, updated);
+      return updated;
+    }
+
+    const fields = Object.keys(updates).map((key, index) =>
+      `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + 3}`
+    ).join(', ');
+
+    const sql = `
+      UPDATE egs_units
+      SET ${fields}, updated_at = CURRENT_TIMESTAMP
+      WHERE org_id = $1 AND id = $2
+      RETURNING *
+    `;
+    const result = await this.query(sql, [orgId, egsId, ...Object.values(updates)]);
+    return result[0] || null;
+  }
+
+  // Invoice chain methods; (egs_id, icv) is unique so two writers can never share a counter.
+  // Pass a transaction's `query` to append as part of it.
+  async appendInvoiceChain(entry, query = (sql, params) => this.query(sql, params)) {
+    requireTenant(entry.orgId);
+    if (this.connectionType === 'in-memory') {
+      const key = `${entry.egsId}:${entry.icv}`;
+      if (this.inMemoryStorage.invoiceChain.has(key)) {
+        const error = new Error(`ICV ${entry.icv} already exists for EGS ${entry.egsId}`);
+        error.code = '23505';
+        throw error;
+      }
+      const stored = { ...entry, signedAt: entry.signedAt || new Date().toISOString() };
+      this.inMemoryStorage.invoiceChain.set(key, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO invoice_chain (id, egs_id, org_id, icv, invoice_uuid, invoice_number, invoice_hash, previous_hash, xml, signed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      entry.id,
+      entry.egsId,
+      entry.orgId,
+      entry.icv,
+      entry.invoiceUuid,
+      entry.invoiceNumber,
+      entry.invoiceHash,
+      entry.previousHash,
+      entry.xml,
+      entry.signedAt || new Date().toISOString()
+    ]);
+    return result[0];
+  }
+
+  async getLastChainEntry(orgId, egsId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.invoiceChain.values())
+        .filter(entry => entry.orgId === orgId && entry.egsId === egsId)
+        .sort((a, b) => b.icv - a.icv)[0];
+    }
+
+    const result = await this.query(
+      'SELECT * FROM invoice_chain WHERE org_id = $1 AND egs_id = $2 ORDER BY icv DESC LIMIT 1',
+      [orgId, egsId]
+    );
+    return result[0];
+  }
+
+  async listChainEntries(orgId, egsId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      return Array.from(this.inMemoryStorage.invoiceChain.values())
+        .filter(entry => entry.orgId === orgId && entry.egsId === egsId)
+        .sort((a, b) => a.icv - b.icv);
+    }
+
+    return this.query('SELECT * FROM invoice_chain WHERE org_id = $1 AND egs_id = $2 ORDER BY icv ASC', [orgId, egsId]);
+  }
+
+  // Invoice methods
+  // camelCase fields to column assignments; objects and arrays are stored as JSONB
+  invoiceColumns(fields, offset) {
+    const entries = Object.entries(fields);
+    return {
+      assignments: entries.map(([key], index) => `${key.replace(/([A-Z])/g, '_$1').toLowerCase()} = $${index + offset}`).join(', '),
+      values: entries.map(([, value]) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value))
+    };
+  }
+
+  async createInvoice(invoice) {
+    requireTenant(invoice.orgId);
+    if (this.connectionType === 'in-memory') {
+      const stored = { ...invoice, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.invoices.set(invoice.id, stored);
+      return stored;
+    }
+
+    const sql = `
+      INSERT INTO invoices (id, org_id, document_type, type, series, status, uuid, issue_date, currency,
+        customer, seller, lines, options, original_invoice_id, reason, egs_id, totals, breakdown, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      RETURNING *
+    `;
+
+    const result = await this.query(sql, [
+      invoice.id,
+      invoice.orgId,
+      invoice.documentType,
+      invoice.type,
+      invoice.series,
+      invoice.status,
+      invoice.uuid,
+      invoice.issueDate || null,
+      invoice.currency,
+      JSON.stringify(invoice.customer || {}),
+      JSON.stringify(invoice.seller || {}),
+      JSON.stringify(invoice.lines || []),
+      JSON.stringify(invoice.options || {}),
+      invoice.originalInvoiceId || null,
+      invoice.reason || null,
+      invoice.egsId || null,
+      JSON.stringify(invoice.totals || {}),
+      JSON.stringify(invoice.breakdown || []),
+      invoice.createdBy || null
+    ]);
+    return result[0];
+  }
+
+  async getInvoice(orgId, invoiceId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const invoice = this.inMemoryStorage.invoices.get(invoiceId);
+      return invoice?.orgId === orgId ? invoice : undefined;
+    }
+
+    const result = await this.query('SELECT * FROM invoices WHERE org_id = $1 AND id = $2', [orgId, invoiceId]);
+    return result[0];
+  }
+
+  /**
+   * Invoices of one organization. Filters: status, documentType, type, series, customer (name
+   * or VAT number), from/to (issue date), limit, offset. Newest first.
+   */
+  async listInvoices(orgId, filters = {}) {
+    requireTenant(orgId);
+    const { limit = 50, offset = 0 } = filters;
+
+    if (this.connectionType === 'in-memory') {
+      const search = filters.customer?.toLowerCase();
+      return Array.from(this.inMemoryStorage.invoices.values())
+        .filter(invoice => invoice.orgId === orgId)
+        .filter(invoice => !filters.status || invoice.status === filters.status)
+        .filter(invoice => !filters.documentType || invoice.documentType === filters.documentType)
+        .filter(invoice => !filters.type || invoice.type === filters.type)
+        .filter(invoice => !filters.series || invoice.series === filters.series)
+        .filter(invoice => !filters.from || (invoice.issueDate && invoice.issueDate >= filters.from))
+        .filter(invoice => !filters.to || (invoice.issueDate && invoice.issueDate <= filters.to))
+        .filter(invoice => !search ||
+          [invoice.customer?.name, invoice.customer?.vatNumber].some(value => value && String(value).toLowerCase().includes(search)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(offset, offset + limit);
+    }
+
+    const conditions = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      conditions.push(clause.replaceAll('?', `$${params.length}`));
+    };
+
+    add('org_id = ?', orgId);
+    if (filters.status) add('status = ?', filters.status);
+    if (filters.documentType) add('document_type = ?', filters.documentType);
+    if (filters.type) add('type = ?', filters.type);
+    if (filters.series) add('series = ?', filters.series);
+    if (filters.from) add('issue_date >= ?', filters.from);
+    if (filters.to) add('issue_date <= ?', filters.to);
+    if (filters.customer) add("(customer->>'name' ILIKE ? OR customer->>'vatNumber' ILIKE ?)", `%${filters.customer}%`);
+
+    params.push(limit, offset);
+    return this.query(
+      `SELECT * FROM invoices WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+  }
+
+  // Updates only apply while the invoice is still in `expectedStatus`; returns null otherwise
+  async updateInvoice(orgId, invoiceId, updates, expectedStatus) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.invoices.get(invoiceId);
+      if (!existing || existing.orgId !== orgId || existing.status !== expectedStatus) return null;
+      const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.invoices.set(invoiceId, updated);
+      return updated;
+    }
+
+    const { assignments, values } = this.invoiceColumns(updates, 4);
+    const sql = `
+      UPDATE invoices
+      SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+      WHERE org_id = $1 AND id = $2 AND status = $3
+      RETURNING *
+    `;
+    const result = await this.query(sql, [orgId, invoiceId, expectedStatus, ...values]);
+    return result[0] || null;
+  }
+
+  async deleteDraftInvoice(orgId, invoiceId) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      const existing = this.inMemoryStorage.invoices.get(invoiceId);
+      if (!existing || existing.orgId !== orgId || existing.status !== 'draft') return false;
+      return this.inMemoryStorage.invoices.delete(invoiceId);
+    }
+
+    const result = await this.query(
+      "DELETE FROM invoices WHERE org_id = $1 AND id = $2 AND status = 'draft' RETURNING id",
+      [orgId, invoiceId]
+    );
+    return result.length > 0;
+  }
+
+  /**
+   * Issue a draft under the next number of its org and series. `finalize(sequence, query)`
+   * builds the issued fields, writing anything else through `query` so it commits or rolls
+   * back with the issue; the number is only consumed when it succeeds, so series stay gap-free.
+   */
+  async issueInvoice(invoice, finalize) {
+    requireTenant(invoice.orgId);
+    const key = `${invoice.orgId}:${invoice.series}`;
+
+    if (this.connectionType === 'in-memory') {
+      const current = this.inMemoryStorage.invoices.get(invoice.id);
+      if (current?.orgId !== invoice.orgId || current.status !== 'draft') return null;
+      const sequence = (this.inMemoryStorage.invoiceSequences.get(key) || 0) + 1;
+      const fields = await finalize(sequence);
+      const existing = this.inMemoryStorage.invoices.get(invoice.id);
+      if (!existing || existing.orgId !== invoice.orgId || existing.status !== 'draft') return null;
+
+      this.inMemoryStorage.invoiceSequences.set(key, sequence);
+      const issued = { ...existing, ...fields, sequence, status: 'issued', updatedAt: new Date().toISOString() };
+      this.inMemoryStorage.invoices.set(invoice.id, issued);
+      return issued;
+    }
+
+    return this.transaction(async (query) => {
+      await query(
+        'INSERT INTO invoice_sequences (org_id, series, last_number) VALUES ($1, $2, 0) ON CONFLICT (org_id, series) DO NOTHING',
+        [invoice.orgId, invoice.series]
+      );
+      // Row lock: concurrent issues on the same series wait here
+      const [current] = await query(
+        'SELECT last_number FROM invoice_sequences WHERE org_id = $1 AND series = $2 FOR UPDATE',
+        [invoice.orgId, invoice.series]
+      );
+      const sequence = Number(current.last_number) + 1;
+      const fields = await finalize(sequence, query);
+
+      const { assignments, values } = this.invoiceColumns({ ...fields, sequence, status: 'issued' }, 3);
+      const [issued] = await query(
+        `UPDATE invoices SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+         WHERE org_id = $1 AND id = $2 AND status = 'draft' RETURNING *`,
+        [invoice.orgId, invoice.id, ...values]
+      );
+      if (!issued) throw new ConflictError('Invoice is no longer a draft', [{ field: 'status' }]);
+
+      await query(
+        'UPDATE invoice_sequences SET last_number = $3, updated_at = CURRENT_TIMESTAMP WHERE org_id = $1 AND series = $2',
+        [invoice.orgId, invoice.series, sequence]
+      );
+      return issued;
+    });
+  }
+
   // Subscription methods
   async createSubscription(subscriptionData) {
+    requireTenant(subscriptionData.orgId);
     if (this.connectionType === 'in-memory') {
       this.inMemoryStorage.subscriptions.set(subscriptionData.id, subscriptionData);
       return subscriptionData;
@@ -351,6 +1664,7 @@ class DatabaseManager {
   }
 
   async getSubscription(orgId) {
+    requireTenant(orgId);
     if (this.connectionType === 'in-memory') {
       return Array.from(this.inMemoryStorage.subscriptions.values())
         .find(sub => sub.orgId === orgId);
@@ -363,6 +1677,7 @@ class DatabaseManager {
 
   // Usage tracking methods
   async recordUsage(orgId, usageType, amount = 1) {
+    requireTenant(orgId);
     const today = new Date().toISOString().split('T')[0];
     
     if (this.connectionType === 'in-memory') {
@@ -383,15 +1698,19 @@ class DatabaseManager {
     return { success: true };
   }
 
+  // period: 'current' (today) or an inclusive { from, to } range of YYYY-MM-DD dates
   async getUsage(orgId, period = 'current') {
+    requireTenant(orgId);
     const today = new Date().toISOString().split('T')[0];
+    const { from, to } = period === 'current' ? { from: today, to: today } : period;
     
     if (this.connectionType === 'in-memory') {
       const usage = {};
       for (const [key, amount] of this.inMemoryStorage.usage.entries()) {
-        const [keyOrgId, usageType, date] = key.split(':');
-        if (keyOrgId === orgId && date === today) {
-          usage[usageType] = amount;
+        const [usageType, date] = key.split(':').slice(-2);
+        const keyOrgId = key.slice(0, -(usageType.length + date.length + 2));
+        if (keyOrgId === orgId && (!from || date >= from) && (!to || date <= to)) {
+          usage[usageType] = (usage[usageType] || 0) + amount;
         }
       }
       return usage;
@@ -400,11 +1719,13 @@ class DatabaseManager {
     const sql = `
       SELECT usage_type, SUM(amount) as total
       FROM usage_tracking 
-      WHERE org_id = $1 AND period_start = $2
+      WHERE org_id = $1
+        AND ($2::date IS NULL OR period_start >= $2::date)
+        AND ($3::date IS NULL OR period_start <= $3::date)
       GROUP BY usage_type
     `;
     
-    const result = await this.query(sql, [orgId, today]);
+    const result = await this.query(sql, [orgId, from || null, to || null]);
     return result.reduce((acc, row) => {
       acc[row.usage_type] = parseInt(row.total);
       return acc;
@@ -413,6 +1734,7 @@ class DatabaseManager {
 
   // Chat session methods - CRITICAL FOR AGENT MEMORY!
   async saveSession(sessionData) {
+    requireTenant(sessionData.orgId);
     if (this.connectionType === 'in-memory') {
       // Use advanced memory store if available
       if (this.memoryStore) {
@@ -420,6 +1742,8 @@ class DatabaseManager {
         return result.success ? result.data : sessionData;
       } else {
         // Fallback to basic storage
+        const existing = this.inMemoryStorage.sessions.get(sessionData.sessionId);
+        if (existing && (existing.orgId !== sessionData.orgId || existing.userId !== sessionData.userId)) return null;
         this.inMemoryStorage.sessions.set(sessionData.sessionId, sessionData);
         return sessionData;
       }
@@ -430,7 +1754,7 @@ class DatabaseManager {
         .from('chat_sessions')
         .upsert({
           session_id: sessionData.sessionId,
-          org_id: sessionData.orgId || 'default',
+          org_id: sessionData.orgId,
           user_id: sessionData.userId,
           agent_type: sessionData.agentType,
           messages: sessionData.messages,
@@ -451,17 +1775,19 @@ class DatabaseManager {
     }
 
     // PostgreSQL fallback
+    // An existing session id is only updated within its own tenant
     const sql = `
       INSERT INTO chat_sessions (session_id, org_id, user_id, agent_type, messages, metadata)
       VALUES ($1, $2, $3, $4, $5, $6)
       ON CONFLICT (session_id) 
       DO UPDATE SET messages = $5, metadata = $6, updated_at = CURRENT_TIMESTAMP
+      WHERE chat_sessions.org_id = $2 AND chat_sessions.user_id = $3
       RETURNING *
     `;
     
     const params = [
       sessionData.sessionId,
-      sessionData.orgId || 'default',
+      sessionData.orgId,
       sessionData.userId,
       sessionData.agentType,
       JSON.stringify(sessionData.messages),
@@ -472,15 +1798,17 @@ class DatabaseManager {
     return result[0];
   }
 
-  async getSession(sessionId) {
+  async getSession(orgId, sessionId) {
+    requireTenant(orgId);
     if (this.connectionType === 'in-memory') {
       // Use advanced memory store if available
       if (this.memoryStore) {
         const result = await this.memoryStore.getSession(sessionId);
-        return result.success ? result.data : null;
+        return result.success && result.data?.orgId === orgId ? result.data : null;
       } else {
         // Fallback to basic storage
-        return this.inMemoryStorage.sessions.get(sessionId);
+        const session = this.inMemoryStorage.sessions.get(sessionId);
+        return session?.orgId === orgId ? session : undefined;
       }
     }
 
@@ -488,6 +1816,7 @@ class DatabaseManager {
       const { data, error } = await this.supabaseClient
         .from('chat_sessions')
         .select('*')
+        .eq('org_id', orgId)
         .eq('session_id', sessionId)
         .single();
 
@@ -500,11 +1829,44 @@ class DatabaseManager {
     }
 
     // PostgreSQL fallback
-    const sql = 'SELECT * FROM chat_sessions WHERE session_id = $1';
-    const result = await this.query(sql, [sessionId]);
+    const sql = 'SELECT * FROM chat_sessions WHERE org_id = $1 AND session_id = $2';
+    const result = await this.query(sql, [orgId, sessionId]);
     return result[0];
   }
 
+  async getUserSessions(orgId, userId, limit = 20) {
+    requireTenant(orgId);
+    if (this.connectionType === 'in-memory') {
+      if (!this.inMemoryStorage) return [];
+
+      return Array.from(this.inMemoryStorage.sessions.values())
+        .filter(session => session.orgId === orgId && session.userId === userId)
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+        .slice(0, limit);
+    }
+
+    if (this.connectionType === 'supabase') {
+      const { data, error } = await this.supabaseClient
+        .from('chat_sessions')
+        .select('*')
+        .eq('org_id', orgId)
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Session list error:', error);
+        return [];
+      }
+
+      return data;
+    }
+
+    // PostgreSQL fallback
+    const sql = 'SELECT * FROM chat_sessions WHERE org_id = $1 AND user_id = $2 ORDER BY updated_at DESC LIMIT $3';
+    return this.query(sql, [orgId, userId, limit]);
+  }
+
   // Helper method for in-memory queries (simplified)
   executeInMemoryQuery(sql, params) {
     // This is a simplified mock - in a real implementation you'd need a proper SQL parser
@@ -0,0 +1,27 @@
+/**
+ * Admin Token Middleware
+ * Guards administrative endpoints with the shared ADMIN_API_TOKEN secret
+ */
+
+import crypto from 'crypto';
+
+export const requireAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin endpoints are disabled',
+      message: 'واجهات الإدارة غير مفعلة، يرجى ضبط ADMIN_API_TOKEN'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Token') || '');
+  const secret = Buffer.from(expected);
+  const matches = provided.length === secret.length && crypto.timingSafeEqual(provided, secret);
+
+  if (!matches) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'رمز الإدارة غير صحيح' });
+  }
+  next();
+};
+
+export default requireAdminToken;
@@ -0,0 +1,83 @@
+/**
+ * Auth Middleware
+ * Resolves the `Authorization: Bearer <access token>` header to the signed-in user, or an
+ * `X-API-Key` header to the organization's machine client, with an opt-in anonymous mode
+ * (ENABLE_DEMO_MODE=true) for the public demo
+ */
+
+import rateLimit from 'express-rate-limit';
+import authService from '../services/auth-service.js';
+import apiKeyService from '../services/api-key-service.js';
+
+// Identity of anonymous demo requests; it owns no history that can be listed
+export const DEMO_USER = Object.freeze({
+  id: 'demo',
+  email: 'anonymous@doganai.com',
+  name: 'Demo',
+  role: 'demo',
+  demo: true
+});
+
+export const bearerToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Sets req.user (and req.sessionId for users), or answers 401
+export const requireAuth = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      req.user = await apiKeyService.authenticate(apiKey);
+      return next();
+    }
+
+    const { user, sessionId } = await authService.authenticate(bearerToken(req));
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    if (error.name !== 'AuthenticationError') return next(error);
+    const [detail] = error.details;
+    res.status(401).json({
+      error: error.message,
+      message: detail?.messageArabic || 'يجب تسجيل الدخول',
+      code: detail?.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// requireAuth for a signed-in person; API keys cannot manage login sessions
+export const requireSession = [requireAuth, (req, res, next) => {
+  if (req.sessionId) return next();
+  res.status(403).json({
+    error: 'A signed-in user is required',
+    message: 'هذه العملية متاحة للمستخدمين المسجلين فقط',
+    timestamp: new Date().toISOString()
+  });
+}];
+
+/**
+ * requireAuth, except that requests without credentials continue as DEMO_USER when the demo
+ * is enabled. Credentials that are present but invalid are still refused.
+ */
+export const allowDemo = (req, res, next) => {
+  const credentials = bearerToken(req) || req.get('X-API-Key');
+  if (credentials || process.env.ENABLE_DEMO_MODE !== 'true') return requireAuth(req, res, next);
+  req.user = DEMO_USER;
+  next();
+};
+
+// Demo requests per IP per hour (DEMO_RATE_LIMIT, default 20); signed-in users are not counted
+export const demoLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.DEMO_RATE_LIMIT) || 20,
+  skip: (req) => !req.user?.demo,
+  message: {
+    error: 'Demo limit reached; sign in to continue',
+    message: 'انتهى حد التجربة المجانية، يرجى تسجيل الدخول للمتابعة'
+  }
+});
+
+export default requireAuth;
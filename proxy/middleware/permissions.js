@@ -0,0 +1,30 @@
+/**
+ * Permission Middleware
+ * Route guard for RBAC permissions; runs after requireAuth (or allowDemo) has set req.user
+ */
+
+import rbacService from '../services/rbac-service.js';
+
+// Answers 403 unless the user holds every listed permission
+export const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required', message: 'يجب تسجيل الدخول' });
+    }
+    if (!req.permissions) req.permissions = await rbacService.permissionsFor(req.user);
+
+    const missing = required.filter(permission => !req.permissions.has(permission));
+    if (!missing.length) return next();
+
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'ليس لديك صلاحية لتنفيذ هذا الإجراء',
+      required: missing,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requirePermission;
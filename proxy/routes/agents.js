@@ -0,0 +1,139 @@
+/**
+ * Agent Registry Routes
+ * Built-in agent personas and CRUD for the organization's custom agents
+ */
+
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import agentRegistry from '../services/agent-registry.js';
+import toolRegistry from '../services/tool-registry.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { tenantOf } from '../utils/tenant.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const exists = (res) => res.status(409).json({ error: 'Agent already exists', message: 'يوجد وكيل بنفس المعرف' });
+
+const builtIn = (res, action) => res.status(403).json({
+  error: `Built-in agents cannot be ${action}`,
+  message: action === 'deleted' ? 'لا يمكن حذف الوكلاء الأساسيين' : 'لا يمكن تعديل الوكلاء الأساسيين'
+});
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+  }
+  next();
+};
+
+// Field rules shared by create (required) and update (optional)
+const agentFields = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('nameArabic').isString().trim().isLength({ min: 1, max: 100 }),
+    field('nameEnglish').isString().trim().isLength({ min: 1, max: 100 }),
+    field('systemPrompt').isString().isLength({ min: 1, max: 8000 }),
+    body('modelSettings').optional().isObject(),
+    body('modelSettings.provider').optional().isString(),
+    body('modelSettings.model').optional().isString(),
+    body('modelSettings.maxTokens').optional().isInt({ min: 1, max: 32000 }).toInt(),
+    body('modelSettings.temperature').optional().isFloat({ min: 0, max: 2 }).toFloat(),
+    body('allowedTools').optional().isArray(),
+    body('allowedTools.*').isString().custom(name => toolRegistry.has(name))
+      .withMessage(`allowedTools entries must be one of: ${toolRegistry.names().join(', ')}`),
+    body('commitmentProfile').optional({ nullable: true }).isString()
+  ];
+};
+
+// List agents
+router.get('/', requirePermission('agents:read'), async (req, res, next) => {
+  try {
+    const agents = await agentRegistry.list(tenantOf(req.user));
+    res.json({ agents });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one agent
+router.get('/:id', requirePermission('agents:read'), async (req, res, next) => {
+  try {
+    const agent = await agentRegistry.get(tenantOf(req.user), req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found', message: 'الوكيل غير موجود' });
+    }
+    res.json({ agent });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a custom agent
+router.post('/',
+  requirePermission('agents:manage'),
+  body('id').optional().matches(/^[a-z0-9][a-z0-9-]{1,49}$/)
+    .withMessage('id must be 2-50 lowercase letters, digits or dashes'),
+  ...agentFields(false),
+  validate,
+  async (req, res, next) => {
+    try {
+      const id = req.body.id || `agent-${uuidv4().slice(0, 8)}`;
+      const orgId = tenantOf(req.user);
+
+      if (await agentRegistry.get(orgId, id)) return exists(res);
+
+      const agent = await agentRegistry.create(orgId, { ...req.body, id });
+      res.status(201).json({ agent });
+    } catch (error) {
+      // Created concurrently under the same id in this organization
+      if (error.code === '23505') return exists(res);
+      next(error);
+    }
+  }
+);
+
+// Update an agent
+router.put('/:id',
+  requirePermission('agents:manage'),
+  ...agentFields(true),
+  validate,
+  async (req, res, next) => {
+    try {
+      const orgId = tenantOf(req.user);
+      const existing = await agentRegistry.get(orgId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Agent not found', message: 'الوكيل غير موجود' });
+      }
+      if (existing.isBuiltin) return builtIn(res, 'changed');
+
+      const agent = await agentRegistry.update(orgId, req.params.id, req.body);
+      res.json({ agent });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a custom agent
+router.delete('/:id', requirePermission('agents:manage'), async (req, res, next) => {
+  try {
+    const orgId = tenantOf(req.user);
+    const agent = await agentRegistry.get(orgId, req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found', message: 'الوكيل غير موجود' });
+    }
+    if (agent.isBuiltin) return builtIn(res, 'deleted');
+
+    await agentRegistry.remove(orgId, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+/**
+ * API Key Routes
+ * Issue, list, rotate and revoke the organization's API keys for machine clients
+ */
+
+import express from 'express';
+import apiKeyService from '../services/api-key-service.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('api-keys:manage'));
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'بيانات المفتاح غير صالحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: error.message,
+      message: 'لا يمكن منح المفتاح صلاحيات لا تملكها',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const notFound = (res) => res.status(404).json({
+  error: 'API key not found',
+  message: 'المفتاح غير موجود',
+  timestamp: new Date().toISOString()
+});
+
+const SHOWN_ONCE = 'احفظ المفتاح الآن، فلن يظهر مرة أخرى';
+
+// { name, permissions: [...], expiresInDays? } → the key, shown only in this response
+router.post('/', async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.create(req.user, req.permissions, req.body);
+    res.status(201).json({ success: true, apiKey, key, message: SHOWN_ONCE, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Keys of the organization with their status and last use; never the keys themselves
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.user.orgId);
+    res.json({ success: true, apiKeys, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// New secret for the same key; the previous one stops working immediately
+router.post('/:id/rotate', async (req, res, next) => {
+  try {
+    const rotated = await apiKeyService.rotate(req.user.orgId, req.params.id);
+    if (!rotated) return notFound(res);
+    res.json({ success: true, ...rotated, message: SHOWN_ONCE, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.user.orgId, req.params.id);
+    if (!apiKey) return notFound(res);
+    res.json({ success: true, apiKey, message: 'تم إلغاء المفتاح', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
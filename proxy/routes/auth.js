@@ -0,0 +1,190 @@
+/**
+ * Auth Routes
+ * Email/password registration and login, passwordless login with SMS/email codes,
+ * refresh-token rotation, logout and the signed-in user's active sessions
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import authService from '../services/auth-service.js';
+import otpService from '../services/otp-service.js';
+import rbacService from '../services/rbac-service.js';
+import { requireAuth, requireSession, bearerToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Failed logins per IP, on top of the global limiter
+const loginLimiter = process.env.ENABLE_RATE_LIMIT !== 'false'
+  ? rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    skipSuccessfulRequests: true,
+    message: { error: 'Too many failed login attempts', message: 'محاولات دخول فاشلة كثيرة، يرجى المحاولة لاحقاً' }
+  })
+  : (req, res, next) => next();
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'بيانات الحساب غير صالحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      error: error.message,
+      message: error.details[0]?.field === 'phone' ? 'رقم الجوال مسجل مسبقاً' : 'البريد الإلكتروني مسجل مسبقاً',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'RateLimitError') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+      error: error.message,
+      message: error.details[0]?.messageArabic || 'طلبات كثيرة، يرجى المحاولة لاحقاً',
+      code: error.details[0]?.code,
+      retryAfter: error.retryAfter,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'AuthenticationError') {
+    const [detail] = error.details;
+    return res.status(401).json({
+      error: error.message,
+      message: detail?.messageArabic || 'يجب تسجيل الدخول',
+      code: detail?.code,
+      attemptsRemaining: detail?.attemptsRemaining,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+// Device details stored with a session so users can recognise it in their session list
+const client = (req) => ({ ipAddress: req.ip, userAgent: req.get('User-Agent')?.slice(0, 512) });
+
+// { email, password, name, phone? }; the email starts unverified. Saudi mobiles may be written locally (05XXXXXXXX)
+router.post('/register', async (req, res, next) => {
+  try {
+    const user = await authService.register(req.body);
+    res.status(201).json({
+      message: 'User registered successfully',
+      user,
+      ...(await authService.startSession(user, client(req)))
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.post('/login', loginLimiter, async (req, res, next) => {
+  try {
+    const user = await authService.login(req.body);
+    res.json({
+      message: 'Login successful',
+      user,
+      ...(await authService.startSession(user, client(req)))
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { phone } or { email } → a 6-digit login code by SMS or email
+router.post('/otp/request', async (req, res, next) => {
+  try {
+    const otp = await otpService.requestCode(req.body);
+    res.json({ success: true, message: 'تم إرسال رمز التحقق', ...otp, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { phone | email, code } → the same session tokens as a password login
+router.post('/otp/verify', loginLimiter, async (req, res, next) => {
+  try {
+    const user = await otpService.verifyCode(req.body);
+    res.json({
+      message: 'Login successful',
+      user,
+      ...(await authService.startSession(user, client(req)))
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { refreshToken } → a new access token and a new refresh token; the old one is spent
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const session = await authService.refresh(req.body?.refreshToken, client(req));
+    res.json({ message: 'Token refreshed', ...session });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { refreshToken } ends that session; without one, the session of the bearer access token
+router.post('/logout', async (req, res, next) => {
+  try {
+    if (req.body?.refreshToken) {
+      await authService.logout(req.body.refreshToken);
+    } else {
+      const { user, sessionId } = await authService.authenticate(bearerToken(req));
+      await authService.revokeSession(user.id, sessionId);
+    }
+    res.json({ success: true, message: 'تم تسجيل الخروج', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// The signed-in user with their effective permissions
+router.get('/me', requireAuth, async (req, res, next) => {
+  try {
+    const permissions = [...(await rbacService.permissionsFor(req.user))].sort();
+    res.json({ success: true, user: req.user, permissions, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Signed-in devices of the current user, the caller's own marked `current`
+router.get('/sessions', requireSession, async (req, res, next) => {
+  try {
+    const sessions = await authService.listSessions(req.user.id, req.sessionId);
+    res.json({ success: true, sessions, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Sign out every other device, keeping the current session
+router.delete('/sessions', requireSession, async (req, res, next) => {
+  try {
+    const revoked = await authService.revokeOtherSessions(req.user.id, req.sessionId);
+    res.json({ success: true, revoked, message: 'تم تسجيل الخروج من الأجهزة الأخرى', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.delete('/sessions/:id', requireSession, async (req, res, next) => {
+  try {
+    if (!(await authService.revokeSession(req.user.id, req.params.id))) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'الجلسة غير موجودة',
+        timestamp: new Date().toISOString()
+      });
+    }
+    res.json({ success: true, message: 'تم إنهاء الجلسة', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
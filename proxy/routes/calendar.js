@@ -0,0 +1,77 @@
+/**
+ * Calendar Routes
+ * Hijri (Umm al-Qura) ↔ Gregorian conversion, Hijri months and fiscal periods with their
+ * filing deadlines
+ */
+
+import express from 'express';
+import hijriCalendar from '../services/hijri-calendar.js';
+import { allowDemo } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(allowDemo, requirePermission('tools:use'));
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'التاريخ غير صالح',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const integer = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// ?date=2024-03-11 or ?date=1445-09-01 (years before 1600 are Hijri) [&calendar=hijri|gregorian]
+router.get('/convert', (req, res, next) => {
+  try {
+    const { date, calendar } = req.query;
+    const converted = hijriCalendar.convert(date, { calendar });
+    res.json({ success: true, date: converted, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Today in Saudi Arabia in both calendars
+router.get('/today', (req, res, next) => {
+  try {
+    res.json({ success: true, date: hijriCalendar.today(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Months of a Hijri year with their lengths and Gregorian dates
+router.get('/hijri/:year', (req, res, next) => {
+  try {
+    const year = Number(req.params.year);
+    res.json({ success: true, year, months: hijriCalendar.hijriYear(year), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// ?calendar=hijri|gregorian&year=1446[&month=9|&quarter=2][&startMonth=7]
+router.get('/period', (req, res, next) => {
+  try {
+    const { calendar, year, month, quarter, startMonth } = req.query;
+    const period = hijriCalendar.period({
+      calendar,
+      year: integer(year),
+      month: integer(month),
+      quarter: integer(quarter),
+      startMonth: integer(startMonth)
+    });
+    res.json({ success: true, period, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+/**
+ * Financial Service Routes
+ * Deterministic calculators advertised by server-simple.js under /api/chat/*, plus their admin data imports
+ */
+
+import express from 'express';
+import vatCalculator from '../services/vat-calculator.js';
+import zakatCalculator from '../services/zakat-calculator.js';
+import currencyService from '../services/currency-service.js';
+import taxIdValidator from '../services/tax-id-validator.js';
+import arabicTextAnalyzer from '../services/arabic-text-analyzer.js';
+import tafqeet from '../services/tafqeet.js';
+import { requireAdminToken } from '../middleware/admin-token.js';
+import { allowDemo } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Calculators are open to signed-in users and, when enabled, the anonymous demo. Guards are
+// per route because this router is mounted on /api itself.
+const tools = [allowDemo, requirePermission('tools:use')];
+
+// Map service errors to the response shape used across server-simple.js
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'البيانات المدخلة غير صحيحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+// VAT on a single amount, or a full line-item invoice when `lines` is given
+router.post('/chat/calculate-vat', tools, (req, res, next) => {
+  try {
+    const calculation = Array.isArray(req.body.lines)
+      ? vatCalculator.calculateInvoice(req.body)
+      : vatCalculator.calculateAmount(req.body);
+
+    res.json({
+      success: true,
+      calculation,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Zakat due on zakatable assets less liabilities, against a gold or silver nisab
+router.post('/chat/calculate-zakat', tools, (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      calculation: zakatCalculator.calculate(req.body),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Offline conversion using the rates effective on `date` (defaults to today)
+router.post('/chat/convert-currency', tools, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      conversion: await currencyService.convert(req.body),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Rate table as effective on a date, quoted in SAR
+router.get('/chat/exchange-rates', tools, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      ...(await currencyService.listRates(req.query.date)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Import rates from CSV (text/csv body, or JSON { csv, source }) as a new snapshot
+router.post('/admin/exchange-rates/import',
+  requireAdminToken,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  async (req, res, next) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const result = await currencyService.importCsv(csv, { source: req.body?.source });
+      res.status(201).json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next)(error);
+    }
+  }
+);
+
+// Format check of a VAT number, the member TIN of a VAT group and/or a CR number
+router.post('/chat/validate-vat', tools, (req, res) => {
+  res.json({
+    success: true,
+    validation: taxIdValidator.validateRegistration(req.body),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Amounts, dates, VAT numbers, IBANs and tax terms in Arabic/English text, with the intent
+router.post('/chat/analyze-text', tools, (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      analysis: arabicTextAnalyzer.analyze(req.body.text),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Tafqeet: { amount, currency } as money with its subunit, or { number, gender | noun } as a count
+router.post('/chat/amount-in-words', tools, (req, res, next) => {
+  try {
+    const { amount, currency, number, gender, noun, only } = req.body;
+    const words = number !== undefined && amount === undefined
+      ? tafqeet.numberInWords(number, { gender, noun, only })
+      : tafqeet.amountInWords(amount, { currency, only });
+
+    res.json({
+      success: true,
+      words,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Current VAT categories and rates
+router.get('/chat/tax-rates', tools, (req, res) => {
+  res.json({
+    success: true,
+    country: 'SA',
+    vat: vatCalculator.getRates(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+export default router;
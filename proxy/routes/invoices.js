@@ -0,0 +1,159 @@
+/**
+ * Invoice Routes
+ * Invoices, credit notes and debit notes of the user's organization: drafts, issue,
+ * cancellation and listing
+ */
+
+import express from 'express';
+import invoiceService from '../services/invoice-service.js';
+import invoicePdf from '../services/invoice-pdf.js';
+import hijriCalendar from '../services/hijri-calendar.js';
+import databaseManager from '../database-config.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Dates shown to users carry their Hijri equivalent
+const DUAL_FIELDS = ['issueDate', 'issuedAt', 'cancelledAt', 'createdAt'];
+const present = (invoice) => hijriCalendar.withDual(invoice, DUAL_FIELDS);
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'بيانات الفاتورة غير صالحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      error: error.message,
+      message: 'لا يمكن تعديل الفاتورة بعد إصدارها',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const notFound = (res) => res.status(404).json({
+  error: 'Invoice not found',
+  message: 'الفاتورة غير موجودة',
+  timestamp: new Date().toISOString()
+});
+
+// ?status=&documentType=&type=&series=&customer=&from=&to=&limit=&offset=
+// from/to may be Hijri (e.g. 1446-09-01); or a period: &calendar=hijri&year=1446[&month=9|&quarter=2][&startMonth=7]
+router.get('/', requirePermission('invoices:read'), async (req, res, next) => {
+  try {
+    const { status, documentType, type, series, customer, from, to, calendar, year, month, quarter, startMonth, limit, offset } = req.query;
+    const result = await invoiceService.list(req.user.orgId, {
+      status, documentType, type, series, customer, from, to, calendar, year, month, quarter, startMonth, limit, offset
+    });
+    res.json({ success: true, ...result, invoices: result.invoices.map(present), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// New draft; numbers are only assigned on issue
+router.post('/', requirePermission('invoices:write'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.create(req.user.orgId, req.body, { createdBy: req.user.id });
+    res.status(201).json({ success: true, invoice: present(invoice), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.get('/:id', requirePermission('invoices:read'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.get(req.user.orgId, req.params.id);
+    if (!invoice) return notFound(res);
+    res.json({ success: true, invoice: present(invoice), timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ZATCA XML of an issued invoice
+router.get('/:id/xml', requirePermission('invoices:read'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.get(req.user.orgId, req.params.id);
+    if (!invoice || !invoice.xml) return notFound(res);
+    res.type('application/xml').send(invoice.xml);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bilingual PDF; issued invoices are PDF/A-3 with the XML attached unless ?pdfa=false
+router.get('/:id/pdf', requirePermission('invoices:read'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.get(req.user.orgId, req.params.id);
+    if (!invoice) return notFound(res);
+
+    const org = await databaseManager.getOrganization(invoice.orgId);
+    // Drafts only take their seller snapshot on issue
+    const document = invoice.status === 'draft' && org
+      ? { ...invoice, seller: invoiceService.sellerSnapshot(org, invoice.seller) }
+      : invoice;
+    const pdf = await invoicePdf.render(document, {
+      org,
+      pdfa: invoice.status !== 'draft' && req.query.pdfa !== 'false'
+    });
+    const filename = `${invoice.number || `draft-${invoice.id}`}.pdf`;
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.put('/:id', requirePermission('invoices:write'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.update(req.user.orgId, req.params.id, req.body);
+    if (!invoice) return notFound(res);
+    res.json({ success: true, invoice: present(invoice), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.delete('/:id', requirePermission('invoices:write'), async (req, res, next) => {
+  try {
+    const deleted = await invoiceService.remove(req.user.orgId, req.params.id);
+    if (!deleted) return notFound(res);
+    res.json({ success: true, message: 'Draft deleted', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.post('/:id/issue', requirePermission('invoices:issue'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.issue(req.user.orgId, req.params.id);
+    if (!invoice) return notFound(res);
+    res.json({ success: true, invoice: present(invoice), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.post('/:id/cancel', requirePermission('invoices:issue'), async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.cancel(req.user.orgId, req.params.id, req.body.reason);
+    if (!invoice) return notFound(res);
+    res.json({ success: true, invoice: present(invoice), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+/**
+ * Organization Routes
+ * Onboarding (create the organization, its details) and member invitations by email
+ */
+
+import express from 'express';
+import organizationService from '../services/organization-service.js';
+import inviteService from '../services/invite-service.js';
+import { requireAuth, requireSession } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const handleError = (res, next) => (error) => {
+  const [detail] = error.details || [];
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: detail?.messageArabic || 'بيانات المنظمة غير صالحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: error.message,
+      message: detail?.messageArabic || 'لا تملك صلاحية تنفيذ هذه العملية',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      error: error.message,
+      message: detail?.messageArabic || 'لا يمكن تنفيذ العملية',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const notFound = (res, what) => res.status(404).json({
+  error: `${what === 'invite' ? 'Invitation' : 'Organization'} not found`,
+  message: what === 'invite' ? 'الدعوة غير موجودة' : 'لا تنتمي إلى أي منظمة',
+  timestamp: new Date().toISOString()
+});
+
+// { name, nameArabic, vatNumber, crNumber, industry?, address: {...} }; the caller becomes owner
+router.post('/', requireSession, async (req, res, next) => {
+  try {
+    const organization = await organizationService.create(req.user, req.body);
+    res.status(201).json({ success: true, organization, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// The caller's organization
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const organization = req.user.orgId ? await organizationService.get(req.user.orgId) : null;
+    if (!organization) return notFound(res);
+    res.json({ success: true, organization, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/', requireAuth, requirePermission('org:manage'), async (req, res, next) => {
+  try {
+    const organization = await organizationService.update(req.user.orgId, req.body);
+    if (!organization) return notFound(res);
+    res.json({ success: true, organization, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { token } from the invitation email; the signed-in user joins with the invite's role
+router.post('/invites/accept', requireSession, async (req, res, next) => {
+  try {
+    const invite = await inviteService.accept(req.user, req.body.token);
+    const organization = await organizationService.get(invite.orgId);
+    res.json({ success: true, invite, organization, message: 'تم الانضمام إلى المنظمة', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { email, role?, expiresInDays? }; the link is emailed and never returned
+router.post('/invites', requireAuth, requirePermission('members:manage'), async (req, res, next) => {
+  try {
+    const invite = await inviteService.create(req.user, req.body);
+    res.status(201).json({ success: true, invite, message: 'تم إرسال الدعوة', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// ?status=pending|accepted|revoked|expired
+router.get('/invites', requireAuth, requirePermission('members:read'), async (req, res, next) => {
+  try {
+    const invites = await inviteService.list(req.user.orgId, req.query);
+    res.json({ success: true, invites, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.delete('/invites/:id', requireAuth, requirePermission('members:manage'), async (req, res, next) => {
+  try {
+    const invite = await inviteService.revoke(req.user.orgId, req.params.id);
+    if (!invite) return notFound(res, 'invite');
+    res.json({ success: true, invite, message: 'تم إلغاء الدعوة', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
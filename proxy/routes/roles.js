@@ -0,0 +1,115 @@
+/**
+ * Role Routes
+ * Permission catalogue, built-in and custom roles of the signed-in user's organization, and
+ * member role assignments
+ */
+
+import express from 'express';
+import rbacService from '../services/rbac-service.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'بيانات الدور غير صالحة',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: error.message,
+      message: error.details?.[0]?.code === 'OWNER_ONLY'
+        ? 'تعيين دور المالك أو تغييره مقصور على المالك'
+        : 'لا يمكن منح صلاحيات لا تملكها',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      error: error.message,
+      message: 'لا يمكن تنفيذ العملية على هذا الدور',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const notFound = (res, what) => res.status(404).json({
+  error: `${what === 'role' ? 'Role' : 'Member'} not found`,
+  message: what === 'role' ? 'الدور غير موجود' : 'العضو غير موجود في المنظمة',
+  timestamp: new Date().toISOString()
+});
+
+// Every permission with its Arabic and English description
+router.get('/permissions', requirePermission('members:read'), (req, res) => {
+  res.json({ success: true, permissions: rbacService.permissions, timestamp: new Date().toISOString() });
+});
+
+router.get('/roles', requirePermission('members:read'), async (req, res, next) => {
+  try {
+    const roles = await rbacService.listRoles(req.user.orgId);
+    res.json({ success: true, roles, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { key, name, nameArabic?, permissions: [...] }
+router.post('/roles', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = await rbacService.createRole(req.user, req.body);
+    res.status(201).json({ success: true, role, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.put('/roles/:key', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = await rbacService.updateRole(req.user, req.params.key, req.body);
+    if (!role) return notFound(res, 'role');
+    res.json({ success: true, role, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.delete('/roles/:key', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    if (!(await rbacService.deleteRole(req.user.orgId, req.params.key))) return notFound(res, 'role');
+    res.json({ success: true, message: 'تم حذف الدور', timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.get('/members', requirePermission('members:read'), async (req, res, next) => {
+  try {
+    const members = await rbacService.listMembers(req.user.orgId);
+    res.json({ success: true, members, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// { role?, permissions? }: the member's role and extra permissions on top of it
+router.put('/members/:userId', requirePermission('members:manage'), async (req, res, next) => {
+  try {
+    const member = await rbacService.assignRole(req.user, req.params.userId, req.body);
+    if (!member) return notFound(res, 'member');
+    res.json({ success: true, member, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
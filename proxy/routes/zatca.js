@@ -0,0 +1,198 @@
+/**
+ * ZATCA Routes
+ * E-invoice (FATOORA) document generation, QR codes and Phase 2 stamping on EGS units
+ */
+
+import express from 'express';
+import zatcaInvoice from '../services/zatca-invoice.js';
+import zatcaQr from '../services/zatca-qr.js';
+import zatcaStamping from '../services/zatca-stamping.js';
+import { allowDemo } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Document, QR and verification tools are open to the demo; EGS units need a signed-in member
+router.use(allowDemo);
+
+const handleError = (res, next) => (error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: error.message,
+      message: 'البيانات لا تستوفي متطلبات هيئة الزكاة والضريبة والجمارك',
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(error);
+};
+
+const notFound = (res, error = 'EGS unit not found', message = 'وحدة الفوترة الإلكترونية غير موجودة') => res.status(404).json({
+  error,
+  message,
+  timestamp: new Date().toISOString()
+});
+
+// UBL 2.1 XML for an invoice, credit note or debit note; ?format=xml returns the document itself
+router.post('/xml', requirePermission('tools:use'), (req, res, next) => {
+  try {
+    const document = zatcaInvoice.generate(req.body);
+
+    if (req.query.format === 'xml') {
+      return res.type('application/xml').send(document.xml);
+    }
+    res.json({ success: true, document, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// QR TLV/Base64 plus a locally rendered image; ?format=png|svg returns the image itself
+router.post('/qr', requirePermission('tools:use'), async (req, res, next) => {
+  try {
+    const { imageFormat = 'png', ...fields } = req.body;
+    const tlv = zatcaQr.encode(fields);
+
+    if (req.query.format === 'png' || req.query.format === 'svg') {
+      const image = await zatcaQr.image(tlv, req.query.format);
+      return res.type(req.query.format === 'png' ? 'image/png' : 'image/svg+xml').send(image);
+    }
+
+    const image = await zatcaQr.image(tlv, imageFormat);
+    res.json({
+      success: true,
+      qr: {
+        tlv,
+        tlvHex: Buffer.from(tlv, 'base64').toString('hex'),
+        image: {
+          format: imageFormat,
+          dataUrl: imageFormat === 'svg'
+            ? `data:image/svg+xml;base64,${Buffer.from(image).toString('base64')}`
+            : `data:image/png;base64,${image.toString('base64')}`
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Decode a pasted QR value and verify it, optionally against the invoice's own values
+router.post('/qr/decode', requirePermission('tools:use'), (req, res, next) => {
+  try {
+    const { qr, expected } = req.body;
+    res.json({ success: true, verification: zatcaQr.verify(qr, expected), timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Register an EGS unit of the user's organization: generates its key pair and the CSR to
+// submit for a CSID
+router.post('/egs', requirePermission('zatca:manage'), async (req, res, next) => {
+  try {
+    const unit = await zatcaStamping.createUnit(req.user.orgId, req.body);
+    res.status(201).json({ success: true, unit, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.get('/egs', requirePermission('zatca:read'), async (req, res, next) => {
+  try {
+    const units = await zatcaStamping.listUnits(req.user.orgId);
+    res.json({ success: true, units, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/egs/:id', requirePermission('zatca:read'), async (req, res, next) => {
+  try {
+    const unit = await zatcaStamping.getUnit(req.user.orgId, req.params.id);
+    if (!unit) return notFound(res);
+    res.json({ success: true, unit, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Install the certificate (CSID) ZATCA issued for the unit's CSR
+router.put('/egs/:id/certificate', requirePermission('zatca:manage'), async (req, res, next) => {
+  try {
+    const unit = await zatcaStamping.installCertificate(req.user.orgId, req.params.id, req.body.certificate);
+    if (!unit) return notFound(res);
+    res.json({ success: true, unit, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+// Sign an invoice on the unit and append it to the unit's ICV/PIH chain
+router.post('/egs/:id/invoices', requirePermission('zatca:stamp'), async (req, res, next) => {
+  try {
+    const stamped = await zatcaStamping.stamp(req.user.orgId, req.params.id, req.body);
+    if (!stamped) return notFound(res);
+
+    if (req.query.format === 'xml') {
+      return res.status(201).type('application/xml').send(stamped.xml);
+    }
+    res.status(201).json({ success: true, invoice: stamped, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+router.get('/egs/:id/chain', requirePermission('zatca:read'), async (req, res, next) => {
+  try {
+    const unit = await zatcaStamping.getUnit(req.user.orgId, req.params.id);
+    if (!unit) return notFound(res);
+    const chain = await zatcaStamping.listChain(req.user.orgId, req.params.id);
+    res.json({ success: true, chain, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/egs/:id/chain/verify', requirePermission('zatca:read'), async (req, res, next) => {
+  try {
+    const verification = await zatcaStamping.verifyChain(req.user.orgId, req.params.id);
+    if (!verification) return notFound(res);
+    res.json({ success: true, verification, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stored signed document for one ICV
+router.get('/egs/:id/chain/:icv', requirePermission('zatca:read'), async (req, res, next) => {
+  try {
+    const entry = await zatcaStamping.getChainDocument(req.user.orgId, req.params.id, req.params.icv);
+    if (!entry) return notFound(res, 'Chain entry not found', 'الفاتورة غير موجودة في سلسلة الوحدة');
+
+    if (req.query.format === 'xml') {
+      return res.type('application/xml').send(entry.xml);
+    }
+    res.json({ success: true, entry, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Offline verification of a stamped document; the key comes from `egsId` (a unit of the
+// user's organization) or the QR code
+router.post('/verify', requirePermission('tools:use'), async (req, res, next) => {
+  try {
+    const { xml, egsId } = req.body;
+    const unit = egsId && req.user.orgId ? await zatcaStamping.getUnit(req.user.orgId, egsId) : null;
+    if (egsId && !unit) return notFound(res);
+
+    const verification = zatcaStamping.verifyDocument(xml, { publicKey: unit?.publicKey });
+    res.json({ success: true, verification, timestamp: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, next)(error);
+  }
+});
+
+export default router;
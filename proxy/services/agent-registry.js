@@ -0,0 +1,169 @@
+/**
+ * Agent Registry
+ * Persisted agent personas: prompts, model settings, allowed tools and commitment profiles.
+ * Built-in agents are shared and read-only; custom agents belong to one organization.
+ */
+
+import databaseManager from '../database-config.js';
+
+const BUILTIN_AGENTS = [
+  {
+    id: 'accountant',
+    nameArabic: 'المحاسب الذكي',
+    nameEnglish: 'Smart Accountant',
+    systemPrompt: `أنت المحاسب الذكي، محاسب خبير في الأنظمة المحاسبية السعودية وضريبة القيمة المضافة والزكاة ومتطلبات هيئة الزكاة والضريبة والجمارك (زاتكا).
+قدم إجابات دقيقة ومنظمة باللغة العربية، ولا تخمّن الأرقام: استخدم أدوات الحساب المتاحة لكل عملية حسابية، واكتب المبالغ بالحروف (التفقيط) بأداة amount_in_words.`,
+    modelSettings: { temperature: 0.3 },
+    allowedTools: ['calculate_vat', 'calculate_zakat', 'convert_currency', 'validate_vat_number', 'verify_zatca_qr', 'convert_date', 'amount_in_words'],
+    commitmentProfile: 'المحاسب الذكي'
+  },
+  {
+    id: 'secretary',
+    nameArabic: 'السكرتير الرقمي',
+    nameEnglish: 'Digital Secretary',
+    systemPrompt: `أنت السكرتير الرقمي، مساعد إداري محترف في تنظيم المواعيد والمراسلات والمهام.
+قدم إجابات منظمة بأسلوب مهني باللغة العربية، واستخدم الإنجليزية عندما يكتب المستخدم بها.`,
+    modelSettings: {},
+    allowedTools: [],
+    commitmentProfile: 'السكرتير الرقمي'
+  },
+  {
+    id: 'coder',
+    nameArabic: 'المبرمج المساعد',
+    nameEnglish: 'Coding Assistant',
+    systemPrompt: `أنت المبرمج المساعد، مطور برمجيات خبير.
+اكتب كوداً آمناً وواضحاً داخل كتل كود منسقة، مع شرح مختصر باللغة العربية.`,
+    modelSettings: { temperature: 0.2 },
+    allowedTools: [],
+    commitmentProfile: 'المبرمج المساعد'
+  }
+];
+
+const MODEL_SETTING_KEYS = ['provider', 'model', 'maxTokens', 'temperature'];
+
+class AgentRegistry {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.seeded = null;
+  }
+
+  /**
+   * Map a stored agent (in-memory camelCase or database snake_case) to one shape
+   */
+  normalize(agent) {
+    if (!agent) return null;
+
+    const parse = (value, fallback) => typeof value === 'string' ? JSON.parse(value) : (value || fallback);
+
+    return {
+      id: agent.id,
+      nameArabic: agent.nameArabic || agent.name_arabic,
+      nameEnglish: agent.nameEnglish || agent.name_english,
+      systemPrompt: agent.systemPrompt || agent.system_prompt,
+      modelSettings: parse(agent.modelSettings || agent.model_settings, {}),
+      allowedTools: parse(agent.allowedTools || agent.allowed_tools, []),
+      commitmentProfile: agent.commitmentProfile || agent.commitment_profile || null,
+      isBuiltin: !!(agent.isBuiltin ?? agent.is_builtin),
+      orgId: agent.orgId || agent.org_id || null,
+      createdAt: agent.createdAt || agent.created_at,
+      updatedAt: agent.updatedAt || agent.updated_at
+    };
+  }
+
+  /**
+   * Insert the built-in agents the first time the registry is used
+   */
+  ensureSeeded() {
+    if (!this.seeded) {
+      this.seeded = (async () => {
+        await this.store.ready;
+        const seeded = new Set((await this.store.listBuiltinAgents()).map(agent => agent.id));
+        for (const agent of BUILTIN_AGENTS) {
+          if (!seeded.has(agent.id)) {
+            await this.store.createAgent({ ...agent, isBuiltin: true });
+          }
+        }
+      })().catch(error => {
+        this.seeded = null;
+        throw error;
+      });
+    }
+    return this.seeded;
+  }
+
+  pickModelSettings(settings = {}) {
+    return Object.fromEntries(
+      Object.entries(settings).filter(([key]) => MODEL_SETTING_KEYS.includes(key))
+    );
+  }
+
+  // Built-in agents and the organization's own
+  async list(orgId) {
+    await this.ensureSeeded();
+    const agents = await this.store.listAgents(orgId);
+    return agents.map(agent => this.normalize(agent));
+  }
+
+  async get(orgId, agentId) {
+    await this.ensureSeeded();
+    return this.normalize(await this.store.getAgent(orgId, agentId));
+  }
+
+  /**
+   * Find an agent of the organization by id or by its Arabic or English name
+   */
+  async resolve(orgId, reference) {
+    if (!reference) return null;
+
+    const byId = await this.get(orgId, reference);
+    if (byId) return byId;
+
+    const agents = await this.list(orgId);
+    return agents.find(agent =>
+      agent.nameArabic === reference ||
+      agent.nameEnglish.toLowerCase() === String(reference).toLowerCase()
+    ) || null;
+  }
+
+  async create(orgId, agentData) {
+    await this.ensureSeeded();
+
+    const agent = {
+      id: agentData.id,
+      orgId,
+      nameArabic: agentData.nameArabic,
+      nameEnglish: agentData.nameEnglish,
+      systemPrompt: agentData.systemPrompt,
+      modelSettings: this.pickModelSettings(agentData.modelSettings),
+      allowedTools: agentData.allowedTools || [],
+      commitmentProfile: agentData.commitmentProfile || null,
+      isBuiltin: false
+    };
+
+    return this.normalize(await this.store.createAgent(agent));
+  }
+
+  // null unless the agent is one of the organization's custom agents
+  async update(orgId, agentId, updates) {
+    await this.ensureSeeded();
+
+    const allowed = ['nameArabic', 'nameEnglish', 'systemPrompt', 'modelSettings', 'allowedTools', 'commitmentProfile'];
+    const changes = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+    );
+    if (changes.modelSettings) changes.modelSettings = this.pickModelSettings(changes.modelSettings);
+    if (Object.keys(changes).length === 0) return this.get(orgId, agentId);
+
+    return this.normalize(await this.store.updateAgent(orgId, agentId, changes));
+  }
+
+  async remove(orgId, agentId) {
+    await this.ensureSeeded();
+    return this.store.deleteAgent(orgId, agentId);
+  }
+}
+
+export { BUILTIN_AGENTS };
+
+// Export singleton instance
+export default new AgentRegistry();
@@ -0,0 +1,177 @@
+/**
+ * API Key Service
+ * Organization API keys for machine clients: issued once as "dgn_<prefix>_<secret>", stored
+ * as a SHA-256 hash, limited to permission scopes, rotated or revoked by the organization
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import rbacService from './rbac-service.js';
+import { ValidationError, AuthenticationError } from '../utils/errors.js';
+
+const KEY_PREFIX = 'dgn';
+const MAX_LIFETIME_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// last_used is written at most once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const ERRORS = {
+  API_KEY_INVALID: { message: 'API key is invalid', messageArabic: 'مفتاح الواجهة البرمجية غير صالح' },
+  API_KEY_REVOKED: { message: 'API key has been revoked', messageArabic: 'تم إلغاء مفتاح الواجهة البرمجية' },
+  API_KEY_EXPIRED: { message: 'API key has expired', messageArabic: 'انتهت صلاحية مفتاح الواجهة البرمجية' }
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class ApiKeyService {
+  constructor(store = databaseManager, rbac = rbacService) {
+    this.store = store;
+    this.rbac = rbac;
+  }
+
+  unauthenticated(code) {
+    return new AuthenticationError(ERRORS[code].message, [{ code, ...ERRORS[code] }]);
+  }
+
+  // A new key and the parts that are stored; the key itself is never stored
+  generate() {
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix, keyHash: sha256(key) };
+  }
+
+  status(apiKey) {
+    if (apiKey.revokedAt) return 'revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  // Stored key (camelCase in memory, snake_case from PostgreSQL) without its hash
+  normalize(apiKey) {
+    if (!apiKey) return null;
+
+    const normalized = {
+      id: apiKey.id,
+      orgId: apiKey.orgId || apiKey.org_id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      permissions: this.rbac.parseList(apiKey.permissions),
+      createdBy: apiKey.createdBy || apiKey.created_by || null,
+      lastUsed: apiKey.lastUsed || apiKey.last_used || null,
+      expiresAt: apiKey.expiresAt || apiKey.expires_at || null,
+      revokedAt: apiKey.revokedAt || apiKey.revoked_at || null,
+      createdAt: apiKey.createdAt || apiKey.created_at
+    };
+    return { ...normalized, status: this.status(normalized) };
+  }
+
+  expiry(expiresInDays) {
+    if (expiresInDays === undefined || expiresInDays === null) return null;
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LIFETIME_DAYS) {
+      throw new ValidationError(`expiresInDays must be a whole number from 1 to ${MAX_LIFETIME_DAYS}`, [
+        { field: 'expiresInDays', code: 'API_KEY_EXPIRY_INVALID' }
+      ]);
+    }
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+
+  /**
+   * Issue a key for the actor's organization. Its scopes must be permissions the actor holds,
+   * so a key can never do more than the person who created it.
+   * Returns the key metadata and the key itself, which is not shown again.
+   */
+  async create(actor, actorPermissions, { name, permissions, expiresInDays } = {}) {
+    await this.store.ready;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      throw new ValidationError('name is required (at most 255 characters)', [{ field: 'name', code: 'API_KEY_NAME_REQUIRED' }]);
+    }
+    const scopes = this.rbac.checkPermissions(permissions || []);
+    if (!scopes.length) {
+      throw new ValidationError('At least one permission is required', [{ field: 'permissions', code: 'PERMISSIONS_REQUIRED' }]);
+    }
+    this.rbac.checkHeld(actorPermissions, scopes);
+
+    const { key, prefix, keyHash } = this.generate();
+    const apiKey = await this.store.createApiKey({
+      id: crypto.randomUUID(),
+      orgId: actor.orgId,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      permissions: scopes,
+      createdBy: actor.id,
+      expiresAt: this.expiry(expiresInDays)
+    });
+    return { apiKey: this.normalize(apiKey), key };
+  }
+
+  async list(orgId) {
+    await this.store.ready;
+    return (await this.store.listApiKeys(orgId)).map(apiKey => this.normalize(apiKey));
+  }
+
+  // The organization's key, or null
+  async get(orgId, apiKeyId) {
+    await this.store.ready;
+    return this.normalize(await this.store.getApiKey(orgId, apiKeyId));
+  }
+
+  /**
+   * Replace the secret of an active key; the old key stops working at once. Name, scopes and
+   * expiry are kept. Returns null for unknown keys.
+   */
+  async rotate(orgId, apiKeyId) {
+    const existing = await this.get(orgId, apiKeyId);
+    if (!existing) return null;
+    if (existing.status !== 'active') {
+      throw new ValidationError(`Cannot rotate a ${existing.status} key`, [{ field: 'id', code: 'API_KEY_NOT_ACTIVE' }]);
+    }
+
+    const { key, prefix, keyHash } = this.generate();
+    const apiKey = await this.store.updateApiKey(orgId, apiKeyId, { keyHash, prefix });
+    return { apiKey: this.normalize(apiKey), key };
+  }
+
+  async revoke(orgId, apiKeyId) {
+    const existing = await this.get(orgId, apiKeyId);
+    if (!existing) return null;
+    if (existing.revokedAt) return existing;
+    return this.normalize(await this.store.updateApiKey(orgId, apiKeyId, { revokedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * The principal behind an X-API-Key header: acts for the key's organization with exactly
+   * the key's permissions
+   */
+  async authenticate(key) {
+    await this.store.ready;
+
+    if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) throw this.unauthenticated('API_KEY_INVALID');
+    const apiKey = this.normalize(await this.store.getApiKeyByHash(sha256(key)));
+    if (!apiKey) throw this.unauthenticated('API_KEY_INVALID');
+    if (apiKey.status === 'revoked') throw this.unauthenticated('API_KEY_REVOKED');
+    if (apiKey.status === 'expired') throw this.unauthenticated('API_KEY_EXPIRED');
+
+    const now = Date.now();
+    if (!apiKey.lastUsed || now - new Date(apiKey.lastUsed).getTime() >= LAST_USED_RESOLUTION_MS) {
+      await this.store.updateApiKey(apiKey.orgId, apiKey.id, { lastUsed: new Date(now).toISOString() });
+    }
+
+    return {
+      id: `api-key:${apiKey.id}`,
+      orgId: apiKey.orgId,
+      email: null,
+      name: apiKey.name,
+      role: 'api_key',
+      permissions: apiKey.permissions,
+      apiKey: true,
+      apiKeyId: apiKey.id
+    };
+  }
+}
+
+// Export singleton instance
+export default new ApiKeyService();
@@ -0,0 +1,677 @@
+/**
+ * Arabic Text Analyzer
+ * Local financial entity extraction from Arabic (and mixed English) free text: amounts in
+ * digits (including ٠-٩) or words with their currency, Hijri and Gregorian dates, VAT numbers,
+ * IBANs, percentages and tax terms, plus a rule-based intent that maps structured requests
+ * to the deterministic calculators
+ */
+
+import Decimal from 'decimal.js';
+import taxIdValidator from './tax-id-validator.js';
+import hijriCalendar from './hijri-calendar.js';
+import { ValidationError } from '../utils/errors.js';
+
+const MAX_TEXT_LENGTH = 10000;
+
+// Removed before matching: harakat, Quranic marks and tatweel
+const IGNORED = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/;
+const CHARACTERS = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا', 'ى': 'ي', 'ة': 'ه',
+  '٫': '.', '٬': ',', '٪': '%'
+};
+
+const LETTER = 'a-z\\u0621-\\u064A';
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+// A number starts a token, or follows a conjunction "و" written against it ("و50 هللة")
+const NUMBER_START = `(?:(?<![\\d.,${LETTER}])|(?<=(?<![${LETTER}])و))`;
+
+const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (words) => [...words].sort((a, b) => b.length - a.length).map(escape).join('|');
+
+// Words are written in normalized form (no hamza on alef, ة as ه, ى as ي)
+const CURRENCIES = [
+  { code: 'QAR', words: ['ريال قطري', 'ريالات قطريه', 'qar'] },
+  { code: 'OMR', words: ['ريال عماني', 'ريالات عمانيه', 'omr'] },
+  { code: 'SAR', words: ['ريال سعودي', 'ريالات سعوديه', 'ريالات', 'ريالان', 'ريالين', 'ريالا', 'ريال', 'ر.س', 'sar', 'riyals', 'riyal', '﷼'] },
+  { code: 'SAR', subunit: 100, words: ['هللات', 'هللتان', 'هللتين', 'هلله', 'halalas', 'halala'] },
+  { code: 'USD', words: ['دولار امريكي', 'دولارات', 'دولاران', 'دولارين', 'دولارا', 'دولار', 'usd', 'dollars', 'dollar', '$'] },
+  { code: 'EUR', words: ['يورو', 'eur', 'euros', 'euro', '€'] },
+  { code: 'GBP', words: ['جنيه استرليني', 'جنيهات استرلينيه', 'gbp', '£'] },
+  { code: 'EGP', words: ['جنيه مصري', 'جنيهات مصريه', 'egp'] },
+  { code: 'AED', words: ['درهم اماراتي', 'دراهم اماراتيه', 'دراهم', 'درهم', 'aed', 'dirhams', 'dirham'] },
+  { code: 'KWD', words: ['دينار كويتي', 'دنانير كويتيه', 'kwd'] },
+  { code: 'BHD', words: ['دينار بحريني', 'دنانير بحرينيه', 'bhd'] }
+];
+const CURRENCY_BY_WORD = new Map(CURRENCIES.flatMap(currency => currency.words.map(word => [word, currency])));
+const UNIT = alternation(CURRENCY_BY_WORD.keys());
+const PREFIX_UNIT = alternation(['sar', 'usd', 'eur', 'gbp', 'aed', 'kwd', 'bhd', 'qar', 'omr', 'egp', '$', '€', '£', '﷼']);
+
+const SCALE_WORDS = { 'الف': 1e3, 'الاف': 1e3, 'مليون': 1e6, 'ملايين': 1e6, 'مليار': 1e9, 'مليارات': 1e9 };
+const SCALE = alternation(Object.keys(SCALE_WORDS));
+
+/**
+ * Number words: [kind, value]. Kinds: unit 1-9, ten (عشر as in خمسة عشر), tens 20-90,
+ * hundred 100-900, scale (ألف, آلاف), dual (ألفان, construct ألفا)
+ */
+const NUMBER_WORDS = new Map([
+  ...[['واحد', 'واحده', 'احد', 'احدي'], ['اثنان', 'اثنين', 'اثنتان', 'اثنتين', 'اثنا', 'اثني', 'اثنتا', 'اثنتي'],
+    ['ثلاث', 'ثلاثه'], ['اربع', 'اربعه'], ['خمس', 'خمسه'], ['ست', 'سته'], ['سبع', 'سبعه'],
+    ['ثمان', 'ثماني', 'ثمانيه'], ['تسع', 'تسعه']]
+    .flatMap((words, index) => words.map(word => [word, ['unit', index + 1]])),
+  ['عشر', ['ten', 10]],
+  ['عشره', ['ten', 10]],
+  ...['عشر', 'ثلاث', 'اربع', 'خمس', 'ست', 'سبع', 'ثمان', 'تسع']
+    .flatMap((stem, index) => [`${stem}ون`, `${stem}ين`].map(word => [word, ['tens', (index + 2) * 10]])),
+  ...[['', 100], ['ثلاث', 300], ['اربع', 400], ['خمس', 500], ['ست', 600], ['سبع', 700], ['ثمان', 800], ['ثماني', 800], ['تسع', 900]]
+    .flatMap(([stem, value]) => [`${stem}مائه`, `${stem}مئه`].map(word => [word, ['hundred', value]])),
+  ...['مائتان', 'مائتين', 'مائتا', 'مائتي', 'مئتان', 'مئتين', 'مئتا', 'مئتي'].map(word => [word, ['hundred', 200]]),
+  ...[[1e3, ['الف', 'الاف'], ['الفان', 'الفين', 'الفا', 'الفي']],
+    [1e6, ['مليون', 'ملايين'], ['مليونان', 'مليونين', 'مليونا', 'مليوني']],
+    [1e9, ['مليار', 'مليارات'], ['ملياران', 'مليارين', 'مليارا', 'ملياري']]]
+    .flatMap(([value, singular, dual]) => [
+      ...singular.map(word => [word, ['scale', value]]),
+      ...dual.map(word => [word, ['dual', value]])
+    ])
+]);
+
+const GREGORIAN_MONTHS = [
+  ['يناير', 'كانون الثاني', 'january'], ['فبراير', 'شباط', 'february'], ['مارس', 'اذار', 'march'],
+  ['ابريل', 'نيسان', 'april'], ['مايو', 'ايار', 'may'], ['يونيو', 'حزيران', 'june'],
+  ['يوليو', 'تموز', 'july'], ['اغسطس', 'august'], ['سبتمبر', 'ايلول', 'september'],
+  ['اكتوبر', 'تشرين الاول', 'october'], ['نوفمبر', 'تشرين الثاني', 'november'], ['ديسمبر', 'كانون الاول', 'december']
+];
+const HIJRI_MONTHS = [
+  ['محرم'], ['صفر'], ['ربيع الاول'], ['ربيع الاخر', 'ربيع الثاني'], ['جمادي الاولي', 'جمادي الاول'],
+  ['جمادي الاخره', 'جمادي الثانيه', 'جمادي الاخر'], ['رجب'], ['شعبان'], ['رمضان'], ['شوال'],
+  ['ذو القعده', 'ذي القعده'], ['ذو الحجه', 'ذي الحجه']
+];
+const MONTH_BY_NAME = new Map([
+  ...GREGORIAN_MONTHS.flatMap((names, index) => names.map(name => [name, { calendar: 'gregorian', month: index + 1 }])),
+  ...HIJRI_MONTHS.flatMap((names, index) => names.map(name => [name, { calendar: 'hijri', month: index + 1 }]))
+]);
+const MONTH = alternation(MONTH_BY_NAME.keys());
+
+const IBAN_LENGTHS = { SA: 24, AE: 23, BH: 22, KW: 30, QA: 29, OM: 23, EG: 29, JO: 30, GB: 22, DE: 22, FR: 27 };
+
+const TAX_TERMS = [
+  // A bare "الضريبة" is read as VAT; longer terms such as "ضريبة الدخل" take precedence
+  { key: 'vat', arabic: 'ضريبة القيمة المضافة', english: 'VAT', patterns: ['ضريبه القيمه المضافه', 'القيمه المضافه', 'الضريبه', 'ضريبه', 'vat', 'value added tax'] },
+  { key: 'zakat', arabic: 'الزكاة', english: 'Zakat', patterns: ['زكاه', 'zakat'] },
+  { key: 'withholding_tax', arabic: 'ضريبة الاستقطاع', english: 'Withholding tax', patterns: ['ضريبه الاستقطاع', 'withholding tax'] },
+  { key: 'income_tax', arabic: 'ضريبة الدخل', english: 'Income tax', patterns: ['ضريبه الدخل', 'income tax'] },
+  { key: 'excise_tax', arabic: 'الضريبة الانتقائية', english: 'Excise tax', patterns: ['الضريبه الانتقائيه', 'ضريبه السلع الانتقائيه', 'excise tax'] },
+  { key: 'rett', arabic: 'ضريبة التصرفات العقارية', english: 'Real estate transaction tax', patterns: ['ضريبه التصرفات العقاريه', 'real estate transaction tax'] },
+  { key: 'tax_invoice', arabic: 'فاتورة ضريبية', english: 'Tax invoice', patterns: ['فاتوره ضريبيه', 'الفاتوره الضريبيه', 'tax invoice'] },
+  { key: 'simplified_invoice', arabic: 'فاتورة ضريبية مبسطة', english: 'Simplified tax invoice', patterns: ['فاتوره ضريبيه مبسطه', 'الفاتوره الضريبيه المبسطه', 'simplified tax invoice', 'simplified invoice'] },
+  { key: 'credit_note', arabic: 'إشعار دائن', english: 'Credit note', patterns: ['اشعار دائن', 'اشعار الدائن', 'credit note'] },
+  { key: 'debit_note', arabic: 'إشعار مدين', english: 'Debit note', patterns: ['اشعار مدين', 'اشعار المدين', 'debit note'] },
+  { key: 'vat_number', arabic: 'الرقم الضريبي', english: 'VAT number', patterns: ['الرقم الضريبي', 'رقم ضريبي', 'رقم التسجيل الضريبي', 'vat number', 'tax number', 'trn'] },
+  { key: 'cr_number', arabic: 'السجل التجاري', english: 'Commercial registration', patterns: ['السجل التجاري', 'سجل تجاري', 'commercial registration'] },
+  { key: 'zatca', arabic: 'هيئة الزكاة والضريبة والجمارك', english: 'ZATCA', patterns: ['هيئه الزكاه والضريبه والجمارك', 'zatca'] },
+  { key: 'e_invoicing', arabic: 'الفوترة الإلكترونية', english: 'E-invoicing', patterns: ['الفوتره الالكترونيه', 'فاتوره الكترونيه', 'e-invoicing', 'e-invoice', 'fatoora'] },
+  { key: 'tax_return', arabic: 'الإقرار الضريبي', english: 'Tax return', patterns: ['الاقرار الضريبي', 'اقرار ضريبي', 'tax return', 'vat return'] },
+  { key: 'input_vat', arabic: 'ضريبة المدخلات', english: 'Input VAT', patterns: ['ضريبه المدخلات', 'input vat', 'input tax'] },
+  { key: 'output_vat', arabic: 'ضريبة المخرجات', english: 'Output VAT', patterns: ['ضريبه المخرجات', 'output vat', 'output tax'] },
+  { key: 'zero_rated', arabic: 'خاضع لنسبة الصفر', english: 'Zero-rated', patterns: ['نسبه صفريه', 'النسبه الصفريه', 'لنسبه الصفر', 'zero-rated', 'zero rated'] },
+  { key: 'exempt', arabic: 'معفى', english: 'Exempt', patterns: ['معفي', 'معفاه', 'اعفاء', 'exempt'] },
+  { key: 'taxable', arabic: 'خاضع للضريبة', english: 'Taxable', patterns: ['خاضع للضريبه', 'خاضعه للضريبه', 'taxable'] },
+  { key: 'penalty', arabic: 'غرامة', english: 'Penalty', patterns: ['غرامه', 'غرامات', 'penalty'] },
+  { key: 'nisab', arabic: 'النصاب', english: 'Nisab', patterns: ['النصاب', 'nisab'] },
+  { key: 'hawl', arabic: 'الحول', english: 'Hawl', patterns: ['الحول', 'hawl'] }
+];
+
+const INTENTS = {
+  calculate_vat: { nameArabic: 'حساب ضريبة القيمة المضافة', name: 'Calculate VAT' },
+  calculate_zakat: { nameArabic: 'حساب الزكاة', name: 'Calculate Zakat' },
+  convert_currency: { nameArabic: 'تحويل العملات', name: 'Convert currency' },
+  validate_vat_number: { nameArabic: 'التحقق من الرقم الضريبي', name: 'Validate VAT number' },
+  verify_zatca_qr: { nameArabic: 'التحقق من رمز الفاتورة', name: 'Verify ZATCA QR code' },
+  issue_invoice: { nameArabic: 'إصدار فاتورة', name: 'Issue invoice' },
+  amount_in_words: { nameArabic: 'تفقيط المبلغ', name: 'Amount in words' },
+  general: { nameArabic: 'استفسار عام', name: 'General question' }
+};
+
+// Intent cues, in normalized form
+const CUES = {
+  calculate: /احسب|حساب|احتساب|كم |كم$|كيف احسب|calculate|compute|how much/,
+  issue: /اصدر|اصدار|انشئ|انشاء|اعمل|سو |سوي|ابي فاتوره|ابغي فاتوره|اريد فاتوره|issue|create|generate|make an? /,
+  invoice: /فاتوره|فواتير|اشعار دائن|اشعار مدين|invoice|credit note|debit note/,
+  convert: /حول|تحويل|كم يساوي|كم تساوي|يعادل|بالدولار|بالريال|باليورو|convert|exchange|in (?:sar|usd|eur)/,
+  validate: /تحقق|تاكد|صحه|صحيح|سليم|validate|verify|check|valid/,
+  qr: /qr|رمز الاستجابه|الباركود|باركود|كود الفاتوره/,
+  words: /تفقيط|بالحروف|كتابه المبلغ|كتابه الرقم|كتابه|in words|spell/,
+  inclusive: /شامل|شامله|متضمن|متضمنه|مع الضريبه|including|inclusive|incl/
+};
+
+class ArabicTextAnalyzer {
+  constructor() {
+    this.maxLength = MAX_TEXT_LENGTH;
+    this.intents = INTENTS;
+  }
+
+  /**
+   * Normalized text for matching, and the index in the original of each normalized character
+   * so that matches can be reported in the user's own spelling
+   */
+  normalize(text) {
+    let normalized = '';
+    const map = [];
+    for (let index = 0; index < text.length; index++) {
+      const character = text[index];
+      if (IGNORED.test(character)) continue;
+
+      let mapped = CHARACTERS[character] || character;
+      if (mapped >= '٠' && mapped <= '٩') mapped = String(mapped.charCodeAt(0) - 0x0660);
+      if (mapped >= '۰' && mapped <= '۹') mapped = String(mapped.charCodeAt(0) - 0x06F0);
+      const lower = mapped.toLowerCase();
+      normalized += lower.length === 1 ? lower : mapped;
+      map.push(index);
+    }
+    return { text: normalized, map };
+  }
+
+  /**
+   * Whole number from Arabic number words, e.g. "ألف ومائتان وخمسون" → 1250; null when the
+   * words do not form a number
+   */
+  parseNumberWords(words) {
+    let total = 0;
+    let current = 0;
+    let previous = null;
+
+    for (const { word, joined } of words) {
+      const [kind, value] = NUMBER_WORDS.get(word);
+      const follows = previous && !joined;
+
+      if (kind === 'ten' && follows && previous.kind === 'unit') {
+        current += 10; // خمسة عشر
+      } else if (kind === 'hundred' && follows && previous.kind === 'unit' && value === 100) {
+        current += previous.value * 99; // ثلاث مائة
+      } else if (kind === 'dual' && current === 0) {
+        total += 2 * value; // ألفان، ألفا ريال (after a count, ألفاً is the singular)
+      } else if (kind === 'scale' || kind === 'dual') {
+        total += (current || 1) * value; // ثلاثة آلاف، أحد عشر ألفاً
+        current = 0;
+      } else {
+        current += value;
+      }
+      previous = { kind, value };
+    }
+
+    const number = total + current;
+    return Number.isSafeInteger(number) && number > 0 ? number : null;
+  }
+
+  // Strip the conjunction/preposition a number word can carry: وخمسون، بخمسة
+  numberWord(token) {
+    if (NUMBER_WORDS.has(token)) return { word: token, joined: false, prefix: 0 };
+    for (const prefix of ['و', 'ب', 'وب']) {
+      const word = token.slice(prefix.length);
+      if (token.startsWith(prefix) && NUMBER_WORDS.has(word)) {
+        return { word, joined: prefix.startsWith('و'), prefix: prefix.length };
+      }
+    }
+    return null;
+  }
+
+  currencyAt(text, position) {
+    const match = text.slice(position).match(new RegExp(`^\\s*(${UNIT})(?![${LETTER}])`));
+    if (!match) return null;
+    return { length: match[0].length, ...CURRENCY_BY_WORD.get(match[1]) };
+  }
+
+  // Ranges already claimed by a higher-priority entity
+  claim(taken, start, end) {
+    if (taken.some(range => start < range.end && end > range.start)) return false;
+    taken.push({ start, end });
+    return true;
+  }
+
+  extractIbans(context) {
+    const { text, taken } = context;
+    const pattern = new RegExp(`(?<![${LETTER}\\d])([a-z]{2}\\d{2}(?: ?[a-z\\d]{4}){2,7}(?: ?[a-z\\d]{1,3})?)(?![${LETTER}\\d])`, 'g');
+    const ibans = [];
+
+    for (const match of text.matchAll(pattern)) {
+      // Stop at the country's IBAN length so a following word is not taken as a group
+      const country = match[1].slice(0, 2).toUpperCase();
+      let raw = match[1];
+      if (IBAN_LENGTHS[country] && raw.replace(/ /g, '').length > IBAN_LENGTHS[country]) {
+        let count = 0;
+        raw = raw.slice(0, [...raw].findIndex(character => character !== ' ' && ++count === IBAN_LENGTHS[country]) + 1);
+      }
+      const value = raw.replace(/ /g, '').toUpperCase();
+      const end = match.index + raw.length;
+      if (!this.claim(taken, match.index, end)) continue;
+
+      const rearranged = `${value.slice(4)}${value.slice(0, 4)}`
+        .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+      const checksumValid = rearranged.split('').reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0) === 1;
+      const lengthValid = !IBAN_LENGTHS[country] || IBAN_LENGTHS[country] === value.length;
+
+      ibans.push({
+        type: 'iban',
+        ...this.span(context, match.index, end),
+        value,
+        country,
+        ...(country === 'SA' && { bankCode: value.slice(4, 6) }),
+        valid: checksumValid && lengthValid
+      });
+    }
+    return ibans;
+  }
+
+  extractVatNumbers(context) {
+    const { text, taken } = context;
+    const vatNumbers = [];
+
+    for (const match of text.matchAll(/(?<![\d.,])\d{15}(?![\d])/g)) {
+      if (!this.claim(taken, match.index, match.index + match[0].length)) continue;
+      const { value, valid, isGroup, errors } = taxIdValidator.validateVatNumber(match[0]);
+      vatNumbers.push({
+        type: 'vatNumber',
+        ...this.span(context, match.index, match.index + match[0].length),
+        value,
+        valid,
+        isGroup,
+        ...(errors.length && { errors: errors.map(error => error.code) })
+      });
+    }
+    return vatNumbers;
+  }
+
+  // Calendar from an explicit هـ / م suffix, otherwise from the year range
+  resolveDate({ calendar, year, month, day }) {
+    const resolved = calendar || (year < 1600 ? 'hijri' : 'gregorian');
+    if (month < 1 || month > 12) return null;
+
+    if (day !== null) {
+      if (resolved === 'hijri' && (day < 1 || day > 30)) return null;
+      if (resolved === 'gregorian') {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+      }
+    }
+
+    const pad = (value) => String(value).padStart(2, '0');
+    const value = day !== null ? `${year}-${pad(month)}-${pad(day)}` : `${year}-${pad(month)}`;
+
+    // Full dates carry their equivalent in the other calendar where Umm al-Qura covers them
+    let converted = null;
+    if (day !== null) {
+      try {
+        converted = hijriCalendar.convert(value, { calendar: resolved });
+      } catch (error) {
+        if (resolved === 'hijri' && year >= hijriCalendar.range.hijriFrom && year <= hijriCalendar.range.hijriTo) return null;
+      }
+    }
+
+    return {
+      calendar: resolved,
+      year,
+      month,
+      day,
+      value,
+      gregorian: resolved === 'gregorian' ? (day !== null ? value : null) : converted?.gregorian.value ?? null,
+      hijri: resolved === 'hijri' ? (day !== null ? value : null) : converted?.hijri.value ?? null
+    };
+  }
+
+  extractDates(context) {
+    const { text, taken } = context;
+    const suffix = new RegExp(`^\\s*(ه|م|ah|ad)(?![${LETTER}])`);
+    const patterns = [
+      { regex: /(?<![\d.,])(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?![\d])/g, parts: match => ({ year: match[1], month: match[2], day: match[3] }) },
+      { regex: /(?<![\d.,])(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?![\d])/g, parts: match => ({ day: match[1], month: match[2], year: match[3] }) },
+      { regex: new RegExp(`(?<![\\d])(?:(\\d{1,2})\\s+)?(?:من\\s+)?(${MONTH})\\s*[,،]?\\s*(\\d{4})(?![\\d])`, 'g'), parts: match => ({ day: match[1], name: match[2], year: match[3] }) }
+    ];
+
+    const dates = [];
+    for (const { regex, parts } of patterns) {
+      for (const match of text.matchAll(regex)) {
+        const { day, month, year, name } = parts(match);
+        let end = match.index + match[0].length;
+        const marker = text.slice(end).match(suffix);
+        const named = name && MONTH_BY_NAME.get(name);
+        let calendar = named ? named.calendar : null;
+
+        if (marker) {
+          calendar = calendar || (['ه', 'ah'].includes(marker[1]) ? 'hijri' : 'gregorian');
+          end += marker[0].length;
+        }
+
+        const resolved = this.resolveDate({
+          calendar,
+          year: Number(year),
+          month: named ? named.month : Number(month),
+          day: day ? Number(day) : null
+        });
+        if (!resolved || !this.claim(taken, match.index, end)) continue;
+
+        dates.push({ type: 'date', ...this.span(context, match.index, end), ...resolved });
+      }
+    }
+    return dates.sort((a, b) => a.start - b.start);
+  }
+
+  extractPercentages(context) {
+    const { text, taken } = context;
+    const pattern = new RegExp(`(?<![\\d.,])(${NUMBER})\\s*(%|في المائه|في المئه|بالمائه|بالمئه|percent)`, 'g');
+    const percentages = [];
+
+    for (const match of text.matchAll(pattern)) {
+      if (!this.claim(taken, match.index, match.index + match[0].length)) continue;
+      percentages.push({
+        type: 'percentage',
+        ...this.span(context, match.index, match.index + match[0].length),
+        value: new Decimal(match[1].replace(/,/g, '')).toFixed()
+      });
+    }
+    return percentages;
+  }
+
+  amount(context, start, end, value, currency, source) {
+    return {
+      type: 'amount',
+      ...this.span(context, start, end),
+      value: currency ? value.toDecimalPlaces(2, Decimal.ROUND_HALF_UP).toFixed(2) : value.toFixed(),
+      currency: currency ? currency.code : null,
+      source,
+      ...(currency?.subunit && { subunit: true })
+    };
+  }
+
+  extractDigitAmounts(context) {
+    const { text, taken } = context;
+    const amounts = [];
+    const patterns = [
+      // 1,250.50 ريال، 5 آلاف ريال، 100 هللة
+      new RegExp(`${NUMBER_START}(${NUMBER})(?:\\s*(${SCALE})(?![${LETTER}]))?(?=\\s*(?:${UNIT})(?![${LETTER}]))`, 'g'),
+      // SAR 1,250.50، $100
+      new RegExp(`(?<![${LETTER}])(${PREFIX_UNIT})\\s*(${NUMBER})(?:\\s*(${SCALE})(?![${LETTER}]))?`, 'g')
+    ];
+
+    patterns.forEach((pattern, index) => {
+      for (const match of text.matchAll(pattern)) {
+        const prefixed = index === 1;
+        const number = prefixed ? match[2] : match[1];
+        const scale = prefixed ? match[3] : match[2];
+        let end = match.index + match[0].length;
+
+        let currency;
+        if (prefixed) {
+          currency = CURRENCY_BY_WORD.get(match[1]);
+        } else {
+          currency = this.currencyAt(text, end);
+          end += currency.length;
+        }
+        if (!this.claim(taken, match.index, end)) continue;
+
+        let value = new Decimal(number.replace(/,/g, '')).times(scale ? SCALE_WORDS[scale] : 1);
+        if (currency.subunit) value = value.div(currency.subunit);
+        amounts.push(this.amount(context, match.index, end, value, currency, 'digits'));
+      }
+    });
+    return amounts;
+  }
+
+  /**
+   * Amounts written in words: "ألف ومائتان وخمسون ريالاً". Without a currency only spans of
+   * several words or with a scale word ("خمسة آلاف") count, so a lone "ست" or "عشر" is not a number.
+   */
+  extractWordAmounts(context) {
+    const { text, taken } = context;
+    const tokens = [...text.matchAll(/[\u0621-\u064A]+/g)];
+    const amounts = [];
+
+    const flush = (span) => {
+      if (!span.length) return;
+      const start = span[0].index + span[0].prefix;
+      let end = span[span.length - 1].index + span[span.length - 1].token.length;
+      const value = this.parseNumberWords(span);
+      if (value === null) return;
+
+      const currency = this.currencyAt(text, end);
+      const standalone = span.length > 1 || ['scale', 'dual'].includes(NUMBER_WORDS.get(span[0].word)[0]);
+      if (!currency && !standalone) return;
+      if (currency) end += currency.length;
+      if (!this.claim(taken, start, end)) return;
+
+      const amount = new Decimal(value).div(currency?.subunit || 1);
+      amounts.push(this.amount(context, start, end, amount, currency, 'words'));
+    };
+
+    let span = [];
+    let lastEnd = 0;
+    let joinNext = false;
+    for (const match of tokens) {
+      const token = match[0];
+      const adjacent = span.length > 0 && /^\s*$/.test(text.slice(lastEnd, match.index));
+      // A separate "و" between number words: ألف و خمسمائة
+      if (token === 'و' && adjacent) {
+        joinNext = true;
+        lastEnd = match.index + 1;
+        continue;
+      }
+
+      const word = this.numberWord(token);
+      if (!word || !adjacent) {
+        flush(span);
+        span = [];
+      }
+      if (word) {
+        span.push({ ...word, joined: word.joined || joinNext, token, index: match.index });
+        lastEnd = match.index + token.length;
+      }
+      joinNext = false;
+    }
+    flush(span);
+
+    return amounts;
+  }
+
+  // Plain numbers without a currency; long digit runs (phone, ID numbers), zero-led numbers and years are skipped
+  extractBareNumbers(context) {
+    const { text, taken } = context;
+    const amounts = [];
+    for (const match of text.matchAll(new RegExp(`${NUMBER_START}(${NUMBER})(?![\\d${LETTER}])`, 'g'))) {
+      const digits = match[1].replace(/[,.]/g, '');
+      if (digits.length >= 10 || /^0\d/.test(match[1])) continue;
+      if (/(?:عام|سنه|year)\s*$/.test(text.slice(Math.max(0, match.index - 8), match.index))) continue;
+      if (!this.claim(taken, match.index, match.index + match[0].length)) continue;
+      amounts.push(this.amount(context, match.index, match.index + match[0].length, new Decimal(match[1].replace(/,/g, '')), null, 'digits'));
+    }
+    return amounts;
+  }
+
+  // "100 ريال و50 هللة" → one SAR amount
+  mergeSubunits(context, amounts) {
+    const merged = [];
+    for (const amount of amounts.sort((a, b) => a.start - b.start)) {
+      const previous = merged[merged.length - 1];
+      const between = previous && context.original.slice(previous.end, amount.start);
+      if (previous && amount.subunit && previous.currency === amount.currency && !previous.subunit
+        && /^\s*و?\s*$/.test(between)) {
+        merged[merged.length - 1] = {
+          ...previous,
+          text: context.original.slice(previous.start, amount.end),
+          end: amount.end,
+          value: new Decimal(previous.value).plus(amount.value).toFixed(2)
+        };
+        continue;
+      }
+      merged.push(amount);
+    }
+    return merged.map(({ subunit, ...amount }) => amount);
+  }
+
+  extractTaxTerms(context) {
+    const found = [];
+    for (const term of TAX_TERMS) {
+      for (const pattern of term.patterns) {
+        const latin = /^[a-z\s-]+$/.test(pattern);
+        const regex = new RegExp(latin ? `(?<![a-z])${escape(pattern)}(?![a-z])` : escape(pattern), 'g');
+        for (const match of context.text.matchAll(regex)) {
+          found.push({ term, start: match.index, end: match.index + match[0].length });
+        }
+      }
+    }
+
+    // Longest match wins, e.g. "فاتورة ضريبية مبسطة" over "فاتورة ضريبية"
+    const taken = [];
+    return found
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+      .filter(({ start, end }) => this.claim(taken, start, end))
+      .sort((a, b) => a.start - b.start)
+      .map(({ term, start, end }) => ({
+        type: 'taxTerm',
+        ...this.span(context, start, end),
+        key: term.key,
+        arabic: term.arabic,
+        english: term.english
+      }));
+  }
+
+  // Currencies named anywhere in the text, with or without an amount ("حول ١٠٠ دولار إلى الريال")
+  currencyMentions(context) {
+    const pattern = new RegExp(`(?<![${LETTER}])(?:ال|بال|لل)?(${UNIT})(?![${LETTER}])`, 'g');
+    const codes = [];
+    for (const match of context.text.matchAll(pattern)) {
+      const { code } = CURRENCY_BY_WORD.get(match[1]);
+      if (!codes.includes(code)) codes.push(code);
+    }
+    return codes;
+  }
+
+  // Original text and offsets of a normalized range, including trailing harakat (ريالاً)
+  span({ original, map }, start, end) {
+    let last = map[end - 1] + 1;
+    while (last < original.length && IGNORED.test(original[last])) last++;
+    return { text: original.slice(map[start], last), start: map[start], end: last };
+  }
+
+  language(text) {
+    const arabic = (text.match(/[\u0600-\u06FF]/g) || []).length;
+    const latin = (text.match(/[A-Za-z]/g) || []).length;
+    if (arabic && latin) return arabic >= latin * 4 ? 'ar' : latin >= arabic * 4 ? 'en' : 'mixed';
+    return latin ? 'en' : 'ar';
+  }
+
+  /**
+   * Rule-based intent: cue words plus the entities found, scored 0-3
+   */
+  classify(text, entities, currencies) {
+    const terms = new Set(entities.taxTerms.map(term => term.key));
+    const hasAmount = entities.amounts.length > 0;
+    const scores = {
+      calculate_vat: (terms.has('vat') ? 1 : 0) + (CUES.calculate.test(text) ? 1 : 0) + (hasAmount ? 1 : 0),
+      calculate_zakat: terms.has('zakat') || terms.has('nisab') ? 1 + (CUES.calculate.test(text) ? 1 : 0) + (hasAmount ? 1 : 0) : 0,
+      convert_currency: CUES.convert.test(text) && currencies.length ? 1 + (currencies.length > 1 ? 1 : 0) + (hasAmount ? 1 : 0) : 0,
+      validate_vat_number: (entities.vatNumbers.length ? 1 : 0) + (terms.has('vat_number') ? 1 : 0) + (CUES.validate.test(text) ? 1 : 0),
+      verify_zatca_qr: CUES.qr.test(text) ? 2 + (CUES.validate.test(text) ? 1 : 0) : 0,
+      issue_invoice: CUES.invoice.test(text) && CUES.issue.test(text) ? 3 : 0,
+      amount_in_words: CUES.words.test(text) ? 2 + (hasAmount ? 1 : 0) : 0
+    };
+    // A VAT number on its own is not a VAT calculation
+    if (!terms.has('vat')) scores.calculate_vat = 0;
+    if (!entities.vatNumbers.length && !terms.has('vat_number')) scores.validate_vat_number = 0;
+
+    const candidates = Object.entries(scores)
+      .filter(([, score]) => score >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .map(([intent, score]) => ({ intent, ...INTENTS[intent], confidence: Number((score / 3).toFixed(2)) }));
+
+    const top = candidates[0] || { intent: 'general', ...INTENTS.general, confidence: 0 };
+    return { ...top, candidates };
+  }
+
+  /**
+   * Calculator call for a structured request, or null when the text does not pin down
+   * every argument (the model then asks or decides)
+   */
+  toolRequest(intent, text, entities, currencies) {
+    const amounts = entities.amounts;
+
+    if (intent === 'calculate_vat') {
+      const sar = amounts.filter(amount => !amount.currency || amount.currency === 'SAR');
+      if (sar.length !== 1 || sar.length !== amounts.length) return null;
+      const terms = new Set(entities.taxTerms.map(term => term.key));
+      const rate = entities.percentages.length === 1 ? Number(entities.percentages[0].value) : undefined;
+      const category = terms.has('zero_rated') ? 'Z' : terms.has('exempt') ? 'E' : undefined;
+      return {
+        tool: 'calculate_vat',
+        arguments: {
+          amount: Number(sar[0].value),
+          amountIncludesVat: CUES.inclusive.test(text),
+          ...(category && { category }),
+          ...(!category && rate !== undefined && rate !== 15 && { rate })
+        }
+      };
+    }
+
+    if (intent === 'convert_currency') {
+      if (amounts.length !== 1 || !amounts[0].currency) return null;
+      const from = amounts[0].currency;
+      const targets = currencies.filter(code => code !== from);
+      if (targets.length !== 1) return null;
+      const date = entities.dates.find(entry => entry.gregorian);
+      return {
+        tool: 'convert_currency',
+        arguments: { amount: Number(amounts[0].value), from, to: targets[0], ...(date && { date: date.gregorian }) }
+      };
+    }
+
+    if (intent === 'amount_in_words') {
+      if (amounts.length !== 1) return null;
+      return { tool: 'amount_in_words', arguments: { amount: Number(amounts[0].value), currency: amounts[0].currency || 'SAR' } };
+    }
+
+    if (intent === 'validate_vat_number' && entities.vatNumbers.length === 1) {
+      return { tool: 'validate_vat_number', arguments: { vatNumber: entities.vatNumbers[0].value } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Entities, intent and (when complete) the calculator request for a piece of text
+   */
+  analyze(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('text is required', [{ field: 'text' }]);
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new ValidationError(`text must be at most ${MAX_TEXT_LENGTH} characters`, [{ field: 'text' }]);
+    }
+
+    const normalized = this.normalize(text);
+    const context = { original: text, text: normalized.text, map: normalized.map, taken: [] };
+
+    // Order matters: each extractor skips ranges claimed by an earlier one
+    const ibans = this.extractIbans(context);
+    const vatNumbers = this.extractVatNumbers(context);
+    const dates = this.extractDates(context);
+    const percentages = this.extractPercentages(context);
+    const amounts = this.mergeSubunits(context, [
+      ...this.extractDigitAmounts(context),
+      ...this.extractWordAmounts(context),
+      ...this.extractBareNumbers(context)
+    ]);
+    const taxTerms = this.extractTaxTerms(context);
+    const currencies = this.currencyMentions(context);
+
+    const entities = { amounts, dates, vatNumbers, ibans, percentages, taxTerms };
+    const intent = this.classify(context.text, entities, currencies);
+
+    return {
+      language: this.language(text),
+      intent,
+      entities,
+      currencies,
+      toolRequest: this.toolRequest(intent.intent, context.text, entities, currencies)
+    };
+  }
+}
+
+// Export singleton instance
+export default new ArabicTextAnalyzer();
@@ -0,0 +1,445 @@
+/**
+ * Auth Service
+ * Email/password accounts: registration with a password policy, unique emails and optional
+ * mobile numbers, scrypt password hashes, login and the verified-email flag. Each login opens a session with a
+ * short-lived JWT access token and a rotating refresh token; presenting a refresh token
+ * that was already rotated revokes the session
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import databaseManager from '../database-config.js';
+import { ValidationError, ConflictError, AuthenticationError } from '../utils/errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64, saltLength: 16 };
+
+const PASSWORD_LENGTH = { min: 8, max: 128 };
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', '11111111', '00000000', 'abc12345', 'iloveyou1', 'admin123', 'welcome1'
+]);
+
+const ERRORS = {
+  EMAIL_REQUIRED: { message: 'Email is required', messageArabic: 'البريد الإلكتروني مطلوب' },
+  EMAIL_INVALID: { message: 'Email address is not valid', messageArabic: 'البريد الإلكتروني غير صالح' },
+  PHONE_INVALID: { message: 'Phone number is not a valid mobile number', messageArabic: 'رقم الجوال غير صالح' },
+  NAME_REQUIRED: { message: 'Name is required', messageArabic: 'الاسم مطلوب' },
+  NAME_TOO_LONG: { message: 'Name must be at most 255 characters', messageArabic: 'الاسم يجب ألا يتجاوز 255 حرفاً' },
+  PASSWORD_REQUIRED: { message: 'Password is required', messageArabic: 'كلمة المرور مطلوبة' },
+  PASSWORD_TOO_SHORT: { message: `Password must be at least ${PASSWORD_LENGTH.min} characters`, messageArabic: `كلمة المرور يجب ألا تقل عن ${PASSWORD_LENGTH.min} أحرف` },
+  PASSWORD_TOO_LONG: { message: `Password must be at most ${PASSWORD_LENGTH.max} characters`, messageArabic: `كلمة المرور يجب ألا تتجاوز ${PASSWORD_LENGTH.max} حرفاً` },
+  PASSWORD_NEEDS_LETTER: { message: 'Password must contain a letter', messageArabic: 'كلمة المرور يجب أن تحتوي على حرف' },
+  PASSWORD_NEEDS_DIGIT: { message: 'Password must contain a digit', messageArabic: 'كلمة المرور يجب أن تحتوي على رقم' },
+  PASSWORD_TOO_COMMON: { message: 'Password is too common', messageArabic: 'كلمة المرور شائعة جداً' },
+  PASSWORD_CONTAINS_EMAIL: { message: 'Password must not contain the email address', messageArabic: 'كلمة المرور يجب ألا تحتوي على البريد الإلكتروني' },
+  CREDENTIALS_INVALID: { message: 'Invalid email or password', messageArabic: 'البريد الإلكتروني أو كلمة المرور غير صحيحة' },
+  TOKEN_REQUIRED: { message: 'Authentication required', messageArabic: 'يجب تسجيل الدخول' },
+  TOKEN_INVALID: { message: 'Access token is invalid or expired', messageArabic: 'رمز الدخول غير صالح أو منتهي' },
+  REFRESH_TOKEN_INVALID: { message: 'Refresh token is invalid', messageArabic: 'رمز التحديث غير صالح' },
+  REFRESH_TOKEN_EXPIRED: { message: 'Refresh token has expired', messageArabic: 'انتهت صلاحية رمز التحديث، يرجى تسجيل الدخول مجدداً' },
+  REFRESH_TOKEN_REUSED: { message: 'Refresh token was already used; the session has been revoked', messageArabic: 'تم استخدام رمز التحديث مسبقاً، وأُلغيت الجلسة حفاظاً على أمان الحساب' },
+  SESSION_REVOKED: { message: 'Session has been signed out', messageArabic: 'تم إنهاء هذه الجلسة' }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Values shipped in .env.example, vercel.json and the old code; never accepted in production
+const PLACEHOLDER_SECRETS = new Set([
+  'default-secret',
+  'your-jwt-secret',
+  'your-jwt-secret-key-here-minimum-32-characters',
+  'your-super-secret-jwt-key-change-this'
+]);
+const MIN_SECRET_LENGTH = 32;
+
+// Access tokens live 15 minutes; a session lives 30 days from its last refresh
+const ACCESS_TOKEN_SECONDS = 15 * 60;
+const SESSION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Hashes of replaced refresh tokens kept per session for reuse detection
+const ROTATED_TOKENS_KEPT = 100;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value || []);
+
+class AuthService {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.errors = ERRORS;
+    this.developmentSecret = null;
+    this.dummyHash = null;
+  }
+
+  error(code, field) {
+    return { field, code, ...ERRORS[code] };
+  }
+
+  fail(errors) {
+    throw new ValidationError(errors.map(error => error.message).join('; '), errors);
+  }
+
+  unauthenticated(code) {
+    return new AuthenticationError(ERRORS[code].message, [{ code, ...ERRORS[code] }]);
+  }
+
+  /**
+   * Map a stored user (camelCase in memory, snake_case from PostgreSQL) to the API shape;
+   * the password hash never leaves the service
+   */
+  normalize(user) {
+    if (!user) return null;
+
+    return {
+      id: user.id,
+      orgId: user.orgId || user.org_id || null,
+      email: user.email,
+      name: user.name,
+      role: user.role || 'user',
+      permissions: typeof user.permissions === 'string' ? JSON.parse(user.permissions) : user.permissions || [],
+      emailVerified: !!(user.emailVerified ?? user.email_verified),
+      emailVerifiedAt: user.emailVerifiedAt || user.email_verified_at || null,
+      phone: user.phone || null,
+      phoneVerifiedAt: user.phoneVerifiedAt || user.phone_verified_at || null,
+      lastLoginAt: user.lastLoginAt || user.last_login_at || null,
+      createdAt: user.createdAt || user.created_at,
+      updatedAt: user.updatedAt || user.updated_at
+    };
+  }
+
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  isEmail(email) {
+    return EMAIL_PATTERN.test(email) && email.length <= 255;
+  }
+
+  /**
+   * Mobile number in E.164 form, or null when it is not one. Saudi numbers may be written
+   * locally (05XXXXXXXX, 5XXXXXXXX), with 00966/966/+966, and in Arabic-Indic digits.
+   */
+  normalizePhone(phone) {
+    if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+
+    let digits = String(phone)
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+      .replace(/[\s\-().]/g, '');
+    if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+    if (/^05\d{8}$/.test(digits)) digits = `+966${digits.slice(1)}`;
+    else if (/^5\d{8}$/.test(digits)) digits = `+966${digits}`;
+    else if (/^9665\d{8}$/.test(digits)) digits = `+${digits}`;
+
+    if (!E164_PATTERN.test(digits)) return null;
+    // Only Saudi mobile numbers (+9665…) can receive SMS
+    if (digits.startsWith('+966') && !/^\+9665\d{8}$/.test(digits)) return null;
+    return digits;
+  }
+
+  /**
+   * Policy violations for a password (empty when it is acceptable)
+   */
+  checkPassword(password, { email } = {}) {
+    if (typeof password !== 'string' || !password) return [this.error('PASSWORD_REQUIRED', 'password')];
+
+    const errors = [];
+    if (password.length < PASSWORD_LENGTH.min) errors.push(this.error('PASSWORD_TOO_SHORT', 'password'));
+    if (password.length > PASSWORD_LENGTH.max) errors.push(this.error('PASSWORD_TOO_LONG', 'password'));
+    if (!/\p{L}/u.test(password)) errors.push(this.error('PASSWORD_NEEDS_LETTER', 'password'));
+    if (!/\p{Nd}/u.test(password)) errors.push(this.error('PASSWORD_NEEDS_DIGIT', 'password'));
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) errors.push(this.error('PASSWORD_TOO_COMMON', 'password'));
+
+    const localPart = this.normalizeEmail(email).split('@')[0];
+    if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+      errors.push(this.error('PASSWORD_CONTAINS_EMAIL', 'password'));
+    }
+    return errors;
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SCRYPT.saltLength);
+    const { N, r, p, keyLength } = SCRYPT;
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * JWT_SECRET, which must be a real secret in production; elsewhere a random per-process
+   * secret stands in (tokens then end with the process)
+   */
+  jwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    const weak = !secret || PLACEHOLDER_SECRETS.has(secret) || secret.length < MIN_SECRET_LENGTH;
+    if (!weak) return secret;
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`JWT_SECRET must be set to a random secret of at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (!this.developmentSecret) {
+      console.warn('⚠️  JWT_SECRET is missing or weak; using a random secret for this process');
+      this.developmentSecret = crypto.randomBytes(48).toString('hex');
+    }
+    return this.developmentSecret;
+  }
+
+  // Called at startup so production refuses to run without a real secret
+  assertConfigured() {
+    this.jwtSecret();
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, emailVerified: user.emailVerified, sid: sessionId },
+      this.jwtSecret(),
+      { expiresIn: ACCESS_TOKEN_SECONDS }
+    );
+  }
+
+  // "<session id>.<secret>"; only the SHA-256 of the whole token is stored
+  newRefreshToken(sessionId) {
+    const token = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+    return { token, hash: sha256(token) };
+  }
+
+  tokens(user, sessionId, refreshToken) {
+    return {
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_SECONDS,
+      sessionId
+    };
+  }
+
+  normalizeSession(session) {
+    if (!session) return null;
+
+    return {
+      id: session.id,
+      userId: session.userId || session.user_id,
+      refreshTokenHash: session.refreshTokenHash || session.refresh_token_hash,
+      rotatedTokenHashes: parse(session.rotatedTokenHashes ?? session.rotated_token_hashes),
+      ipAddress: session.ipAddress || session.ip_address || null,
+      userAgent: session.userAgent || session.user_agent || null,
+      expiresAt: new Date(session.expiresAt || session.expires_at).toISOString(),
+      lastUsedAt: session.lastUsedAt || session.last_used_at || null,
+      revokedAt: session.revokedAt || session.revoked_at || null,
+      revokedReason: session.revokedReason || session.revoked_reason || null,
+      createdAt: session.createdAt || session.created_at
+    };
+  }
+
+  /**
+   * New session for a signed-in user: access token, refresh token and session id
+   */
+  async startSession(user, { ipAddress, userAgent } = {}) {
+    await this.store.ready;
+
+    const sessionId = crypto.randomUUID();
+    const { token, hash } = this.newRefreshToken(sessionId);
+    await this.store.createAuthSession({
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hash,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + SESSION_DAYS * DAY_MS).toISOString()
+    });
+    return this.tokens(user, sessionId, token);
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair. The old refresh token stops
+   * working; if it is presented again the whole session is revoked, since either the
+   * client or someone who copied the token is replaying it. Any other token is refused
+   * without touching the session: its id is no secret (it is in every token and in `sid`).
+   */
+  async refresh(refreshToken, { ipAddress, userAgent } = {}) {
+    await this.store.ready;
+
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) throw this.unauthenticated('REFRESH_TOKEN_INVALID');
+    const sessionId = refreshToken.slice(0, refreshToken.indexOf('.'));
+    const session = this.normalizeSession(await this.store.getAuthSession(sessionId));
+    if (!session) throw this.unauthenticated('REFRESH_TOKEN_INVALID');
+    if (session.revokedAt) throw this.unauthenticated('SESSION_REVOKED');
+    if (session.expiresAt <= new Date().toISOString()) throw this.unauthenticated('REFRESH_TOKEN_EXPIRED');
+
+    const presented = sha256(refreshToken);
+    const current = crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(session.refreshTokenHash));
+    if (!current && !session.rotatedTokenHashes.includes(presented)) throw this.unauthenticated('REFRESH_TOKEN_INVALID');
+
+    const { token, hash } = this.newRefreshToken(sessionId);
+    // Losing the swap means another refresh just used the same token
+    const rotated = current && await this.store.rotateAuthSession(sessionId, presented, {
+      refreshTokenHash: hash,
+      rotatedTokenHashes: [presented, ...session.rotatedTokenHashes].slice(0, ROTATED_TOKENS_KEPT),
+      expiresAt: new Date(Date.now() + SESSION_DAYS * DAY_MS).toISOString(),
+      ipAddress,
+      userAgent
+    });
+
+    if (!rotated) {
+      await this.store.revokeAuthSessions(session.userId, { sessionId, reason: 'refresh_token_reuse' });
+      console.warn(`⚠️  Refresh token reuse on session ${sessionId}; session revoked`);
+      throw this.unauthenticated('REFRESH_TOKEN_REUSED');
+    }
+
+    const user = await this.getUser(session.userId);
+    if (!user) throw this.unauthenticated('REFRESH_TOKEN_INVALID');
+    return { user, ...this.tokens(user, sessionId, token) };
+  }
+
+  /**
+   * User and session behind a bearer access token; tokens of revoked sessions are refused
+   * even before they expire
+   */
+  async authenticate(accessToken) {
+    await this.store.ready;
+
+    if (!accessToken) throw this.unauthenticated('TOKEN_REQUIRED');
+    let claims;
+    try {
+      claims = jwt.verify(accessToken, this.jwtSecret());
+    } catch (error) {
+      throw this.unauthenticated('TOKEN_INVALID');
+    }
+    if (!claims.sid) throw this.unauthenticated('TOKEN_INVALID');
+
+    const session = this.normalizeSession(await this.store.getAuthSession(claims.sid));
+    if (!session || session.userId !== claims.userId) throw this.unauthenticated('TOKEN_INVALID');
+    if (session.revokedAt) throw this.unauthenticated('SESSION_REVOKED');
+
+    const user = await this.getUser(claims.userId);
+    if (!user) throw this.unauthenticated('TOKEN_INVALID');
+    return { user, sessionId: session.id };
+  }
+
+  // Sign out with a refresh token (no access token needed); unknown tokens are ignored
+  async logout(refreshToken) {
+    await this.store.ready;
+
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) throw this.unauthenticated('REFRESH_TOKEN_INVALID');
+    const session = this.normalizeSession(await this.store.getAuthSession(refreshToken.slice(0, refreshToken.indexOf('.'))));
+    if (!session || session.refreshTokenHash !== sha256(refreshToken)) return false;
+    return (await this.store.revokeAuthSessions(session.userId, { sessionId: session.id, reason: 'logout' })) > 0;
+  }
+
+  // Active sessions of a user, without token hashes; `current` marks the caller's own
+  async listSessions(userId, currentSessionId) {
+    await this.store.ready;
+
+    const sessions = await this.store.listAuthSessions(userId);
+    return sessions.map(row => {
+      const { refreshTokenHash, rotatedTokenHashes, userId: owner, revokedAt, revokedReason, ...session } = this.normalizeSession(row);
+      return { ...session, current: session.id === currentSessionId };
+    });
+  }
+
+  async revokeSession(userId, sessionId, reason = 'logout') {
+    await this.store.ready;
+    return (await this.store.revokeAuthSessions(userId, { sessionId, reason })) > 0;
+  }
+
+  // "Sign out other devices"; returns how many sessions ended
+  async revokeOtherSessions(userId, currentSessionId) {
+    await this.store.ready;
+    return this.store.revokeAuthSessions(userId, { exceptId: currentSessionId, reason: 'signed_out_elsewhere' });
+  }
+
+  async register({ email, password, name, phone } = {}) {
+    await this.store.ready;
+
+    const normalizedEmail = this.normalizeEmail(email);
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const normalizedPhone = phone ? this.normalizePhone(phone) : null;
+    const errors = [];
+
+    if (!normalizedEmail) errors.push(this.error('EMAIL_REQUIRED', 'email'));
+    else if (!this.isEmail(normalizedEmail)) errors.push(this.error('EMAIL_INVALID', 'email'));
+    if (!trimmedName) errors.push(this.error('NAME_REQUIRED', 'name'));
+    else if (trimmedName.length > 255) errors.push(this.error('NAME_TOO_LONG', 'name'));
+    if (phone && !normalizedPhone) errors.push(this.error('PHONE_INVALID', 'phone'));
+    errors.push(...this.checkPassword(password, { email: normalizedEmail }));
+    if (errors.length) this.fail(errors);
+
+    if (await this.store.getUserByEmail(normalizedEmail)) {
+      throw new ConflictError('Email is already registered', [{ field: 'email', code: 'EMAIL_TAKEN' }]);
+    }
+    if (normalizedPhone && await this.store.getUserByPhone(normalizedPhone)) {
+      throw new ConflictError('Phone number is already registered', [{ field: 'phone', code: 'PHONE_TAKEN' }]);
+    }
+
+    try {
+      const user = await this.store.createUser({
+        id: crypto.randomUUID(),
+        email: normalizedEmail,
+        name: trimmedName,
+        phone: normalizedPhone,
+        role: 'user',
+        passwordHash: await this.hashPassword(password),
+        emailVerified: false
+      });
+      return this.normalize(user);
+    } catch (error) {
+      // Lost a race with a concurrent registration of the same email or phone
+      if (error.code === '23505') {
+        throw new ConflictError('Email or phone number is already registered', [{ field: 'email', code: 'EMAIL_TAKEN' }]);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * User for an email and password; unknown emails and wrong passwords fail alike
+   */
+  async login({ email, password } = {}) {
+    await this.store.ready;
+
+    if (!email || !password) {
+      throw new ValidationError('Email and password are required', [{ field: 'email' }, { field: 'password' }]);
+    }
+
+    const user = await this.store.getUserByEmail(this.normalizeEmail(email));
+    const stored = user && (user.passwordHash || user.password_hash);
+
+    // Hash anyway for unknown emails so response times do not reveal registered addresses
+    if (!this.dummyHash) this.dummyHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = await this.verifyPassword(password, stored || this.dummyHash);
+    if (!stored || !valid) throw this.unauthenticated('CREDENTIALS_INVALID');
+
+    return this.normalize(await this.store.updateUser(user.id, { lastLoginAt: new Date().toISOString() }));
+  }
+
+  async getUser(userId) {
+    await this.store.ready;
+    return this.normalize(await this.store.getUserById(userId));
+  }
+
+  // Sets the verified-email flag once the address has been confirmed
+  async markEmailVerified(userId) {
+    await this.store.ready;
+    return this.normalize(await this.store.updateUser(userId, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
+    }));
+  }
+}
+
+// Export singleton instance
+export default new AuthService();
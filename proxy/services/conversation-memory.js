@@ -0,0 +1,148 @@
+/**
+ * Conversation Memory
+ * Multi-turn chat context stored in chat_sessions, replayed to the model within a token budget.
+ * Conversations belong to a user within their tenant (organization or personal space).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import databaseManager from '../database-config.js';
+import { tenantOf } from '../utils/tenant.js';
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+
+// Arabic text tokenizes denser than English, so estimate conservatively
+const CHARS_PER_TOKEN = 3;
+
+// Per-message overhead added by the chat format (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+class ConversationMemory {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.tokenBudget = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || DEFAULT_TOKEN_BUDGET;
+  }
+
+  /**
+   * Rough token estimate used to keep replayed history inside the budget
+   */
+  estimateTokens(text = '') {
+    return Math.ceil(text.length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Map a stored session (in-memory camelCase or database snake_case) to one shape
+   */
+  normalize(session) {
+    if (!session) return null;
+
+    let messages = session.messages || [];
+    if (typeof messages === 'string') messages = JSON.parse(messages);
+
+    let metadata = session.metadata || {};
+    if (typeof metadata === 'string') metadata = JSON.parse(metadata);
+
+    return {
+      id: session.sessionId || session.session_id,
+      orgId: session.orgId || session.org_id,
+      userId: session.userId || session.user_id,
+      agentType: session.agentType || session.agent_type,
+      messages,
+      metadata,
+      createdAt: session.createdAt || session.created_at,
+      updatedAt: session.updatedAt || session.updated_at
+    };
+  }
+
+  /**
+   * Start a new conversation for a user and agent
+   */
+  create(user, agentType) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      orgId: tenantOf(user),
+      userId: user.id,
+      agentType,
+      messages: [],
+      metadata: {},
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Load a conversation, returning null when it does not exist or belongs to someone else
+   */
+  async load(conversationId, user) {
+    await this.store.ready;
+    const conversation = this.normalize(await this.store.getSession(tenantOf(user), conversationId));
+    if (!conversation || conversation.userId !== user.id) return null;
+    return conversation;
+  }
+
+  /**
+   * Select the most recent turns that fit in the token budget, oldest first
+   */
+  buildContext(messages, budget = this.tokenBudget) {
+    const context = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const { role, content } = messages[i];
+      const cost = this.estimateTokens(content);
+      if (used + cost > budget) break;
+      context.unshift({ role, content });
+      used += cost;
+    }
+
+    // Never open the replay with an orphaned assistant turn
+    while (context.length && context[0].role !== 'user') {
+      context.shift();
+    }
+
+    return context;
+  }
+
+  /**
+   * Append a user/assistant exchange (with any tool invocations behind the answer) and persist it
+   */
+  async appendTurn(conversation, userMessage, assistantMessage, toolCalls = []) {
+    await this.store.ready;
+    const timestamp = new Date().toISOString();
+
+    conversation.messages.push(
+      { role: 'user', content: userMessage, timestamp },
+      { role: 'assistant', content: assistantMessage, timestamp, ...(toolCalls.length && { toolCalls }) }
+    );
+    conversation.updatedAt = timestamp;
+
+    if (!conversation.metadata.title) {
+      conversation.metadata.title = userMessage.slice(0, 80);
+    }
+
+    await this.store.saveSession({
+      sessionId: conversation.id,
+      orgId: conversation.orgId,
+      userId: conversation.userId,
+      agentType: conversation.agentType,
+      messages: conversation.messages,
+      metadata: conversation.metadata,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    });
+
+    return conversation;
+  }
+
+  /**
+   * List a user's conversations, most recently active first
+   */
+  async list(user, limit = 20) {
+    await this.store.ready;
+    const sessions = await this.store.getUserSessions(tenantOf(user), user.id, limit);
+    return sessions.map(session => this.normalize(session));
+  }
+}
+
+// Export singleton instance
+export default new ConversationMemory();
@@ -0,0 +1,251 @@
+/**
+ * Currency Service
+ * Offline conversion from an effective-dated rate table quoted in SAR, with the
+ * SAR/USD peg fixed and every result naming the rate snapshot it used
+ */
+
+import Decimal from 'decimal.js';
+import { v4 as uuidv4 } from 'uuid';
+import databaseManager from '../database-config.js';
+import { ValidationError } from '../utils/errors.js';
+import { format, toDecimal } from '../utils/money.js';
+
+const BASE_CURRENCY = 'SAR';
+
+// SAMA has pegged the riyal at 3.75 per US dollar since June 1986; it is never looked up
+const SAR_PEG = { currency: 'USD', rate: '3.75', effectiveDate: '1986-06-01', snapshotId: 'sar-usd-peg', source: 'SAMA peg' };
+
+// Other GCC currencies pegged to the dollar, seeded as SAR cross rates so conversion works out of the box
+const BUILTIN_SNAPSHOT = 'builtin-gcc-pegs';
+const GCC_USD_PEGS = { AED: '3.6725', QAR: '3.64', BHD: '0.376', OMR: '0.3845' };
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class CurrencyService {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.seeded = null;
+  }
+
+  /**
+   * Map a stored rate (in-memory camelCase or database snake_case) to one shape
+   */
+  normalize(rate) {
+    if (!rate) return null;
+
+    const effectiveDate = rate.effectiveDate || rate.effective_date;
+    const createdAt = rate.createdAt || rate.created_at;
+
+    return {
+      currency: rate.currency,
+      rate: new Decimal(rate.rate).toString(),
+      effectiveDate: effectiveDate instanceof Date ? this.toDateString(effectiveDate) : String(effectiveDate).slice(0, 10),
+      snapshotId: rate.snapshotId || rate.snapshot_id,
+      source: rate.source || null,
+      ...(createdAt && { importedAt: createdAt instanceof Date ? createdAt.toISOString() : createdAt })
+    };
+  }
+
+  // pg returns DATE columns as local-midnight Date objects
+  toDateString(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  ensureSeeded() {
+    if (!this.seeded) {
+      this.seeded = (async () => {
+        await this.store.ready;
+        if (await this.store.countExchangeRates(BUILTIN_SNAPSHOT) > 0) return;
+
+        await this.store.insertExchangeRates(Object.entries(GCC_USD_PEGS).map(([currency, perUsd]) => ({
+          id: uuidv4(),
+          currency,
+          rate: new Decimal(SAR_PEG.rate).div(perUsd).toDecimalPlaces(10).toString(),
+          effectiveDate: SAR_PEG.effectiveDate,
+          snapshotId: BUILTIN_SNAPSHOT,
+          source: 'USD peg'
+        })));
+      })().catch(error => {
+        this.seeded = null;
+        throw error;
+      });
+    }
+    return this.seeded;
+  }
+
+  parseCurrency(value, field) {
+    const currency = String(value || '').trim().toUpperCase();
+    if (!CURRENCY_PATTERN.test(currency)) {
+      throw new ValidationError(`${field} must be a 3-letter ISO 4217 currency code`, [{ field, value }]);
+    }
+    return currency;
+  }
+
+  parseDate(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return new Date().toISOString().split('T')[0];
+    }
+
+    const date = String(value).trim();
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!DATE_PATTERN.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+      throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`, [{ field, value }]);
+    }
+    return date;
+  }
+
+  /**
+   * SAR per unit of a currency on a date, with the snapshot it came from
+   */
+  async getRate(currency, date) {
+    if (currency === BASE_CURRENCY) {
+      return { currency, rate: '1', effectiveDate: null, snapshotId: 'base', source: null };
+    }
+    if (currency === SAR_PEG.currency) {
+      return { ...SAR_PEG };
+    }
+
+    await this.ensureSeeded();
+    const rate = this.normalize(await this.store.getExchangeRate(currency, date));
+    if (!rate) {
+      throw new ValidationError(`No ${currency} rate effective on or before ${date}`, [{ field: 'currency', value: currency, date }]);
+    }
+    return rate;
+  }
+
+  /**
+   * Convert an amount using the rates effective on `date` (e.g. the invoice date)
+   */
+  async convert({ amount, from, to, date }) {
+    const value = toDecimal(amount, 'amount');
+    const fromCurrency = this.parseCurrency(from, 'from');
+    const toCurrency = this.parseCurrency(to, 'to');
+    const rateDate = this.parseDate(date, 'date');
+
+    const [fromRate, toRate] = await Promise.all([
+      this.getRate(fromCurrency, rateDate),
+      this.getRate(toCurrency, rateDate)
+    ]);
+
+    // Cross through SAR: (SAR per `from`) / (SAR per `to`)
+    const rate = new Decimal(fromRate.rate).div(toRate.rate);
+
+    return {
+      amount: format(value),
+      from: fromCurrency,
+      to: toCurrency,
+      date: rateDate,
+      rate: rate.toDecimalPlaces(6).toString(),
+      converted: format(value.times(rate)),
+      snapshot: [fromRate, toRate]
+        .filter(leg => leg.currency !== BASE_CURRENCY)
+        .map(({ currency, rate: legRate, effectiveDate, snapshotId, source }) => ({
+          currency,
+          rate: legRate,
+          effectiveDate,
+          snapshotId,
+          source
+        }))
+    };
+  }
+
+  /**
+   * Every currency with a rate effective on `date`
+   */
+  async listRates(date) {
+    const rateDate = this.parseDate(date, 'date');
+    await this.ensureSeeded();
+
+    const rates = (await this.store.listExchangeRates(rateDate)).map(rate => this.normalize(rate));
+    const peg = { ...SAR_PEG };
+
+    return {
+      base: BASE_CURRENCY,
+      date: rateDate,
+      rates: [peg, ...rates.filter(rate => rate.currency !== peg.currency)]
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+    };
+  }
+
+  /**
+   * Parse CSV with a header row: currency, rate (SAR per unit), effective_date, optional source
+   */
+  parseCsv(csv) {
+    if (typeof csv !== 'string' || !csv.trim()) {
+      throw new ValidationError('CSV body is empty', [{ field: 'csv' }]);
+    }
+
+    const rows = csv.replace(/^﻿/, '').split(/\r?\n/).filter(line => line.trim());
+    const header = rows.shift().split(',').map(column => column.trim().toLowerCase().replace(/[\s-]/g, '_'));
+    const column = (names) => header.findIndex(name => names.includes(name));
+    const columns = {
+      currency: column(['currency', 'code']),
+      rate: column(['rate', 'sar_rate', 'rate_sar']),
+      effectiveDate: column(['effective_date', 'effectivedate', 'date']),
+      source: column(['source'])
+    };
+
+    const missing = ['currency', 'rate', 'effectiveDate'].filter(key => columns[key] === -1);
+    if (missing.length) {
+      throw new ValidationError(`CSV header is missing: ${missing.join(', ')}`, missing.map(field => ({ field })));
+    }
+
+    const errors = [];
+    const parsed = [];
+    rows.forEach((line, index) => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const lineNumber = index + 2;
+      try {
+        const currency = this.parseCurrency(cells[columns.currency], `line ${lineNumber} currency`);
+        if (currency === BASE_CURRENCY || currency === SAR_PEG.currency) {
+          throw new ValidationError(`line ${lineNumber}: ${currency} is fixed and cannot be imported`);
+        }
+        parsed.push({
+          currency,
+          rate: toDecimal(cells[columns.rate], `line ${lineNumber} rate`, { positive: true }).toString(),
+          effectiveDate: this.parseDate(cells[columns.effectiveDate] || 'missing', `line ${lineNumber} effective_date`),
+          source: columns.source === -1 ? null : (cells[columns.source] || null)
+        });
+      } catch (error) {
+        errors.push({ line: lineNumber, message: error.message });
+      }
+    });
+
+    if (errors.length) {
+      throw new ValidationError('CSV contains invalid rows', errors);
+    }
+    if (parsed.length === 0) {
+      throw new ValidationError('CSV contains no rates', [{ field: 'csv' }]);
+    }
+    return parsed;
+  }
+
+  /**
+   * Import a CSV as one snapshot; all rows are validated before anything is stored
+   */
+  async importCsv(csv, { source = 'csv-import' } = {}) {
+    const rates = this.parseCsv(csv);
+    await this.ensureSeeded();
+
+    const snapshotId = `import-${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}-${uuidv4().slice(0, 8)}`;
+    const stored = await this.store.insertExchangeRates(rates.map(rate => ({
+      id: uuidv4(),
+      ...rate,
+      source: rate.source || source,
+      snapshotId
+    })));
+
+    return {
+      snapshotId,
+      imported: stored.length,
+      rates: stored.map(rate => this.normalize(rate))
+    };
+  }
+}
+
+export { BASE_CURRENCY, SAR_PEG };
+
+// Export singleton instance
+export default new CurrencyService();
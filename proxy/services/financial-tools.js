@@ -0,0 +1,165 @@
+/**
+ * Financial Tools
+ * Deterministic calculators the accountant agent calls instead of guessing numbers
+ */
+
+import vatCalculator, { VAT_CATEGORIES } from './vat-calculator.js';
+import zakatCalculator, { ASSET_CATEGORIES, LIABILITY_CATEGORIES } from './zakat-calculator.js';
+import currencyService from './currency-service.js';
+import taxIdValidator from './tax-id-validator.js';
+import zatcaQr from './zatca-qr.js';
+import hijriCalendar from './hijri-calendar.js';
+import tafqeet from './tafqeet.js';
+
+export const calculateVat = {
+  name: 'calculate_vat',
+  description: 'Calculate Saudi VAT for an amount or a line-item invoice. Use for any VAT question instead of computing it yourself.',
+  parameters: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', minimum: 0, description: 'Amount in SAR, for a single-amount calculation' },
+      category: { type: 'string', enum: Object.keys(VAT_CATEGORIES), description: 'S standard (15%), Z zero-rated, E exempt, O out of scope' },
+      rate: { type: 'number', minimum: 0, maximum: 100, description: 'Override of the standard rate in percent' },
+      amountIncludesVat: { type: 'boolean', description: 'True when the amount already includes VAT' },
+      lines: {
+        type: 'array',
+        description: 'Invoice lines, for a line-item calculation',
+        items: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            quantity: { type: 'number', minimum: 0 },
+            unitPrice: { type: 'number', minimum: 0 },
+            discount: { type: 'number', minimum: 0 },
+            discountPercent: { type: 'number', minimum: 0, maximum: 100 },
+            category: { type: 'string', enum: Object.keys(VAT_CATEGORIES) }
+          },
+          required: ['unitPrice']
+        }
+      },
+      pricesIncludeVat: { type: 'boolean' }
+    }
+  },
+  handler(args) {
+    return Array.isArray(args.lines)
+      ? vatCalculator.calculateInvoice(args)
+      : vatCalculator.calculateAmount(args);
+  }
+};
+
+const zakatItems = (categories) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      category: { type: 'string', enum: Object.keys(categories) },
+      description: { type: 'string' },
+      amount: { type: 'number', minimum: 0 }
+    },
+    required: ['amount']
+  }
+});
+
+export const calculateZakat = {
+  name: 'calculate_zakat',
+  description: 'Calculate Zakat due on zakatable assets after deductible liabilities. Needs the gold or silver price per gram for the nisab; ask the user for it if unknown.',
+  parameters: {
+    type: 'object',
+    properties: {
+      assets: zakatItems(ASSET_CATEGORIES),
+      liabilities: zakatItems(LIABILITY_CATEGORIES),
+      nisabBasis: { type: 'string', enum: ['gold', 'silver'] },
+      pricePerGram: { type: 'number', minimum: 0, description: 'Price per gram of the nisab metal in SAR' },
+      yearBasis: { type: 'string', enum: ['lunar', 'solar'], description: 'lunar (2.5%) or solar (2.5775%)' },
+      hawlStart: { type: 'string', description: 'Start of the hawl, YYYY-MM-DD, Gregorian or Hijri (e.g. 1445-09-01)' },
+      hawlEnd: { type: 'string', description: 'End of the hawl, YYYY-MM-DD, Gregorian or Hijri; defaults to today' }
+    },
+    required: ['assets', 'pricePerGram']
+  },
+  handler(args) {
+    return zakatCalculator.calculate(args);
+  }
+};
+
+export const convertCurrency = {
+  name: 'convert_currency',
+  description: 'Convert an amount between currencies using the stored offline rate table. Pass the invoice or transaction date to use the rate effective on that day.',
+  parameters: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', minimum: 0 },
+      from: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code, e.g. USD' },
+      to: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code, e.g. SAR' },
+      date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Rate date, YYYY-MM-DD; defaults to today' }
+    },
+    required: ['amount', 'from', 'to']
+  },
+  handler(args) {
+    return currencyService.convert(args);
+  }
+};
+
+export const validateVatNumber = {
+  name: 'validate_vat_number',
+  description: 'Check whether a Saudi VAT registration number (TIN), a VAT group member TIN or a Commercial Registration number is well formed.',
+  parameters: {
+    type: 'object',
+    properties: {
+      vatNumber: { type: 'string', description: '15-digit VAT registration number' },
+      groupMemberTin: { type: 'string', description: '10-digit TIN of the member, for a VAT group' },
+      crNumber: { type: 'string', description: '10-digit Commercial Registration number' }
+    }
+  },
+  handler(args) {
+    return taxIdValidator.validateRegistration(args);
+  }
+};
+
+export const verifyZatcaQr = {
+  name: 'verify_zatca_qr',
+  description: 'Decode and verify the Base64 value of a ZATCA e-invoice QR code pasted by the user: seller, VAT number, timestamp, totals and, for Phase 2 codes, the signature.',
+  parameters: {
+    type: 'object',
+    properties: {
+      qr: { type: 'string', description: 'Base64 TLV text read from the QR code' }
+    },
+    required: ['qr']
+  },
+  handler({ qr }) {
+    return zatcaQr.verify(qr);
+  }
+};
+
+export const convertDate = {
+  name: 'convert_date',
+  description: 'Convert a date between the Hijri (Umm al-Qura) and Gregorian calendars. Use whenever the user gives or asks for a Hijri date.',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', pattern: '^\\d{4}-\\d{1,2}-\\d{1,2}$', description: 'YYYY-MM-DD; years before 1600 are read as Hijri' },
+      calendar: { type: 'string', enum: ['gregorian', 'hijri'], description: 'Calendar of the given date, when ambiguous' }
+    },
+    required: ['date']
+  },
+  handler({ date, calendar }) {
+    return hijriCalendar.convert(date, { calendar });
+  }
+};
+
+export const amountInWords = {
+  name: 'amount_in_words',
+  description: 'Write an amount in Arabic and English words as on invoices and cheques ("فقط ... لا غير"), with the currency and its subunit (e.g. riyals and halalas). Use instead of spelling numbers out yourself.',
+  parameters: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', minimum: 0 },
+      currency: { type: 'string', enum: Object.keys(tafqeet.currencies), description: 'Defaults to SAR' }
+    },
+    required: ['amount']
+  },
+  handler({ amount, currency }) {
+    return tafqeet.amountInWords(amount, { currency });
+  }
+};
+
+export default [calculateVat, calculateZakat, convertCurrency, validateVatNumber, verifyZatcaQr, convertDate, amountInWords];
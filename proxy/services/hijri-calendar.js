@@ -0,0 +1,375 @@
+/**
+ * Hijri Calendar
+ * Umm al-Qura ↔ Gregorian conversion (the ICU islamic-umalqura calendar built into Node),
+ * dual-calendar display strings for API responses and documents, fiscal periods in either
+ * calendar with their VAT and Zakat filing deadlines, and the Hijri hawl
+ */
+
+import { ValidationError } from '../utils/errors.js';
+
+// Range of the Umm al-Qura tables (1356-01-01 to 1500-12-30 AH)
+const RANGE = { from: '1937-03-14', to: '2077-11-16', hijriFrom: 1356, hijriTo: 1500 };
+
+// Timestamps are shown as the date in Saudi Arabia
+const TIME_ZONE = 'Asia/Riyadh';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zakat returns are due 120 days after the end of the fiscal year
+const ZAKAT_FILING_DAYS = 120;
+
+const HIJRI_MONTHS = [
+  { ar: 'محرم', en: 'Muharram' },
+  { ar: 'صفر', en: 'Safar' },
+  { ar: 'ربيع الأول', en: 'Rabi al-Awwal' },
+  { ar: 'ربيع الآخر', en: 'Rabi al-Akhir' },
+  { ar: 'جمادى الأولى', en: 'Jumada al-Ula' },
+  { ar: 'جمادى الآخرة', en: 'Jumada al-Akhirah' },
+  { ar: 'رجب', en: 'Rajab' },
+  { ar: 'شعبان', en: 'Shaban' },
+  { ar: 'رمضان', en: 'Ramadan' },
+  { ar: 'شوال', en: 'Shawwal' },
+  { ar: 'ذو القعدة', en: 'Dhu al-Qadah' },
+  { ar: 'ذو الحجة', en: 'Dhu al-Hijjah' }
+];
+
+const GREGORIAN_MONTHS = [
+  { ar: 'يناير', en: 'January' },
+  { ar: 'فبراير', en: 'February' },
+  { ar: 'مارس', en: 'March' },
+  { ar: 'أبريل', en: 'April' },
+  { ar: 'مايو', en: 'May' },
+  { ar: 'يونيو', en: 'June' },
+  { ar: 'يوليو', en: 'July' },
+  { ar: 'أغسطس', en: 'August' },
+  { ar: 'سبتمبر', en: 'September' },
+  { ar: 'أكتوبر', en: 'October' },
+  { ar: 'نوفمبر', en: 'November' },
+  { ar: 'ديسمبر', en: 'December' }
+];
+
+const CALENDARS = ['gregorian', 'hijri'];
+
+const hijriFormat = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura-nu-latn', {
+  timeZone: 'UTC', year: 'numeric', month: 'numeric', day: 'numeric'
+});
+const localDateFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+
+class HijriCalendar {
+  constructor() {
+    this.range = RANGE;
+    this.hijriMonths = HIJRI_MONTHS;
+    this.gregorianMonths = GREGORIAN_MONTHS;
+  }
+
+  inRange(date) {
+    const value = isoDate(date);
+    return value >= RANGE.from && value <= RANGE.to;
+  }
+
+  assertInRange(date, field) {
+    if (!this.inRange(date)) {
+      throw new ValidationError(
+        `${field} is outside the Umm al-Qura range (${RANGE.from} to ${RANGE.to})`,
+        [{ field, value: isoDate(date) }]
+      );
+    }
+  }
+
+  // Hijri year, month and day of a UTC-midnight date
+  hijriParts(date) {
+    const parts = Object.fromEntries(hijriFormat.formatToParts(date).map(part => [part.type, part.value]));
+    return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) };
+  }
+
+  // First day of a Hijri month: start from the mean month length and walk to day 1
+  monthStart(year, month) {
+    const months = (year - 1) * 12 + (month - 1);
+    let date = new Date(Date.UTC(622, 6, 16) + Math.round(months * 29.530588853) * DAY_MS);
+    for (let step = 0; step < 60; step++) {
+      const parts = this.hijriParts(date);
+      const offset = (year - parts.year) * 12 + (month - parts.month);
+      if (offset === 0 && parts.day === 1) return date;
+      date = addDays(date, offset === 0 ? 1 - parts.day : Math.sign(offset) * Math.max(1, Math.abs(offset) * 29 - parts.day + 1));
+    }
+    throw new ValidationError(`Cannot resolve Hijri month ${year}-${pad(month)}`, [{ field: 'hijri', value: `${year}-${month}` }]);
+  }
+
+  daysInMonth(year, month) {
+    return this.hijriParts(addDays(this.monthStart(year, month), 29)).day === 30 ? 30 : 29;
+  }
+
+  /**
+   * A date-only value as that calendar day, a timestamp as its date in Saudi Arabia.
+   * `YYYY-MM-DD` strings are Hijri when `calendar` is hijri or the year is before 1600.
+   */
+  toDate(value, field = 'date', { calendar } = {}) {
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) throw new ValidationError(`${field} must be a valid date`, [{ field }]);
+      return new Date(`${localDateFormat.format(value)}T00:00:00Z`);
+    }
+
+    const text = typeof value === 'string' ? value.trim() : '';
+    const match = text.match(DATE_PATTERN);
+    if (match && (calendar === 'hijri' || Number(match[1]) < 1600)) {
+      return this.fromHijri({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, field);
+    }
+    if (match) {
+      const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      if (date.getUTCMonth() !== Number(match[2]) - 1) {
+        throw new ValidationError(`${field} must be a valid date`, [{ field, value }]);
+      }
+      return date;
+    }
+
+    const timestamp = new Date(text);
+    if (!text || Number.isNaN(timestamp.getTime())) {
+      throw new ValidationError(`${field} must be a valid date`, [{ field, value }]);
+    }
+    return this.toDate(timestamp, field);
+  }
+
+  fromHijri({ year, month, day }, field = 'date') {
+    if (!Number.isInteger(year) || year < RANGE.hijriFrom || year > RANGE.hijriTo) {
+      throw new ValidationError(
+        `${field} year must be between ${RANGE.hijriFrom} and ${RANGE.hijriTo} AH`,
+        [{ field, value: `${year}-${pad(month)}-${pad(day)}` }]
+      );
+    }
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw new ValidationError(`${field} month must be 1-12`, [{ field, value: month }]);
+    }
+    const days = this.daysInMonth(year, month);
+    if (!Number.isInteger(day) || day < 1 || day > days) {
+      throw new ValidationError(
+        `${field}: ${HIJRI_MONTHS[month - 1].en} ${year} has ${days} days`,
+        [{ field, value: `${year}-${pad(month)}-${pad(day)}` }]
+      );
+    }
+    return addDays(this.monthStart(year, month), day - 1);
+  }
+
+  hijriOf(date) {
+    const { year, month, day } = this.hijriParts(date);
+    return { year, month, day, value: `${year}-${pad(month)}-${pad(day)}`, monthName: HIJRI_MONTHS[month - 1] };
+  }
+
+  gregorianOf(date) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    return { year, month, day, value: isoDate(date), monthName: GREGORIAN_MONTHS[month - 1] };
+  }
+
+  /**
+   * Both calendars for a date, with Arabic and English display strings
+   */
+  convert(value, { calendar } = {}) {
+    if (calendar !== undefined && !CALENDARS.includes(calendar)) {
+      throw new ValidationError('calendar must be gregorian or hijri', [{ field: 'calendar', value: calendar }]);
+    }
+    const date = this.toDate(value, 'date', { calendar });
+    this.assertInRange(date, 'date');
+
+    const gregorian = this.gregorianOf(date);
+    const hijri = this.hijriOf(date);
+    return {
+      gregorian,
+      hijri,
+      weekday: {
+        ar: new Intl.DateTimeFormat('ar', { timeZone: 'UTC', weekday: 'long' }).format(date),
+        en: new Intl.DateTimeFormat('en', { timeZone: 'UTC', weekday: 'long' }).format(date)
+      },
+      ...this.display(gregorian, hijri)
+    };
+  }
+
+  display(gregorian, hijri) {
+    const gregorianAr = `${gregorian.day} ${gregorian.monthName.ar} ${gregorian.year}م`;
+    const gregorianEn = `${gregorian.day} ${gregorian.monthName.en} ${gregorian.year}`;
+    if (!hijri) return { ar: gregorianAr, en: gregorianEn };
+    return {
+      ar: `${hijri.day} ${hijri.monthName.ar} ${hijri.year}هـ الموافق ${gregorianAr}`,
+      en: `${hijri.day} ${hijri.monthName.en} ${hijri.year} AH (${gregorianEn})`
+    };
+  }
+
+  /**
+   * Compact dual-calendar value for API responses: { gregorian, hijri, ar, en }.
+   * Null for an empty value; outside the Umm al-Qura range only the Gregorian date is given.
+   */
+  dual(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let date;
+    try {
+      date = this.toDate(value, 'date', { calendar: 'gregorian' });
+    } catch (error) {
+      return null;
+    }
+
+    const gregorian = this.gregorianOf(date);
+    const hijri = this.inRange(date) ? this.hijriOf(date) : null;
+    return { gregorian: gregorian.value, hijri: hijri ? hijri.value : null, ...this.display(gregorian, hijri) };
+  }
+
+  /**
+   * One calendar's display string for documents, e.g. "22 شوال 1445هـ" or "22 Shawwal 1445 AH";
+   * null when the value is empty or has no Umm al-Qura date
+   */
+  format(value, { calendar = 'hijri', locale = 'ar' } = {}) {
+    const dual = this.dual(value);
+    if (!dual || (calendar === 'hijri' && !dual.hijri)) return null;
+
+    const date = new Date(`${dual.gregorian}T00:00:00Z`);
+    const { year, month, day } = calendar === 'hijri' ? this.hijriParts(date) : this.gregorianOf(date);
+    const name = (calendar === 'hijri' ? HIJRI_MONTHS : GREGORIAN_MONTHS)[month - 1][locale === 'en' ? 'en' : 'ar'];
+    const suffix = calendar === 'hijri' ? (locale === 'en' ? ' AH' : 'هـ') : (locale === 'en' ? '' : 'م');
+    return `${day} ${name} ${year}${suffix}`;
+  }
+
+  // Copy of a record with a `<field>Dual` value next to each of the given date fields
+  withDual(record, fields) {
+    if (!record) return record;
+    return { ...record, ...Object.fromEntries(fields.map(field => [`${field}Dual`, this.dual(record[field])])) };
+  }
+
+  today() {
+    return this.convert(new Date());
+  }
+
+  // Months of a Hijri year with their lengths and Gregorian dates
+  hijriYear(year) {
+    return HIJRI_MONTHS.map((name, index) => {
+      const month = index + 1;
+      const start = this.fromHijri({ year, month, day: 1 }, 'year');
+      const days = this.daysInMonth(year, month);
+      return { month, name, days, from: isoDate(start), to: isoDate(addDays(start, days - 1)) };
+    });
+  }
+
+  monthFirstDay(calendar, year, month) {
+    // Months past 12 roll into the following year(s)
+    const normalizedYear = year + Math.floor((month - 1) / 12);
+    const normalizedMonth = ((month - 1) % 12) + 1;
+    return calendar === 'hijri'
+      ? this.fromHijri({ year: normalizedYear, month: normalizedMonth, day: 1 }, 'period')
+      : new Date(Date.UTC(normalizedYear, normalizedMonth - 1, 1));
+  }
+
+  /**
+   * A month, quarter or (fiscal) year in either calendar as an inclusive Gregorian date range.
+   * `startMonth` moves the start of the fiscal year (e.g. 7 for a Rajab-to-Jumada year);
+   * quarters are counted from it. Filing deadlines: VAT by the end of the month after a
+   * month or quarter, Zakat 120 days after a year.
+   */
+  period({ calendar = 'gregorian', year, month, quarter, startMonth = 1 } = {}) {
+    if (!CALENDARS.includes(calendar)) {
+      throw new ValidationError('calendar must be gregorian or hijri', [{ field: 'calendar', value: calendar }]);
+    }
+    const fields = { year, month, quarter, startMonth };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined && !Number.isInteger(value)) {
+        throw new ValidationError(`${field} must be an integer`, [{ field, value }]);
+      }
+    }
+    if (year === undefined) throw new ValidationError('year is required', [{ field: 'year' }]);
+    if (month !== undefined && (month < 1 || month > 12)) throw new ValidationError('month must be 1-12', [{ field: 'month', value: month }]);
+    if (quarter !== undefined && (quarter < 1 || quarter > 4)) throw new ValidationError('quarter must be 1-4', [{ field: 'quarter', value: quarter }]);
+    if (startMonth < 1 || startMonth > 12) throw new ValidationError('startMonth must be 1-12', [{ field: 'startMonth', value: startMonth }]);
+
+    let type = 'year';
+    let firstMonth = startMonth;
+    let months = 12;
+    if (month !== undefined) {
+      type = 'month';
+      firstMonth = month;
+      months = 1;
+    } else if (quarter !== undefined) {
+      type = 'quarter';
+      firstMonth = startMonth + (quarter - 1) * 3;
+      months = 3;
+    }
+
+    const from = this.monthFirstDay(calendar, year, firstMonth);
+    const to = addDays(this.monthFirstDay(calendar, year, firstMonth + months), -1);
+
+    const endOfFollowingMonth = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() + 2, 0));
+    const deadlines = type === 'year'
+      ? { zakatFilingDue: this.dual(addDays(to, ZAKAT_FILING_DAYS)) }
+      : { vatFilingDue: this.dual(endOfFollowingMonth) };
+
+    return {
+      calendar,
+      type,
+      from: isoDate(from),
+      to: isoDate(to),
+      days: Math.round((to - from) / DAY_MS) + 1,
+      fromDual: this.dual(from),
+      toDual: this.dual(to),
+      label: this.periodLabel({ calendar, type, year, firstMonth, quarter }),
+      deadlines
+    };
+  }
+
+  periodLabel({ calendar, type, year, firstMonth, quarter }) {
+    const names = calendar === 'hijri' ? HIJRI_MONTHS : GREGORIAN_MONTHS;
+    const suffix = calendar === 'hijri' ? { ar: 'هـ', en: ' AH' } : { ar: 'م', en: '' };
+    if (type === 'month') {
+      return { ar: `${names[firstMonth - 1].ar} ${year}${suffix.ar}`, en: `${names[firstMonth - 1].en} ${year}${suffix.en}` };
+    }
+    if (type === 'quarter') {
+      return { ar: `الربع ${quarter} من السنة المالية ${year}${suffix.ar}`, en: `Q${quarter} of fiscal year ${year}${suffix.en}` };
+    }
+    return { ar: `السنة المالية ${year}${suffix.ar}`, en: `Fiscal year ${year}${suffix.en}` };
+  }
+
+  /**
+   * Inclusive Gregorian from/to for list and report queries: either explicit `from`/`to`
+   * (Gregorian or Hijri dates) or a period (`year` with optional `month`/`quarter`)
+   */
+  resolveRange({ from, to, calendar, year, month, quarter, startMonth } = {}) {
+    const integer = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    if (year !== undefined && year !== null && year !== '') {
+      const period = this.period({
+        calendar: calendar || 'gregorian',
+        year: integer(year),
+        month: integer(month),
+        quarter: integer(quarter),
+        startMonth: integer(startMonth)
+      });
+      return { from: period.from, to: period.to, period };
+    }
+
+    const options = { calendar };
+    return {
+      from: from ? isoDate(this.toDate(from, 'from', options)) : undefined,
+      to: to ? isoDate(this.toDate(to, 'to', options)) : undefined
+    };
+  }
+
+  /**
+   * End of a hawl started on `start`: the same Hijri date a Hijri year later (the 29th
+   * when the month has no 30th)
+   */
+  hawlEnd(start) {
+    const date = this.toDate(start, 'hawlStart');
+    this.assertInRange(date, 'hawlStart');
+    const { year, month, day } = this.hijriParts(date);
+    if (year + 1 > RANGE.hijriTo) {
+      throw new ValidationError('hawlStart is too late for the Umm al-Qura range', [{ field: 'hawlStart', value: start }]);
+    }
+    const end = this.fromHijri({ year: year + 1, month, day: Math.min(day, this.daysInMonth(year + 1, month)) }, 'hawlStart');
+    return { start: isoDate(date), end: isoDate(end), days: Math.round((end - date) / DAY_MS) };
+  }
+}
+
+// Export singleton instance
+export default new HijriCalendar();
@@ -0,0 +1,233 @@
+/**
+ * Invite Service
+ * Email invitations to join an organization with a role. The emailed token is a signed JWT
+ * naming the invite; the invite itself (pending, accepted or revoked) is kept in org_invites,
+ * so revoking works before the token expires.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import databaseManager from '../database-config.js';
+import authService from './auth-service.js';
+import rbacService from './rbac-service.js';
+import messageTransport from './message-transport.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+const TOKEN_AUDIENCE = 'org-invite';
+const DEFAULT_ROLE = 'viewer';
+const DEFAULT_LIFETIME_DAYS = 7;
+const MAX_LIFETIME_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ERRORS = {
+  INVITE_INVALID: { message: 'Invitation link is invalid', messageArabic: 'رابط الدعوة غير صالح' },
+  INVITE_EXPIRED: { message: 'Invitation has expired; ask for a new one', messageArabic: 'انتهت صلاحية الدعوة، يرجى طلب دعوة جديدة' },
+  INVITE_REVOKED: { message: 'Invitation has been revoked', messageArabic: 'تم إلغاء الدعوة' },
+  INVITE_ACCEPTED: { message: 'Invitation has already been accepted', messageArabic: 'تم قبول الدعوة مسبقاً' },
+  INVITE_EMAIL_MISMATCH: { message: 'Invitation was sent to another email address', messageArabic: 'الدعوة مرسلة إلى بريد إلكتروني آخر' },
+  INVITE_ROLE_REMOVED: { message: 'The role of this invitation no longer exists', messageArabic: 'الدور المحدد في الدعوة لم يعد موجوداً' },
+  ALREADY_MEMBER: { message: 'Already a member of this organization', messageArabic: 'المستخدم عضو في المنظمة بالفعل' },
+  ALREADY_IN_ORGANIZATION: { message: 'Already a member of another organization', messageArabic: 'المستخدم عضو في منظمة أخرى' },
+  OWNER_ONLY: { message: 'Only owners can invite owners', messageArabic: 'دعوة المالكين مقصورة على المالك' }
+};
+
+class InviteService {
+  constructor(store = databaseManager, accounts = authService, rbac = rbacService, transport = messageTransport) {
+    this.store = store;
+    this.accounts = accounts;
+    this.rbac = rbac;
+    this.transport = transport;
+  }
+
+  error(code, field) {
+    return { field, code, ...ERRORS[code] };
+  }
+
+  status(invite) {
+    if (invite.status === 'pending' && new Date(invite.expiresAt).getTime() <= Date.now()) return 'expired';
+    return invite.status;
+  }
+
+  normalize(invite) {
+    if (!invite) return null;
+
+    const normalized = {
+      id: invite.id,
+      orgId: invite.orgId || invite.org_id,
+      email: invite.email,
+      role: invite.role,
+      status: invite.status,
+      invitedBy: invite.invitedBy || invite.invited_by || null,
+      expiresAt: invite.expiresAt || invite.expires_at,
+      acceptedBy: invite.acceptedBy || invite.accepted_by || null,
+      acceptedAt: invite.acceptedAt || invite.accepted_at || null,
+      revokedAt: invite.revokedAt || invite.revoked_at || null,
+      createdAt: invite.createdAt || invite.created_at
+    };
+    return { ...normalized, status: this.status(normalized) };
+  }
+
+  lifetime(expiresInDays) {
+    if (expiresInDays === undefined || expiresInDays === null) return DEFAULT_LIFETIME_DAYS;
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LIFETIME_DAYS) {
+      throw new ValidationError(`expiresInDays must be a whole number from 1 to ${MAX_LIFETIME_DAYS}`, [
+        { field: 'expiresInDays', code: 'INVITE_EXPIRY_INVALID' }
+      ]);
+    }
+    return days;
+  }
+
+  signToken(invite) {
+    return jwt.sign(
+      { inviteId: invite.id, orgId: invite.orgId, email: invite.email },
+      this.accounts.jwtSecret(),
+      { audience: TOKEN_AUDIENCE, expiresIn: Math.floor((new Date(invite.expiresAt).getTime() - Date.now()) / 1000) }
+    );
+  }
+
+  message(invite, org, token) {
+    const link = process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/invite?token=${token}` : token;
+    const role = this.rbac.builtInRoles[invite.role];
+    const days = Math.round((new Date(invite.expiresAt).getTime() - Date.now()) / DAY_MS);
+    const nameArabic = org.nameArabic || org.name_arabic || org.name;
+
+    return {
+      channel: 'email',
+      to: invite.email,
+      subject: `دعوة للانضمام إلى ${nameArabic} / Invitation to join ${org.name}`,
+      text: `تمت دعوتك للانضمام إلى ${nameArabic} على Dogan AI بدور ${role?.nameArabic || invite.role}.\n` +
+        `سجّل الدخول بهذا البريد الإلكتروني ثم افتح الرابط خلال ${days} أيام:\n${link}\n\n` +
+        `You have been invited to join ${org.name} on Dogan AI as ${role?.name || invite.role}.\n` +
+        `Sign in with this email address and open the link within ${days} days:\n${link}`
+    };
+  }
+
+  /**
+   * Invite { email, role?, expiresInDays? } to the actor's organization and email the link.
+   * The role defaults to viewer and may grant nothing the actor lacks; only owners invite
+   * owners. A new invite replaces a pending one for the same address.
+   */
+  async create(actor, { email, role = DEFAULT_ROLE, expiresInDays } = {}) {
+    await this.store.ready;
+
+    const address = this.accounts.normalizeEmail(email);
+    if (!this.accounts.isEmail(address)) {
+      throw new ValidationError('Email address is not valid', [this.accounts.error('EMAIL_INVALID', 'email')]);
+    }
+    const invited = await this.rbac.role(actor.orgId, role);
+    if (!invited) {
+      throw new ValidationError(`Unknown role "${role}"`, [{ field: 'role', code: 'ROLE_UNKNOWN' }]);
+    }
+    if (role === 'owner' && actor.role !== 'owner') {
+      throw new ForbiddenError(ERRORS.OWNER_ONLY.message, [this.error('OWNER_ONLY', 'role')]);
+    }
+    this.rbac.checkHeld(await this.rbac.permissionsFor(actor), invited.permissions, 'role');
+    const days = this.lifetime(expiresInDays);
+
+    const existing = this.accounts.normalize(await this.store.getUserByEmail(address));
+    if (existing?.orgId === actor.orgId) {
+      throw new ConflictError(ERRORS.ALREADY_MEMBER.message, [this.error('ALREADY_MEMBER', 'email')]);
+    }
+
+    const revokedAt = new Date().toISOString();
+    for (const previous of await this.store.listInvites(actor.orgId, { status: 'pending', email: address })) {
+      await this.store.updateInvite(actor.orgId, previous.id, { status: 'revoked', revokedAt }, 'pending');
+    }
+
+    const invite = this.normalize(await this.store.createInvite({
+      id: crypto.randomUUID(),
+      orgId: actor.orgId,
+      email: address,
+      role,
+      invitedBy: actor.id,
+      expiresAt: new Date(Date.now() + days * DAY_MS).toISOString()
+    }));
+
+    const org = await this.store.getOrganization(actor.orgId);
+    await this.transport.send(this.message(invite, org, this.signToken(invite)));
+    return invite;
+  }
+
+  async list(orgId, { status } = {}) {
+    await this.store.ready;
+
+    const statuses = ['pending', 'accepted', 'revoked', 'expired'];
+    if (status && !statuses.includes(status)) {
+      throw new ValidationError(`status must be one of ${statuses.join(', ')}`, [{ field: 'status', value: status }]);
+    }
+    // Expired invites are stored as pending
+    const stored = await this.store.listInvites(orgId, { status: status === 'expired' ? 'pending' : status });
+    return stored.map(invite => this.normalize(invite)).filter(invite => !status || invite.status === status);
+  }
+
+  // null for unknown invites; accepted invites cannot be revoked
+  async revoke(orgId, inviteId) {
+    await this.store.ready;
+
+    const invite = this.normalize(await this.store.getInvite(orgId, inviteId));
+    if (!invite) return null;
+    if (invite.status === 'revoked') return invite;
+    if (invite.status === 'accepted') {
+      throw new ConflictError(ERRORS.INVITE_ACCEPTED.message, [this.error('INVITE_ACCEPTED', 'id')]);
+    }
+
+    const revoked = await this.store.updateInvite(orgId, inviteId, { status: 'revoked', revokedAt: new Date().toISOString() }, 'pending');
+    if (!revoked) throw new ConflictError(ERRORS.INVITE_ACCEPTED.message, [this.error('INVITE_ACCEPTED', 'id')]);
+    return this.normalize(revoked);
+  }
+
+  // The pending invite behind a token, or the reason it cannot be used
+  async resolve(token) {
+    let claims;
+    try {
+      claims = jwt.verify(String(token || ''), this.accounts.jwtSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      const code = error.name === 'TokenExpiredError' ? 'INVITE_EXPIRED' : 'INVITE_INVALID';
+      throw new ValidationError(ERRORS[code].message, [this.error(code, 'token')]);
+    }
+
+    const invite = this.normalize(await this.store.getInvite(claims.orgId, claims.inviteId));
+    if (!invite || invite.email !== claims.email) {
+      throw new ValidationError(ERRORS.INVITE_INVALID.message, [this.error('INVITE_INVALID', 'token')]);
+    }
+    if (invite.status === 'expired') throw new ValidationError(ERRORS.INVITE_EXPIRED.message, [this.error('INVITE_EXPIRED', 'token')]);
+    if (invite.status === 'revoked') throw new ConflictError(ERRORS.INVITE_REVOKED.message, [this.error('INVITE_REVOKED', 'token')]);
+    if (invite.status === 'accepted') throw new ConflictError(ERRORS.INVITE_ACCEPTED.message, [this.error('INVITE_ACCEPTED', 'token')]);
+    return invite;
+  }
+
+  /**
+   * Join the organization of an invite. The signed-in user must own the invited address and
+   * not belong to an organization yet; opening the emailed link also verifies that address.
+   */
+  async accept(user, token) {
+    await this.store.ready;
+
+    const invite = await this.resolve(token);
+    if (user.email !== invite.email) {
+      throw new ForbiddenError(ERRORS.INVITE_EMAIL_MISMATCH.message, [this.error('INVITE_EMAIL_MISMATCH', 'token')]);
+    }
+    if (user.orgId) {
+      const code = user.orgId === invite.orgId ? 'ALREADY_MEMBER' : 'ALREADY_IN_ORGANIZATION';
+      throw new ConflictError(ERRORS[code].message, [this.error(code, 'token')]);
+    }
+    if (!(await this.rbac.role(invite.orgId, invite.role))) {
+      throw new ConflictError(ERRORS.INVITE_ROLE_REMOVED.message, [this.error('INVITE_ROLE_REMOVED', 'token')]);
+    }
+
+    const now = new Date().toISOString();
+    const accepted = await this.store.updateInvite(invite.orgId, invite.id, { status: 'accepted', acceptedBy: user.id, acceptedAt: now }, 'pending');
+    if (!accepted) throw new ConflictError(ERRORS.INVITE_ACCEPTED.message, [this.error('INVITE_ACCEPTED', 'token')]);
+
+    const updates = { orgId: invite.orgId, role: invite.role, permissions: [] };
+    if (!user.emailVerified) Object.assign(updates, { emailVerified: true, emailVerifiedAt: now });
+    await this.store.updateUser(user.id, updates);
+
+    return this.normalize(accepted);
+  }
+}
+
+// Export singleton instance
+export default new InviteService();
@@ -0,0 +1,667 @@
+/**
+ * Invoice PDF
+ * Local bilingual (Arabic RTL / English) rendering of invoices, credit notes and debit notes
+ * with embedded Noto Naskh Arabic fonts, the organization logo, the ZATCA QR code, the
+ * amount in words and the VAT breakdown. Issued documents are written as PDF/A-3 with the
+ * UBL XML attached.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createRequire } from 'module';
+import fontkit from '@pdf-lib/fontkit';
+import {
+  PDFDocument,
+  PDFName,
+  PDFString,
+  PDFHexString,
+  rgb,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextMatrix,
+  setFillingColor,
+  showText,
+  pushGraphicsState,
+  popGraphicsState
+} from 'pdf-lib';
+import vatCalculator from './vat-calculator.js';
+import zatcaQr from './zatca-qr.js';
+import tafqeet from './tafqeet.js';
+import hijriCalendar from './hijri-calendar.js';
+import { woffToSfnt } from '../utils/woff.js';
+import { srgbProfile } from '../utils/icc.js';
+
+const require = createRequire(import.meta.url);
+
+const PAGE = { width: 595.28, height: 841.89, margin: 40 };
+const COLORS = {
+  text: rgb(0.13, 0.16, 0.2),
+  muted: rgb(0.42, 0.45, 0.5),
+  accent: rgb(0.02, 0.4, 0.32),
+  rule: rgb(0.82, 0.84, 0.87),
+  fill: rgb(0.95, 0.96, 0.97),
+  warning: rgb(0.7, 0.1, 0.1)
+};
+
+// Arabic letters shape right-to-left; Arabic-Indic digits stay left-to-right
+const ARABIC_LETTERS = '\\u0600-\\u065F\\u066A-\\u06EF\\u06FA-\\u06FF\\u0750-\\u077F\\uFB50-\\uFDFF\\uFE70-\\uFEFF';
+const RUN_PATTERN = new RegExp(`[${ARABIC_LETTERS}]+(?:[\\s\\u060C\\u061B\\u061F()]+[${ARABIC_LETTERS}]+)*|[^${ARABIC_LETTERS}]+`, 'g');
+const RTL_PATTERN = new RegExp(`[${ARABIC_LETTERS}]`);
+const NEUTRAL_EDGES = /^([\s\-–—:;,.\/|]*)(.*?)([\s\-–—:;,.\/|]*)$/s;
+const FIRST_STRONG = new RegExp(`[A-Za-z${ARABIC_LETTERS}]`);
+const ARABIC_DIGITS = /[٠-٩۰-۹]/;
+
+const TITLES = {
+  standard: { en: 'Tax Invoice', ar: 'فاتورة ضريبية' },
+  simplified: { en: 'Simplified Tax Invoice', ar: 'فاتورة ضريبية مبسطة' },
+  'credit-note': { en: 'Credit Note', ar: 'إشعار دائن' },
+  'debit-note': { en: 'Debit Note', ar: 'إشعار مدين' }
+};
+
+const STATUS_LABELS = {
+  draft: { en: 'DRAFT', ar: 'مسودة' },
+  cancelled: { en: 'CANCELLED', ar: 'ملغاة' }
+};
+
+const LABELS = {
+  number: { en: 'Invoice number', ar: 'رقم الفاتورة' },
+  issueDate: { en: 'Issue date', ar: 'تاريخ الإصدار' },
+  hijriDate: { en: 'Hijri date', ar: 'التاريخ الهجري' },
+  supplyDate: { en: 'Supply date', ar: 'تاريخ التوريد' },
+  reference: { en: 'Original invoice', ar: 'الفاتورة الأصلية' },
+  reason: { en: 'Reason', ar: 'السبب' },
+  seller: { en: 'Seller', ar: 'البائع' },
+  buyer: { en: 'Buyer', ar: 'المشتري' },
+  vatNumber: { en: 'VAT number', ar: 'الرقم الضريبي' },
+  crNumber: { en: 'CR number', ar: 'السجل التجاري' },
+  index: { en: '#', ar: 'م' },
+  description: { en: 'Description', ar: 'الوصف' },
+  quantity: { en: 'Qty', ar: 'الكمية' },
+  unitPrice: { en: 'Unit price', ar: 'سعر الوحدة' },
+  discount: { en: 'Discount', ar: 'الخصم' },
+  rate: { en: 'VAT %', ar: 'النسبة' },
+  vat: { en: 'VAT', ar: 'الضريبة' },
+  total: { en: 'Total', ar: 'الإجمالي' },
+  category: { en: 'VAT category', ar: 'فئة الضريبة' },
+  taxable: { en: 'Taxable amount', ar: 'المبلغ الخاضع' },
+  totalExclVat: { en: 'Total excluding VAT', ar: 'الإجمالي غير شامل الضريبة' },
+  totalVat: { en: 'Total VAT', ar: 'إجمالي ضريبة القيمة المضافة' },
+  totalInclVat: { en: 'Total including VAT', ar: 'الإجمالي شامل الضريبة' },
+  amountInWords: { en: 'Amount in words', ar: 'المبلغ كتابةً' },
+  vatBreakdown: { en: 'VAT breakdown', ar: 'تفاصيل الضريبة' }
+};
+
+const FONT_FILES = {
+  arabic: { regular: 'arabic-400', bold: 'arabic-700' },
+  latin: { regular: 'latin-400', bold: 'latin-700' }
+};
+
+const fontCache = new Map();
+
+// Font bytes (TTF) and a fontkit instance for shaping, loaded once per face
+const loadFace = (script, weight) => {
+  const key = `${script}-${weight}`;
+  if (!fontCache.has(key)) {
+    const file = require.resolve(`@fontsource/noto-naskh-arabic/files/noto-naskh-arabic-${FONT_FILES[script][weight]}-normal.woff`);
+    const bytes = woffToSfnt(fs.readFileSync(file));
+    fontCache.set(key, { bytes, shaper: fontkit.create(bytes) });
+  }
+  return fontCache.get(key);
+};
+
+const groupDigits = (amount) => {
+  const [whole, fraction] = String(amount).split('.');
+  return `${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}${fraction !== undefined ? `.${fraction}` : ''}`;
+};
+
+const pdfDate = (value) => (value ? new Date(value) : new Date());
+
+/**
+ * One document being drawn: embedded fonts, the current page and the cursor
+ */
+class Canvas {
+  constructor(doc, fonts) {
+    this.doc = doc;
+    this.fonts = fonts;
+    this.fontKeys = new Map();
+    this.page = null;
+  }
+
+  addPage() {
+    this.page = this.doc.addPage([PAGE.width, PAGE.height]);
+    this.fontKeys = new Map();
+    this.y = PAGE.height - PAGE.margin;
+    return this.page;
+  }
+
+  font(run, bold) {
+    const script = run.rtl || ARABIC_DIGITS.test(run.text) ? 'arabic' : 'latin';
+    return this.fonts[script][bold ? 'bold' : 'regular'];
+  }
+
+  fontKey(font) {
+    if (!this.fontKeys.has(font.embedded)) {
+      this.fontKeys.set(font.embedded, this.page.node.newFontDictionary(font.embedded.name, font.embedded.ref));
+    }
+    return this.fontKeys.get(font.embedded);
+  }
+
+  // Logical runs of one script; spaces and punctuation at the edges of a Latin run are
+  // split off so they can follow the paragraph direction
+  runs(text) {
+    return (String(text ?? '').match(RUN_PATTERN) || []).flatMap((part) => {
+      if (RTL_PATTERN.test(part)) return [{ text: part, rtl: true }];
+      const [, leading, core, trailing] = part.match(NEUTRAL_EDGES);
+      return [
+        leading && { text: leading, rtl: false, neutral: true },
+        core && { text: core, rtl: false },
+        trailing && { text: trailing, rtl: false, neutral: true }
+      ].filter(Boolean);
+    });
+  }
+
+  measure(text, { size = 9, bold = false } = {}) {
+    return this.runs(text).reduce((width, run) => {
+      const { shaper } = this.font(run, bold);
+      return width + shaper.layout(run.text).advanceWidth * size / shaper.unitsPerEm;
+    }, 0);
+  }
+
+  /**
+   * Draw shaped glyphs one by one at their fontkit positions, so Arabic joining forms and
+   * mark placement survive (pdf-lib's own drawText ignores glyph offsets)
+   */
+  drawRun(run, x, y, { size, bold, color }) {
+    const font = this.font(run, bold);
+    const layout = font.shaper.layout(run.text);
+    const codes = font.embedded.encodeText(run.text).asString();
+    const scale = size / font.shaper.unitsPerEm;
+
+    const operators = [pushGraphicsState(), setFillingColor(color), beginText(), setFontAndSize(this.fontKey(font), size)];
+    let pen = 0;
+    layout.glyphs.forEach((glyph, index) => {
+      const position = layout.positions[index];
+      operators.push(
+        setTextMatrix(1, 0, 0, 1, x + (pen + position.xOffset) * scale, y + position.yOffset * scale),
+        showText(PDFHexString.of(codes.slice(index * 4, index * 4 + 4)))
+      );
+      pen += position.xAdvance;
+    });
+    operators.push(endText(), popGraphicsState());
+    this.page.pushOperators(...operators);
+
+    return pen * scale;
+  }
+
+  /**
+   * One line of mixed Arabic/English text. `x` is the left edge for align "left", the right
+   * edge for "right" and the centre for "center".
+   */
+  text(value, x, y, { size = 9, bold = false, color = COLORS.text, align = 'left' } = {}) {
+    const runs = this.runs(value);
+    if (!runs.length) return 0;
+
+    const width = this.measure(value, { size, bold });
+    let cursor = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    // Paragraph direction follows the first strong letter
+    const rtl = RTL_PATTERN.test(String(value).match(FIRST_STRONG)?.[0] || '');
+    const visual = rtl
+      ? [...runs].reverse().map(run => (run.neutral ? { ...run, text: [...run.text].reverse().join('') } : run))
+      : runs;
+
+    for (const run of visual) {
+      cursor += this.drawRun(run, cursor, y, { size, bold, color });
+    }
+    return width;
+  }
+
+  // Word-wrap to `width`; long words are kept whole
+  wrap(value, width, options) {
+    const lines = [];
+    let line = '';
+    for (const word of String(value ?? '').split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.measure(candidate, options) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  rect(x, y, width, height, { fill, border } = {}) {
+    this.page.drawRectangle({
+      x, y, width, height,
+      ...(fill && { color: fill }),
+      ...(border && { borderColor: border, borderWidth: 0.5 })
+    });
+  }
+
+  rule(y, { from = PAGE.margin, to = PAGE.width - PAGE.margin } = {}) {
+    this.page.drawLine({ start: { x: from, y }, end: { x: to, y }, thickness: 0.5, color: COLORS.rule });
+  }
+}
+
+class InvoicePdf {
+  constructor() {
+    this.pageSize = PAGE;
+  }
+
+  async embedFonts(doc) {
+    doc.registerFontkit(fontkit);
+    const fonts = {};
+    for (const [script, weights] of Object.entries(FONT_FILES)) {
+      fonts[script] = {};
+      for (const weight of Object.keys(weights)) {
+        const face = loadFace(script, weight);
+        // Embedded whole: the subsetter drops the contextual forms Arabic shaping substitutes in
+        fonts[script][weight] = { ...face, embedded: await doc.embedFont(face.bytes) };
+      }
+    }
+    return fonts;
+  }
+
+  // Organization logo from settings.logo (PNG or JPEG data URL); anything else is skipped
+  async embedLogo(doc, org) {
+    const logo = org?.settings?.logo || (typeof org?.settings === 'string' && JSON.parse(org.settings).logo);
+    const match = typeof logo === 'string' && logo.match(/^data:image\/(png|jpe?g);base64,(.+)$/);
+    if (!match) return null;
+
+    try {
+      const bytes = Buffer.from(match[2], 'base64');
+      return match[1] === 'png' ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  title(invoice) {
+    if (invoice.documentType !== 'invoice') return TITLES[invoice.documentType];
+    return TITLES[invoice.type] || TITLES.standard;
+  }
+
+  drawHeader(canvas, invoice, logo) {
+    const { margin, width } = PAGE;
+    const title = this.title(invoice);
+    const top = canvas.y;
+
+    if (logo) {
+      const size = logo.scaleToFit(90, 60);
+      canvas.page.drawImage(logo, { x: width / 2 - size.width / 2, y: top - size.height, ...size });
+    }
+
+    canvas.text(title.en, margin, top - 18, { size: 16, bold: true, color: COLORS.accent });
+    canvas.text(title.ar, width - margin, top - 20, { size: 18, bold: true, color: COLORS.accent, align: 'right' });
+
+    const status = STATUS_LABELS[invoice.status];
+    if (status) {
+      canvas.text(status.en, margin, top - 36, { size: 10, bold: true, color: COLORS.warning });
+      canvas.text(status.ar, width - margin, top - 38, { size: 10, bold: true, color: COLORS.warning, align: 'right' });
+    }
+
+    canvas.y = top - 72;
+    canvas.rule(canvas.y + 8);
+  }
+
+  // Label (English left, Arabic right) with the value in the middle
+  drawField(canvas, label, value) {
+    if (value === null || value === undefined || value === '') return;
+    const { margin, width } = PAGE;
+    canvas.text(label.en, margin, canvas.y, { size: 8, color: COLORS.muted });
+    canvas.text(value, width / 2, canvas.y, { size: 9, bold: true, align: 'center' });
+    canvas.text(label.ar, width - margin, canvas.y, { size: 8, color: COLORS.muted, align: 'right' });
+    canvas.y -= 15;
+  }
+
+  partyLines(party = {}) {
+    const address = party.address || {};
+    const addressLine = [address.buildingNumber, address.street, address.district, address.city, address.postalCode]
+      .filter(Boolean).join(', ');
+    return [
+      party.nameArabic,
+      party.name,
+      party.vatNumber && { label: LABELS.vatNumber, value: party.vatNumber },
+      party.crNumber && { label: LABELS.crNumber, value: party.crNumber },
+      addressLine
+    ].filter(Boolean);
+  }
+
+  drawParties(canvas, invoice) {
+    const { margin, width } = PAGE;
+    const columnWidth = (width - margin * 2 - 10) / 2;
+    const parties = [
+      { label: LABELS.seller, lines: this.partyLines(invoice.seller) },
+      { label: LABELS.buyer, lines: this.partyLines(invoice.customer) }
+    ];
+    const rows = Math.max(...parties.map(party => party.lines.length), 1);
+    const height = 24 + rows * 13;
+    const top = canvas.y;
+
+    parties.forEach((party, index) => {
+      const x = margin + index * (columnWidth + 10);
+      canvas.rect(x, top - height, columnWidth, height, { border: COLORS.rule });
+      canvas.rect(x, top - 18, columnWidth, 18, { fill: COLORS.fill });
+      canvas.text(party.label.en, x + 6, top - 13, { size: 9, bold: true });
+      canvas.text(party.label.ar, x + columnWidth - 6, top - 13, { size: 9, bold: true, align: 'right' });
+      party.lines.forEach((line, row) => {
+        const y = top - 32 - row * 13;
+        if (line.label) {
+          canvas.text(`${line.label.en}: ${line.value}`, x + 6, y, { size: 8.5 });
+          canvas.text(line.label.ar, x + columnWidth - 6, y, { size: 8, color: COLORS.muted, align: 'right' });
+        } else if (RTL_PATTERN.test(line)) {
+          canvas.text(line, x + columnWidth - 6, y, { size: 8.5, align: 'right' });
+        } else {
+          canvas.text(line, x + 6, y, { size: 8.5 });
+        }
+      });
+    });
+
+    canvas.y = top - height - 16;
+  }
+
+  lineColumns() {
+    const widths = [20, 175, 45, 65, 50, 40, 55, 65];
+    const keys = ['index', 'description', 'quantity', 'unitPrice', 'discount', 'rate', 'vat', 'total'];
+    let x = PAGE.margin;
+    return keys.map((key, index) => {
+      const column = { key, x, width: widths[index] };
+      x += widths[index];
+      return column;
+    });
+  }
+
+  drawTableHeader(canvas, columns) {
+    const top = canvas.y;
+    canvas.rect(PAGE.margin, top - 26, PAGE.width - PAGE.margin * 2, 26, { fill: COLORS.fill });
+    for (const column of columns) {
+      const center = column.x + column.width / 2;
+      canvas.text(LABELS[column.key].ar, center, top - 11, { size: 7.5, bold: true, align: 'center' });
+      canvas.text(LABELS[column.key].en, center, top - 22, { size: 7, color: COLORS.muted, align: 'center' });
+    }
+    canvas.y = top - 26;
+  }
+
+  drawLines(canvas, invoice, calculation) {
+    const columns = this.lineColumns();
+    const description = columns[1];
+    this.drawTableHeader(canvas, columns);
+
+    calculation.lines.forEach((line, index) => {
+      const source = invoice.lines[index] || {};
+      const text = source.name || source.description || '';
+      const wrapped = canvas.wrap(text, description.width - 8, { size: 8.5 });
+      const height = Math.max(wrapped.length, 1) * 11 + 8;
+
+      if (canvas.y - height < PAGE.margin + 40) {
+        canvas.addPage();
+        this.drawTableHeader(canvas, columns);
+      }
+
+      const baseline = canvas.y - 12;
+      const values = {
+        index: String(index + 1),
+        quantity: line.quantity,
+        unitPrice: groupDigits(line.unitPrice),
+        discount: groupDigits(line.discount),
+        rate: `${line.rate}%`,
+        vat: groupDigits(line.vatAmount),
+        total: groupDigits(line.totalAmount)
+      };
+
+      for (const column of columns) {
+        if (column.key === 'description') {
+          wrapped.forEach((part, row) => {
+            const rtl = RTL_PATTERN.test(part);
+            canvas.text(part, rtl ? column.x + column.width - 4 : column.x + 4, baseline - row * 11, { size: 8.5, align: rtl ? 'right' : 'left' });
+          });
+        } else {
+          canvas.text(values[column.key], column.x + column.width / 2, baseline, { size: 8.5, align: 'center' });
+        }
+      }
+
+      canvas.y -= height;
+      canvas.rule(canvas.y);
+    });
+
+    canvas.y -= 14;
+  }
+
+  drawTotals(canvas, invoice, calculation) {
+    const { margin, width } = PAGE;
+    const { totals } = calculation;
+    const boxWidth = 230;
+    const x = width - margin - boxWidth;
+    const rows = [
+      [LABELS.totalExclVat, totals.taxExclusiveAmount],
+      [LABELS.totalVat, totals.vatTotal],
+      [LABELS.totalInclVat, totals.payableAmount]
+    ];
+
+    rows.forEach(([label, amount], index) => {
+      const last = index === rows.length - 1;
+      const top = canvas.y;
+      if (last) canvas.rect(x, top - 30, boxWidth, 30, { fill: COLORS.fill });
+      canvas.text(label.ar, x + boxWidth - 6, top - 12, { size: 8.5, bold: last, align: 'right' });
+      canvas.text(label.en, x + boxWidth - 6, top - 24, { size: 7.5, color: COLORS.muted, align: 'right' });
+      canvas.text(`${groupDigits(amount)} ${invoice.currency}`, x + 6, top - 18, { size: last ? 11 : 9.5, bold: true });
+      canvas.y -= 30;
+      canvas.rule(canvas.y, { from: x, to: x + boxWidth });
+    });
+  }
+
+  drawBreakdown(canvas, invoice, calculation, top) {
+    const { margin } = PAGE;
+    const widths = [95, 40, 55, 50];
+    let y = top;
+
+    canvas.text(`${LABELS.vatBreakdown.en} / ${LABELS.vatBreakdown.ar}`, margin, y - 10, { size: 8.5, bold: true });
+    y -= 18;
+
+    const header = [LABELS.category, LABELS.rate, LABELS.taxable, LABELS.vat];
+    canvas.rect(margin, y - 22, widths.reduce((sum, value) => sum + value, 0), 22, { fill: COLORS.fill });
+    let x = margin;
+    header.forEach((label, index) => {
+      canvas.text(label.ar, x + widths[index] / 2, y - 9, { size: 7, bold: true, align: 'center' });
+      canvas.text(label.en, x + widths[index] / 2, y - 19, { size: 6.5, color: COLORS.muted, align: 'center' });
+      x += widths[index];
+    });
+    y -= 22;
+
+    for (const group of calculation.breakdown) {
+      const cells = [
+        `${group.category} ${group.categoryNameArabic}`,
+        `${group.rate}%`,
+        groupDigits(group.taxableAmount),
+        groupDigits(group.vatAmount)
+      ];
+      x = margin;
+      cells.forEach((cell, index) => {
+        canvas.text(cell, x + widths[index] / 2, y - 11, { size: 7.5, align: 'center' });
+        x += widths[index];
+      });
+      y -= 15;
+    }
+
+    return y;
+  }
+
+  drawAmountInWords(canvas, invoice, calculation) {
+    const { margin, width } = PAGE;
+    let words;
+    try {
+      words = tafqeet.amountInWords(calculation.totals.payableAmount, { currency: invoice.currency });
+    } catch (error) {
+      return;
+    }
+
+    const contentWidth = width - margin * 2;
+    canvas.text(`${LABELS.amountInWords.ar}:`, width - margin, canvas.y, { size: 8.5, bold: true, align: 'right' });
+    canvas.y -= 13;
+    for (const line of canvas.wrap(words.arabic, contentWidth, { size: 9 })) {
+      canvas.text(line, width - margin, canvas.y, { size: 9, align: 'right' });
+      canvas.y -= 13;
+    }
+    canvas.text(`${LABELS.amountInWords.en}:`, margin, canvas.y, { size: 8.5, bold: true });
+    canvas.y -= 12;
+    for (const line of canvas.wrap(words.english, contentWidth, { size: 8.5 })) {
+      canvas.text(line, margin, canvas.y, { size: 8.5 });
+      canvas.y -= 12;
+    }
+  }
+
+  async drawQr(canvas, doc, invoice, top) {
+    if (!invoice.qr) return top;
+    const image = await doc.embedPng(await zatcaQr.image(invoice.qr, 'png'));
+    const size = 110;
+    canvas.page.drawImage(image, { x: PAGE.width - PAGE.margin - size, y: top - size, width: size, height: size });
+    return top - size;
+  }
+
+  drawFooter(canvas, invoice) {
+    const pages = canvas.doc.getPages();
+    pages.forEach((page, index) => {
+      canvas.page = page;
+      canvas.fontKeys = new Map();
+      canvas.text(`UUID: ${invoice.uuid}`, PAGE.margin, PAGE.margin - 16, { size: 7, color: COLORS.muted });
+      canvas.text(`${index + 1} / ${pages.length}`, PAGE.width - PAGE.margin, PAGE.margin - 16, { size: 7, color: COLORS.muted, align: 'right' });
+    });
+  }
+
+  /**
+   * PDF/A-3b parts: XMP metadata, sRGB output intent, document ID and the UBL XML attached
+   * as the invoice's alternative (machine-readable) representation
+   */
+  applyPdfA(doc, invoice, { title, author, date }) {
+    const { context, catalog } = doc;
+    const iso = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    const xmp = `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+<pdfaid:part>3</pdfaid:part>
+<pdfaid:conformance>B</pdfaid:conformance>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(title)}</rdf:li></rdf:Alt></dc:title>
+<dc:creator><rdf:Seq><rdf:li>${escape(author)}</rdf:li></rdf:Seq></dc:creator>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+<xmp:CreateDate>${iso}</xmp:CreateDate>
+<xmp:ModifyDate>${iso}</xmp:ModifyDate>
+<xmp:CreatorTool>Dogan AI Factory</xmp:CreatorTool>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+<pdf:Producer>Dogan AI Factory</pdf:Producer>
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+    const metadata = context.stream(Buffer.from(xmp, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+    const profile = context.register(context.flateStream(srgbProfile(), { N: 3 }));
+    catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj({
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFString.of('sRGB IEC61966-2.1'),
+      Info: PDFString.of('sRGB IEC61966-2.1'),
+      DestOutputProfile: profile
+    })]));
+
+    if (invoice.xml) {
+      const name = `${invoice.number || invoice.id}.xml`;
+      const xml = Buffer.from(invoice.xml, 'utf8');
+      const file = context.register(context.flateStream(xml, {
+        Type: 'EmbeddedFile',
+        Subtype: 'application/xml',
+        Params: { Size: xml.length, ModDate: PDFString.fromDate(date) }
+      }));
+      const fileSpec = context.register(context.obj({
+        Type: 'Filespec',
+        F: PDFString.of(name),
+        UF: PDFHexString.fromText(name),
+        Desc: PDFHexString.fromText('ZATCA UBL 2.1 e-invoice'),
+        AFRelationship: 'Alternative',
+        EF: { F: file, UF: file }
+      }));
+
+      catalog.set(PDFName.of('Names'), context.obj({
+        EmbeddedFiles: { Names: [PDFHexString.fromText(name), fileSpec] }
+      }));
+      catalog.set(PDFName.of('AF'), context.obj([fileSpec]));
+    }
+
+    const id = PDFHexString.of(crypto.createHash('md5').update(`${invoice.uuid}:${iso}`).digest('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  /**
+   * Render an invoice record (as returned by the invoice service). `org` supplies the logo;
+   * `pdfa` (default true) writes PDF/A-3 with the XML attached when the invoice has one.
+   */
+  async render(invoice, { org = null, pdfa = true } = {}) {
+    const doc = await PDFDocument.create({ updateMetadata: false });
+    const fonts = await this.embedFonts(doc);
+    const logo = await this.embedLogo(doc, org);
+    const calculation = vatCalculator.calculateInvoice({
+      lines: invoice.lines,
+      pricesIncludeVat: invoice.options?.pricesIncludeVat,
+      currency: invoice.currency
+    });
+    // Issued documents keep the totals frozen at issue
+    if (invoice.status !== 'draft' && invoice.totals?.payableAmount) calculation.totals = invoice.totals;
+    if (invoice.status !== 'draft' && invoice.breakdown?.length) calculation.breakdown = invoice.breakdown;
+
+    const canvas = new Canvas(doc, fonts);
+    canvas.addPage();
+
+    this.drawHeader(canvas, invoice, logo);
+    this.drawField(canvas, LABELS.number, invoice.number);
+    this.drawField(canvas, LABELS.issueDate, [invoice.issueDate, invoice.issueTime].filter(Boolean).join(' '));
+    this.drawField(canvas, LABELS.hijriDate, hijriCalendar.format(invoice.issueDate));
+    this.drawField(canvas, LABELS.supplyDate, invoice.options?.supplyDate);
+    this.drawField(canvas, LABELS.reference, invoice.billingReference);
+    this.drawField(canvas, LABELS.reason, invoice.reason);
+    canvas.y -= 6;
+
+    this.drawParties(canvas, invoice);
+    this.drawLines(canvas, invoice, calculation);
+
+    if (canvas.y < 300) canvas.addPage();
+    const top = canvas.y;
+    this.drawTotals(canvas, invoice, calculation);
+    const breakdownBottom = this.drawBreakdown(canvas, invoice, calculation, top);
+    canvas.y = Math.min(canvas.y, breakdownBottom) - 20;
+
+    this.drawAmountInWords(canvas, invoice, calculation);
+    await this.drawQr(canvas, doc, invoice, canvas.y - 10);
+    this.drawFooter(canvas, invoice);
+
+    const title = this.title(invoice);
+    const date = pdfDate(invoice.issuedAt || invoice.createdAt);
+    const author = invoice.seller?.name || org?.name || 'Dogan AI Factory';
+    const documentTitle = `${title.en} ${invoice.number || ''}`.trim();
+
+    doc.setTitle(documentTitle);
+    doc.setAuthor(author);
+    doc.setCreator('Dogan AI Factory');
+    doc.setProducer('Dogan AI Factory');
+    doc.setCreationDate(date);
+    doc.setModificationDate(date);
+    doc.setLanguage('ar-SA');
+
+    if (pdfa) this.applyPdfA(doc, invoice, { title: documentTitle, author, date });
+
+    return Buffer.from(await doc.save());
+  }
+}
+
+// Export singleton instance
+export default new InvoicePdf();
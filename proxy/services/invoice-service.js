@@ -0,0 +1,404 @@
+/**
+ * Invoice Service
+ * Invoices, credit notes and debit notes per organization: drafts, gap-free numbering per
+ * series on issue, ZATCA XML/QR and VAT totals frozen into the issued record, and cancellation
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import vatCalculator from './vat-calculator.js';
+import zatcaInvoice, { DOCUMENT_TYPES } from './zatca-invoice.js';
+import zatcaQr from './zatca-qr.js';
+import zatcaStamping from './zatca-stamping.js';
+import taxIdValidator from './tax-id-validator.js';
+import hijriCalendar from './hijri-calendar.js';
+import { ValidationError, ConflictError } from '../utils/errors.js';
+
+const STATUSES = ['draft', 'issued', 'cancelled'];
+const INVOICE_TYPES = ['standard', 'simplified'];
+
+// Default numbering series per document type
+const DEFAULT_SERIES = {
+  invoice: 'INV',
+  'credit-note': 'CRN',
+  'debit-note': 'DBN'
+};
+
+const SERIES_PATTERN = /^[A-Z0-9][A-Z0-9-]{0,19}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_DIGITS = 6;
+
+// Draft fields a client may set; everything else is derived
+const EDITABLE_FIELDS = ['documentType', 'type', 'series', 'issueDate', 'currency', 'customer', 'seller', 'lines',
+  'originalInvoiceId', 'reason', 'egsId'];
+const OPTION_FIELDS = ['pricesIncludeVat', 'transactionFlags', 'paymentMeansCode', 'note', 'supplyDate', 'supplyEndDate'];
+
+const parse = (value, fallback) => {
+  if (value === undefined || value === null) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toDateString = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value || null);
+
+class InvoiceService {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.locks = new Map();
+  }
+
+  /**
+   * Map a stored row (camelCase in memory, snake_case from PostgreSQL) to the API shape
+   */
+  normalize(invoice, { includeXml = true } = {}) {
+    if (!invoice) return null;
+
+    return {
+      id: invoice.id,
+      orgId: invoice.orgId || invoice.org_id,
+      documentType: invoice.documentType || invoice.document_type,
+      type: invoice.type,
+      series: invoice.series,
+      sequence: invoice.sequence ?? null,
+      number: invoice.number || null,
+      status: invoice.status,
+      uuid: invoice.uuid,
+      issueDate: toDateString(invoice.issueDate || invoice.issue_date),
+      issueTime: invoice.issueTime || invoice.issue_time || null,
+      currency: invoice.currency,
+      customer: parse(invoice.customer, {}),
+      seller: parse(invoice.seller, {}),
+      lines: parse(invoice.lines, []),
+      options: parse(invoice.options, {}),
+      originalInvoiceId: invoice.originalInvoiceId || invoice.original_invoice_id || null,
+      billingReference: invoice.billingReference || invoice.billing_reference || null,
+      reason: invoice.reason || null,
+      egsId: invoice.egsId || invoice.egs_id || null,
+      totals: parse(invoice.totals, {}),
+      breakdown: parse(invoice.breakdown, []),
+      qr: invoice.qr || null,
+      ...(includeXml && { xml: invoice.xml || null }),
+      invoiceHash: invoice.invoiceHash || invoice.invoice_hash || null,
+      icv: invoice.icv ?? null,
+      issuedAt: invoice.issuedAt || invoice.issued_at || null,
+      cancelledAt: invoice.cancelledAt || invoice.cancelled_at || null,
+      cancellationReason: invoice.cancellationReason || invoice.cancellation_reason || null,
+      createdBy: invoice.createdBy || invoice.created_by || null,
+      createdAt: invoice.createdAt || invoice.created_at,
+      updatedAt: invoice.updatedAt || invoice.updated_at
+    };
+  }
+
+  formatNumber(series, sequence) {
+    return `${series}-${String(sequence).padStart(NUMBER_DIGITS, '0')}`;
+  }
+
+  // Serialize issues, edits and deletes per org and series so numbers are handed out in order
+  // and a draft cannot change or disappear while it is being issued
+  async withLock(key, work) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(work);
+    this.locks.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === current) this.locks.delete(key);
+    }
+  }
+
+  /**
+   * Customer details copied onto the invoice; VAT and CR numbers are validated and normalized
+   */
+  customerSnapshot(customer) {
+    if (customer === undefined || customer === null) return {};
+    if (typeof customer !== 'object' || Array.isArray(customer)) {
+      throw new ValidationError('customer must be an object', [{ field: 'customer' }]);
+    }
+
+    const snapshot = { ...customer };
+    if (customer.vatNumber !== undefined) snapshot.vatNumber = taxIdValidator.assertVatNumber(customer.vatNumber, 'customer.vatNumber');
+    if (customer.crNumber !== undefined) snapshot.crNumber = taxIdValidator.assertCrNumber(customer.crNumber, 'customer.crNumber');
+    return Object.fromEntries(Object.entries(snapshot).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * Validate draft fields and work out the VAT totals shown before issue
+   */
+  prepareDraft(fields, existing = {}) {
+    const draft = { ...existing };
+
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] !== undefined) draft[field] = fields[field];
+    }
+    draft.options = { ...(existing.options || {}) };
+    for (const field of OPTION_FIELDS) {
+      if (fields[field] !== undefined) draft.options[field] = fields[field];
+    }
+
+    draft.documentType = draft.documentType || 'invoice';
+    if (!DOCUMENT_TYPES[draft.documentType]) {
+      throw new ValidationError(`documentType must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`, [{ field: 'documentType', value: draft.documentType }]);
+    }
+    draft.type = draft.type || 'standard';
+    if (!INVOICE_TYPES.includes(draft.type)) {
+      throw new ValidationError(`type must be one of ${INVOICE_TYPES.join(', ')}`, [{ field: 'type', value: draft.type }]);
+    }
+
+    draft.series = String(draft.series || DEFAULT_SERIES[draft.documentType]).toUpperCase();
+    if (!SERIES_PATTERN.test(draft.series)) {
+      throw new ValidationError('series must be 1-20 letters, digits or dashes', [{ field: 'series', value: draft.series }]);
+    }
+    if (draft.issueDate && !DATE_PATTERN.test(draft.issueDate)) {
+      throw new ValidationError('issueDate must be YYYY-MM-DD', [{ field: 'issueDate', value: draft.issueDate }]);
+    }
+    // A Hijri issue date is stored as its Gregorian equivalent, as ZATCA requires
+    if (draft.issueDate) {
+      draft.issueDate = hijriCalendar.toDate(draft.issueDate, 'issueDate').toISOString().slice(0, 10);
+    }
+
+    draft.currency = String(draft.currency || 'SAR').toUpperCase();
+    if (fields.customer !== undefined) draft.customer = this.customerSnapshot(fields.customer);
+    draft.seller = draft.seller || {};
+
+    if (draft.documentType === 'invoice') {
+      draft.originalInvoiceId = null;
+    }
+
+    const calculation = vatCalculator.calculateInvoice({
+      lines: draft.lines,
+      pricesIncludeVat: draft.options.pricesIncludeVat,
+      currency: draft.currency
+    });
+    draft.totals = calculation.totals;
+    draft.breakdown = calculation.breakdown;
+
+    return draft;
+  }
+
+  async requireOrganization(orgId) {
+    if (!orgId) throw new ValidationError('orgId is required', [{ field: 'orgId' }]);
+    const org = await this.store.getOrganization(orgId);
+    if (!org) throw new ValidationError('Organization not found', [{ field: 'orgId', value: orgId }]);
+    return org;
+  }
+
+  // Credit and debit notes reference an issued invoice of the same organization
+  async resolveOriginal(draft) {
+    if (draft.documentType === 'invoice') return null;
+
+    if (!draft.originalInvoiceId) {
+      throw new ValidationError('originalInvoiceId is required for credit and debit notes', [{ field: 'originalInvoiceId' }]);
+    }
+    const original = this.normalize(await this.store.getInvoice(draft.orgId, draft.originalInvoiceId), { includeXml: false });
+    if (!original || original.documentType !== 'invoice' || original.status !== 'issued') {
+      throw new ValidationError('originalInvoiceId must be an issued invoice of the same organization', [{ field: 'originalInvoiceId', value: draft.originalInvoiceId }]);
+    }
+    return original;
+  }
+
+  // New draft of the organization; an orgId in `fields` is ignored
+  async create(orgId, fields, { createdBy } = {}) {
+    await this.store.ready;
+    await this.requireOrganization(orgId);
+
+    const draft = this.prepareDraft(fields);
+    draft.orgId = orgId;
+    await this.resolveOriginal(draft);
+
+    const invoice = await this.store.createInvoice({
+      ...draft,
+      id: crypto.randomUUID(),
+      uuid: crypto.randomUUID(),
+      status: 'draft',
+      createdBy: createdBy || null
+    });
+    return this.normalize(invoice);
+  }
+
+  async get(orgId, invoiceId) {
+    await this.store.ready;
+    return this.normalize(await this.store.getInvoice(orgId, invoiceId));
+  }
+
+  async list(orgId, filters = {}) {
+    await this.store.ready;
+
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new ValidationError(`status must be one of ${STATUSES.join(', ')}`, [{ field: 'status', value: filters.status }]);
+    }
+    // from/to may be Hijri dates, or a Gregorian/Hijri period (year with month or quarter)
+    const { from, to, period } = hijriCalendar.resolveRange(filters);
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const invoices = await this.store.listInvoices(orgId, { ...filters, from, to, limit, offset });
+
+    return {
+      invoices: invoices.map(invoice => this.normalize(invoice, { includeXml: false })),
+      ...(period && { period }),
+      limit,
+      offset
+    };
+  }
+
+  // Issued and cancelled invoices are immutable
+  async requireDraft(orgId, invoiceId) {
+    const invoice = await this.get(orgId, invoiceId);
+    if (invoice && invoice.status !== 'draft') {
+      throw new ConflictError(`Invoice is ${invoice.status} and can no longer be changed`, [{ field: 'status', value: invoice.status }]);
+    }
+    return invoice;
+  }
+
+  async update(orgId, invoiceId, fields) {
+    const found = await this.requireDraft(orgId, invoiceId);
+    if (!found) return null;
+
+    return this.withLock(`${found.orgId}:${found.series}`, async () => {
+      const existing = await this.requireDraft(orgId, invoiceId);
+      if (!existing) return null;
+
+      const draft = this.prepareDraft(fields, existing);
+      await this.resolveOriginal(draft);
+
+      const updates = Object.fromEntries(
+        [...EDITABLE_FIELDS, 'options', 'totals', 'breakdown'].map(field => [field, draft[field] ?? null])
+      );
+      const updated = await this.store.updateInvoice(orgId, invoiceId, updates, 'draft');
+      if (!updated) throw new ConflictError('Invoice can no longer be changed', [{ field: 'status' }]);
+      return this.normalize(updated);
+    });
+  }
+
+  async remove(orgId, invoiceId) {
+    const found = await this.requireDraft(orgId, invoiceId);
+    if (!found) return false;
+
+    return this.withLock(`${found.orgId}:${found.series}`, async () => {
+      const existing = await this.requireDraft(orgId, invoiceId);
+      if (!existing) return false;
+      return this.store.deleteDraftInvoice(orgId, invoiceId);
+    });
+  }
+
+  // Seller details from the organization; the draft's `seller` overrides field by field
+  sellerSnapshot(org, overrides = {}) {
+    const settings = parse(org.settings, {});
+    return Object.fromEntries(Object.entries({
+      name: org.name,
+      nameArabic: org.nameArabic || org.name_arabic,
+      vatNumber: org.vatNumber || org.vat_number,
+      crNumber: org.crNumber || org.cr_number,
+      address: settings.address,
+      ...overrides
+    }).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * ZATCA document for the draft under its new number: stamped on an EGS unit when one is
+   * set, otherwise the Phase 1 XML with the counter taken from the series sequence
+   */
+  async buildDocument(draft, { number, sequence, seller, billingReference, issueDate, issueTime, query }) {
+    const input = {
+      ...draft.options,
+      uuid: draft.uuid,
+      number,
+      type: draft.type,
+      documentType: draft.documentType,
+      currency: draft.currency,
+      issueDate,
+      issueTime,
+      seller,
+      buyer: Object.keys(draft.customer).length ? draft.customer : null,
+      lines: draft.lines,
+      billingReference,
+      reason: draft.reason
+    };
+
+    if (draft.egsId) {
+      const unit = await zatcaStamping.getUnit(draft.orgId, draft.egsId);
+      if (!unit) {
+        throw new ValidationError('egsId must be an EGS unit of the same organization', [{ field: 'egsId', value: draft.egsId }]);
+      }
+      const stamped = await zatcaStamping.stamp(draft.orgId, draft.egsId, input, { query });
+      return { qr: stamped.qr, xml: stamped.xml, invoiceHash: stamped.invoiceHash, icv: stamped.icv, totals: stamped.totals };
+    }
+
+    const document = zatcaInvoice.generate({ ...input, counter: sequence });
+    // Standard invoices get their QR on clearance; keep a Phase 1 code for printing until then
+    const qr = document.qr || zatcaQr.encode(zatcaInvoice.qrFields({ seller, issueDate, issueTime }, document));
+    return { qr, xml: document.xml, invoiceHash: null, icv: document.counter, totals: document.totals };
+  }
+
+  /**
+   * Issue a draft: assign the next number in its series, snapshot the seller and build the
+   * ZATCA document. A failed issue consumes no number.
+   */
+  async issue(orgId, invoiceId) {
+    const existing = await this.requireDraft(orgId, invoiceId);
+    if (!existing) return null;
+
+    return this.withLock(`${orgId}:${existing.series}`, async () => {
+      const draft = await this.requireDraft(orgId, invoiceId);
+      if (!draft) return null;
+
+      const org = await this.requireOrganization(orgId);
+      const original = await this.resolveOriginal(draft);
+      const now = new Date().toISOString();
+      const seller = this.sellerSnapshot(org, draft.seller);
+      const issueDate = draft.issueDate || now.slice(0, 10);
+      const issueTime = now.slice(11, 19);
+
+      // The chain entry of a stamped invoice is written in the same transaction as the issue
+      const issued = await this.store.issueInvoice(draft, async (sequence, query) => {
+        const number = this.formatNumber(draft.series, sequence);
+        const billingReference = original ? original.number : null;
+        const document = await this.buildDocument(draft, { number, sequence, seller, billingReference, issueDate, issueTime, query });
+
+        return {
+          number,
+          issueDate,
+          issueTime,
+          seller,
+          billingReference,
+          totals: document.totals,
+          qr: document.qr,
+          xml: document.xml,
+          invoiceHash: document.invoiceHash,
+          icv: document.icv,
+          issuedAt: now
+        };
+      });
+
+      if (!issued) throw new ConflictError('Invoice can no longer be changed', [{ field: 'status' }]);
+      return this.normalize(issued);
+    });
+  }
+
+  /**
+   * Cancel an issued invoice. The number stays used; corrections after reporting to ZATCA
+   * should be made with a credit note instead.
+   */
+  async cancel(orgId, invoiceId, reason) {
+    const invoice = await this.get(orgId, invoiceId);
+    if (!invoice) return null;
+    if (invoice.status !== 'issued') {
+      throw new ConflictError(`Only issued invoices can be cancelled (invoice is ${invoice.status})`, [{ field: 'status', value: invoice.status }]);
+    }
+    if (!reason || typeof reason !== 'string') {
+      throw new ValidationError('reason is required to cancel an invoice', [{ field: 'reason' }]);
+    }
+
+    const cancelled = await this.store.updateInvoice(orgId, invoiceId, {
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString(),
+      cancellationReason: reason
+    }, 'issued');
+    if (!cancelled) throw new ConflictError('Invoice is no longer issued', [{ field: 'status' }]);
+    return this.normalize(cancelled);
+  }
+}
+
+export { STATUSES as INVOICE_STATUSES, DEFAULT_SERIES };
+
+// Export singleton instance
+export default new InvoiceService();
@@ -0,0 +1,257 @@
+/**
+ * LLM Provider Layer
+ * Interchangeable chat-completion backends selected per agent
+ */
+
+import fs from 'fs';
+import OpenAI from 'openai';
+
+const DEFAULT_SETTINGS = {
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 1000,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7
+};
+
+const lastUserMessage = (messages) =>
+  [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+/**
+ * OpenAI chat completions.
+ * complete() resolves to { content, toolCalls, model, usage }; stream() yields
+ * { type: 'content', content } events and, when the model asks for tools, one
+ * final { type: 'tool_calls', toolCalls } event.
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, defaultModel = 'gpt-3.5-turbo' } = {}) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+  }
+
+  buildParams({ model, messages, maxTokens, temperature, tools, toolChoice }) {
+    const params = {
+      model: model || this.defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (tools?.length) {
+      params.tools = tools;
+      params.tool_choice = toolChoice || 'auto';
+    }
+
+    return params;
+  }
+
+  async complete(request) {
+    const completion = await this.client.chat.completions.create(
+      this.buildParams(request),
+      { signal: request.signal }
+    );
+
+    const message = completion.choices[0]?.message || {};
+
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      })),
+      model: completion.model,
+      usage: completion.usage || null
+    };
+  }
+
+  async *stream(request) {
+    const stream = await this.client.chat.completions.create(
+      { ...this.buildParams(request), stream: true },
+      { signal: request.signal }
+    );
+
+    // Tool calls arrive as fragments keyed by index and must be reassembled
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) yield { type: 'content', content: delta.content };
+
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    if (toolCalls.length) yield { type: 'tool_calls', toolCalls: toolCalls.filter(Boolean) };
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat API (Ollama, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ name = 'local', baseURL, apiKey, defaultModel }) {
+    // Local servers usually ignore the key, but the client requires one
+    super({ name, baseURL, apiKey: apiKey || 'not-needed', defaultModel });
+  }
+}
+
+/**
+ * Deterministic offline provider for demos and tests.
+ * Replies come from an ordered list of { match, reply, tool, arguments } rules; without a match it
+ * echoes the user. A rule with a tool first requests that tool call, then replies with `reply`
+ * (or the raw tool results) once the results are in the conversation.
+ */
+class ScriptProvider {
+  constructor({ name = 'script', script = [] } = {}) {
+    this.name = name;
+    this.defaultModel = 'script';
+    this.rules = script.map(rule => ({
+      pattern: new RegExp(rule.match, 'i'),
+      reply: rule.reply,
+      tool: rule.tool,
+      arguments: rule.arguments || {}
+    }));
+  }
+
+  async complete({ messages, tools = [], toolChoice }) {
+    const rule = this.rules.find(r => r.pattern.test(lastUserMessage(messages)));
+
+    const toolResults = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      toolResults.unshift(messages[i].content);
+    }
+
+    const canCallTool = rule?.tool && toolChoice !== 'none' && tools.some(t => t.function.name === rule.tool);
+    if (canCallTool && !toolResults.length) {
+      return {
+        content: '',
+        toolCalls: [{ id: 'call_script_1', name: rule.tool, arguments: JSON.stringify(rule.arguments) }],
+        model: this.defaultModel,
+        usage: null
+      };
+    }
+
+    const content = toolResults.length
+      ? (rule?.reply || toolResults.join('\n'))
+      : (rule?.reply ?? lastUserMessage(messages));
+
+    return { content, toolCalls: [], model: this.defaultModel, usage: null };
+  }
+
+  async *stream(request) {
+    const { content, toolCalls } = await this.complete(request);
+
+    if (toolCalls.length) {
+      yield { type: 'tool_calls', toolCalls };
+      return;
+    }
+
+    // Word-sized chunks so streaming clients see incremental output
+    for (const piece of content.split(/(?<=\s)/)) {
+      if (request.signal?.aborted) return;
+      yield { type: 'content', content: piece };
+    }
+  }
+}
+
+/**
+ * Used when the requested provider is not configured
+ */
+class UnavailableProvider {
+  constructor() {
+    this.name = 'unavailable';
+    this.defaultModel = 'none';
+  }
+
+  reply(agent) {
+    return `مرحباً! أنا ${agent || 'مساعدك الذكي'}. للأسف، لا يمكنني الوصول إلى خدمة الذكاء الاصطناعي حالياً. يرجى التأكد من إعداد مفتاح OpenAI API بشكل صحيح.`;
+  }
+
+  async complete({ agent }) {
+    return { content: this.reply(agent), toolCalls: [], model: this.defaultModel, usage: null };
+  }
+
+  async *stream({ agent }) {
+    yield { type: 'content', content: this.reply(agent) };
+  }
+}
+
+const loadScript = (scriptPath) => {
+  if (!scriptPath) return [];
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Failed to load LLM script from ${scriptPath}:`, error.message);
+    return [];
+  }
+};
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.fallback = new UnavailableProvider();
+
+    if (process.env.OPENAI_API_KEY) {
+      this.register(new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+      }));
+    }
+
+    if (process.env.LOCAL_LLM_BASE_URL) {
+      this.register(new OpenAICompatibleProvider({
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3'
+      }));
+    }
+
+    this.register(new ScriptProvider({ script: loadScript(process.env.LLM_SCRIPT_PATH) }));
+    this.register(this.fallback);
+
+    this.defaultProvider = process.env.LLM_PROVIDER ||
+      (this.providers.has('openai') ? 'openai' : this.fallback.name);
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  isAvailable(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Resolve an agent's model settings to a concrete provider and request parameters
+   */
+  resolve(settings = {}) {
+    const requested = settings.provider || this.defaultProvider;
+    let provider = this.providers.get(requested);
+
+    if (!provider) {
+      console.warn(`⚠️  LLM provider "${requested}" is not configured, using ${this.fallback.name}`);
+      provider = this.fallback;
+    }
+
+    return {
+      provider,
+      model: settings.model || provider.defaultModel,
+      maxTokens: settings.maxTokens ?? DEFAULT_SETTINGS.maxTokens,
+      temperature: settings.temperature ?? DEFAULT_SETTINGS.temperature
+    };
+  }
+}
+
+export { OpenAIProvider, OpenAICompatibleProvider, ScriptProvider, UnavailableProvider };
+
+// Export singleton instance
+export default new LLMProviderRegistry();
@@ -0,0 +1,114 @@
+/**
+ * Message Transport
+ * Delivers SMS and email messages (login codes, invitations) through a pluggable transport
+ * chosen by MESSAGE_TRANSPORT: `console` and `file` for local development, `webhook` to
+ * hand messages to an SMS/email gateway over HTTP
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CHANNELS = ['sms', 'email'];
+
+// Development stand-in: prints each message to the server log
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+    this.local = true;
+  }
+
+  async send(message) {
+    const heading = message.subject ? ` — ${message.subject}` : '';
+    console.log(`📨 [${message.channel}] to ${message.to}${heading}\n${message.text}`);
+    return { delivered: true };
+  }
+}
+
+// Development stand-in: appends each message as a JSON line to MESSAGE_OUTBOX_FILE
+class FileTransport {
+  constructor(file = process.env.MESSAGE_OUTBOX_FILE || path.join('logs', 'outbox.jsonl')) {
+    this.name = 'file';
+    this.local = true;
+    this.file = file;
+  }
+
+  async send(message) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    return { delivered: true };
+  }
+}
+
+// POSTs { channel, to, subject, text } to MESSAGE_WEBHOOK_URL, e.g. a relay in front of an SMS provider
+class WebhookTransport {
+  constructor(url = process.env.MESSAGE_WEBHOOK_URL, token = process.env.MESSAGE_WEBHOOK_TOKEN) {
+    this.name = 'webhook';
+    this.local = false;
+    this.url = url;
+    this.token = token;
+  }
+
+  async send(message) {
+    if (!this.url) throw new Error('MESSAGE_WEBHOOK_URL is not set');
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) throw new Error(`Message webhook answered ${response.status}`);
+    return { delivered: true };
+  }
+}
+
+class MessageTransport {
+  constructor() {
+    this.factories = new Map([
+      ['console', () => new ConsoleTransport()],
+      ['file', () => new FileTransport()],
+      ['webhook', () => new WebhookTransport()]
+    ]);
+    this.transports = new Map();
+  }
+
+  /**
+   * Add a transport, e.g. a provider SDK: `register('unifonic', () => ({ name, send }))`.
+   * Select it with MESSAGE_TRANSPORT, or SMS_TRANSPORT / EMAIL_TRANSPORT for one channel.
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.transports.delete(name);
+  }
+
+  transportFor(channel) {
+    const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || process.env.MESSAGE_TRANSPORT || 'console';
+    const factory = this.factories.get(name);
+    if (!factory) throw new Error(`Unknown message transport "${name}"`);
+
+    if (!this.transports.has(name)) this.transports.set(name, factory());
+    const transport = this.transports.get(name);
+
+    // Local stand-ins would write login codes to logs or disk
+    if (transport.local && process.env.NODE_ENV === 'production') {
+      throw new Error(`Message transport "${name}" is for development only; configure a real ${channel} transport`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send { channel: 'sms' | 'email', to, subject?, text }
+   */
+  async send(message) {
+    if (!CHANNELS.includes(message.channel)) throw new Error(`Unknown message channel "${message.channel}"`);
+    const transport = this.transportFor(message.channel);
+    const result = await transport.send(message);
+    return { transport: transport.name, ...result };
+  }
+}
+
+// Export singleton instance
+export default new MessageTransport();
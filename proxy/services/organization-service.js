@@ -0,0 +1,136 @@
+/**
+ * Organization Service
+ * Onboarding of a company: legal Arabic and English names, VAT and CR numbers, industry and
+ * national address. The user who creates an organization becomes its owner.
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import zatcaInvoice from './zatca-invoice.js';
+import { ValidationError, ConflictError } from '../utils/errors.js';
+
+const NAME_MAX_LENGTH = 255;
+const INDUSTRY_MAX_LENGTH = 100;
+const ADDRESS_FIELDS = ['street', 'additionalStreet', 'buildingNumber', 'additionalNumber', 'district', 'city', 'postalCode', 'region', 'country'];
+
+const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : value || fallback);
+
+class OrganizationService {
+  constructor(store = databaseManager) {
+    this.store = store;
+  }
+
+  // Stored organization (camelCase in memory, snake_case from PostgreSQL) to one shape
+  normalize(org) {
+    if (!org) return null;
+
+    const settings = parse(org.settings, {});
+    return {
+      id: org.id,
+      name: org.name,
+      nameArabic: org.nameArabic || org.name_arabic || null,
+      vatNumber: org.vatNumber || org.vat_number || null,
+      crNumber: org.crNumber || org.cr_number || null,
+      industry: org.industry || null,
+      country: org.country || 'SA',
+      address: settings.address || null,
+      settings,
+      createdAt: org.createdAt || org.created_at || null,
+      updatedAt: org.updatedAt || org.updated_at || null
+    };
+  }
+
+  /**
+   * Validated changes from { name, nameArabic, vatNumber, crNumber, industry, address }. On
+   * create every field but `industry` is required; the address must satisfy the ZATCA seller
+   * rules, since it is printed on the organization's invoices.
+   */
+  fields(input, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+    const given = (key) => input[key] !== undefined || !partial;
+
+    for (const [key, code] of [['name', 'ORG_NAME_REQUIRED'], ['nameArabic', 'ORG_NAME_ARABIC_REQUIRED']]) {
+      if (!given(key)) continue;
+      const value = input[key];
+      if (typeof value !== 'string' || !value.trim() || value.length > NAME_MAX_LENGTH) {
+        errors.push({ field: key, code, message: `${key} is required (at most ${NAME_MAX_LENGTH} characters)` });
+      } else {
+        fields[key] = value.trim();
+      }
+    }
+
+    // Checked and normalized by the data layer
+    for (const [key, code] of [['vatNumber', 'VAT_NUMBER_REQUIRED'], ['crNumber', 'CR_NUMBER_REQUIRED']]) {
+      if (!given(key)) continue;
+      if (!input[key]) errors.push({ field: key, code, message: `${key} is required` });
+      else fields[key] = input[key];
+    }
+
+    if (input.industry !== undefined) {
+      if (input.industry !== null && (typeof input.industry !== 'string' || input.industry.length > INDUSTRY_MAX_LENGTH)) {
+        errors.push({ field: 'industry', code: 'INDUSTRY_INVALID', message: `industry must be text of at most ${INDUSTRY_MAX_LENGTH} characters` });
+      } else {
+        fields.industry = input.industry ? input.industry.trim() : null;
+      }
+    }
+
+    if (given('address')) {
+      const address = input.address && typeof input.address === 'object' && !Array.isArray(input.address)
+        ? Object.fromEntries(ADDRESS_FIELDS.filter(key => input.address[key]).map(key => [key, String(input.address[key]).trim()]))
+        : null;
+      zatcaInvoice.validateAddress(address, 'address', (rule, field, message) => errors.push({ field, code: rule, message }), { required: true });
+      fields.address = address;
+    }
+
+    if (errors.length) throw new ValidationError(errors.map(error => error.message).join('; '), errors);
+    return fields;
+  }
+
+  /**
+   * Create an organization and make the actor its owner. A user belongs to one organization,
+   * so members of another one are refused.
+   */
+  async create(actor, input = {}) {
+    await this.store.ready;
+
+    if (actor.orgId) {
+      throw new ConflictError('You already belong to an organization', [{ field: 'orgId', code: 'ALREADY_IN_ORGANIZATION' }]);
+    }
+
+    const { address, ...fields } = this.fields(input);
+    const org = await this.store.createOrganization({
+      id: crypto.randomUUID(),
+      ...fields,
+      industry: fields.industry || null,
+      country: address.country || 'SA',
+      settings: { address }
+    });
+    await this.store.updateUser(actor.id, { orgId: org.id, role: 'owner', permissions: [] });
+
+    return this.normalize(org);
+  }
+
+  async get(orgId) {
+    await this.store.ready;
+    return this.normalize(await this.store.getOrganization(orgId));
+  }
+
+  // Partial update; the address is merged into settings so other settings (e.g. the logo) stay
+  async update(orgId, input = {}) {
+    const existing = await this.get(orgId);
+    if (!existing) return null;
+
+    const { address, ...updates } = this.fields(input, { partial: true });
+    if (address) {
+      updates.settings = { ...existing.settings, address };
+      updates.country = address.country || 'SA';
+    }
+    if (!Object.keys(updates).length) return existing;
+
+    return this.normalize(await this.store.updateOrganization(orgId, updates));
+  }
+}
+
+// Export singleton instance
+export default new OrganizationService();
@@ -0,0 +1,188 @@
+/**
+ * OTP Service
+ * Passwordless login with one-time codes sent by SMS or email. Codes are stored as an HMAC,
+ * expire after 5 minutes, allow 5 guesses, and can be resent once a minute (5 per hour).
+ * Only the newest code for an address is accepted.
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import authService from './auth-service.js';
+import messageTransport from './message-transport.js';
+import { ValidationError, AuthenticationError, RateLimitError } from '../utils/errors.js';
+
+const OTP = {
+  length: 6,
+  expiresInSeconds: 5 * 60,
+  maxAttempts: 5,
+  resendCooldownSeconds: 60,
+  maxPerHour: 5
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+const ERRORS = {
+  IDENTIFIER_REQUIRED: { message: 'A phone number or email is required', messageArabic: 'يرجى إدخال رقم الجوال أو البريد الإلكتروني' },
+  CODE_REQUIRED: { message: `A ${OTP.length}-digit code is required`, messageArabic: `يرجى إدخال الرمز المكون من ${OTP.length} أرقام` },
+  OTP_INVALID: { message: 'The code is incorrect', messageArabic: 'رمز التحقق غير صحيح' },
+  OTP_EXPIRED: { message: 'The code has expired; request a new one', messageArabic: 'انتهت صلاحية رمز التحقق، يرجى طلب رمز جديد' },
+  OTP_ATTEMPTS_EXCEEDED: { message: 'Too many wrong codes; request a new one', messageArabic: 'تجاوزت عدد المحاولات المسموح، يرجى طلب رمز جديد' },
+  OTP_RESEND_COOLDOWN: { message: 'Please wait before requesting another code', messageArabic: 'يرجى الانتظار قبل طلب رمز جديد' },
+  OTP_HOURLY_LIMIT: { message: 'Too many codes requested; try again later', messageArabic: 'تم طلب رموز كثيرة، يرجى المحاولة لاحقاً' }
+};
+
+const ARABIC_DIGITS = /[٠-٩]/g;
+
+class OtpService {
+  constructor(store = databaseManager, transport = messageTransport, accounts = authService) {
+    this.store = store;
+    this.transport = transport;
+    this.accounts = accounts;
+    this.errors = ERRORS;
+  }
+
+  error(code, field) {
+    return { field, code, ...ERRORS[code] };
+  }
+
+  /**
+   * Channel and normalized address for { phone } or { email }
+   */
+  target({ phone, email } = {}) {
+    if (phone) {
+      const identifier = this.accounts.normalizePhone(phone);
+      if (!identifier) throw new ValidationError('Phone number is not a valid mobile number', [this.accounts.error('PHONE_INVALID', 'phone')]);
+      return { channel: 'sms', identifier };
+    }
+    if (email) {
+      const identifier = this.accounts.normalizeEmail(email);
+      if (!this.accounts.isEmail(identifier)) {
+        throw new ValidationError('Email address is not valid', [this.accounts.error('EMAIL_INVALID', 'email')]);
+      }
+      return { channel: 'email', identifier };
+    }
+    throw new ValidationError(ERRORS.IDENTIFIER_REQUIRED.message, [this.error('IDENTIFIER_REQUIRED', 'phone')]);
+  }
+
+  // Keyed with the JWT secret so a leaked table cannot be brute-forced offline
+  hashCode(otpId, code) {
+    return crypto.createHmac('sha256', this.accounts.jwtSecret()).update(`${otpId}:${code}`).digest('hex');
+  }
+
+  // "+9665••••4567" / "s•••@example.com" for responses
+  mask(channel, identifier) {
+    if (channel === 'sms') return `${identifier.slice(0, 5)}••••${identifier.slice(-4)}`;
+    const [local, domain] = identifier.split('@');
+    return `${local[0]}•••@${domain}`;
+  }
+
+  async findUser({ channel, identifier }) {
+    return channel === 'sms'
+      ? this.store.getUserByPhone(identifier)
+      : this.store.getUserByEmail(identifier);
+  }
+
+  message({ channel, identifier }, code) {
+    const minutes = OTP.expiresInSeconds / 60;
+    return {
+      channel,
+      to: identifier,
+      subject: channel === 'email' ? 'رمز الدخول إلى Dogan AI / Your Dogan AI login code' : undefined,
+      text: `رمز الدخول إلى Dogan AI: ${code}\nصالح لمدة ${minutes} دقائق. لا تشاركه مع أحد.\n` +
+        `Your Dogan AI login code is ${code}. It expires in ${minutes} minutes. Do not share it.`
+    };
+  }
+
+  /**
+   * Send a login code to { phone } or { email }. The answer is the same whether or not an
+   * account uses the address, so it cannot be used to discover accounts; the code is only
+   * sent when one does.
+   */
+  async requestCode(input = {}, { purpose = 'login' } = {}) {
+    await this.store.ready;
+
+    const target = this.target(input);
+    const now = Date.now();
+    const recent = await this.store.listOTPCodes(target.identifier, purpose, new Date(now - HOUR_MS).toISOString());
+
+    if (recent.length) {
+      const waited = (now - new Date(recent[0].createdAt || recent[0].created_at).getTime()) / 1000;
+      if (waited < OTP.resendCooldownSeconds) {
+        throw new RateLimitError(ERRORS.OTP_RESEND_COOLDOWN.message, [this.error('OTP_RESEND_COOLDOWN')],
+          Math.ceil(OTP.resendCooldownSeconds - waited));
+      }
+    }
+    if (recent.length >= OTP.maxPerHour) {
+      const oldest = new Date(recent[recent.length - 1].createdAt || recent[recent.length - 1].created_at).getTime();
+      throw new RateLimitError(ERRORS.OTP_HOURLY_LIMIT.message, [this.error('OTP_HOURLY_LIMIT')],
+        Math.ceil((oldest + HOUR_MS - now) / 1000));
+    }
+
+    const id = crypto.randomUUID();
+    const code = String(crypto.randomInt(0, 10 ** OTP.length)).padStart(OTP.length, '0');
+    await this.store.createOTPCode({
+      id,
+      identifier: target.identifier,
+      channel: target.channel,
+      purpose,
+      codeHash: this.hashCode(id, code),
+      expiresAt: new Date(now + OTP.expiresInSeconds * 1000).toISOString()
+    });
+
+    if (await this.findUser(target)) {
+      await this.transport.send(this.message(target, code));
+    }
+
+    return {
+      channel: target.channel,
+      destination: this.mask(target.channel, target.identifier),
+      codeLength: OTP.length,
+      expiresIn: OTP.expiresInSeconds,
+      resendIn: OTP.resendCooldownSeconds
+    };
+  }
+
+  /**
+   * Check a code for { phone } or { email } and return the signed-in user. A correct code
+   * also marks the address as verified.
+   */
+  async verifyCode({ code, ...input } = {}, { purpose = 'login' } = {}) {
+    await this.store.ready;
+
+    const target = this.target(input);
+    const digits = String(code ?? '').trim().replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660));
+    if (!new RegExp(`^\\d{${OTP.length}}$`).test(digits)) {
+      throw new ValidationError(ERRORS.CODE_REQUIRED.message, [this.error('CODE_REQUIRED', 'code')]);
+    }
+
+    const unauthenticated = (errorCode, extra = {}) =>
+      new AuthenticationError(ERRORS[errorCode].message, [{ code: errorCode, ...ERRORS[errorCode], ...extra }]);
+
+    const [latest] = await this.store.listOTPCodes(target.identifier, purpose, new Date(Date.now() - HOUR_MS).toISOString());
+    if (!latest || latest.consumedAt || latest.consumed_at) throw unauthenticated('OTP_INVALID');
+    if (new Date(latest.expiresAt || latest.expires_at).getTime() <= Date.now()) throw unauthenticated('OTP_EXPIRED');
+
+    // Count the guess before checking it so parallel guesses cannot exceed the limit
+    const attempt = await this.store.recordOTPAttempt(latest.id);
+    if (attempt.attempts > OTP.maxAttempts) throw unauthenticated('OTP_ATTEMPTS_EXCEEDED');
+
+    const expected = Buffer.from(latest.codeHash || latest.code_hash);
+    const matches = crypto.timingSafeEqual(Buffer.from(this.hashCode(latest.id, digits)), expected);
+    if (!matches) throw unauthenticated('OTP_INVALID', { attemptsRemaining: OTP.maxAttempts - attempt.attempts });
+
+    const user = await this.findUser(target);
+    if (!user || !(await this.store.consumeOTPCode(latest.id))) throw unauthenticated('OTP_INVALID');
+
+    const now = new Date().toISOString();
+    const updates = { lastLoginAt: now };
+    if (target.channel === 'email' && !(user.emailVerified ?? user.email_verified)) {
+      Object.assign(updates, { emailVerified: true, emailVerifiedAt: now });
+    }
+    if (target.channel === 'sms' && !(user.phoneVerifiedAt || user.phone_verified_at)) {
+      updates.phoneVerifiedAt = now;
+    }
+    return this.accounts.normalize(await this.store.updateUser(user.id, updates));
+  }
+}
+
+// Export singleton instance
+export default new OtpService();
@@ -0,0 +1,271 @@
+/**
+ * RBAC Service
+ * Permissions of a user from their role in their organization (users.role), per-user extra
+ * grants (users.permissions) and custom roles an organization defines on top of the built-in
+ * owner, admin, accountant, reviewer and viewer roles; API keys hold exactly their scopes
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+const PERMISSIONS = {
+  'chat:use': { en: 'Chat with agents', ar: 'المحادثة مع الوكلاء' },
+  'chat:review': { en: 'Review flagged responses', ar: 'مراجعة الردود المُبلّغ عنها' },
+  'tools:use': { en: 'Use calculators and converters', ar: 'استخدام الحاسبات والمحولات' },
+  'invoices:read': { en: 'View invoices', ar: 'عرض الفواتير' },
+  'invoices:write': { en: 'Create and edit draft invoices', ar: 'إنشاء مسودات الفواتير وتعديلها' },
+  'invoices:issue': { en: 'Issue and cancel invoices', ar: 'إصدار الفواتير وإلغاؤها' },
+  'zatca:read': { en: 'View EGS units and invoice chains', ar: 'عرض وحدات الفوترة وسلاسل الفواتير' },
+  'zatca:stamp': { en: 'Stamp invoices with an EGS unit', ar: 'ختم الفواتير بوحدة الفوترة' },
+  'zatca:manage': { en: 'Register EGS units and certificates', ar: 'تسجيل وحدات الفوترة وشهاداتها' },
+  'agents:read': { en: 'View agents', ar: 'عرض الوكلاء' },
+  'agents:manage': { en: 'Create and edit custom agents', ar: 'إنشاء الوكلاء المخصصين وتعديلهم' },
+  'usage:read': { en: 'View organization usage', ar: 'عرض استهلاك المنظمة' },
+  'members:read': { en: 'View members and their roles', ar: 'عرض الأعضاء وأدوارهم' },
+  'members:manage': { en: 'Assign member roles', ar: 'تعيين أدوار الأعضاء' },
+  'roles:manage': { en: 'Define custom roles', ar: 'إنشاء الأدوار المخصصة' },
+  'api-keys:manage': { en: 'Issue and revoke API keys', ar: 'إصدار مفاتيح الواجهة البرمجية وإلغاؤها' },
+  'org:manage': { en: 'Edit organization details', ar: 'تعديل بيانات المنظمة' }
+};
+const ALL = Object.keys(PERMISSIONS);
+
+const VIEWER = ['chat:use', 'tools:use', 'invoices:read', 'zatca:read', 'agents:read'];
+
+const BUILT_IN_ROLES = {
+  owner: { name: 'Owner', nameArabic: 'المالك', permissions: ALL },
+  admin: {
+    name: 'Admin',
+    nameArabic: 'مدير',
+    // Administers the organization; issuing invoices stays with accountants
+    permissions: ALL.filter(permission => !['invoices:write', 'invoices:issue', 'zatca:stamp'].includes(permission))
+  },
+  accountant: {
+    name: 'Accountant',
+    nameArabic: 'محاسب',
+    permissions: [...VIEWER, 'invoices:write', 'invoices:issue', 'zatca:stamp']
+  },
+  reviewer: { name: 'Reviewer', nameArabic: 'مراجع', permissions: [...VIEWER, 'chat:review'] },
+  viewer: { name: 'Viewer', nameArabic: 'مشاهد', permissions: VIEWER }
+};
+
+// Every signed-in user, with or without an organization
+const PERSONAL_PERMISSIONS = ['chat:use', 'tools:use', 'agents:read'];
+// Anonymous visitors of the public demo
+const DEMO_PERMISSIONS = ['chat:use', 'tools:use'];
+
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+class RbacService {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.permissions = PERMISSIONS;
+    this.builtInRoles = BUILT_IN_ROLES;
+  }
+
+  parseList(value) {
+    if (typeof value === 'string') return JSON.parse(value);
+    return Array.isArray(value) ? value : [];
+  }
+
+  normalizeRole(role) {
+    if (!role) return null;
+
+    return {
+      key: role.key,
+      name: role.name,
+      nameArabic: role.nameArabic || role.name_arabic || null,
+      permissions: this.parseList(role.permissions),
+      builtIn: false,
+      createdAt: role.createdAt || role.created_at,
+      updatedAt: role.updatedAt || role.updated_at
+    };
+  }
+
+  normalizeMember(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      permissions: this.parseList(user.permissions),
+      createdAt: user.createdAt || user.created_at
+    };
+  }
+
+  // The role definition for a key, built-in or defined by the organization
+  async role(orgId, key) {
+    if (BUILT_IN_ROLES[key]) return { key, ...BUILT_IN_ROLES[key], builtIn: true };
+    if (!orgId) return null;
+    return this.normalizeRole(await this.store.getRole(orgId, key));
+  }
+
+  /**
+   * Effective permissions of a user; role permissions only apply inside their organization
+   */
+  async permissionsFor(user) {
+    await this.store.ready;
+
+    if (user.demo) return new Set(DEMO_PERMISSIONS);
+    // API keys hold exactly their scopes
+    if (user.apiKey) return new Set(this.parseList(user.permissions));
+
+    const granted = new Set(PERSONAL_PERMISSIONS);
+    if (!user.orgId) return granted;
+
+    const role = await this.role(user.orgId, user.role);
+    for (const permission of role?.permissions || []) granted.add(permission);
+    for (const permission of this.parseList(user.permissions)) granted.add(permission);
+    return granted;
+  }
+
+  checkPermissions(permissions, field = 'permissions') {
+    if (!Array.isArray(permissions)) {
+      throw new ValidationError('permissions must be an array', [{ field, code: 'PERMISSIONS_INVALID' }]);
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) {
+      throw new ValidationError(`Unknown permissions: ${unknown.join(', ')}`, [{ field, code: 'PERMISSION_UNKNOWN', values: unknown }]);
+    }
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Nobody hands out more than they hold: extra permissions, role definitions, role assignments,
+   * invites and API keys are all limited to the granting principal's effective permissions
+   */
+  checkHeld(held, permissions, field = 'permissions') {
+    const beyond = permissions.filter(permission => !held.has(permission));
+    if (beyond.length) {
+      throw new ForbiddenError(`Cannot grant permissions you do not have: ${beyond.join(', ')}`, [
+        { field, code: 'PERMISSION_NOT_HELD', values: beyond }
+      ]);
+    }
+    return permissions;
+  }
+
+  async listRoles(orgId) {
+    await this.store.ready;
+
+    const custom = (await this.store.listRoles(orgId)).map(role => this.normalizeRole(role));
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({ key, ...role, builtIn: true }));
+    return [...builtIn, ...custom];
+  }
+
+  // Roles are defined from permissions the actor holds
+  async createRole(actor, { key, name, nameArabic, permissions } = {}) {
+    await this.store.ready;
+
+    const errors = [];
+    if (typeof key !== 'string' || !ROLE_KEY_PATTERN.test(key)) {
+      errors.push({ field: 'key', code: 'ROLE_KEY_INVALID', message: 'key must be 2-50 lower-case letters, digits, "-" or "_"' });
+    }
+    if (typeof name !== 'string' || !name.trim()) errors.push({ field: 'name', code: 'ROLE_NAME_REQUIRED', message: 'name is required' });
+    if (errors.length) throw new ValidationError(errors.map(error => error.message).join('; '), errors);
+
+    if (BUILT_IN_ROLES[key] || key === 'user' || key === 'demo') {
+      throw new ConflictError(`"${key}" is a built-in role`, [{ field: 'key', code: 'ROLE_BUILT_IN' }]);
+    }
+
+    const granted = this.checkHeld(await this.permissionsFor(actor), this.checkPermissions(permissions || []));
+
+    try {
+      return this.normalizeRole(await this.store.createRole({
+        id: crypto.randomUUID(),
+        orgId: actor.orgId,
+        key,
+        name: name.trim(),
+        nameArabic: typeof nameArabic === 'string' ? nameArabic.trim() : null,
+        permissions: granted
+      }));
+    } catch (error) {
+      if (error.code === '23505') throw new ConflictError(`Role "${key}" already exists`, [{ field: 'key', code: 'ROLE_EXISTS' }]);
+      throw error;
+    }
+  }
+
+  // null when the organization has no such custom role
+  async updateRole(actor, key, { name, nameArabic, permissions } = {}) {
+    await this.store.ready;
+
+    if (BUILT_IN_ROLES[key]) throw new ConflictError('Built-in roles cannot be changed', [{ field: 'key', code: 'ROLE_BUILT_IN' }]);
+
+    const updates = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) throw new ValidationError('name is required', [{ field: 'name', code: 'ROLE_NAME_REQUIRED' }]);
+      updates.name = name.trim();
+    }
+    if (nameArabic !== undefined) updates.nameArabic = nameArabic ? String(nameArabic).trim() : null;
+    if (permissions !== undefined) {
+      updates.permissions = this.checkHeld(await this.permissionsFor(actor), this.checkPermissions(permissions));
+    }
+    if (!Object.keys(updates).length) return this.role(actor.orgId, key);
+
+    return this.normalizeRole(await this.store.updateRole(actor.orgId, key, updates));
+  }
+
+  // false when there is no such role; roles still assigned to members cannot be deleted
+  async deleteRole(orgId, key) {
+    await this.store.ready;
+
+    if (BUILT_IN_ROLES[key]) throw new ConflictError('Built-in roles cannot be deleted', [{ field: 'key', code: 'ROLE_BUILT_IN' }]);
+    const members = await this.store.listOrgUsers(orgId);
+    const holders = members.filter(member => member.role === key).length;
+    if (holders) {
+      throw new ConflictError(`Role "${key}" is assigned to ${holders} member(s)`, [{ field: 'key', code: 'ROLE_IN_USE', members: holders }]);
+    }
+    return this.store.deleteRole(orgId, key);
+  }
+
+  async listMembers(orgId) {
+    await this.store.ready;
+    return (await this.store.listOrgUsers(orgId)).map(user => this.normalizeMember(user));
+  }
+
+  /**
+   * Give a member of the actor's organization a role and/or extra permissions. Both are limited
+   * to what the actor holds; only owners grant or take away the owner role, and the last owner
+   * cannot be demoted.
+   * Returns null when the user is not a member.
+   */
+  async assignRole(actor, userId, { role, permissions } = {}) {
+    await this.store.ready;
+
+    const member = await this.store.getUserById(userId);
+    if (!member || (member.orgId || member.org_id) !== actor.orgId) return null;
+
+    const updates = {};
+    let assigned;
+    if (role !== undefined) {
+      assigned = await this.role(actor.orgId, role);
+      if (!assigned) {
+        throw new ValidationError(`Unknown role "${role}"`, [{ field: 'role', code: 'ROLE_UNKNOWN' }]);
+      }
+      updates.role = role;
+    }
+    if (permissions !== undefined) updates.permissions = this.checkPermissions(permissions);
+    if (!Object.keys(updates).length) {
+      throw new ValidationError('role or permissions is required', [{ field: 'role', code: 'ROLE_REQUIRED' }]);
+    }
+
+    const touchesOwner = member.role === 'owner' || updates.role === 'owner';
+    if (touchesOwner && actor.role !== 'owner') {
+      throw new ForbiddenError('Only owners can grant or change the owner role', [{ field: 'role', code: 'OWNER_ONLY' }]);
+    }
+    if (member.role === 'owner' && updates.role && updates.role !== 'owner') {
+      const owners = (await this.store.listOrgUsers(actor.orgId)).filter(user => user.role === 'owner');
+      if (owners.length <= 1) {
+        throw new ConflictError('An organization needs at least one owner', [{ field: 'role', code: 'LAST_OWNER' }]);
+      }
+    }
+
+    const held = await this.permissionsFor(actor);
+    if (assigned) this.checkHeld(held, assigned.permissions, 'role');
+    if (updates.permissions) this.checkHeld(held, updates.permissions);
+
+    return this.normalizeMember(await this.store.updateUser(userId, updates));
+  }
+}
+
+// Export singleton instance
+export default new RbacService();
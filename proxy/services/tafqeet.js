@@ -0,0 +1,317 @@
+/**
+ * Tafqeet
+ * Amounts in words: Arabic with gender agreement and dual/plural forms of the counted
+ * noun (e.g. "ألف ومائتان وخمسون ريالاً وخمس وعشرون هللة"), and English, for SAR with
+ * halalas and the other GCC and common currencies with their subunits; plain numbers too
+ */
+
+import Decimal from 'decimal.js';
+import { ValidationError } from '../utils/errors.js';
+import { toDecimal } from '../utils/money.js';
+
+const ONES = {
+  masculine: ['', 'واحد', 'اثنان', 'ثلاثة', 'أربعة', 'خمسة', 'ستة', 'سبعة', 'ثمانية', 'تسعة'],
+  feminine: ['', 'واحدة', 'اثنتان', 'ثلاث', 'أربع', 'خمس', 'ست', 'سبع', 'ثماني', 'تسع']
+};
+const TENS = ['', 'عشرة', 'عشرون', 'ثلاثون', 'أربعون', 'خمسون', 'ستون', 'سبعون', 'ثمانون', 'تسعون'];
+const HUNDREDS = ['', 'مائة', 'مائتان', 'ثلاثمائة', 'أربعمائة', 'خمسمائة', 'ستمائة', 'سبعمائة', 'ثمانمائة', 'تسعمائة'];
+
+// Counted-noun forms: one, two (dual), 3-10 (plural), 11-99 (accusative), otherwise singular.
+// `construct` is the dual when the scale word is directly followed by the counted noun.
+const SCALES = [
+  null,
+  { singular: 'ألف', dual: 'ألفان', construct: 'ألفا', plural: 'آلاف', accusative: 'ألفاً', gender: 'masculine' },
+  { singular: 'مليون', dual: 'مليونان', construct: 'مليونا', plural: 'ملايين', accusative: 'مليوناً', gender: 'masculine' },
+  { singular: 'مليار', dual: 'ملياران', construct: 'مليارا', plural: 'مليارات', accusative: 'ملياراً', gender: 'masculine' },
+  { singular: 'تريليون', dual: 'تريليونان', construct: 'تريليونا', plural: 'تريليونات', accusative: 'تريليوناً', gender: 'masculine' }
+];
+
+const ENGLISH_ONES = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const ENGLISH_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const ENGLISH_SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+// Counted nouns: singular, dual, plural (3-10), accusative (11-99) and gender
+const noun = (singular, dual, plural, accusative, gender = 'masculine') => ({ singular, dual, plural, accusative, gender });
+
+const SUBUNITS = {
+  halala: noun('هللة', 'هللتان', 'هللات', 'هللة', 'feminine'),
+  cent: noun('سنت', 'سنتان', 'سنتات', 'سنتاً'),
+  penny: noun('بنس', 'بنسان', 'بنسات', 'بنساً'),
+  fils: noun('فلس', 'فلسان', 'فلوس', 'فلساً'),
+  baisa: noun('بيسة', 'بيستان', 'بيسات', 'بيسة', 'feminine'),
+  dirham: noun('درهم', 'درهمان', 'دراهم', 'درهماً'),
+  piastre: noun('قرش', 'قرشان', 'قروش', 'قرشاً')
+};
+
+const CURRENCIES = {
+  SAR: {
+    main: noun('ريال', 'ريالان', 'ريالات', 'ريالاً'),
+    sub: SUBUNITS.halala,
+    english: { main: ['Saudi riyal', 'Saudi riyals'], sub: ['halala', 'halalas'] },
+    subunits: 100
+  },
+  AED: {
+    main: noun('درهم إماراتي', 'درهمان إماراتيان', 'دراهم إماراتية', 'درهماً إماراتياً'),
+    sub: SUBUNITS.fils,
+    english: { main: ['UAE dirham', 'UAE dirhams'], sub: ['fils', 'fils'] },
+    subunits: 100
+  },
+  QAR: {
+    main: noun('ريال قطري', 'ريالان قطريان', 'ريالات قطرية', 'ريالاً قطرياً'),
+    sub: SUBUNITS.dirham,
+    english: { main: ['Qatari riyal', 'Qatari riyals'], sub: ['dirham', 'dirhams'] },
+    subunits: 100
+  },
+  KWD: {
+    main: noun('دينار كويتي', 'ديناران كويتيان', 'دنانير كويتية', 'ديناراً كويتياً'),
+    sub: SUBUNITS.fils,
+    english: { main: ['Kuwaiti dinar', 'Kuwaiti dinars'], sub: ['fils', 'fils'] },
+    subunits: 1000
+  },
+  BHD: {
+    main: noun('دينار بحريني', 'ديناران بحرينيان', 'دنانير بحرينية', 'ديناراً بحرينياً'),
+    sub: SUBUNITS.fils,
+    english: { main: ['Bahraini dinar', 'Bahraini dinars'], sub: ['fils', 'fils'] },
+    subunits: 1000
+  },
+  OMR: {
+    main: noun('ريال عماني', 'ريالان عمانيان', 'ريالات عمانية', 'ريالاً عمانياً'),
+    sub: SUBUNITS.baisa,
+    english: { main: ['Omani rial', 'Omani rials'], sub: ['baisa', 'baisa'] },
+    subunits: 1000
+  },
+  EGP: {
+    main: noun('جنيه مصري', 'جنيهان مصريان', 'جنيهات مصرية', 'جنيهاً مصرياً'),
+    sub: SUBUNITS.piastre,
+    english: { main: ['Egyptian pound', 'Egyptian pounds'], sub: ['piastre', 'piastres'] },
+    subunits: 100
+  },
+  USD: {
+    main: noun('دولار أمريكي', 'دولاران أمريكيان', 'دولارات أمريكية', 'دولاراً أمريكياً'),
+    sub: SUBUNITS.cent,
+    english: { main: ['US dollar', 'US dollars'], sub: ['cent', 'cents'] },
+    subunits: 100
+  },
+  EUR: {
+    main: noun('يورو', 'يوروان', 'يورو', 'يورو'),
+    sub: SUBUNITS.cent,
+    english: { main: ['euro', 'euros'], sub: ['cent', 'cents'] },
+    subunits: 100
+  },
+  GBP: {
+    main: noun('جنيه إسترليني', 'جنيهان إسترلينيان', 'جنيهات إسترلينية', 'جنيهاً إسترلينياً'),
+    sub: SUBUNITS.penny,
+    english: { main: ['pound sterling', 'pounds sterling'], sub: ['penny', 'pence'] },
+    subunits: 100
+  }
+};
+
+const GENDERS = ['masculine', 'feminine'];
+const MAX_AMOUNT = new Decimal('1e15');
+
+class Tafqeet {
+  constructor() {
+    this.currencies = CURRENCIES;
+  }
+
+  // 1-999 in the given gender; `construct` gives "مائتا" when the noun follows directly
+  hundredsToArabic(number, gender, { construct = false } = {}) {
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+    const units = rest % 10;
+    const tens = Math.floor(rest / 10);
+    const feminine = gender === 'feminine';
+    const parts = [];
+
+    if (hundreds) parts.push(construct && hundreds === 2 && !rest ? 'مائتا' : HUNDREDS[hundreds]);
+
+    if (rest === 10) {
+      parts.push(feminine ? 'عشر' : 'عشرة');
+    } else if (rest === 11) {
+      parts.push(feminine ? 'إحدى عشرة' : 'أحد عشر');
+    } else if (rest === 12) {
+      parts.push(feminine ? 'اثنتا عشرة' : 'اثنا عشر');
+    } else if (rest > 12 && rest < 20) {
+      // The unit takes the opposite gender to the noun; the ten agrees with it
+      parts.push(`${ONES[gender][units]} ${feminine ? 'عشرة' : 'عشر'}`);
+    } else if (rest >= 20) {
+      const unit = units === 1 && feminine ? 'إحدى' : ONES[gender][units];
+      parts.push(units ? `${unit} و${TENS[tens]}` : TENS[tens]);
+    } else if (rest > 0) {
+      parts.push(ONES[gender][units]);
+    }
+
+    return parts.join(' و');
+  }
+
+  /**
+   * Counted noun for `count`: "ريال واحد", "ريالان", "ثلاثة ريالات", "أحد عشر ريالاً", "مائة ريال".
+   * Returns the number words and the noun separately so callers can skip either.
+   */
+  countedForm(count, noun) {
+    const rest = count % 100;
+    const prefix = count - rest;
+    const numberWords = this.integerToArabic(count, noun.gender, { construct: rest === 0 });
+
+    if (count === 1) return { words: '', noun: noun.singular, one: true };
+    if (count === 2) return { words: '', noun: noun.dual };
+    if (prefix && (rest === 1 || rest === 2)) {
+      return { words: `${this.integerToArabic(prefix, noun.gender)} و${rest === 1 ? noun.singular : noun.dual}`, noun: '', leading: true };
+    }
+    if (rest >= 3 && rest <= 10) return { words: numberWords, noun: noun.plural };
+    if (rest >= 11) return { words: numberWords, noun: noun.accusative };
+    return { words: numberWords, noun: noun.singular };
+  }
+
+  // A scale group ("ثلاثة آلاف", "ألفان", "مائة وخمسون ألفاً"); before a noun "ألفا ريال", "أحد عشر ألف ريال"
+  scaleToArabic(count, scale, { construct = false } = {}) {
+    const form = this.countedForm(count, scale);
+    if (form.leading) return form.words;
+
+    let word = form.noun;
+    if (construct && word === scale.dual) word = scale.construct;
+    if (construct && word === scale.accusative) word = scale.singular;
+    return [form.words, word].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Whole number in Arabic words; `gender` is that of the counted noun, and `construct`
+   * marks a number ending in a scale word that the noun follows directly
+   */
+  integerToArabic(number, gender = 'masculine', { construct = false } = {}) {
+    if (number === 0) return 'صفر';
+
+    const groups = [];
+    for (let value = number; value > 0; value = Math.floor(value / 1000)) groups.push(value % 1000);
+
+    const lowest = groups.findIndex(group => group > 0);
+    return groups
+      .map((group, index) => {
+        if (!group) return null;
+        if (index === 0) return this.hundredsToArabic(group, gender, { construct: construct && index === lowest });
+        return this.scaleToArabic(group, SCALES[index], { construct: construct && index === lowest });
+      })
+      .filter(Boolean)
+      .reverse()
+      .join(' و');
+  }
+
+  // "مائتان وخمسون ريالاً", "ريال واحد", "ريالان"
+  countToArabic(count, noun) {
+    const form = this.countedForm(count, noun);
+    if (form.one) return `${noun.singular} ${ONES[noun.gender][1]}`;
+    if (form.leading) return form.words;
+    return [form.words, form.noun].filter(Boolean).join(' ');
+  }
+
+  integerToEnglish(number) {
+    if (number === 0) return 'zero';
+
+    const below1000 = (value) => {
+      const hundreds = Math.floor(value / 100);
+      const rest = value % 100;
+      const parts = [];
+      if (hundreds) parts.push(`${ENGLISH_ONES[hundreds]} hundred`);
+      if (rest >= 20) {
+        parts.push(ENGLISH_TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ENGLISH_ONES[rest % 10]}` : ''));
+      } else if (rest) {
+        parts.push(ENGLISH_ONES[rest]);
+      }
+      return parts.join(' ');
+    };
+
+    const groups = [];
+    for (let value = number; value > 0; value = Math.floor(value / 1000)) groups.push(value % 1000);
+
+    return groups
+      .map((group, index) => (group ? [below1000(group), ENGLISH_SCALES[index]].filter(Boolean).join(' ') : null))
+      .filter(Boolean)
+      .reverse()
+      .join(' ');
+  }
+
+  // "فقط ... لا غير" / "... only", as on invoices and cheques
+  wrap({ arabic, english }, only) {
+    const capitalized = `${english.charAt(0).toUpperCase()}${english.slice(1)}`;
+    return only
+      ? { arabic: `فقط ${arabic} لا غير`, english: `${capitalized} only` }
+      : { arabic, english: capitalized };
+  }
+
+  /**
+   * Amount in Arabic and English words, rounded to the currency's subunit
+   */
+  amountInWords(amount, { currency = 'SAR', only = true } = {}) {
+    currency = String(currency).toUpperCase();
+    const definition = this.currencies[currency];
+    if (!definition) {
+      throw new ValidationError(`No words defined for currency ${currency}`, [{ field: 'currency', value: currency }]);
+    }
+
+    const value = toDecimal(amount, 'amount');
+    if (value.gte(MAX_AMOUNT)) {
+      throw new ValidationError('amount is too large to write in words', [{ field: 'amount', value: amount }]);
+    }
+
+    const digits = Math.log10(definition.subunits);
+    const rounded = value.toDecimalPlaces(digits, Decimal.ROUND_HALF_UP);
+    const main = rounded.floor().toNumber();
+    const sub = rounded.minus(main).times(definition.subunits).toNumber();
+
+    const arabicParts = [];
+    if (main || !sub) arabicParts.push(this.countToArabic(main, definition.main));
+    if (sub) arabicParts.push(this.countToArabic(sub, definition.sub));
+    const arabic = arabicParts.join(' و');
+
+    const plural = (count, [one, many]) => (count === 1 ? one : many);
+    const englishParts = [];
+    if (main || !sub) englishParts.push(`${this.integerToEnglish(main)} ${plural(main, definition.english.main)}`);
+    if (sub) englishParts.push(`${this.integerToEnglish(sub)} ${plural(sub, definition.english.sub)}`);
+    const english = englishParts.join(' and ');
+
+    return {
+      amount: rounded.toFixed(digits),
+      currency,
+      ...this.wrap({ arabic, english }, only)
+    };
+  }
+
+  /**
+   * Whole number in Arabic and English words. The Arabic agrees with `gender`, or with
+   * `noun` ({ singular, dual, plural, accusative, gender }), which is then counted with
+   * its dual and plural forms: { number: 3, noun: سنة } gives "ثلاث سنوات"
+   */
+  numberInWords(number, { gender = 'masculine', noun: counted, only = false } = {}) {
+    const value = toDecimal(number, 'number');
+    if (!value.isInteger()) {
+      throw new ValidationError('number must be a whole number; use an amount for decimals', [{ field: 'number', value: number }]);
+    }
+    if (value.gte(MAX_AMOUNT)) {
+      throw new ValidationError('number is too large to write in words', [{ field: 'number', value: number }]);
+    }
+    if (!counted && !GENDERS.includes(gender)) {
+      throw new ValidationError(`gender must be one of ${GENDERS.join(', ')}`, [{ field: 'gender', value: gender }]);
+    }
+    if (counted) {
+      const missing = ['singular', 'dual', 'plural', 'accusative'].filter(form => typeof counted[form] !== 'string' || !counted[form]);
+      if (missing.length || !GENDERS.includes(counted.gender)) {
+        throw new ValidationError('noun needs singular, dual, plural and accusative forms and a gender', [{ field: 'noun', value: counted }]);
+      }
+    }
+
+    const integer = value.toNumber();
+    const arabic = counted
+      ? (integer === 0 ? `صفر ${counted.singular}` : this.countToArabic(integer, counted))
+      : this.integerToArabic(integer, gender);
+
+    return {
+      number: value.toString(),
+      gender: counted ? counted.gender : gender,
+      ...this.wrap({ arabic, english: this.integerToEnglish(integer) }, only)
+    };
+  }
+}
+
+// Export singleton instance
+export default new Tafqeet();
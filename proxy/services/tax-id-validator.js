@@ -0,0 +1,168 @@
+/**
+ * Tax ID Validator
+ * Format checks for Saudi VAT registration numbers (including VAT groups), 10-digit TINs
+ * and Commercial Registration numbers, with structured error codes
+ */
+
+import { ValidationError } from '../utils/errors.js';
+
+const ERRORS = {
+  VAT_REQUIRED: { message: 'VAT number is required', messageArabic: 'الرقم الضريبي مطلوب' },
+  VAT_INVALID_CHARACTERS: { message: 'VAT number must contain digits only', messageArabic: 'الرقم الضريبي يجب أن يحتوي على أرقام فقط' },
+  VAT_INVALID_LENGTH: { message: 'VAT number must be 15 digits', messageArabic: 'الرقم الضريبي يجب أن يتكون من 15 رقماً' },
+  VAT_INVALID_FIRST_DIGIT: { message: 'VAT number must start with 3', messageArabic: 'الرقم الضريبي يجب أن يبدأ بالرقم 3' },
+  VAT_INVALID_LAST_DIGIT: { message: 'VAT number must end with 3', messageArabic: 'الرقم الضريبي يجب أن ينتهي بالرقم 3' },
+  TIN_REQUIRED: { message: 'TIN of the group member is required for a VAT group', messageArabic: 'الرقم المميز لعضو المجموعة الضريبية مطلوب' },
+  TIN_INVALID_CHARACTERS: { message: 'TIN must contain digits only', messageArabic: 'الرقم المميز يجب أن يحتوي على أرقام فقط' },
+  TIN_INVALID_LENGTH: { message: 'TIN must be 10 digits', messageArabic: 'الرقم المميز يجب أن يتكون من 10 أرقام' },
+  TIN_INVALID_FIRST_DIGIT: { message: 'TIN must start with 3', messageArabic: 'الرقم المميز يجب أن يبدأ بالرقم 3' },
+  CR_REQUIRED: { message: 'Commercial Registration number is required', messageArabic: 'رقم السجل التجاري مطلوب' },
+  CR_INVALID_CHARACTERS: { message: 'Commercial Registration number must contain digits only', messageArabic: 'رقم السجل التجاري يجب أن يحتوي على أرقام فقط' },
+  CR_INVALID_LENGTH: { message: 'Commercial Registration number must be 10 digits', messageArabic: 'رقم السجل التجاري يجب أن يتكون من 10 أرقام' },
+  CR_INVALID_FIRST_DIGIT: { message: 'Commercial Registration number must start with 1-7', messageArabic: 'رقم السجل التجاري يجب أن يبدأ برقم من 1 إلى 7' }
+};
+
+// Eastern Arabic (٠-٩) and Persian (۰-۹) digits are accepted and stored as ASCII
+const toAsciiDigits = (value) => value
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+
+class TaxIdValidator {
+  constructor() {
+    this.errors = ERRORS;
+  }
+
+  error(code) {
+    return { code, ...ERRORS[code] };
+  }
+
+  // Strip spaces and dashes people type for readability
+  normalize(value) {
+    if (value === undefined || value === null) return '';
+    return toAsciiDigits(String(value)).replace(/[\s-]/g, '');
+  }
+
+  /**
+   * 15 digits, first and last digit 3. An 11th digit of 1 marks a VAT group registration.
+   */
+  validateVatNumber(value) {
+    const normalized = this.normalize(value);
+    const errors = [];
+
+    if (!normalized) {
+      errors.push(this.error('VAT_REQUIRED'));
+    } else if (!/^\d+$/.test(normalized)) {
+      errors.push(this.error('VAT_INVALID_CHARACTERS'));
+    } else {
+      if (normalized.length !== 15) errors.push(this.error('VAT_INVALID_LENGTH'));
+      if (normalized[0] !== '3') errors.push(this.error('VAT_INVALID_FIRST_DIGIT'));
+      if (normalized[normalized.length - 1] !== '3') errors.push(this.error('VAT_INVALID_LAST_DIGIT'));
+    }
+
+    const isGroup = errors.length === 0 && normalized[10] === '1';
+
+    return { type: 'vat', value: normalized, valid: errors.length === 0, isGroup, errors };
+  }
+
+  /**
+   * 10-digit Tax Identification Number, required for the member issuing under a VAT group
+   */
+  validateTin(value) {
+    const normalized = this.normalize(value);
+    const errors = [];
+
+    if (!normalized) {
+      errors.push(this.error('TIN_REQUIRED'));
+    } else if (!/^\d+$/.test(normalized)) {
+      errors.push(this.error('TIN_INVALID_CHARACTERS'));
+    } else {
+      if (normalized.length !== 10) errors.push(this.error('TIN_INVALID_LENGTH'));
+      if (normalized[0] !== '3') errors.push(this.error('TIN_INVALID_FIRST_DIGIT'));
+    }
+
+    return { type: 'tin', value: normalized, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 10-digit Commercial Registration number; the first digit is the issuing office
+   * (1-5 regional offices, 7 for the unified national number)
+   */
+  validateCrNumber(value) {
+    const normalized = this.normalize(value);
+    const errors = [];
+
+    if (!normalized) {
+      errors.push(this.error('CR_REQUIRED'));
+    } else if (!/^\d+$/.test(normalized)) {
+      errors.push(this.error('CR_INVALID_CHARACTERS'));
+    } else {
+      if (normalized.length !== 10) errors.push(this.error('CR_INVALID_LENGTH'));
+      if (!/^[1-7]/.test(normalized)) errors.push(this.error('CR_INVALID_FIRST_DIGIT'));
+    }
+
+    return { type: 'cr', value: normalized, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a registration as a whole: the VAT number (required unless only a CR number is
+   * given), the member's TIN for a VAT group, and the CR number when present
+   */
+  validateRegistration({ vatNumber, groupMemberTin, crNumber } = {}) {
+    const given = (value) => value !== undefined && value !== null;
+    const results = {};
+
+    if (given(vatNumber) || !given(crNumber)) {
+      results.vatNumber = this.validateVatNumber(vatNumber);
+    }
+    if (results.vatNumber?.isGroup || given(groupMemberTin)) {
+      results.groupMemberTin = this.validateTin(groupMemberTin);
+    }
+    if (given(crNumber)) {
+      results.crNumber = this.validateCrNumber(crNumber);
+    }
+
+    return {
+      valid: Object.values(results).every(result => result.valid),
+      ...results
+    };
+  }
+
+  /**
+   * Normalized value or a ValidationError carrying the error codes; empty values pass
+   * through as null so optional fields stay optional
+   */
+  assert(kind, value, field) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const validators = {
+      vat: (v) => this.validateVatNumber(v),
+      tin: (v) => this.validateTin(v),
+      cr: (v) => this.validateCrNumber(v)
+    };
+    const result = validators[kind](value);
+    if (!result.valid) {
+      throw new ValidationError(
+        `${field}: ${result.errors.map(error => error.message).join('; ')}`,
+        result.errors.map(error => ({ field, value, ...error }))
+      );
+    }
+    return result.value;
+  }
+
+  assertVatNumber(value, field = 'vatNumber') {
+    return this.assert('vat', value, field);
+  }
+
+  assertTin(value, field = 'tin') {
+    return this.assert('tin', value, field);
+  }
+
+  assertCrNumber(value, field = 'crNumber') {
+    return this.assert('cr', value, field);
+  }
+}
+
+export { ERRORS as TAX_ID_ERRORS };
+
+// Export singleton instance
+export default new TaxIdValidator();
@@ -0,0 +1,129 @@
+/**
+ * Tool Registry
+ * Function-calling tools exposed to agents: schema validation and server-side execution
+ */
+
+import financialTools from './financial-tools.js';
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    financialTools.forEach(tool => this.register(tool));
+  }
+
+  register(tool) {
+    this.tools.set(tool.name, tool);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * OpenAI-style tool definitions for the tools an agent is allowed to use
+   */
+  definitions(allowed = []) {
+    return allowed
+      .filter(name => this.has(name))
+      .map(name => {
+        const { description, parameters } = this.tools.get(name);
+        return { type: 'function', function: { name, description, parameters } };
+      });
+  }
+
+  /**
+   * Validate a value against the subset of JSON Schema the tools use
+   */
+  validate(schema, value, path = 'arguments') {
+    const errors = [];
+
+    const typeOf = (v) => Array.isArray(v) ? 'array' : (v === null ? 'null' : typeof v);
+    const expected = schema.type;
+    const actual = typeOf(value);
+
+    if (expected === 'integer') {
+      if (!Number.isInteger(value)) errors.push(`${path} must be an integer`);
+    } else if (expected && expected !== actual) {
+      errors.push(`${path} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) errors.push(`${path} must be a finite number`);
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+    if (actual === 'array' && schema.items) {
+      value.forEach((item, i) => errors.push(...this.validate(schema.items, item, `${path}[${i}]`)));
+    }
+    if (actual === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const propertySchema = schema.properties?.[key];
+        if (!propertySchema) {
+          if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+          continue;
+        }
+        errors.push(...this.validate(propertySchema, item, `${path}.${key}`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run one tool call. Failures are returned, not thrown, so the model can see and recover from them.
+   */
+  async execute(name, rawArguments, { allowed = [] } = {}) {
+    const startedAt = Date.now();
+    const invocation = { tool: name, arguments: rawArguments, result: null, error: null };
+
+    const finish = () => ({ ...invocation, durationMs: Date.now() - startedAt });
+
+    if (!this.has(name) || !allowed.includes(name)) {
+      invocation.error = `Tool "${name}" is not available to this agent`;
+      return finish();
+    }
+
+    let args = rawArguments;
+    if (typeof rawArguments === 'string') {
+      try {
+        args = rawArguments ? JSON.parse(rawArguments) : {};
+      } catch (error) {
+        invocation.error = 'Arguments are not valid JSON';
+        return finish();
+      }
+    }
+    invocation.arguments = args;
+
+    const tool = this.tools.get(name);
+    const errors = this.validate(tool.parameters, args);
+    if (errors.length) {
+      invocation.error = `Invalid arguments: ${errors.join('; ')}`;
+      return finish();
+    }
+
+    try {
+      invocation.result = await tool.handler(args);
+    } catch (error) {
+      invocation.error = error.message;
+    }
+
+    return finish();
+  }
+}
+
+// Export singleton instance
+export default new ToolRegistry();
@@ -0,0 +1,207 @@
+/**
+ * VAT Calculator
+ * Exact-decimal Saudi VAT engine: rate categories, inclusive/exclusive conversion and
+ * line-item invoices rounded to the halala as ZATCA requires
+ */
+
+import Decimal from 'decimal.js';
+import { ValidationError } from '../utils/errors.js';
+import { round, format, toDecimal } from '../utils/money.js';
+
+// ZATCA / UNCL5305 VAT category codes
+const VAT_CATEGORIES = {
+  S: { code: 'S', rate: '15', name: 'Standard rated', nameArabic: 'خاضع للنسبة الأساسية' },
+  Z: { code: 'Z', rate: '0', name: 'Zero rated', nameArabic: 'خاضع للنسبة الصفرية' },
+  E: { code: 'E', rate: '0', name: 'Exempt from VAT', nameArabic: 'معفى من الضريبة' },
+  O: { code: 'O', rate: '0', name: 'Not subject to VAT', nameArabic: 'خارج نطاق الضريبة' }
+};
+
+const STANDARD_RATE = VAT_CATEGORIES.S.rate;
+
+class VATCalculator {
+  constructor() {
+    this.categories = VAT_CATEGORIES;
+    this.standardRate = STANDARD_RATE;
+  }
+
+  /**
+   * Resolve a category code and optional rate override to the rate applied.
+   * Only standard-rated supplies carry a non-zero rate; an override supports historical rates.
+   */
+  resolveRate(category = 'S', rate) {
+    const entry = Object.hasOwn(this.categories, category) ? this.categories[category] : null;
+    if (!entry) {
+      throw new ValidationError(`Unknown VAT category "${category}"`, [{ field: 'category', value: category }]);
+    }
+
+    if (category !== 'S') return new Decimal(0);
+    if (rate === undefined || rate === null) return new Decimal(entry.rate);
+
+    const decimal = toDecimal(rate, 'rate');
+    if (decimal.gt(100)) {
+      throw new ValidationError('rate must be a percentage between 0 and 100', [{ field: 'rate', value: rate }]);
+    }
+    return decimal;
+  }
+
+  // VAT-inclusive amount from a VAT-exclusive one
+  toInclusive(net, rate = STANDARD_RATE) {
+    const netAmount = round(new Decimal(net));
+    const vat = round(netAmount.times(rate).div(100));
+    return { net: netAmount, vat, gross: netAmount.plus(vat) };
+  }
+
+  // VAT-exclusive amount from a VAT-inclusive one; VAT is the remainder, so the gross is kept as given
+  toExclusive(gross, rate = STANDARD_RATE) {
+    const grossAmount = round(new Decimal(gross));
+    const net = round(grossAmount.div(new Decimal(rate).div(100).plus(1)));
+    return { net, vat: grossAmount.minus(net), gross: grossAmount };
+  }
+
+  /**
+   * VAT on a single amount
+   */
+  calculateAmount({ amount, category = 'S', rate, amountIncludesVat = false }) {
+    const value = toDecimal(amount, 'amount');
+    const appliedRate = this.resolveRate(category, rate);
+    const result = amountIncludesVat ? this.toExclusive(value, appliedRate) : this.toInclusive(value, appliedRate);
+
+    return {
+      category,
+      rate: appliedRate.toString(),
+      amountIncludesVat,
+      net: format(result.net),
+      vat: format(result.vat),
+      gross: format(result.gross),
+      currency: 'SAR'
+    };
+  }
+
+  /**
+   * One invoice line. Discounts are taken off before VAT; VAT-inclusive prices are split into
+   * net and VAT without changing the total the customer pays (line VAT is then within the
+   * halala of net × rate that ZATCA BR-KSA-50 allows).
+   */
+  calculateLine(line, index, { pricesIncludeVat = false } = {}) {
+    const field = (name) => `lines[${index}].${name}`;
+    if (!line || typeof line !== 'object' || Array.isArray(line)) {
+      throw new ValidationError(`lines[${index}] must be an object`, [{ field: `lines[${index}]` }]);
+    }
+    const category = line.category || line.vatCategory || 'S';
+    const rate = this.resolveRate(category, line.rate);
+    const quantity = toDecimal(line.quantity ?? 1, field('quantity'), { positive: true });
+    const unitPrice = toDecimal(line.unitPrice, field('unitPrice'));
+    const includesVat = line.priceIncludesVat ?? pricesIncludeVat;
+
+    const lineAmount = round(quantity.times(unitPrice));
+
+    let discount = new Decimal(0);
+    if (line.discountPercent !== undefined && line.discountPercent !== null) {
+      const percent = toDecimal(line.discountPercent, field('discountPercent'));
+      if (percent.gt(100)) {
+        throw new ValidationError(`${field('discountPercent')} cannot exceed 100`, [{ field: field('discountPercent') }]);
+      }
+      discount = round(lineAmount.times(percent).div(100));
+    } else if (line.discount !== undefined && line.discount !== null) {
+      discount = round(toDecimal(line.discount, field('discount')));
+    }
+
+    if (discount.gt(lineAmount)) {
+      throw new ValidationError(`${field('discount')} cannot exceed the line amount`, [{ field: field('discount') }]);
+    }
+
+    const afterDiscount = lineAmount.minus(discount);
+    const { net, vat, gross } = includesVat
+      ? this.toExclusive(afterDiscount, rate)
+      : this.toInclusive(afterDiscount, rate);
+
+    return {
+      lineNumber: index + 1,
+      description: line.description || '',
+      quantity: quantity.toString(),
+      unitPrice: unitPrice.toString(),
+      priceIncludesVat: !!includesVat,
+      lineAmount: format(lineAmount),
+      discount: format(discount),
+      category,
+      rate: rate.toString(),
+      ...(line.exemptionReasonCode && { exemptionReasonCode: line.exemptionReasonCode }),
+      ...(line.exemptionReason && { exemptionReason: line.exemptionReason }),
+      netAmount: format(net),
+      vatAmount: format(vat),
+      totalAmount: format(gross)
+    };
+  }
+
+  /**
+   * Full invoice: per-line breakdown, per-category VAT breakdown and document totals.
+   * Category VAT is computed on the category's taxable total (BR-CO-17), so it can differ
+   * from the sum of line VAT by a halala; the difference is reported as roundingAdjustment.
+   */
+  calculateInvoice({ lines, pricesIncludeVat = false, currency = 'SAR' }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new ValidationError('lines must be a non-empty array', [{ field: 'lines' }]);
+    }
+
+    const calculated = lines.map((line, index) => this.calculateLine(line, index, { pricesIncludeVat }));
+
+    const groups = new Map();
+    for (const line of calculated) {
+      // ZATCA expects one subtotal per category, rate and exemption reason
+      const key = `${line.category}:${line.rate}:${line.exemptionReasonCode || ''}`;
+      const group = groups.get(key) || {
+        category: line.category,
+        rate: line.rate,
+        taxableAmount: new Decimal(0),
+        exemptionReasonCode: line.exemptionReasonCode,
+        exemptionReason: line.exemptionReason
+      };
+      group.taxableAmount = group.taxableAmount.plus(line.netAmount);
+      groups.set(key, group);
+    }
+
+    const breakdown = Array.from(groups.values()).map(group => ({
+      category: group.category,
+      categoryName: this.categories[group.category].name,
+      categoryNameArabic: this.categories[group.category].nameArabic,
+      rate: group.rate,
+      ...(group.exemptionReasonCode && { exemptionReasonCode: group.exemptionReasonCode }),
+      ...(group.exemptionReason && { exemptionReason: group.exemptionReason }),
+      taxableAmount: format(group.taxableAmount),
+      vatAmount: format(group.taxableAmount.times(group.rate).div(100))
+    }));
+
+    const sum = (items, key) => items.reduce((total, item) => total.plus(item[key]), new Decimal(0));
+
+    const lineExtensionAmount = sum(calculated, 'netAmount');
+    const vatTotal = sum(breakdown, 'vatAmount');
+    const lineVatTotal = sum(calculated, 'vatAmount');
+
+    return {
+      currency,
+      lines: calculated,
+      breakdown,
+      totals: {
+        discountTotal: format(sum(calculated, 'discount')),
+        lineExtensionAmount: format(lineExtensionAmount),
+        taxExclusiveAmount: format(lineExtensionAmount),
+        vatTotal: format(vatTotal),
+        taxInclusiveAmount: format(lineExtensionAmount.plus(vatTotal)),
+        payableAmount: format(lineExtensionAmount.plus(vatTotal)),
+        roundingAdjustment: format(vatTotal.minus(lineVatTotal))
+      }
+    };
+  }
+
+  /**
+   * Rate table for display
+   */
+  getRates() {
+    return Object.values(this.categories).map(category => ({ ...category }));
+  }
+}
+
+export { VAT_CATEGORIES };
+
+// Export singleton instance
+export default new VATCalculator();
@@ -0,0 +1,236 @@
+/**
+ * Zakat Calculator
+ * Zakat on business and personal wealth: zakatable assets less deductible liabilities,
+ * checked against the gold or silver nisab and the hawl, with a bilingual explanation
+ */
+
+import Decimal from 'decimal.js';
+import { ValidationError } from '../utils/errors.js';
+import { format, toDecimal } from '../utils/money.js';
+import hijriCalendar from './hijri-calendar.js';
+
+// Nisab weights in grams of pure gold / silver
+const NISAB_GRAMS = { gold: '85', silver: '595' };
+
+// 2.5% per lunar year; a Gregorian year is ~11 days longer, hence 2.5775%
+const ZAKAT_RATES = { lunar: '2.5', solar: '2.5775' };
+// Outside the Umm al-Qura range a lunar hawl falls back to 354 days
+const HAWL_DAYS = { lunar: 354, solar: 365 };
+
+const ASSET_CATEGORIES = {
+  cash: { ar: 'النقد وما في حكمه', en: 'Cash and equivalents' },
+  gold: { ar: 'الذهب', en: 'Gold' },
+  silver: { ar: 'الفضة', en: 'Silver' },
+  tradeGoods: { ar: 'عروض التجارة', en: 'Trade goods (inventory)' },
+  receivables: { ar: 'الديون المرجوة التحصيل', en: 'Collectible receivables' },
+  investments: { ar: 'الاستثمارات', en: 'Investments' },
+  other: { ar: 'أصول زكوية أخرى', en: 'Other zakatable assets' }
+};
+
+const LIABILITY_CATEGORIES = {
+  debts: { ar: 'الديون الحالة', en: 'Debts currently due' },
+  payables: { ar: 'الذمم الدائنة', en: 'Trade payables' },
+  other: { ar: 'التزامات أخرى', en: 'Other deductible liabilities' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ZakatCalculator {
+  constructor() {
+    this.assetCategories = ASSET_CATEGORIES;
+    this.liabilityCategories = LIABILITY_CATEGORIES;
+  }
+
+  /**
+   * Accept a single number or a list of { category, amount, description } items
+   */
+  normalizeItems(items, field, categories) {
+    if (items === undefined || items === null) return [];
+
+    const list = Array.isArray(items) ? items : [{ category: 'other', amount: items }];
+
+    return list.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new ValidationError(`${field}[${index}] must be an object`, [{ field: `${field}[${index}]` }]);
+      }
+      const category = item.category || 'other';
+      if (!Object.hasOwn(categories, category)) {
+        throw new ValidationError(
+          `${field}[${index}].category must be one of ${Object.keys(categories).join(', ')}`,
+          [{ field: `${field}[${index}].category`, value: category }]
+        );
+      }
+      return {
+        category,
+        description: item.description || '',
+        amount: toDecimal(item.amount, `${field}[${index}].amount`)
+      };
+    });
+  }
+
+  // Gregorian or Hijri (e.g. 1445-09-01) date
+  parseDate(value, field) {
+    return hijriCalendar.toDate(value, field);
+  }
+
+  // A lunar hawl ends on the same Umm al-Qura date a year later (354 or 355 days)
+  requiredDays(start, yearBasis) {
+    if (yearBasis === 'lunar' && hijriCalendar.inRange(start) && hijriCalendar.hijriParts(start).year < hijriCalendar.range.hijriTo) {
+      return hijriCalendar.hawlEnd(start).days;
+    }
+    return HAWL_DAYS[yearBasis];
+  }
+
+  /**
+   * Whether a full hawl has passed between the two dates for the chosen year basis
+   */
+  checkHawl(hawlStart, hawlEnd, yearBasis) {
+    if (!hawlStart) {
+      return { verified: false, complete: true, requiredDays: HAWL_DAYS[yearBasis] };
+    }
+
+    const start = this.parseDate(hawlStart, 'hawlStart');
+    const end = this.parseDate(hawlEnd || new Date(), 'hawlEnd');
+    if (end < start) {
+      throw new ValidationError('hawlEnd must not be before hawlStart', [{ field: 'hawlEnd', value: hawlEnd }]);
+    }
+
+    const elapsedDays = Math.floor((end - start) / DAY_MS);
+    const requiredDays = this.requiredDays(start, yearBasis);
+    const dueDate = new Date(start.getTime() + requiredDays * DAY_MS);
+
+    return {
+      verified: true,
+      complete: elapsedDays >= requiredDays,
+      start: start.toISOString().split('T')[0],
+      end: end.toISOString().split('T')[0],
+      dueDate: dueDate.toISOString().split('T')[0],
+      startDual: hijriCalendar.dual(start),
+      endDual: hijriCalendar.dual(end),
+      dueDateDual: hijriCalendar.dual(dueDate),
+      elapsedDays,
+      requiredDays,
+      remainingDays: Math.max(0, requiredDays - elapsedDays)
+    };
+  }
+
+  // "2024-03-11 (1 رمضان 1445هـ)" for explanations
+  dateLabel(date, locale) {
+    const hijri = hijriCalendar.format(date, { locale });
+    return hijri ? `${date} (${hijri})` : date;
+  }
+
+  /**
+   * Zakat due with an itemised Arabic/English explanation
+   */
+  calculate({
+    assets,
+    liabilities,
+    nisabBasis = 'gold',
+    pricePerGram,
+    goldPricePerGram,
+    silverPricePerGram,
+    yearBasis = 'lunar',
+    hawlStart,
+    hawlEnd,
+    currency = 'SAR'
+  }) {
+    if (!Object.hasOwn(NISAB_GRAMS, nisabBasis)) {
+      throw new ValidationError('nisabBasis must be gold or silver', [{ field: 'nisabBasis', value: nisabBasis }]);
+    }
+    if (!Object.hasOwn(ZAKAT_RATES, yearBasis)) {
+      throw new ValidationError('yearBasis must be lunar or solar', [{ field: 'yearBasis', value: yearBasis }]);
+    }
+
+    const assetItems = this.normalizeItems(assets, 'assets', ASSET_CATEGORIES);
+    const liabilityItems = this.normalizeItems(liabilities, 'liabilities', LIABILITY_CATEGORIES);
+    if (assetItems.length === 0) {
+      throw new ValidationError('assets are required', [{ field: 'assets' }]);
+    }
+
+    // Metal prices are supplied by the caller; nothing is fetched
+    const price = pricePerGram ?? (nisabBasis === 'gold' ? goldPricePerGram : silverPricePerGram);
+    if (price === undefined || price === null) {
+      throw new ValidationError(`pricePerGram (${nisabBasis} price per gram in ${currency}) is required`, [{ field: 'pricePerGram' }]);
+    }
+    const gramPrice = toDecimal(price, 'pricePerGram', { positive: true });
+
+    const sum = (items) => items.reduce((total, item) => total.plus(item.amount), new Decimal(0));
+    const totalAssets = sum(assetItems);
+    const totalLiabilities = sum(liabilityItems);
+    const zakatBase = Decimal.max(totalAssets.minus(totalLiabilities), 0);
+
+    const nisab = gramPrice.times(NISAB_GRAMS[nisabBasis]);
+    const meetsNisab = zakatBase.gte(nisab);
+    const hawl = this.checkHawl(hawlStart, hawlEnd, yearBasis);
+    const rate = new Decimal(ZAKAT_RATES[yearBasis]);
+    const isDue = meetsNisab && hawl.complete;
+    const zakatDue = isDue ? zakatBase.times(rate).div(100) : new Decimal(0);
+
+    const metal = nisabBasis === 'gold' ? { ar: 'الذهب', en: 'gold' } : { ar: 'الفضة', en: 'silver' };
+    const explanation = [
+      ...assetItems.map(item => ({
+        ar: `${ASSET_CATEGORIES[item.category].ar}${item.description ? ` (${item.description})` : ''}: ${format(item.amount)} ${currency}`,
+        en: `${ASSET_CATEGORIES[item.category].en}${item.description ? ` (${item.description})` : ''}: ${format(item.amount)} ${currency}`
+      })),
+      {
+        ar: `إجمالي الأصول الزكوية: ${format(totalAssets)} ${currency}`,
+        en: `Total zakatable assets: ${format(totalAssets)} ${currency}`
+      },
+      ...liabilityItems.map(item => ({
+        ar: `يخصم ${LIABILITY_CATEGORIES[item.category].ar}${item.description ? ` (${item.description})` : ''}: ${format(item.amount)} ${currency}`,
+        en: `Less ${LIABILITY_CATEGORIES[item.category].en.toLowerCase()}${item.description ? ` (${item.description})` : ''}: ${format(item.amount)} ${currency}`
+      })),
+      {
+        ar: `الوعاء الزكوي: ${format(zakatBase)} ${currency}`,
+        en: `Zakat base: ${format(zakatBase)} ${currency}`
+      },
+      {
+        ar: `النصاب: ${NISAB_GRAMS[nisabBasis]} غراماً من ${metal.ar} × ${gramPrice.toString()} = ${format(nisab)} ${currency}، والوعاء ${meetsNisab ? 'بلغ' : 'لم يبلغ'} النصاب`,
+        en: `Nisab: ${NISAB_GRAMS[nisabBasis]} g of ${metal.en} × ${gramPrice.toString()} = ${format(nisab)} ${currency}; the base ${meetsNisab ? 'meets' : 'does not meet'} the nisab`
+      },
+      hawl.verified
+        ? {
+          ar: `الحول: من ${this.dateLabel(hawl.start, 'ar')} إلى ${this.dateLabel(hawl.end, 'ar')} (${hawl.elapsedDays} يوماً من ${hawl.requiredDays})، ${hawl.complete ? 'حال الحول' : `لم يحل الحول بعد، متبقٍ ${hawl.remainingDays} يوماً ويحول في ${this.dateLabel(hawl.dueDate, 'ar')}`}`,
+          en: `Hawl: ${this.dateLabel(hawl.start, 'en')} to ${this.dateLabel(hawl.end, 'en')} (${hawl.elapsedDays} of ${hawl.requiredDays} days), ${hawl.complete ? 'complete' : `not yet complete, ${hawl.remainingDays} days remaining, due ${this.dateLabel(hawl.dueDate, 'en')}`}`
+        }
+        : {
+          ar: 'الحول: لم تُحدد بداية الحول، ويفترض أنه قد حال',
+          en: 'Hawl: no start date given; assumed complete'
+        },
+      {
+        ar: `النسبة: ${rate.toString()}% على أساس السنة ${yearBasis === 'lunar' ? 'الهجرية' : 'الميلادية'}`,
+        en: `Rate: ${rate.toString()}% on a ${yearBasis === 'lunar' ? 'lunar (Hijri)' : 'solar (Gregorian)'} year basis`
+      },
+      {
+        ar: `الزكاة الواجبة: ${format(zakatDue)} ${currency}`,
+        en: `Zakat due: ${format(zakatDue)} ${currency}`
+      }
+    ];
+
+    return {
+      currency,
+      totalAssets: format(totalAssets),
+      totalLiabilities: format(totalLiabilities),
+      zakatBase: format(zakatBase),
+      nisab: {
+        basis: nisabBasis,
+        grams: NISAB_GRAMS[nisabBasis],
+        pricePerGram: gramPrice.toString(),
+        value: format(nisab),
+        met: meetsNisab
+      },
+      hawl,
+      yearBasis,
+      rate: rate.toString(),
+      isDue,
+      zakatDue: format(zakatDue),
+      explanation
+    };
+  }
+}
+
+export { NISAB_GRAMS, ZAKAT_RATES, ASSET_CATEGORIES, LIABILITY_CATEGORIES };
+
+// Export singleton instance
+export default new ZakatCalculator();
@@ -0,0 +1,467 @@
+/**
+ * ZATCA E-Invoice
+ * Builds FATOORA UBL 2.1 XML for standard and simplified tax invoices, credit notes and
+ * debit notes, after checking the invoice against the ZATCA business rules
+ */
+
+import crypto from 'crypto';
+import Decimal from 'decimal.js';
+import vatCalculator from './vat-calculator.js';
+import taxIdValidator from './tax-id-validator.js';
+import zatcaQr from './zatca-qr.js';
+import { ValidationError } from '../utils/errors.js';
+import { el, text, serialize } from '../utils/xml.js';
+
+const NAMESPACES = {
+  xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  'xmlns:ext': 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2'
+};
+
+// UNTDID 1001 document types used by ZATCA
+const DOCUMENT_TYPES = {
+  invoice: { code: '388', name: 'Tax invoice', nameArabic: 'فاتورة ضريبية' },
+  'debit-note': { code: '383', name: 'Debit note', nameArabic: 'إشعار مدين' },
+  'credit-note': { code: '381', name: 'Credit note', nameArabic: 'إشعار دائن' }
+};
+
+// First two digits of the InvoiceTypeCode name attribute
+const INVOICE_TYPES = { standard: '01', simplified: '02' };
+
+// Remaining five digits, in order: third party, nominal, export, summary, self-billed
+const TRANSACTION_FLAGS = ['thirdParty', 'nominal', 'export', 'summary', 'selfBilled'];
+
+// Hash of "0", the PIH of the first invoice an EGS unit issues
+const INITIAL_PREVIOUS_HASH = 'NWZlY2ViNjZmZmM4NmYzOGQ5NTI3ODZjNmQ2OTZjNzljMmRiYzIzOWRkNGU5MWI0NjcyOWQ3M2EyN2ZiNTdlOQ==';
+
+// VATEX exemption reason codes allowed per VAT category
+const EXEMPTION_CODES = {
+  E: ['VATEX-SA-29', 'VATEX-SA-29-7', 'VATEX-SA-30'],
+  Z: ['VATEX-SA-32', 'VATEX-SA-33', 'VATEX-SA-34-1', 'VATEX-SA-34-2', 'VATEX-SA-34-3', 'VATEX-SA-34-4',
+    'VATEX-SA-34-5', 'VATEX-SA-35', 'VATEX-SA-36', 'VATEX-SA-EDU', 'VATEX-SA-HEA', 'VATEX-SA-MLTRY'],
+  O: ['VATEX-SA-OOS']
+};
+
+// UNTDID 4461 payment means ZATCA accepts
+const PAYMENT_MEANS = ['1', '10', '30', '42', '48'];
+
+// Party identification schemes other than the VAT number
+const SELLER_ID_SCHEMES = ['CRN', 'MOM', 'MLS', '700', 'SAG', 'OTH', 'TIN'];
+const BUYER_ID_SCHEMES = ['TIN', 'CRN', 'MOM', 'MLS', '700', 'SAG', 'NAT', 'GCC', 'IQA', 'PAS', 'OTH'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/;
+
+// Unit prices may carry more precision than amounts; keep at least two places
+const price = (value) => {
+  const decimal = new Decimal(value).toDecimalPlaces(6, Decimal.ROUND_HALF_UP);
+  return decimal.toFixed(Math.max(2, decimal.decimalPlaces()));
+};
+
+const isDate = (value) => DATE_PATTERN.test(value || '') &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+class ZatcaInvoice {
+  constructor() {
+    this.documentTypes = DOCUMENT_TYPES;
+    this.exemptionCodes = EXEMPTION_CODES;
+  }
+
+  /**
+   * Fill defaults: a fresh UUID, today's date and time, SAR, the first ICV/PIH of a chain
+   */
+  normalize(invoice) {
+    const now = new Date().toISOString();
+    return {
+      type: 'standard',
+      documentType: 'invoice',
+      currency: 'SAR',
+      paymentMeansCode: '10',
+      counter: 1,
+      previousHash: INITIAL_PREVIOUS_HASH,
+      ...invoice,
+      transactionFlags: invoice.transactionFlags || {},
+      uuid: invoice.uuid || crypto.randomUUID(),
+      issueDate: invoice.issueDate || now.slice(0, 10),
+      issueTime: invoice.issueTime || now.slice(11, 19),
+      seller: invoice.seller || {},
+      buyer: invoice.buyer || null
+    };
+  }
+
+  // "0100000"-style subtype: invoice type followed by the five transaction flags
+  transactionCode(invoice) {
+    return INVOICE_TYPES[invoice.type] +
+      TRANSACTION_FLAGS.map(flag => (invoice.transactionFlags[flag] ? '1' : '0')).join('');
+  }
+
+  partyId(party) {
+    if (party.otherId?.value) return { scheme: party.otherId.scheme, value: String(party.otherId.value) };
+    if (party.groupMemberTin) return { scheme: 'TIN', value: taxIdValidator.normalize(party.groupMemberTin) };
+    if (party.crNumber) return { scheme: 'CRN', value: taxIdValidator.normalize(party.crNumber) };
+    return null;
+  }
+
+  /**
+   * ZATCA business rules that can be checked before the document is built.
+   * Returns a list of { rule, field, message }; an empty list means the invoice passes.
+   */
+  validate(invoice, calculation) {
+    const errors = [];
+    const fail = (rule, field, message) => errors.push({ rule, field, message });
+    const standard = invoice.type === 'standard';
+    const note = invoice.documentType !== 'invoice';
+
+    if (!INVOICE_TYPES[invoice.type]) fail('BR-KSA-06', 'type', 'type must be standard or simplified');
+    if (!DOCUMENT_TYPES[invoice.documentType]) {
+      fail('BR-KSA-05', 'documentType', `documentType must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+    }
+    if (!invoice.number) fail('BR-02', 'number', 'Invoice number is required');
+    if (!UUID_PATTERN.test(invoice.uuid)) fail('BR-KSA-03', 'uuid', 'uuid must be a UUID');
+    if (!isDate(invoice.issueDate)) {
+      fail('BR-03', 'issueDate', 'issueDate must be a date in YYYY-MM-DD format');
+    } else if (invoice.issueDate > new Date().toISOString().slice(0, 10)) {
+      fail('BR-KSA-04', 'issueDate', 'issueDate must not be in the future');
+    }
+    if (!TIME_PATTERN.test(invoice.issueTime)) fail('BR-KSA-70', 'issueTime', 'issueTime must be HH:mm:ss');
+    if (invoice.currency !== 'SAR') {
+      fail('BR-KSA-68', 'currency', 'Only SAR invoices are supported');
+    }
+    if (!Number.isInteger(Number(invoice.counter)) || Number(invoice.counter) < 1) {
+      fail('BR-KSA-33', 'counter', 'counter (ICV) must be a positive integer');
+    }
+    if (!invoice.previousHash) fail('BR-KSA-26', 'previousHash', 'previousHash (PIH) is required');
+    if (!PAYMENT_MEANS.includes(String(invoice.paymentMeansCode))) {
+      fail('BR-KSA-16', 'paymentMeansCode', `paymentMeansCode must be one of ${PAYMENT_MEANS.join(', ')}`);
+    }
+
+    if (invoice.type === 'simplified' && (invoice.transactionFlags.export || invoice.transactionFlags.selfBilled)) {
+      fail('BR-KSA-06', 'transactionFlags', 'Simplified invoices cannot be export or self-billed');
+    }
+
+    // Credit and debit notes must point at the original invoice and say why they were issued
+    if (note) {
+      if (!invoice.billingReference) fail('BR-KSA-56', 'billingReference', 'Credit and debit notes must reference the original invoice');
+      if (!invoice.reason) fail('BR-KSA-17', 'reason', 'Credit and debit notes must state the reason for issuance');
+    }
+
+    // Seller
+    const { seller } = invoice;
+    if (!seller.name) fail('BR-06', 'seller.name', 'Seller name is required');
+    const sellerVat = taxIdValidator.validateVatNumber(seller.vatNumber);
+    if (!sellerVat.valid) {
+      fail('BR-KSA-39', 'seller.vatNumber', sellerVat.errors.map(error => error.message).join('; '));
+    }
+    if (sellerVat.isGroup && !taxIdValidator.validateTin(seller.groupMemberTin).valid) {
+      fail('BR-KSA-08', 'seller.groupMemberTin', 'A VAT group seller must give the 10-digit TIN of the issuing member');
+    }
+    const sellerId = this.partyId(seller);
+    if (!sellerId) {
+      fail('BR-KSA-08', 'seller.crNumber', 'Seller identification (CR number or other ID) is required');
+    } else if (!SELLER_ID_SCHEMES.includes(sellerId.scheme)) {
+      fail('BR-KSA-08', 'seller.otherId.scheme', `Seller ID scheme must be one of ${SELLER_ID_SCHEMES.join(', ')}`);
+    } else if (sellerId.scheme === 'CRN' && !taxIdValidator.validateCrNumber(sellerId.value).valid) {
+      fail('BR-KSA-08', 'seller.crNumber', 'Seller CR number must be 10 digits');
+    }
+    this.validateAddress(seller.address, 'seller.address', fail, { required: true });
+
+    // Buyer: mandatory on standard invoices, optional on simplified ones
+    const { buyer } = invoice;
+    if (standard && !buyer) {
+      fail('BR-KSA-42', 'buyer', 'Standard invoices require buyer details');
+    }
+    if (buyer) {
+      if (standard && !buyer.name) fail('BR-KSA-42', 'buyer.name', 'Buyer name is required on standard invoices');
+
+      if (buyer.vatNumber) {
+        const buyerVat = taxIdValidator.validateVatNumber(buyer.vatNumber);
+        if (!buyerVat.valid) {
+          fail('BR-KSA-44', 'buyer.vatNumber', buyerVat.errors.map(error => error.message).join('; '));
+        }
+      }
+      const buyerId = this.partyId(buyer);
+      if (buyerId && !BUYER_ID_SCHEMES.includes(buyerId.scheme)) {
+        fail('BR-KSA-14', 'buyer.otherId.scheme', `Buyer ID scheme must be one of ${BUYER_ID_SCHEMES.join(', ')}`);
+      }
+      if (standard && !buyer.vatNumber && !buyerId) {
+        fail('BR-KSA-81', 'buyer', 'Standard invoices require the buyer VAT number or another buyer ID');
+      }
+      this.validateAddress(buyer.address, 'buyer.address', fail, {
+        required: standard && (buyer.address?.country || 'SA') === 'SA'
+      });
+    }
+
+    if (standard && !invoice.supplyDate) {
+      fail('BR-KSA-15', 'supplyDate', 'Standard invoices require the supply date');
+    }
+    if (invoice.supplyDate && !isDate(invoice.supplyDate)) {
+      fail('BR-KSA-15', 'supplyDate', 'supplyDate must be a date in YYYY-MM-DD format');
+    }
+    if (invoice.supplyEndDate && (!isDate(invoice.supplyEndDate) || invoice.supplyEndDate < invoice.supplyDate)) {
+      fail('BR-KSA-35', 'supplyEndDate', 'supplyEndDate must be a date on or after supplyDate');
+    }
+
+    // Every zero-rated, exempt or out-of-scope line needs a matching exemption reason
+    calculation.lines.forEach((line, index) => {
+      if (line.category === 'S') return;
+      const allowed = EXEMPTION_CODES[line.category];
+      if (!line.exemptionReasonCode) {
+        fail('BR-KSA-69', `lines[${index}].exemptionReasonCode`, `Category ${line.category} lines require an exemption reason code`);
+      } else if (!allowed.includes(line.exemptionReasonCode)) {
+        fail('BR-KSA-69', `lines[${index}].exemptionReasonCode`, `Category ${line.category} allows ${allowed.join(', ')}`);
+      }
+    });
+
+    const { totals } = calculation;
+    if (!new Decimal(totals.taxExclusiveAmount).plus(totals.vatTotal).eq(totals.taxInclusiveAmount)) {
+      fail('BR-CO-15', 'totals', 'Tax inclusive amount must equal tax exclusive amount plus VAT');
+    }
+
+    return errors;
+  }
+
+  validateAddress(address, field, fail, { required }) {
+    if (!address) {
+      if (required) fail('BR-KSA-09', field, 'Address is required');
+      return;
+    }
+
+    const saudi = (address.country || 'SA') === 'SA';
+    if (required) {
+      for (const key of ['street', 'buildingNumber', 'district', 'city', 'postalCode']) {
+        if (!address[key]) fail('BR-KSA-09', `${field}.${key}`, `${key} is required`);
+      }
+    }
+    if (saudi && address.buildingNumber && !/^\d{4}$/.test(address.buildingNumber)) {
+      fail('BR-KSA-37', `${field}.buildingNumber`, 'Building number must be 4 digits');
+    }
+    if (saudi && address.postalCode && !/^\d{5}$/.test(address.postalCode)) {
+      fail('BR-KSA-66', `${field}.postalCode`, 'Postal code must be 5 digits');
+    }
+  }
+
+  amount(name, value, currency) {
+    return el(name, { currencyID: currency }, new Decimal(value).toFixed(2));
+  }
+
+  address(address = {}) {
+    return el('cac:PostalAddress', {},
+      text('cbc:StreetName', address.street),
+      text('cbc:AdditionalStreetName', address.additionalStreet),
+      text('cbc:BuildingNumber', address.buildingNumber),
+      text('cbc:PlotIdentification', address.additionalNumber),
+      text('cbc:CitySubdivisionName', address.district),
+      text('cbc:CityName', address.city),
+      text('cbc:PostalZone', address.postalCode),
+      text('cbc:CountrySubentity', address.region),
+      el('cac:Country', {}, text('cbc:IdentificationCode', address.country || 'SA'))
+    );
+  }
+
+  party(wrapper, party) {
+    const id = this.partyId(party);
+    const vatNumber = party.vatNumber ? taxIdValidator.normalize(party.vatNumber) : null;
+
+    return el(wrapper, {},
+      el('cac:Party', {},
+        id && el('cac:PartyIdentification', {}, text('cbc:ID', id.value, { schemeID: id.scheme })),
+        party.address && this.address(party.address),
+        vatNumber && el('cac:PartyTaxScheme', {},
+          text('cbc:CompanyID', vatNumber),
+          el('cac:TaxScheme', {}, text('cbc:ID', 'VAT'))
+        ),
+        party.name && el('cac:PartyLegalEntity', {}, text('cbc:RegistrationName', party.name))
+      )
+    );
+  }
+
+  taxCategory(name, { category, rate, exemptionReasonCode, exemptionReason }, { schemes = false } = {}) {
+    return el(name, {},
+      text('cbc:ID', category, schemes ? { schemeID: 'UN/ECE 5305', schemeAgencyID: '6' } : {}),
+      text('cbc:Percent', new Decimal(rate).toFixed(2)),
+      text('cbc:TaxExemptionReasonCode', schemes ? exemptionReasonCode : null),
+      text('cbc:TaxExemptionReason', schemes ? exemptionReason : null),
+      el('cac:TaxScheme', {}, text('cbc:ID', 'VAT', schemes ? { schemeID: 'UN/ECE 5153', schemeAgencyID: '6' } : {}))
+    );
+  }
+
+  /**
+   * Price is always net of VAT; a line discount is shown as a price allowance per unit
+   */
+  invoiceLine(line, source, currency) {
+    const quantity = new Decimal(line.quantity);
+    const netPrice = new Decimal(line.netAmount).div(quantity);
+    const discount = new Decimal(line.discount);
+
+    let priceAllowance = null;
+    if (discount.gt(0)) {
+      const grossPrice = line.priceIncludesVat
+        ? new Decimal(line.lineAmount).div(new Decimal(line.rate).div(100).plus(1)).div(quantity)
+        : new Decimal(line.unitPrice);
+
+      priceAllowance = el('cac:AllowanceCharge', {},
+        text('cbc:ChargeIndicator', 'false'),
+        text('cbc:AllowanceChargeReason', source.discountReason || 'discount'),
+        el('cbc:Amount', { currencyID: currency }, price(grossPrice.minus(netPrice))),
+        el('cbc:BaseAmount', { currencyID: currency }, price(grossPrice))
+      );
+    }
+
+    return el('cac:InvoiceLine', {},
+      text('cbc:ID', line.lineNumber),
+      text('cbc:InvoicedQuantity', line.quantity, { unitCode: source.unitCode || 'PCE' }),
+      this.amount('cbc:LineExtensionAmount', line.netAmount, currency),
+      el('cac:TaxTotal', {},
+        this.amount('cbc:TaxAmount', line.vatAmount, currency),
+        this.amount('cbc:RoundingAmount', line.totalAmount, currency)
+      ),
+      el('cac:Item', {},
+        text('cbc:Name', line.description || source.name || `Item ${line.lineNumber}`),
+        this.taxCategory('cac:ClassifiedTaxCategory', line)
+      ),
+      el('cac:Price', {},
+        el('cbc:PriceAmount', { currencyID: currency }, price(netPrice)),
+        priceAllowance
+      )
+    );
+  }
+
+  /**
+   * Element tree for an already normalized and validated invoice. `extensions`
+   * (signature, QR) are filled in by the stamping step.
+   */
+  buildTree(invoice, calculation, extensions = {}) {
+    const { currency } = invoice;
+    const { totals } = calculation;
+    const documentType = DOCUMENT_TYPES[invoice.documentType];
+
+    return el('Invoice', NAMESPACES,
+      extensions.ublExtensions,
+      text('cbc:ProfileID', 'reporting:1.0'),
+      text('cbc:ID', invoice.number),
+      text('cbc:UUID', invoice.uuid),
+      text('cbc:IssueDate', invoice.issueDate),
+      text('cbc:IssueTime', invoice.issueTime),
+      text('cbc:InvoiceTypeCode', documentType.code, { name: this.transactionCode(invoice) }),
+      text('cbc:Note', invoice.note, invoice.note ? { languageID: invoice.noteLanguage || 'ar' } : {}),
+      text('cbc:DocumentCurrencyCode', currency),
+      text('cbc:TaxCurrencyCode', 'SAR'),
+      invoice.billingReference && el('cac:BillingReference', {},
+        el('cac:InvoiceDocumentReference', {}, text('cbc:ID', invoice.billingReference))
+      ),
+      el('cac:AdditionalDocumentReference', {},
+        text('cbc:ID', 'ICV'),
+        text('cbc:UUID', invoice.counter)
+      ),
+      el('cac:AdditionalDocumentReference', {},
+        text('cbc:ID', 'PIH'),
+        el('cac:Attachment', {},
+          text('cbc:EmbeddedDocumentBinaryObject', invoice.previousHash, { mimeCode: 'text/plain' })
+        )
+      ),
+      extensions.qr && el('cac:AdditionalDocumentReference', {},
+        text('cbc:ID', 'QR'),
+        el('cac:Attachment', {},
+          text('cbc:EmbeddedDocumentBinaryObject', extensions.qr, { mimeCode: 'text/plain' })
+        )
+      ),
+      extensions.signature,
+      this.party('cac:AccountingSupplierParty', invoice.seller),
+      this.party('cac:AccountingCustomerParty', invoice.buyer || {}),
+      invoice.supplyDate && el('cac:Delivery', {},
+        text('cbc:ActualDeliveryDate', invoice.supplyDate),
+        text('cbc:LatestDeliveryDate', invoice.supplyEndDate)
+      ),
+      el('cac:PaymentMeans', {},
+        text('cbc:PaymentMeansCode', invoice.paymentMeansCode),
+        text('cbc:InstructionNote', invoice.documentType !== 'invoice' ? invoice.reason : null)
+      ),
+      el('cac:TaxTotal', {}, this.amount('cbc:TaxAmount', totals.vatTotal, 'SAR')),
+      el('cac:TaxTotal', {},
+        this.amount('cbc:TaxAmount', totals.vatTotal, currency),
+        calculation.breakdown.map(group => el('cac:TaxSubtotal', {},
+          this.amount('cbc:TaxableAmount', group.taxableAmount, currency),
+          this.amount('cbc:TaxAmount', group.vatAmount, currency),
+          this.taxCategory('cac:TaxCategory', group, { schemes: true })
+        ))
+      ),
+      el('cac:LegalMonetaryTotal', {},
+        this.amount('cbc:LineExtensionAmount', totals.lineExtensionAmount, currency),
+        this.amount('cbc:TaxExclusiveAmount', totals.taxExclusiveAmount, currency),
+        this.amount('cbc:TaxInclusiveAmount', totals.taxInclusiveAmount, currency),
+        this.amount('cbc:AllowanceTotalAmount', '0', currency),
+        this.amount('cbc:PrepaidAmount', '0', currency),
+        this.amount('cbc:PayableAmount', totals.payableAmount, currency)
+      ),
+      calculation.lines.map((line, index) => this.invoiceLine(line, invoice.lines[index], currency))
+    );
+  }
+
+  /**
+   * Calculate, validate and build. Throws ValidationError listing every failed rule.
+   */
+  prepare(input) {
+    if (!input || typeof input !== 'object') {
+      throw new ValidationError('invoice must be an object', [{ field: 'invoice' }]);
+    }
+
+    const invoice = this.normalize(input);
+    const calculation = vatCalculator.calculateInvoice({
+      lines: invoice.lines,
+      pricesIncludeVat: invoice.pricesIncludeVat,
+      currency: invoice.currency
+    });
+
+    const errors = this.validate(invoice, calculation);
+    if (errors.length) {
+      throw new ValidationError('Invoice fails ZATCA business rules', errors);
+    }
+
+    return { invoice, calculation };
+  }
+
+  /**
+   * QR fields printed on the invoice; Phase 2 adds the hash, signature and key tags
+   */
+  qrFields(invoice, calculation) {
+    return {
+      sellerName: invoice.seller.name,
+      vatNumber: taxIdValidator.normalize(invoice.seller.vatNumber),
+      timestamp: `${invoice.issueDate}T${invoice.issueTime}`,
+      total: calculation.totals.taxInclusiveAmount,
+      vatTotal: calculation.totals.vatTotal
+    };
+  }
+
+  /**
+   * UBL 2.1 XML for an invoice, credit note or debit note. Simplified invoices carry the
+   * Phase 1 QR code; standard invoices receive theirs from ZATCA on clearance.
+   */
+  generate(input, { indent = '    ' } = {}) {
+    const { invoice, calculation } = this.prepare(input);
+    const qr = invoice.type === 'simplified' ? zatcaQr.encode(this.qrFields(invoice, calculation)) : null;
+    const tree = this.buildTree(invoice, calculation, { qr });
+
+    return {
+      uuid: invoice.uuid,
+      number: invoice.number,
+      invoiceTypeCode: DOCUMENT_TYPES[invoice.documentType].code,
+      transactionCode: this.transactionCode(invoice),
+      issueDate: invoice.issueDate,
+      issueTime: invoice.issueTime,
+      counter: Number(invoice.counter),
+      previousHash: invoice.previousHash,
+      totals: calculation.totals,
+      breakdown: calculation.breakdown,
+      qr,
+      xml: serialize(tree, { indent, declaration: true })
+    };
+  }
+}
+
+export { DOCUMENT_TYPES, EXEMPTION_CODES, INITIAL_PREVIOUS_HASH };
+
+// Export singleton instance
+export default new ZatcaInvoice();
@@ -0,0 +1,199 @@
+/**
+ * ZATCA QR
+ * TLV/Base64 encoding and decoding of the e-invoice QR code (Phase 1 tags 1-5 and the
+ * Phase 2 hash, signature and key tags), offline verification and local image rendering
+ */
+
+import crypto from 'crypto';
+import Decimal from 'decimal.js';
+import QRCode from 'qrcode';
+import taxIdValidator from './tax-id-validator.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Tag number → field; `binary` values are raw bytes (Base64 in JSON), the rest UTF-8 text
+const TAGS = {
+  1: { field: 'sellerName', name: 'Seller name', nameArabic: 'اسم البائع' },
+  2: { field: 'vatNumber', name: 'VAT registration number', nameArabic: 'الرقم الضريبي للبائع' },
+  3: { field: 'timestamp', name: 'Invoice timestamp', nameArabic: 'الطابع الزمني للفاتورة' },
+  4: { field: 'total', name: 'Invoice total (with VAT)', nameArabic: 'إجمالي الفاتورة مع الضريبة' },
+  5: { field: 'vatTotal', name: 'VAT total', nameArabic: 'إجمالي ضريبة القيمة المضافة' },
+  6: { field: 'invoiceHash', name: 'XML invoice hash', nameArabic: 'تجزئة الفاتورة' },
+  7: { field: 'signature', name: 'ECDSA signature', nameArabic: 'التوقيع الرقمي' },
+  8: { field: 'publicKey', name: 'ECDSA public key', nameArabic: 'المفتاح العام', binary: true },
+  9: { field: 'certificateSignature', name: 'Certificate signature', nameArabic: 'توقيع الشهادة', binary: true }
+};
+
+const REQUIRED_TAGS = [1, 2, 3, 4, 5];
+const FIELDS = Object.values(TAGS).map(tag => tag.field);
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+class ZatcaQr {
+  constructor() {
+    this.tags = TAGS;
+  }
+
+  /**
+   * Base64 TLV for the given fields. Tags 1-5 are required; 6-9 are added when present.
+   */
+  encode(fields) {
+    const missing = REQUIRED_TAGS.filter(tag => [undefined, null, ''].includes(fields?.[TAGS[tag].field]));
+    if (missing.length) {
+      throw new ValidationError(
+        `QR fields missing: ${missing.map(tag => TAGS[tag].field).join(', ')}`,
+        missing.map(tag => ({ field: TAGS[tag].field, tag }))
+      );
+    }
+
+    const chunks = Object.entries(TAGS).flatMap(([tag, { field, binary }]) => {
+      const value = fields[field];
+      if (value === undefined || value === null || value === '') return [];
+
+      const bytes = binary
+        ? (Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'base64'))
+        : Buffer.from(this.textValue(field, value), 'utf8');
+
+      if (bytes.length > 255) {
+        throw new ValidationError(`${field} is too long for a QR TLV field (max 255 bytes)`, [{ field, tag: Number(tag) }]);
+      }
+      return [Buffer.from([Number(tag), bytes.length]), bytes];
+    });
+
+    return Buffer.concat(chunks).toString('base64');
+  }
+
+  // Amounts are written with two decimals, timestamps as ISO 8601
+  textValue(field, value) {
+    if (field === 'total' || field === 'vatTotal') return new Decimal(value).toFixed(2);
+    if (field === 'timestamp' && value instanceof Date) return value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return String(value);
+  }
+
+  /**
+   * Parse a Base64 TLV string into its fields. Unknown tags are kept under `unknownTags`.
+   */
+  decode(qr) {
+    const input = String(qr || '').replace(/\s+/g, '');
+    if (!input || !/^[A-Za-z0-9+/]+={0,2}$/.test(input)) {
+      throw new ValidationError('QR value must be a Base64 string', [{ field: 'qr' }]);
+    }
+
+    const bytes = Buffer.from(input, 'base64');
+    const fields = {};
+    const unknownTags = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      if (offset + 2 > bytes.length) {
+        throw new ValidationError('QR TLV is truncated', [{ field: 'qr', offset }]);
+      }
+      const tag = bytes[offset];
+      const length = bytes[offset + 1];
+      const value = bytes.subarray(offset + 2, offset + 2 + length);
+      if (value.length !== length) {
+        throw new ValidationError(`QR TLV tag ${tag} is truncated`, [{ field: 'qr', tag, offset }]);
+      }
+
+      const definition = TAGS[tag];
+      if (!definition) {
+        unknownTags.push({ tag, value: value.toString('base64') });
+      } else {
+        fields[definition.field] = definition.binary ? value.toString('base64') : value.toString('utf8');
+      }
+      offset += 2 + length;
+    }
+
+    return { fields, ...(unknownTags.length && { unknownTags }) };
+  }
+
+  /**
+   * Decode and check a QR: required tags, VAT number and amount formats, and when Phase 2
+   * tags are present, the ECDSA signature over the invoice hash. Optional `expected`
+   * values (e.g. from the invoice the QR is printed on) are compared too.
+   */
+  verify(qr, expected = {}) {
+    const { fields, unknownTags } = this.decode(qr);
+    const errors = [];
+    const fail = (code, field, message) => errors.push({ code, field, message });
+
+    for (const tag of REQUIRED_TAGS) {
+      if (!fields[TAGS[tag].field]) fail('QR_MISSING_TAG', TAGS[tag].field, `Tag ${tag} (${TAGS[tag].name}) is missing`);
+    }
+
+    if (fields.vatNumber) {
+      const vat = taxIdValidator.validateVatNumber(fields.vatNumber);
+      vat.errors.forEach(error => fail(error.code, 'vatNumber', error.message));
+    }
+    if (fields.timestamp && (!TIMESTAMP_PATTERN.test(fields.timestamp) || Number.isNaN(Date.parse(fields.timestamp)))) {
+      fail('QR_INVALID_TIMESTAMP', 'timestamp', 'Timestamp must be ISO 8601');
+    }
+    for (const field of ['total', 'vatTotal']) {
+      if (fields[field] && !AMOUNT_PATTERN.test(fields[field])) {
+        fail('QR_INVALID_AMOUNT', field, `${field} must be a non-negative amount with at most 2 decimals`);
+      }
+    }
+    if (AMOUNT_PATTERN.test(fields.total || '') && AMOUNT_PATTERN.test(fields.vatTotal || '') &&
+      new Decimal(fields.vatTotal).gt(fields.total)) {
+      fail('QR_INVALID_AMOUNT', 'vatTotal', 'VAT total cannot exceed the invoice total');
+    }
+
+    for (const [field, value] of Object.entries(expected || {})) {
+      if (value === undefined || value === null || !FIELDS.includes(field)) continue;
+      const actual = fields[field];
+      const matches = field === 'total' || field === 'vatTotal'
+        ? actual !== undefined && AMOUNT_PATTERN.test(actual) && new Decimal(actual).eq(value)
+        : actual === this.textValue(field, value);
+      if (!matches) fail('QR_MISMATCH', field, `${field} does not match the invoice`);
+    }
+
+    const phase2 = Boolean(fields.invoiceHash || fields.signature || fields.publicKey);
+    let signatureVerified = null;
+    if (phase2) {
+      if (!fields.invoiceHash || !fields.signature || !fields.publicKey) {
+        fail('QR_INCOMPLETE_PHASE2', 'signature', 'Phase 2 QR codes need the hash, signature and public key tags');
+      } else {
+        signatureVerified = this.verifySignature(fields);
+        if (!signatureVerified) fail('QR_INVALID_SIGNATURE', 'signature', 'Signature does not match the invoice hash and public key');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      phase: phase2 ? 2 : 1,
+      signatureVerified,
+      fields,
+      ...(unknownTags && { unknownTags }),
+      errors
+    };
+  }
+
+  // ECDSA-SHA256 over the hash bytes, with the DER public key from tag 8
+  verifySignature({ invoiceHash, signature, publicKey }) {
+    try {
+      const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+      return crypto.verify('sha256', Buffer.from(invoiceHash, 'base64'), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * QR image rendered locally: PNG buffer or SVG string
+   */
+  async image(qr, format = 'png') {
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    if (format === 'svg') {
+      return QRCode.toString(qr, { ...options, type: 'svg' });
+    }
+    if (format === 'png') {
+      return QRCode.toBuffer(qr, { ...options, type: 'png', width: 300 });
+    }
+    throw new ValidationError('format must be png or svg', [{ field: 'format', value: format }]);
+  }
+}
+
+export { TAGS as QR_TAGS };
+
+// Export singleton instance
+export default new ZatcaQr();
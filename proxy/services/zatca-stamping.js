@@ -0,0 +1,578 @@
+/**
+ * ZATCA Stamping
+ * Phase 2 cryptographic stamping: per-EGS secp256k1 keys and CSRs, invoice hashing and
+ * XAdES signing, and the ICV/PIH chain that links every invoice an EGS unit issues
+ */
+
+import crypto from 'crypto';
+import databaseManager from '../database-config.js';
+import zatcaInvoice, { INITIAL_PREVIOUS_HASH } from './zatca-invoice.js';
+import zatcaQr from './zatca-qr.js';
+import taxIdValidator from './tax-id-validator.js';
+import { ValidationError } from '../utils/errors.js';
+import { el, text, serialize } from '../utils/xml.js';
+import * as der from '../utils/der.js';
+
+const CURVE = 'secp256k1';
+
+// Certificate template requested in the CSR, per ZATCA environment
+const CERTIFICATE_TEMPLATES = {
+  sandbox: 'TSTZATCA-Code-Signing',
+  simulation: 'PREZATCA-Code-Signing',
+  production: 'ZATCA-Code-Signing'
+};
+
+const OIDS = {
+  ecPublicKey: '1.2.840.10045.2.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  extensionRequest: '1.2.840.113549.1.9.14',
+  certificateTemplateName: '1.3.6.1.4.1.311.20.2',
+  subjectAltName: '2.5.29.17',
+  country: '2.5.4.6',
+  organization: '2.5.4.10',
+  organizationalUnit: '2.5.4.11',
+  commonName: '2.5.4.3',
+  surname: '2.5.4.4',
+  userId: '0.9.2342.19200300.100.1.1',
+  title: '2.5.4.12',
+  registeredAddress: '2.5.4.26',
+  businessCategory: '2.5.4.15'
+};
+
+const NS = {
+  sig: 'urn:oasis:names:specification:ubl:schema:xsd:CommonSignatureComponents-2',
+  sac: 'urn:oasis:names:specification:ubl:schema:xsd:SignatureAggregateComponents-2',
+  sbc: 'urn:oasis:names:specification:ubl:schema:xsd:SignatureBasicComponents-2',
+  ds: 'http://www.w3.org/2000/09/xmldsig#',
+  xades: 'http://uri.etsi.org/01903/v1.3.2#'
+};
+
+const ALGORITHMS = {
+  c14n11: 'http://www.w3.org/2006/12/xml-c14n11',
+  ecdsaSha256: 'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256',
+  sha256: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  xpath: 'http://www.w3.org/TR/1999/REC-xpath-19991116'
+};
+
+// Parts of the document excluded from the invoice hash
+const HASH_EXCLUSIONS = [
+  'not(//ancestor-or-self::ext:UBLExtensions)',
+  'not(//ancestor-or-self::cac:Signature)',
+  'not(//ancestor-or-self::cac:AdditionalDocumentReference[cbc:ID=\'QR\'])'
+];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// ZATCA quotes property and certificate digests as Base64 of the hex digest
+const hexDigest = (data) => Buffer.from(sha256(data).toString('hex')).toString('base64');
+
+const pemBody = (pem) => pem.replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, '');
+const toPem = (label, base64) => `-----BEGIN ${label}-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+
+class ZatcaStamping {
+  constructor(store = databaseManager) {
+    this.store = store;
+    this.locks = new Map();
+  }
+
+  /**
+   * Private keys are encrypted with AES-256-GCM when STAMPING_KEY_SECRET is set
+   */
+  encryptKey(pem) {
+    const secret = process.env.STAMPING_KEY_SECRET;
+    if (!secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('STAMPING_KEY_SECRET must be set to store stamping keys in production');
+      }
+      return pem;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sha256(secret), iv);
+    const data = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return ['enc', 'v1', iv, cipher.getAuthTag(), data].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+  }
+
+  decryptKey(stored) {
+    if (!stored.startsWith('enc:v1:')) return stored;
+
+    const secret = process.env.STAMPING_KEY_SECRET;
+    if (!secret) throw new Error('STAMPING_KEY_SECRET is required to use this stamping key');
+
+    const [, , iv, tag, data] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sha256(secret), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Public view of a stored unit (camelCase or snake_case); the private key never leaves the service
+   */
+  normalize(unit) {
+    if (!unit) return null;
+
+    return {
+      id: unit.id,
+      orgId: unit.orgId || unit.org_id,
+      name: unit.name,
+      serialNumber: unit.serialNumber || unit.serial_number,
+      commonName: unit.commonName || unit.common_name,
+      vatNumber: unit.vatNumber || unit.vat_number,
+      publicKey: unit.publicKey || unit.public_key,
+      csr: unit.csr,
+      certificate: unit.certificate || null,
+      createdAt: unit.createdAt || unit.created_at,
+      updatedAt: unit.updatedAt || unit.updated_at
+    };
+  }
+
+  normalizeEntry(entry, { includeXml = false } = {}) {
+    return {
+      icv: Number(entry.icv),
+      invoiceUuid: entry.invoiceUuid || entry.invoice_uuid,
+      invoiceNumber: entry.invoiceNumber || entry.invoice_number,
+      invoiceHash: entry.invoiceHash || entry.invoice_hash,
+      previousHash: entry.previousHash || entry.previous_hash,
+      signedAt: entry.signedAt || entry.signed_at,
+      ...(includeXml && { xml: entry.xml })
+    };
+  }
+
+  // Serialize work on one EGS unit so counters are handed out in order
+  async withLock(egsId, work) {
+    const previous = this.locks.get(egsId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(work);
+    this.locks.set(egsId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(egsId) === current) this.locks.delete(egsId);
+    }
+  }
+
+  /**
+   * PKCS#10 request with the subject and SAN fields ZATCA requires for a CSID
+   */
+  buildCsr({ privateKey, publicKey, commonName, organizationName, organizationUnit, serialNumber, vatNumber, invoiceTypes, location, industry, environment }) {
+    const attribute = (type, value, encode = der.utf8) => der.set(der.sequence(der.oid(OIDS[type]), encode(value)));
+
+    const subject = der.sequence(
+      attribute('country', 'SA', der.printable),
+      attribute('organizationalUnit', organizationUnit),
+      attribute('organization', organizationName),
+      attribute('commonName', commonName)
+    );
+
+    const directoryName = der.sequence(
+      attribute('surname', serialNumber),
+      attribute('userId', vatNumber),
+      attribute('title', invoiceTypes),
+      attribute('registeredAddress', location),
+      attribute('businessCategory', industry)
+    );
+
+    const extensions = der.sequence(
+      der.sequence(
+        der.oid(OIDS.certificateTemplateName),
+        der.octetString(der.printable(CERTIFICATE_TEMPLATES[environment]))
+      ),
+      der.sequence(
+        der.oid(OIDS.subjectAltName),
+        der.octetString(der.sequence(der.context(4, directoryName)))
+      )
+    );
+
+    const requestInfo = der.sequence(
+      der.integer(0),
+      subject,
+      publicKey.export({ format: 'der', type: 'spki' }),
+      der.context(0, der.sequence(der.oid(OIDS.extensionRequest), der.set(extensions)))
+    );
+
+    const signature = crypto.sign('sha256', requestInfo, privateKey);
+    const csr = der.sequence(requestInfo, der.sequence(der.oid(OIDS.ecdsaWithSha256)), der.bitString(signature));
+
+    return toPem('CERTIFICATE REQUEST', csr.toString('base64'));
+  }
+
+  /**
+   * Register an EGS unit for an organization: generate its key pair and CSR
+   */
+  async createUnit(orgId, options = {}) {
+    if (!orgId) throw new ValidationError('orgId is required', [{ field: 'orgId' }]);
+    await this.store.ready;
+
+    const org = await this.store.getOrganization(orgId);
+    const vatNumber = taxIdValidator.assertVatNumber(options.vatNumber || org?.vatNumber || org?.vat_number);
+    if (!vatNumber) throw new ValidationError('vatNumber is required', [{ field: 'vatNumber' }]);
+
+    const environment = options.environment || process.env.ZATCA_ENVIRONMENT || 'sandbox';
+    if (!CERTIFICATE_TEMPLATES[environment]) {
+      throw new ValidationError(`environment must be one of ${Object.keys(CERTIFICATE_TEMPLATES).join(', ')}`, [{ field: 'environment' }]);
+    }
+
+    const id = crypto.randomUUID();
+    const name = options.name || 'EGS';
+    const details = {
+      commonName: options.commonName || `${name}-${id.slice(0, 8)}`,
+      organizationName: options.organizationName || org?.name || vatNumber,
+      organizationUnit: options.organizationUnit || 'Main Branch',
+      serialNumber: options.serialNumber || `1-DoganAI|2-1.0|3-${id}`,
+      vatNumber,
+      invoiceTypes: options.invoiceTypes || '1100',
+      location: options.location || 'SA',
+      industry: options.industry || org?.industry || 'Other',
+      environment
+    };
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: CURVE });
+    const csr = this.buildCsr({ ...details, privateKey, publicKey });
+
+    const unit = await this.store.createEgsUnit({
+      id,
+      orgId,
+      name,
+      serialNumber: details.serialNumber,
+      commonName: details.commonName,
+      vatNumber,
+      privateKey: this.encryptKey(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+      publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+      csr
+    });
+
+    return this.normalize(unit);
+  }
+
+  async getUnit(orgId, egsId) {
+    await this.store.ready;
+    return this.normalize(await this.store.getEgsUnit(orgId, egsId));
+  }
+
+  async listUnits(orgId) {
+    await this.store.ready;
+    return (await this.store.listEgsUnits(orgId)).map(unit => this.normalize(unit));
+  }
+
+  /**
+   * Install the CSID certificate ZATCA issued for the unit's CSR (PEM or Base64 DER)
+   */
+  async installCertificate(orgId, egsId, certificate) {
+    const unit = await this.getUnit(orgId, egsId);
+    if (!unit) return null;
+
+    let x509;
+    try {
+      const body = pemBody(String(certificate || ''));
+      x509 = new crypto.X509Certificate(Buffer.from(body, 'base64'));
+    } catch (error) {
+      throw new ValidationError('certificate must be a PEM or Base64 DER X.509 certificate', [{ field: 'certificate' }]);
+    }
+
+    const certificateKey = x509.publicKey.export({ format: 'der', type: 'spki' });
+    const unitKey = crypto.createPublicKey(unit.publicKey).export({ format: 'der', type: 'spki' });
+    if (!certificateKey.equals(unitKey)) {
+      throw new ValidationError('certificate does not belong to this EGS unit key', [{ field: 'certificate' }]);
+    }
+
+    return this.normalize(await this.store.updateEgsUnit(orgId, egsId, { certificate: x509.raw.toString('base64') }));
+  }
+
+  certificateDetails(certificate) {
+    const x509 = new crypto.X509Certificate(Buffer.from(certificate, 'base64'));
+    const [, , signature] = der.children(der.read(x509.raw));
+
+    return {
+      digest: hexDigest(certificate),
+      issuer: x509.issuer.split('\n').reverse().join(', '),
+      serialNumber: BigInt(`0x${x509.serialNumber}`).toString(),
+      signature: signature.value.subarray(1)
+    };
+  }
+
+  /**
+   * SHA-256 over the canonical document minus UBLExtensions, cac:Signature and the QR reference
+   */
+  hashInvoice(unsignedTree) {
+    return sha256(serialize(unsignedTree)).toString('base64');
+  }
+
+  signedProperties({ signingTime, certificate }) {
+    return el('xades:SignedProperties', { 'xmlns:ds': NS.ds, 'xmlns:xades': NS.xades, Id: 'xadesSignedProperties' },
+      el('xades:SignedSignatureProperties', {},
+        text('xades:SigningTime', signingTime),
+        certificate && el('xades:SigningCertificate', {},
+          el('xades:Cert', {},
+            el('xades:CertDigest', {},
+              el('ds:DigestMethod', { Algorithm: ALGORITHMS.sha256 }),
+              text('ds:DigestValue', certificate.digest)
+            ),
+            el('xades:IssuerSerial', {},
+              text('ds:X509IssuerName', certificate.issuer),
+              text('ds:X509SerialNumber', certificate.serialNumber)
+            )
+          )
+        )
+      )
+    );
+  }
+
+  ublExtensions({ invoiceHash, signatureValue, signedProperties, propertiesDigest, certificate }) {
+    return el('ext:UBLExtensions', {},
+      el('ext:UBLExtension', {},
+        text('ext:ExtensionURI', 'urn:oasis:names:specification:ubl:dsig:enveloped:xades'),
+        el('ext:ExtensionContent', {},
+          el('sig:UBLDocumentSignatures', { 'xmlns:sig': NS.sig, 'xmlns:sac': NS.sac, 'xmlns:sbc': NS.sbc },
+            el('sac:SignatureInformation', {},
+              text('cbc:ID', 'urn:oasis:names:specification:ubl:signature:1'),
+              text('sbc:ReferencedSignatureID', 'urn:oasis:names:specification:ubl:signature:Invoice'),
+              el('ds:Signature', { 'xmlns:ds': NS.ds, Id: 'signature' },
+                el('ds:SignedInfo', {},
+                  el('ds:CanonicalizationMethod', { Algorithm: ALGORITHMS.c14n11 }),
+                  el('ds:SignatureMethod', { Algorithm: ALGORITHMS.ecdsaSha256 }),
+                  el('ds:Reference', { Id: 'invoiceSignedData', URI: '' },
+                    el('ds:Transforms', {},
+                      HASH_EXCLUSIONS.map(xpath => el('ds:Transform', { Algorithm: ALGORITHMS.xpath }, text('ds:XPath', xpath))),
+                      el('ds:Transform', { Algorithm: ALGORITHMS.c14n11 })
+                    ),
+                    el('ds:DigestMethod', { Algorithm: ALGORITHMS.sha256 }),
+                    text('ds:DigestValue', invoiceHash)
+                  ),
+                  el('ds:Reference', { Type: 'http://www.w3.org/2000/09/xmldsig#SignatureProperties', URI: '#xadesSignedProperties' },
+                    el('ds:DigestMethod', { Algorithm: ALGORITHMS.sha256 }),
+                    text('ds:DigestValue', propertiesDigest)
+                  )
+                ),
+                text('ds:SignatureValue', signatureValue),
+                certificate && el('ds:KeyInfo', {},
+                  el('ds:X509Data', {}, text('ds:X509Certificate', certificate))
+                ),
+                el('ds:Object', {},
+                  el('xades:QualifyingProperties', { 'xmlns:xades': NS.xades, Target: 'signature' },
+                    // Declared on the ancestors in the document; dropped here to avoid repeating them
+                    { ...signedProperties, attributes: { Id: signedProperties.attributes.Id } }
+                  )
+                )
+              )
+            )
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Stamp one invoice on an EGS unit: allocate the next ICV, chain it to the previous hash,
+   * sign it and record it. The seller VAT number must match the unit's. Pass a transaction's
+   * `query` to record the chain entry as part of it.
+   */
+  async stamp(orgId, egsId, input, { query } = {}) {
+    await this.store.ready;
+
+    return this.withLock(egsId, async () => {
+      const stored = await this.store.getEgsUnit(orgId, egsId);
+      if (!stored) return null;
+      const unit = this.normalize(stored);
+
+      const sellerVat = taxIdValidator.normalize(input?.seller?.vatNumber);
+      if (sellerVat !== unit.vatNumber) {
+        throw new ValidationError('seller.vatNumber must match the EGS unit VAT number', [{ field: 'seller.vatNumber', value: input?.seller?.vatNumber }]);
+      }
+
+      const last = await this.store.getLastChainEntry(orgId, egsId);
+      const counter = last ? Number(last.icv) + 1 : 1;
+      const previousHash = last ? (last.invoiceHash || last.invoice_hash) : INITIAL_PREVIOUS_HASH;
+
+      const { invoice, calculation } = zatcaInvoice.prepare({ ...input, counter, previousHash });
+
+      const invoiceHash = this.hashInvoice(zatcaInvoice.buildTree(invoice, calculation));
+      const privateKey = crypto.createPrivateKey(this.decryptKey(stored.privateKey || stored.private_key));
+      const signatureValue = crypto.sign('sha256', Buffer.from(invoiceHash, 'base64'), privateKey).toString('base64');
+
+      const certificate = unit.certificate ? this.certificateDetails(unit.certificate) : null;
+      const signingTime = new Date().toISOString().slice(0, 19);
+      const signedProperties = this.signedProperties({ signingTime, certificate });
+      const propertiesDigest = hexDigest(serialize(signedProperties));
+
+      const qr = zatcaQr.encode({
+        ...zatcaInvoice.qrFields(invoice, calculation),
+        invoiceHash,
+        signature: signatureValue,
+        publicKey: crypto.createPublicKey(unit.publicKey).export({ format: 'der', type: 'spki' }),
+        certificateSignature: certificate?.signature
+      });
+
+      const tree = zatcaInvoice.buildTree(invoice, calculation, {
+        ublExtensions: this.ublExtensions({ invoiceHash, signatureValue, signedProperties, propertiesDigest, certificate: unit.certificate }),
+        signature: el('cac:Signature', {},
+          text('cbc:ID', 'urn:oasis:names:specification:ubl:signature:Invoice'),
+          text('cbc:SignatureMethod', 'urn:oasis:names:specification:ubl:dsig:enveloped:xades')
+        ),
+        qr
+      });
+      // Compact output: its canonical form is the document itself, so the hash can be re-checked
+      const xml = serialize(tree, { declaration: true });
+
+      try {
+        await this.store.appendInvoiceChain({
+          id: crypto.randomUUID(),
+          egsId,
+          orgId,
+          icv: counter,
+          invoiceUuid: invoice.uuid,
+          invoiceNumber: invoice.number,
+          invoiceHash,
+          previousHash,
+          xml
+        }, query);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new ValidationError('Another invoice took this counter value; retry the request', [{ field: 'counter', value: counter }]);
+        }
+        throw error;
+      }
+
+      return {
+        egsId,
+        icv: counter,
+        uuid: invoice.uuid,
+        number: invoice.number,
+        invoiceHash,
+        previousHash,
+        signatureValue,
+        qr,
+        certified: Boolean(unit.certificate),
+        totals: calculation.totals,
+        xml
+      };
+    });
+  }
+
+  /**
+   * Offline check of a document this service stamped: recompute the invoice and signed
+   * properties digests, verify the ECDSA signature and the QR code
+   */
+  verifyDocument(xml, { publicKey } = {}) {
+    const document = String(xml || '').replace(/^<\?xml[^>]*\?>\s*/, '');
+    const pick = (pattern) => document.match(pattern)?.[1];
+    const errors = [];
+    const fail = (code, message) => errors.push({ code, message });
+
+    if (!document.startsWith('<Invoice')) {
+      throw new ValidationError('xml must be a UBL invoice document', [{ field: 'xml' }]);
+    }
+
+    const unsigned = document
+      .replace(/<ext:UBLExtensions>[\s\S]*?<\/ext:UBLExtensions>/, '')
+      .replace(/<cac:Signature>[\s\S]*?<\/cac:Signature>/, '')
+      .replace(/<cac:AdditionalDocumentReference><cbc:ID>QR<\/cbc:ID>[\s\S]*?<\/cac:AdditionalDocumentReference>/, '');
+    const invoiceHash = sha256(unsigned).toString('base64');
+
+    const digestValue = pick(/<ds:Reference Id="invoiceSignedData" URI="">[\s\S]*?<ds:DigestValue>([^<]+)<\/ds:DigestValue>/);
+    const signatureValue = pick(/<ds:SignatureValue>([^<]+)<\/ds:SignatureValue>/);
+    const qr = pick(/<cbc:ID>QR<\/cbc:ID><cac:Attachment><cbc:EmbeddedDocumentBinaryObject[^>]*>([^<]+)</);
+
+    if (!digestValue || !signatureValue) {
+      fail('NOT_SIGNED', 'Document has no invoice signature');
+    } else if (digestValue !== invoiceHash) {
+      fail('HASH_MISMATCH', 'Document content does not match the signed invoice hash');
+    }
+
+    const properties = pick(/(<xades:SignedProperties[\s\S]*?<\/xades:SignedProperties>)/);
+    const propertiesDigest = pick(/URI="#xadesSignedProperties">[\s\S]*?<ds:DigestValue>([^<]+)<\/ds:DigestValue>/);
+    if (properties && propertiesDigest) {
+      const canonical = properties.replace('<xades:SignedProperties ', `<xades:SignedProperties xmlns:ds="${NS.ds}" xmlns:xades="${NS.xades}" `);
+      if (hexDigest(canonical) !== propertiesDigest) fail('PROPERTIES_MISMATCH', 'Signed properties were altered');
+    }
+
+    const qrCheck = qr ? zatcaQr.verify(qr) : null;
+    const key = publicKey || (qrCheck?.fields.publicKey
+      ? crypto.createPublicKey({ key: Buffer.from(qrCheck.fields.publicKey, 'base64'), format: 'der', type: 'spki' })
+      : null);
+
+    let signatureValid = false;
+    if (!key) {
+      fail('NO_PUBLIC_KEY', 'No public key to verify the signature with');
+    } else if (signatureValue) {
+      try {
+        signatureValid = crypto.verify('sha256', Buffer.from(invoiceHash, 'base64'), key, Buffer.from(signatureValue, 'base64'));
+      } catch (error) {
+        signatureValid = false;
+      }
+      if (!signatureValid) fail('INVALID_SIGNATURE', 'Signature does not verify against the invoice hash');
+    }
+
+    if (!qrCheck) {
+      fail('QR_MISSING', 'Document has no QR code');
+    } else {
+      qrCheck.errors.forEach(error => fail(error.code, `QR: ${error.message}`));
+      if (qrCheck.fields.invoiceHash !== invoiceHash) fail('QR_HASH_MISMATCH', 'QR hash does not match the document');
+      if (qrCheck.fields.signature !== signatureValue) fail('QR_SIGNATURE_MISMATCH', 'QR signature does not match the document');
+    }
+
+    return {
+      valid: errors.length === 0,
+      invoiceHash,
+      signatureValid,
+      icv: Number(pick(/<cbc:ID>ICV<\/cbc:ID><cbc:UUID>([^<]+)<\/cbc:UUID>/)),
+      previousHash: pick(/<cbc:ID>PIH<\/cbc:ID><cac:Attachment><cbc:EmbeddedDocumentBinaryObject[^>]*>([^<]+)</),
+      uuid: pick(/<cbc:UUID>([0-9a-f-]{36})<\/cbc:UUID>/i),
+      errors
+    };
+  }
+
+  async listChain(orgId, egsId) {
+    await this.store.ready;
+    return (await this.store.listChainEntries(orgId, egsId)).map(entry => this.normalizeEntry(entry));
+  }
+
+  async getChainDocument(orgId, egsId, icv) {
+    await this.store.ready;
+    const entry = (await this.store.listChainEntries(orgId, egsId)).find(item => Number(item.icv) === Number(icv));
+    return entry ? this.normalizeEntry(entry, { includeXml: true }) : null;
+  }
+
+  /**
+   * Walk the chain: counters run 1..n without gaps, every PIH is the previous invoice's hash,
+   * and every stored document still hashes and verifies to what was recorded
+   */
+  async verifyChain(orgId, egsId) {
+    const unit = await this.getUnit(orgId, egsId);
+    if (!unit) return null;
+
+    const entries = (await this.store.listChainEntries(orgId, egsId)).map(entry => this.normalizeEntry(entry, { includeXml: true }));
+    const publicKey = crypto.createPublicKey(unit.publicKey);
+    const breaks = [];
+
+    entries.forEach((entry, index) => {
+      const expectedPrevious = index === 0 ? INITIAL_PREVIOUS_HASH : entries[index - 1].invoiceHash;
+      const brk = (code, message) => breaks.push({ icv: entry.icv, code, message });
+
+      if (entry.icv !== index + 1) brk('ICV_GAP', `Expected ICV ${index + 1}`);
+      if (entry.previousHash !== expectedPrevious) brk('PIH_MISMATCH', 'Previous hash does not match the prior invoice');
+
+      const document = this.verifyDocument(entry.xml, { publicKey });
+      if (document.invoiceHash !== entry.invoiceHash) brk('HASH_MISMATCH', 'Stored document does not match the recorded hash');
+      if (document.icv !== entry.icv || document.previousHash !== entry.previousHash) {
+        brk('CHAIN_FIELDS_MISMATCH', 'ICV or PIH inside the document differ from the chain record');
+      }
+      document.errors
+        .filter(error => error.code !== 'HASH_MISMATCH')
+        .forEach(error => brk(error.code, error.message));
+    });
+
+    const last = entries[entries.length - 1];
+    return {
+      egsId,
+      valid: breaks.length === 0,
+      length: entries.length,
+      lastIcv: last ? last.icv : 0,
+      lastHash: last ? last.invoiceHash : INITIAL_PREVIOUS_HASH,
+      breaks
+    };
+  }
+}
+
+export { CERTIFICATE_TEMPLATES };
+
+// Export singleton instance
+export default new ZatcaStamping();
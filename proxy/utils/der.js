@@ -0,0 +1,79 @@
+/**
+ * DER Helpers
+ * Just enough ASN.1 DER encoding and decoding to build certificate signing requests and
+ * read the parts of an X.509 certificate that ZATCA stamps need
+ */
+
+const length = (size) => {
+  if (size < 0x80) return Buffer.from([size]);
+  const bytes = [];
+  for (let remaining = size; remaining > 0; remaining >>= 8) bytes.unshift(remaining & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+export const tlv = (tag, value) => Buffer.concat([Buffer.from([tag]), length(value.length), value]);
+
+export const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+export const set = (...items) => tlv(0x31, Buffer.concat(items));
+export const utf8 = (value) => tlv(0x0c, Buffer.from(String(value), 'utf8'));
+export const printable = (value) => tlv(0x13, Buffer.from(String(value), 'ascii'));
+export const octetString = (value) => tlv(0x04, value);
+export const bitString = (value) => tlv(0x03, Buffer.concat([Buffer.from([0]), value]));
+
+// Context-specific tag; constructed unless `primitive` is set
+export const context = (number, value, { primitive = false } = {}) =>
+  tlv((primitive ? 0x80 : 0xa0) | number, value);
+
+export const integer = (value) => {
+  let hex = BigInt(value).toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  let bytes = Buffer.from(hex, 'hex');
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return tlv(0x02, bytes);
+};
+
+export const oid = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let remaining = arc >> 7; remaining > 0; remaining >>= 7) chunk.unshift((remaining & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+};
+
+/**
+ * Read one element at `offset`: { tag, start, headerLength, length, value, end }
+ */
+export const read = (buffer, offset = 0) => {
+  const tag = buffer[offset];
+  let size = buffer[offset + 1];
+  let headerLength = 2;
+
+  if (size & 0x80) {
+    const count = size & 0x7f;
+    size = 0;
+    for (let i = 0; i < count; i += 1) size = (size * 256) + buffer[offset + 2 + i];
+    headerLength += count;
+  }
+
+  const start = offset + headerLength;
+  if (tag === undefined || start + size > buffer.length) {
+    throw new Error('Malformed DER data');
+  }
+  return { tag, start: offset, headerLength, length: size, value: buffer.subarray(start, start + size), end: start + size };
+};
+
+/**
+ * Direct children of a constructed element
+ */
+export const children = (element) => {
+  const items = [];
+  for (let offset = 0; offset < element.value.length;) {
+    const child = read(element.value, offset);
+    items.push(child);
+    offset = child.end;
+  }
+  return items;
+};
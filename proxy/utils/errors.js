@@ -0,0 +1,50 @@
+/**
+ * Error Types
+ * Named errors the route layer maps to HTTP responses
+ */
+
+// Invalid input to a service; routes answer 400, as does the error handler in api/index.js
+export class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+// Request conflicts with the resource's current state (e.g. editing an issued invoice); routes and the api/index.js error handler answer 409
+export class ConflictError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ConflictError';
+    this.details = details;
+  }
+}
+
+// Missing or wrong credentials; routes and the api/index.js error handler answer 401
+export class AuthenticationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.details = details;
+  }
+}
+
+// Signed in but not allowed to do this (e.g. an admin changing an owner); routes and the api/index.js error handler answer 403
+export class ForbiddenError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.details = details;
+  }
+}
+
+// Too many attempts for a resource (e.g. login codes); routes and the api/index.js error handler answer 429 with Retry-After
+export class RateLimitError extends Error {
+  constructor(message, details = [], retryAfter = 60) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
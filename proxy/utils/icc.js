@@ -0,0 +1,81 @@
+/**
+ * ICC Helpers
+ * A minimal sRGB ICC v2 display profile, used as the PDF/A output intent so no profile
+ * file has to ship with the app
+ */
+
+const s15Fixed16 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+};
+
+const xyz = (x, y, z) => Buffer.concat([Buffer.from('XYZ '), Buffer.alloc(4), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)]);
+
+const description = (value) => {
+  const ascii = Buffer.from(`${value}\0`, 'ascii');
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(ascii.length);
+  // ASCII part, then empty Unicode and ScriptCode parts
+  return Buffer.concat([Buffer.from('desc'), Buffer.alloc(4), count, ascii, Buffer.alloc(8), Buffer.alloc(3), Buffer.alloc(67)]);
+};
+
+const textTag = (value) => Buffer.concat([Buffer.from('text'), Buffer.alloc(4), Buffer.from(`${value}\0`, 'ascii')]);
+
+// sRGB tone curve approximated by gamma 2.2 (u8Fixed8)
+const gammaCurve = () => Buffer.from([0x63, 0x75, 0x72, 0x76, 0, 0, 0, 0, 0, 0, 0, 1, 0x02, 0x33]);
+
+let cached = null;
+
+/**
+ * sRGB IEC61966-2.1 profile bytes (D50-adapted primaries)
+ */
+export const srgbProfile = () => {
+  if (cached) return cached;
+
+  const curve = gammaCurve();
+  const tags = [
+    ['desc', description('sRGB IEC61966-2.1')],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+    ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+    ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+    ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  const tableLength = 4 + tags.length * 12;
+  const table = Buffer.alloc(tableLength);
+  table.writeUInt32BE(tags.length, 0);
+
+  const data = [];
+  const offsets = new Map();
+  let offset = 128 + tableLength;
+  tags.forEach(([signature, value], index) => {
+    // Tags with identical data share one copy
+    if (!offsets.has(value)) {
+      offsets.set(value, offset);
+      const padding = (4 - (value.length % 4)) % 4;
+      data.push(value, Buffer.alloc(padding));
+      offset += value.length + padding;
+    }
+    table.write(signature, 4 + index * 12, 'ascii');
+    table.writeUInt32BE(offsets.get(value), 8 + index * 12);
+    table.writeUInt32BE(value.length, 12 + index * 12);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntrRGB XYZ ', 12, 'ascii');
+  [2024, 1, 1, 0, 0, 0].forEach((part, index) => header.writeUInt16BE(part, 24 + index * 2));
+  header.write('acsp', 36, 'ascii');
+  s15Fixed16(0.9642).copy(header, 68);
+  s15Fixed16(1.0).copy(header, 72);
+  s15Fixed16(0.8249).copy(header, 76);
+
+  cached = Buffer.concat([header, table, ...data]);
+  return cached;
+};
@@ -0,0 +1,29 @@
+/**
+ * Money Helpers
+ * Exact-decimal parsing and halala rounding shared by the financial services
+ */
+
+import Decimal from 'decimal.js';
+import { ValidationError } from './errors.js';
+
+// Amounts are kept to the halala (2 decimal places), rounding half up
+export const round = (value) => new Decimal(value).toDecimalPlaces(2, Decimal.ROUND_HALF_UP);
+export const format = (value) => round(value).toFixed(2);
+
+/**
+ * Parse a number or numeric string into a Decimal, rejecting NaN, Infinity and negatives
+ */
+export const toDecimal = (value, field, { positive = false } = {}) => {
+  let decimal;
+  try {
+    decimal = new Decimal(typeof value === 'string' ? value.trim() : value);
+  } catch (error) {
+    throw new ValidationError(`${field} must be a number`, [{ field, value }]);
+  }
+
+  if (!decimal.isFinite() || decimal.isNegative() || (positive && decimal.isZero())) {
+    throw new ValidationError(`${field} must be a ${positive ? 'positive' : 'non-negative'} number`, [{ field, value }]);
+  }
+
+  return decimal;
+};
@@ -0,0 +1,16 @@
+/**
+ * Tenant Helpers
+ * Organization-owned records are only read and written through their organization. Users
+ * without one (and the demo) get a personal tenant of their own.
+ */
+
+// Tenant of an authenticated principal (user, API key or the demo identity)
+export const tenantOf = (user) => user.orgId || `personal:${user.id}`;
+
+// Data-layer guard: a missing orgId is a bug, never "every organization"
+export const requireTenant = (orgId) => {
+  if (typeof orgId !== 'string' || !orgId) {
+    throw new Error('orgId is required to access organization data');
+  }
+  return orgId;
+};
@@ -0,0 +1,60 @@
+/**
+ * WOFF Helpers
+ * Unpacks WOFF 1.0 font files to the TrueType/OpenType bytes PDF font embedding expects
+ */
+
+import zlib from 'zlib';
+
+const WOFF_SIGNATURE = 0x774f4646; // 'wOFF'
+
+/**
+ * SFNT (TTF/OTF) bytes for a WOFF file; other font data is returned unchanged
+ */
+export const woffToSfnt = (data) => {
+  const woff = Buffer.from(data);
+  if (woff.readUInt32BE(0) !== WOFF_SIGNATURE) return woff;
+
+  const flavor = woff.readUInt32BE(4);
+  const numTables = woff.readUInt16BE(12);
+  const tables = [];
+
+  for (let index = 0; index < numTables; index += 1) {
+    const entry = 44 + index * 20;
+    const offset = woff.readUInt32BE(entry + 4);
+    const compressedLength = woff.readUInt32BE(entry + 8);
+    const length = woff.readUInt32BE(entry + 12);
+    const stored = woff.subarray(offset, offset + compressedLength);
+
+    tables.push({
+      tag: woff.readUInt32BE(entry),
+      checksum: woff.readUInt32BE(entry + 16),
+      data: compressedLength < length ? zlib.inflateSync(stored) : stored
+    });
+  }
+
+  // SFNT header and table directory, tables padded to 4 bytes
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = (2 ** entrySelector) * 16;
+  const header = Buffer.alloc(12 + numTables * 16);
+  header.writeUInt32BE(flavor, 0);
+  header.writeUInt16BE(numTables, 4);
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(entrySelector, 8);
+  header.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  const chunks = [header];
+  let offset = header.length;
+  tables.forEach((table, index) => {
+    const entry = 12 + index * 16;
+    header.writeUInt32BE(table.tag, entry);
+    header.writeUInt32BE(table.checksum, entry + 4);
+    header.writeUInt32BE(offset, entry + 8);
+    header.writeUInt32BE(table.data.length, entry + 12);
+
+    const padding = (4 - (table.data.length % 4)) % 4;
+    chunks.push(table.data, Buffer.alloc(padding));
+    offset += table.data.length + padding;
+  });
+
+  return Buffer.concat(chunks);
+};
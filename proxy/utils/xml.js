@@ -0,0 +1,66 @@
+/**
+ * XML Helpers
+ * Minimal element tree and serializer. Output follows Canonical XML ordering and escaping
+ * (namespace declarations first, then attributes by name; empty elements as start/end
+ * pairs), so a compact document can be hashed without a separate canonicalization step.
+ */
+
+const TEXT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '\r': '&#xD;' };
+const ATTRIBUTE_ESCAPES = { '&': '&amp;', '<': '&lt;', '"': '&quot;', '\t': '&#x9;', '\n': '&#xA;', '\r': '&#xD;' };
+
+export const escapeXml = (value) => String(value).replace(/[&<>\r]/g, char => TEXT_ESCAPES[char]);
+const escapeAttribute = (value) => String(value).replace(/[&<"\t\n\r]/g, char => ATTRIBUTE_ESCAPES[char]);
+
+// C14N attribute order: default namespace, prefixed namespaces by prefix, then attributes by name
+const attributeOrder = ([a], [b]) => {
+  const rank = (name) => (name === 'xmlns' ? 0 : name.startsWith('xmlns:') ? 1 : 2);
+  return rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0);
+};
+
+/**
+ * Build an element. Children may be elements, strings/numbers (text) or null/false (skipped);
+ * nested arrays are flattened so optional groups can be spread in place.
+ */
+export const el = (name, attributes = {}, ...children) => ({
+  name,
+  attributes: Object.fromEntries(
+    Object.entries(attributes || {}).filter(([, value]) => value !== undefined && value !== null)
+  ),
+  children: children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false)
+});
+
+/**
+ * Element with a single text value, or null when the value is empty so callers can
+ * pass optional fields straight through
+ */
+export const text = (name, value, attributes = {}) =>
+  value === undefined || value === null || value === '' ? null : el(name, attributes, String(value));
+
+/**
+ * Serialize a tree. With `indent` set, elements that contain only elements are laid out one
+ * per line; text content is never altered.
+ */
+export const serialize = (node, { indent = '', declaration = false } = {}) => {
+  const render = (current, depth) => {
+    if (typeof current === 'string') return escapeXml(current);
+
+    const attributes = Object.entries(current.attributes)
+      .sort(attributeOrder)
+      .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+      .join('');
+    const open = `<${current.name}${attributes}>`;
+    const close = `</${current.name}>`;
+
+    const elementOnly = current.children.length > 0 && current.children.every(child => typeof child !== 'string');
+    if (!indent || !elementOnly) {
+      return open + current.children.map(child => render(child, depth + 1)).join('') + close;
+    }
+
+    const pad = (level) => `\n${indent.repeat(level)}`;
+    return open +
+      current.children.map(child => pad(depth + 1) + render(child, depth + 1)).join('') +
+      pad(depth) + close;
+  };
+
+  return (declaration ? '<?xml version="1.0" encoding="UTF-8"?>\n' : '') + render(node, 0);
+};
@@ -41,14 +41,29 @@ async function testDatabase() {
     await client.query(`
       CREATE TABLE IF NOT EXISTS chat_messages (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        org_id TEXT,
         user_email VARCHAR(255),
         message TEXT NOT NULL,
         response TEXT,
         agent_type VARCHAR(100),
+        tool_calls JSONB DEFAULT '[]',
         created_at TIMESTAMP DEFAULT NOW()
       );
     `);
 
+    await client.query(`
+      ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS tool_calls JSONB DEFAULT '[]';
+    `);
+
+    // History is read per tenant; rows saved before tenants existed have no org_id and stay hidden
+    await client.query(`
+      ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS org_id TEXT;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_org_user ON chat_messages(org_id, user_email, created_at DESC);
+    `);
+
     console.log('✅ Tables created!');
 
     // Test insert
@@ -0,0 +1,54 @@
+/**
+ * Agent Registry tests
+ * Custom agent ids are scoped to their organization; built-ins are shared
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrganization } from './helpers.js';
+import agentRegistry from '../proxy/services/agent-registry.js';
+
+const orgA = await createOrganization('Agents A');
+const orgB = await createOrganization('Agents B');
+
+const agent = (nameEnglish) => ({
+  id: 'collections',
+  nameArabic: 'وكيل التحصيل',
+  nameEnglish,
+  systemPrompt: 'You follow up on unpaid invoices.'
+});
+
+test('two organizations can use the same custom agent id', async () => {
+  await agentRegistry.create(orgA.id, agent('Collections A'));
+  await agentRegistry.create(orgB.id, agent('Collections B'));
+
+  assert.equal((await agentRegistry.get(orgA.id, 'collections')).nameEnglish, 'Collections A');
+  assert.equal((await agentRegistry.get(orgB.id, 'collections')).nameEnglish, 'Collections B');
+});
+
+test('an organization only changes and deletes its own agent', async () => {
+  await agentRegistry.update(orgB.id, 'collections', { nameEnglish: 'Renamed B' });
+  assert.equal((await agentRegistry.get(orgA.id, 'collections')).nameEnglish, 'Collections A');
+
+  assert.equal(await agentRegistry.remove(orgB.id, 'collections'), true);
+  assert.equal(await agentRegistry.get(orgB.id, 'collections'), null);
+  assert.equal((await agentRegistry.get(orgA.id, 'collections')).nameEnglish, 'Collections A');
+});
+
+test('an id is unique within its organization', async () => {
+  await assert.rejects(agentRegistry.create(orgA.id, agent('Again')), { code: '23505' });
+});
+
+test('custom agents stay out of other organizations\' lists', async () => {
+  const custom = (agents) => agents.filter(item => !item.isBuiltin).map(item => item.orgId);
+  assert.deepEqual(custom(await agentRegistry.list(orgA.id)), [orgA.id]);
+  assert.deepEqual(custom(await agentRegistry.list(orgB.id)), []);
+});
+
+test('built-in agents are shared by every organization', async () => {
+  const [builtIn] = (await agentRegistry.list(orgA.id)).filter(item => item.isBuiltin);
+  assert.ok(builtIn);
+  assert.equal((await agentRegistry.get(orgB.id, builtIn.id)).isBuiltin, true);
+  assert.equal(await agentRegistry.update(orgA.id, builtIn.id, { nameEnglish: 'Mine' }), null);
+  assert.equal(await agentRegistry.remove(orgA.id, builtIn.id), false);
+});
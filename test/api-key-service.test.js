@@ -0,0 +1,71 @@
+/**
+ * API Key Service tests
+ * Hashed storage, scopes limited to the creator's permissions, rotation and revocation
+ */
+
+import { databaseManager, createOrganization, createMember, signIn, serve } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import app from '../api/index.js';
+
+const server = await serve(app);
+test.after(() => server.close());
+
+const org = await createOrganization('API Key Co');
+const owner = await createMember(org.id, 'owner');
+const admin = await createMember(org.id, 'admin');
+const ownerToken = await signIn(owner);
+
+const withKey = (key) => ({ headers: { 'X-API-Key': key } });
+
+test('a key acts for its organization with exactly its scopes', async () => {
+  const created = await server.request('POST', '/api/org/api-keys', {
+    token: ownerToken,
+    body: { name: 'ERP export', permissions: ['invoices:read'] }
+  });
+  assert.equal(created.status, 201);
+  const { key, apiKey } = created.body;
+  assert.match(key, /^dgn_/);
+
+  const stored = await databaseManager.getApiKey(org.id, apiKey.id);
+  assert.ok(!JSON.stringify(stored).includes(key));
+  assert.equal(stored.keyHash || stored.key_hash, crypto.createHash('sha256').update(key).digest('hex'));
+
+  const listed = await server.request('GET', `/api/invoices?orgId=${org.id}`, withKey(key));
+  assert.equal(listed.status, 200);
+
+  const draft = { orgId: org.id, type: 'simplified', lines: [{ description: 'Item', quantity: '1', unitPrice: '10' }] };
+  const refused = await server.request('POST', '/api/invoices', { ...withKey(key), body: draft });
+  assert.equal(refused.status, 403);
+
+  const keys = await server.request('GET', '/api/org/api-keys', { token: ownerToken });
+  assert.ok(!JSON.stringify(keys.body).includes(key));
+});
+
+test('rotation retires the old secret and revocation ends the key', async () => {
+  const { body: { key, apiKey } } = await server.request('POST', '/api/org/api-keys', {
+    token: ownerToken,
+    body: { name: 'Rotating', permissions: ['invoices:read'] }
+  });
+
+  const rotated = await server.request('POST', `/api/org/api-keys/${apiKey.id}/rotate`, { token: ownerToken });
+  assert.equal(rotated.status, 200);
+  assert.equal((await server.request('GET', `/api/invoices?orgId=${org.id}`, withKey(key))).status, 401);
+  assert.equal((await server.request('GET', `/api/invoices?orgId=${org.id}`, withKey(rotated.body.key))).status, 200);
+
+  assert.equal((await server.request('DELETE', `/api/org/api-keys/${apiKey.id}`, { token: ownerToken })).status, 200);
+  const revoked = await server.request('GET', `/api/invoices?orgId=${org.id}`, withKey(rotated.body.key));
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, 'API_KEY_REVOKED');
+});
+
+test('nobody can create a key with permissions they do not hold', async () => {
+  const refused = await server.request('POST', '/api/org/api-keys', {
+    token: await signIn(admin),
+    body: { name: 'Issuer', permissions: ['invoices:read', 'invoices:issue'] }
+  });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.details[0].code, 'PERMISSION_NOT_HELD');
+  assert.deepEqual(refused.body.details[0].values, ['invoices:issue']);
+});
@@ -0,0 +1,44 @@
+/**
+ * Arabic Text Analyzer tests
+ * Amounts in digits and words, riyal/halala merging and calculator requests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import arabicTextAnalyzer from '../proxy/services/arabic-text-analyzer.js';
+
+const amounts = (text) => arabicTextAnalyzer.analyze(text).entities.amounts
+  .map(({ text: span, value, currency }) => ({ text: span, value, currency }));
+
+test('riyals and halalas joined by "و" are one amount, with or without a space', () => {
+  assert.deepEqual(amounts('1500 ريال و50 هللة'), [{ text: '1500 ريال و50 هللة', value: '1500.50', currency: 'SAR' }]);
+  assert.deepEqual(amounts('1500 ريال و 50 هللة'), [{ text: '1500 ريال و 50 هللة', value: '1500.50', currency: 'SAR' }]);
+  assert.deepEqual(amounts('خمسة آلاف ريال وخمس وعشرون هللة'), [
+    { text: 'خمسة آلاف ريال وخمس وعشرون هللة', value: '5000.25', currency: 'SAR' }
+  ]);
+});
+
+test('a number after "و" is read, but not digits glued to another word', () => {
+  assert.deepEqual(amounts('دفعت 100 ريال و20 دولار'), [
+    { text: '100 ريال', value: '100.00', currency: 'SAR' },
+    { text: '20 دولار', value: '20.00', currency: 'USD' }
+  ]);
+  assert.deepEqual(amounts('الكود ضو50 ريال'), []);
+});
+
+test('Arabic-Indic digits and amounts in words are normalized', () => {
+  assert.deepEqual(amounts('المبلغ ١٥٠٠ ريال'), [{ text: '١٥٠٠ ريال', value: '1500.00', currency: 'SAR' }]);
+  assert.deepEqual(amounts('ألف ومائتان وخمسون ريالاً'), [{ text: 'ألف ومائتان وخمسون ريالاً', value: '1250.00', currency: 'SAR' }]);
+});
+
+test('complete requests are turned into calculator calls', () => {
+  const vat = arabicTextAnalyzer.analyze('احسب ضريبة القيمة المضافة على 1500 ريال و50 هللة');
+  assert.equal(vat.intent.intent, 'calculate_vat');
+  assert.deepEqual(vat.toolRequest, { tool: 'calculate_vat', arguments: { amount: 1500.5, amountIncludesVat: false } });
+
+  const conversion = arabicTextAnalyzer.analyze('حول 100 دولار إلى ريال');
+  assert.deepEqual(conversion.toolRequest, { tool: 'convert_currency', arguments: { amount: 100, from: 'USD', to: 'SAR' } });
+
+  const vatNumber = arabicTextAnalyzer.analyze('تحقق من الرقم الضريبي 300000000000003');
+  assert.deepEqual(vatNumber.toolRequest, { tool: 'validate_vat_number', arguments: { vatNumber: '300000000000003' } });
+});
@@ -0,0 +1,107 @@
+/**
+ * Auth Service tests
+ * Password policy, unique emails, scrypt hashes, login and rotating refresh-token sessions
+ */
+
+import { databaseManager } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import authService from '../proxy/services/auth-service.js';
+import { ValidationError, ConflictError, AuthenticationError } from '../proxy/utils/errors.js';
+
+const PASSWORD = 'Correct-horse-42';
+
+test('passwords that break the policy are refused with their codes', async () => {
+  const codes = async (password) => {
+    try {
+      await authService.register({ email: 'policy@example.com', name: 'Policy', password });
+    } catch (error) {
+      assert.ok(error instanceof ValidationError);
+      return error.details.map(detail => detail.code);
+    }
+    assert.fail('registration should have failed');
+  };
+
+  assert.deepEqual(await codes('testpassword'), ['PASSWORD_NEEDS_DIGIT']);
+  assert.deepEqual(await codes('short1'), ['PASSWORD_TOO_SHORT']);
+  assert.deepEqual(await codes('password123'), ['PASSWORD_TOO_COMMON']);
+  assert.deepEqual(await codes('policy2024'), ['PASSWORD_CONTAINS_EMAIL']);
+});
+
+test('accounts are stored with a scrypt hash and an unverified email', async () => {
+  const user = await authService.register({ email: ' New.User@Example.com ', name: 'New User', password: PASSWORD });
+
+  assert.equal(user.email, 'new.user@example.com');
+  assert.equal(user.emailVerified, false);
+  assert.equal(user.passwordHash, undefined);
+
+  const stored = await databaseManager.getUserByEmail('new.user@example.com');
+  const hash = stored.passwordHash || stored.password_hash;
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+  assert.ok(!hash.includes(PASSWORD));
+
+  await assert.rejects(
+    authService.register({ email: 'NEW.USER@example.com', name: 'Again', password: PASSWORD }),
+    ConflictError
+  );
+});
+
+test('login accepts the right password only, and fails alike for unknown emails', async () => {
+  await authService.register({ email: 'login@example.com', name: 'Login', password: PASSWORD });
+
+  const user = await authService.login({ email: 'LOGIN@example.com', password: PASSWORD });
+  assert.equal(user.email, 'login@example.com');
+  assert.ok(user.lastLoginAt);
+
+  await assert.rejects(authService.login({ email: 'login@example.com', password: 'Wrong-horse-42' }), AuthenticationError);
+  await assert.rejects(authService.login({ email: 'nobody@example.com', password: PASSWORD }), AuthenticationError);
+});
+
+const code = (expected) => (error) => error instanceof AuthenticationError && error.details[0].code === expected;
+
+const signedIn = async (email) => {
+  const user = await authService.register({ email, name: 'Session', password: PASSWORD });
+  return { user, ...(await authService.startSession(user)) };
+};
+
+test('each refresh token works once; replaying a rotated one revokes the session', async () => {
+  const first = await signedIn('rotate@example.com');
+  assert.equal((await authService.authenticate(first.accessToken)).sessionId, first.sessionId);
+
+  const second = await authService.refresh(first.refreshToken);
+  assert.equal(second.sessionId, first.sessionId);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+
+  await assert.rejects(authService.refresh(first.refreshToken), code('REFRESH_TOKEN_REUSED'));
+  await assert.rejects(authService.refresh(second.refreshToken), code('SESSION_REVOKED'));
+  await assert.rejects(authService.authenticate(second.accessToken), code('SESSION_REVOKED'));
+});
+
+test('a token that was never issued for the session is refused without revoking it', async () => {
+  const session = await signedIn('forged@example.com');
+
+  // The session id is public: it starts every refresh token and is the `sid` claim
+  const forged = `${session.sessionId}.${'A'.repeat(43)}`;
+  await assert.rejects(authService.refresh(forged), code('REFRESH_TOKEN_INVALID'));
+  await assert.rejects(authService.refresh(`${session.sessionId}.`), code('REFRESH_TOKEN_INVALID'));
+
+  const refreshed = await authService.refresh(session.refreshToken);
+  assert.equal((await authService.authenticate(refreshed.accessToken)).user.email, 'forged@example.com');
+});
+
+test('logout and "sign out other devices" end sessions', async () => {
+  const phone = await signedIn('devices@example.com');
+  const laptop = await authService.startSession(phone.user);
+  const tablet = await authService.startSession(phone.user);
+
+  assert.equal(await authService.logout(tablet.refreshToken), true);
+  await assert.rejects(authService.authenticate(tablet.accessToken), code('SESSION_REVOKED'));
+
+  const sessions = await authService.listSessions(phone.user.id, phone.sessionId);
+  assert.deepEqual(sessions.map(session => session.current).sort(), [false, true]);
+  assert.ok(sessions.every(session => session.refreshTokenHash === undefined && session.rotatedTokenHashes === undefined));
+
+  assert.equal(await authService.revokeOtherSessions(phone.user.id, phone.sessionId), 1);
+  await assert.rejects(authService.authenticate(laptop.accessToken), code('SESSION_REVOKED'));
+  assert.ok(await authService.authenticate(phone.accessToken));
+});
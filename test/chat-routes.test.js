@@ -0,0 +1,57 @@
+/**
+ * Chat Route tests
+ * Chat, history and conversations belong to the bearer token's user; the demo mode is opt-in
+ */
+
+import { createOrganization, createMember, signIn, serve } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../api/index.js';
+import conversationMemory from '../proxy/services/conversation-memory.js';
+
+const server = await serve(app);
+test.after(() => server.close());
+
+const org = await createOrganization('Chat Co');
+const owner = await createMember(org.id, 'owner');
+const other = await createMember(org.id, 'accountant');
+
+test('chat, history and conversations require a token when the demo is off', async () => {
+  process.env.ENABLE_DEMO_MODE = 'false';
+
+  for (const [method, path] of [['POST', '/api/chat'], ['GET', '/api/chat/history'], ['GET', '/api/chat/conversations']]) {
+    const response = await server.request(method, path, { body: method === 'POST' ? { message: 'مرحبا' } : undefined });
+    assert.equal(response.status, 401, `${method} ${path}`);
+    assert.equal(response.body.code, 'TOKEN_REQUIRED');
+  }
+});
+
+test('the demo mode never accepts an invalid token or lists history', async () => {
+  process.env.ENABLE_DEMO_MODE = 'true';
+  try {
+    const chat = await server.request('POST', '/api/chat', { token: 'not-a-token', body: { message: 'مرحبا' } });
+    assert.equal(chat.status, 401);
+    assert.equal(chat.body.code, 'TOKEN_INVALID');
+
+    assert.equal((await server.request('GET', '/api/chat/conversations')).status, 401);
+  } finally {
+    process.env.ENABLE_DEMO_MODE = 'false';
+  }
+});
+
+test('a user sees only their own conversations', async () => {
+  const conversation = conversationMemory.create(owner, 'accountant');
+  await conversationMemory.appendTurn(conversation, 'كم ضريبة 100 ريال؟', '15 ريال');
+
+  const ownerToken = await signIn(owner);
+  const otherToken = await signIn(other);
+
+  const mine = await server.request('GET', '/api/chat/conversations', { token: ownerToken });
+  assert.equal(mine.status, 200);
+  assert.deepEqual(mine.body.conversations.map(item => item.id), [conversation.id]);
+
+  const theirs = await server.request('GET', '/api/chat/conversations', { token: otherToken });
+  assert.deepEqual(theirs.body.conversations, []);
+  assert.equal((await server.request('GET', `/api/chat/conversations/${conversation.id}`, { token: otherToken })).status, 404);
+  assert.equal((await server.request('GET', `/api/chat/conversations/${conversation.id}`, { token: ownerToken })).status, 200);
+});
@@ -0,0 +1,72 @@
+/**
+ * Test Helpers
+ * Import first: empty connection settings keep DatabaseManager on its in-memory store, even
+ * when the shell or a .env file names a real database (dotenv never overrides a set variable)
+ */
+
+import crypto from 'crypto';
+
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'DATABASE_URL', 'POSTGRES_HOST']) {
+  process.env[name] = '';
+}
+process.env.NODE_ENV = 'test';
+
+const { default: databaseManager } = await import('../proxy/database-config.js');
+await databaseManager.ready;
+
+export { databaseManager };
+
+const VAT_NUMBERS = ['300000000000003', '310000000000003'];
+let organizations = 0;
+
+// An organization with ZATCA-complete seller details
+export const createOrganization = async (name) => databaseManager.createOrganization({
+  id: crypto.randomUUID(),
+  name,
+  nameArabic: name,
+  industry: 'Retail',
+  country: 'SA',
+  vatNumber: VAT_NUMBERS[organizations++ % VAT_NUMBERS.length],
+  crNumber: '1010010000',
+  settings: {
+    address: { street: 'King Fahd Rd', buildingNumber: '1234', district: 'Olaya', city: 'Riyadh', postalCode: '12345' }
+  }
+});
+
+// A stored member of an organization, in the normalized shape the services receive as req.user
+export const createMember = async (orgId, role, permissions = []) => {
+  const id = crypto.randomUUID();
+  const email = `${role}-${id.slice(0, 8)}@example.com`;
+  await databaseManager.createUser({ id, orgId, email, name: role, role, permissions, emailVerified: true });
+  return { id, orgId, email, role, permissions, emailVerified: true };
+};
+
+// Bearer token of a new session for a member
+export const signIn = async (member) => {
+  const { default: authService } = await import('../proxy/services/auth-service.js');
+  return (await authService.startSession(member)).accessToken;
+};
+
+// Serve an express app on a free port; `request` sends JSON with an optional bearer token and headers
+export const serve = async (app) => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
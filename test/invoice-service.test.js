@@ -0,0 +1,88 @@
+/**
+ * Invoice Service tests
+ * Gap-free numbering per series, immutability after issue and the stamped chain
+ */
+
+import { databaseManager, createOrganization } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import invoiceService from '../proxy/services/invoice-service.js';
+import zatcaStamping from '../proxy/services/zatca-stamping.js';
+import { ValidationError, ConflictError } from '../proxy/utils/errors.js';
+
+process.env.STAMPING_KEY_SECRET = 'test-stamping-secret';
+
+const draftFor = (org, fields = {}) => invoiceService.create(org.id, {
+  type: 'simplified',
+  lines: [{ description: 'Consulting', quantity: '1', unitPrice: '100' }],
+  ...fields
+});
+
+test('issued invoices are numbered per series without gaps', async () => {
+  const org = await createOrganization('Numbering Co');
+
+  const first = await invoiceService.issue(org.id, (await draftFor(org)).id);
+  const second = await invoiceService.issue(org.id, (await draftFor(org)).id);
+  const note = await invoiceService.issue(org.id, (await draftFor(org, {
+    documentType: 'credit-note',
+    originalInvoiceId: first.id,
+    reason: 'Returned goods'
+  })).id);
+
+  assert.deepEqual([first.number, second.number, note.number], ['INV-000001', 'INV-000002', 'CRN-000001']);
+  assert.equal(second.status, 'issued');
+  assert.equal(note.billingReference, 'INV-000001');
+});
+
+test('a failed issue consumes no number', async () => {
+  const org = await createOrganization('Failing Co');
+
+  // A standard invoice without buyer details fails the ZATCA rules on issue
+  const failing = await draftFor(org, { type: 'standard' });
+  await assert.rejects(invoiceService.issue(org.id, failing.id), ValidationError);
+  assert.equal((await invoiceService.get(org.id, failing.id)).status, 'draft');
+
+  const issued = await invoiceService.issue(org.id, (await draftFor(org)).id);
+  assert.equal(issued.number, 'INV-000001');
+});
+
+test('issued invoices can no longer be edited or deleted', async () => {
+  const org = await createOrganization('Immutable Co');
+  const issued = await invoiceService.issue(org.id, (await draftFor(org)).id);
+
+  await assert.rejects(invoiceService.update(org.id, issued.id, { lines: [] }), ConflictError);
+  await assert.rejects(invoiceService.remove(org.id, issued.id), ConflictError);
+  await assert.rejects(invoiceService.issue(org.id, issued.id), ConflictError);
+});
+
+test('a draft deleted while it is being issued leaves no orphan chain entry', async () => {
+  const org = await createOrganization('Stamped Co');
+  const unit = await zatcaStamping.createUnit(org.id, { name: 'POS-1' });
+  const draft = await draftFor(org, { egsId: unit.id });
+
+  const [issue, remove] = await Promise.allSettled([invoiceService.issue(org.id, draft.id), invoiceService.remove(org.id, draft.id)]);
+
+  assert.equal(issue.status, 'fulfilled');
+  assert.equal(remove.status, 'rejected');
+  assert.ok(remove.reason instanceof ConflictError);
+
+  const chain = await databaseManager.listChainEntries(org.id, unit.id);
+  assert.equal(chain.length, 1);
+  assert.equal(chain[0].invoiceUuid, issue.value.uuid);
+  assert.equal(issue.value.icv, 1);
+  assert.equal((await zatcaStamping.verifyChain(org.id, unit.id)).valid, true);
+});
+
+test('a failed stamped issue consumes neither a number nor an ICV', async () => {
+  const org = await createOrganization('Mismatch Co');
+  const unit = await zatcaStamping.createUnit(org.id, { name: 'POS-1' });
+
+  // The seller VAT number must match the EGS unit's
+  const failing = await draftFor(org, { egsId: unit.id, seller: { vatNumber: '399999999999993' } });
+  await assert.rejects(invoiceService.issue(org.id, failing.id), ValidationError);
+
+  const issued = await invoiceService.issue(org.id, (await draftFor(org, { egsId: unit.id })).id);
+  assert.equal(issued.number, 'INV-000001');
+  assert.equal(issued.icv, 1);
+  assert.equal((await databaseManager.listChainEntries(org.id, unit.id)).length, 1);
+});
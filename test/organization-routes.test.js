@@ -0,0 +1,110 @@
+/**
+ * Organization Route tests
+ * Onboarding makes the creator the owner; invitations are emailed, bound to the invited
+ * address and usable once
+ */
+
+import { databaseManager, createOrganization, createMember, signIn, serve } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../api/index.js';
+import messageTransport from '../proxy/services/message-transport.js';
+
+const outbox = [];
+messageTransport.register('test', () => ({ name: 'test', local: false, send: async (message) => outbox.push(message) }));
+process.env.MESSAGE_TRANSPORT = 'test';
+
+const server = await serve(app);
+test.after(() => server.close());
+
+const org = await createOrganization('Invites Co');
+const owner = await createMember(org.id, 'owner');
+const ownerToken = await signIn(owner);
+
+const onboarding = {
+  name: 'Onboarding Co',
+  nameArabic: 'شركة التسجيل',
+  vatNumber: '300000000000003',
+  crNumber: '1010010000',
+  industry: 'Retail',
+  address: { street: 'King Fahd Rd', buildingNumber: '1234', district: 'Olaya', city: 'Riyadh', postalCode: '12345' }
+};
+
+// The token at the end of the last invitation emailed to an address
+const inviteToken = (to) => outbox.filter(message => message.to === to).at(-1).text.trim().split('\n').at(-1);
+
+test('creating an organization makes the caller its owner, once', async () => {
+  const founder = await createMember(null, 'viewer');
+  const token = await signIn(founder);
+
+  const missing = await server.request('POST', '/api/org', { token, body: { name: 'No details' } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(
+    missing.body.details.map(detail => detail.field).sort(),
+    ['address', 'crNumber', 'nameArabic', 'vatNumber']
+  );
+
+  const created = await server.request('POST', '/api/org', { token, body: onboarding });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.organization.nameArabic, 'شركة التسجيل');
+  assert.equal(created.body.organization.address.city, 'Riyadh');
+
+  const stored = await databaseManager.getUserById(founder.id);
+  assert.equal(stored.orgId || stored.org_id, created.body.organization.id);
+  assert.equal(stored.role, 'owner');
+
+  const again = await server.request('POST', '/api/org', { token, body: onboarding });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.details[0].code, 'ALREADY_IN_ORGANIZATION');
+});
+
+test('an invitation is emailed and joins only the invited address, once', async () => {
+  const invitee = await createMember(null, 'viewer');
+  const stranger = await createMember(null, 'viewer');
+
+  const sent = await server.request('POST', '/api/org/invites', { token: ownerToken, body: { email: invitee.email, role: 'accountant' } });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.invite.status, 'pending');
+  assert.equal(JSON.stringify(sent.body).includes(inviteToken(invitee.email)), false);
+
+  const body = { token: inviteToken(invitee.email) };
+  const wrongUser = await server.request('POST', '/api/org/invites/accept', { token: await signIn(stranger), body });
+  assert.equal(wrongUser.status, 403);
+  assert.equal(wrongUser.body.details[0].code, 'INVITE_EMAIL_MISMATCH');
+
+  const inviteeToken = await signIn(invitee);
+  const accepted = await server.request('POST', '/api/org/invites/accept', { token: inviteeToken, body });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.organization.id, org.id);
+  const member = await databaseManager.getUserById(invitee.id);
+  assert.equal(member.role, 'accountant');
+
+  const reused = await server.request('POST', '/api/org/invites/accept', { token: inviteeToken, body });
+  assert.equal(reused.status, 409);
+
+  const listed = await server.request('GET', '/api/org/invites?status=accepted', { token: ownerToken });
+  assert.deepEqual(listed.body.invites.map(invite => invite.email), [invitee.email]);
+});
+
+test('a revoked or tampered invitation cannot be used', async () => {
+  const invitee = await createMember(null, 'viewer');
+  const token = await signIn(invitee);
+
+  const sent = await server.request('POST', '/api/org/invites', { token: ownerToken, body: { email: invitee.email } });
+  const link = inviteToken(invitee.email);
+  assert.equal((await server.request('DELETE', `/api/org/invites/${sent.body.invite.id}`, { token: ownerToken })).status, 200);
+
+  const revoked = await server.request('POST', '/api/org/invites/accept', { token, body: { token: link } });
+  assert.equal(revoked.status, 409);
+  assert.equal(revoked.body.details[0].code, 'INVITE_REVOKED');
+
+  const tampered = await server.request('POST', '/api/org/invites/accept', { token, body: { token: `${link}x` } });
+  assert.equal(tampered.status, 400);
+  assert.equal(tampered.body.details[0].code, 'INVITE_INVALID');
+});
+
+test('members without members:manage cannot invite', async () => {
+  const viewer = await createMember(org.id, 'viewer');
+  const response = await server.request('POST', '/api/org/invites', { token: await signIn(viewer), body: { email: 'someone@example.com' } });
+  assert.equal(response.status, 403);
+});
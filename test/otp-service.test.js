@@ -0,0 +1,70 @@
+/**
+ * OTP Service tests
+ * Login codes: delivery only to known addresses, hashed storage, attempts and resend limits
+ */
+
+import { databaseManager } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import authService from '../proxy/services/auth-service.js';
+import otpService from '../proxy/services/otp-service.js';
+import messageTransport from '../proxy/services/message-transport.js';
+import { AuthenticationError, RateLimitError } from '../proxy/utils/errors.js';
+
+const outbox = [];
+messageTransport.register('test', () => ({ name: 'test', local: false, send: async (message) => outbox.push(message) }));
+process.env.MESSAGE_TRANSPORT = 'test';
+
+const lastCode = (to) => outbox.filter(message => message.to === to).at(-1).text.match(/\d{6}/)[0];
+const code = (expected) => (error) => error instanceof AuthenticationError && error.details[0].code === expected;
+
+test('Saudi mobile numbers are normalized to E.164', () => {
+  for (const phone of ['0551234567', '551234567', '00966551234567', '+966 55 123 4567', '٠٥٥١٢٣٤٥٦٧']) {
+    assert.equal(authService.normalizePhone(phone), '+966551234567');
+  }
+  assert.equal(authService.normalizePhone('0111234567'), null);
+  assert.equal(authService.normalizePhone('+966111234567'), null);
+});
+
+test('a code is sent only to a registered address and signs the user in once', async () => {
+  await authService.register({ email: 'otp@example.com', name: 'OTP', password: 'Otp-login-2024', phone: '0551234567' });
+
+  const unknown = await otpService.requestCode({ phone: '0559999999' });
+  const known = await otpService.requestCode({ phone: '0551234567' });
+  assert.deepEqual(Object.keys(unknown), Object.keys(known));
+  assert.equal(known.destination, '+9665••••4567');
+  assert.equal(outbox.filter(message => message.to === '+966559999999').length, 0);
+
+  const sent = lastCode('+966551234567');
+  const [stored] = await databaseManager.listOTPCodes('+966551234567', 'login', new Date(0).toISOString());
+  assert.ok(!JSON.stringify(stored).includes(sent));
+
+  const user = await otpService.verifyCode({ phone: '+966551234567', code: sent });
+  assert.equal(user.email, 'otp@example.com');
+  assert.ok(user.phoneVerifiedAt);
+
+  await assert.rejects(otpService.verifyCode({ phone: '0551234567', code: sent }), code('OTP_INVALID'));
+});
+
+test('five wrong guesses use up a code, even for the right one afterwards', async () => {
+  await authService.register({ email: 'guess@example.com', name: 'Guess', password: 'Otp-attempts-2024' });
+  await otpService.requestCode({ email: 'guess@example.com' });
+  const sent = lastCode('guess@example.com');
+  const wrong = sent === '000000' ? '111111' : '000000';
+
+  for (let remaining = 4; remaining >= 0; remaining -= 1) {
+    await assert.rejects(
+      otpService.verifyCode({ email: 'guess@example.com', code: wrong }),
+      (error) => code('OTP_INVALID')(error) && error.details[0].attemptsRemaining === remaining
+    );
+  }
+  await assert.rejects(otpService.verifyCode({ email: 'guess@example.com', code: sent }), code('OTP_ATTEMPTS_EXCEEDED'));
+});
+
+test('a new code cannot be requested within a minute of the last', async () => {
+  await otpService.requestCode({ email: 'cooldown@example.com' });
+  await assert.rejects(
+    otpService.requestCode({ email: 'cooldown@example.com' }),
+    (error) => error instanceof RateLimitError && error.details[0].code === 'OTP_RESEND_COOLDOWN' && error.retryAfter > 0
+  );
+});
@@ -0,0 +1,80 @@
+/**
+ * PostgreSQL tests
+ * The startup migrations and the queries that rely on them, run against an embedded
+ * PostgreSQL (PGlite) instead of the in-memory store
+ */
+
+import { databaseManager, createOrganization } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PGlite } from '@electric-sql/pglite';
+import db from '../api/db.js';
+
+const pg = new PGlite();
+const query = (sql, params) => pg.query(sql, params);
+
+databaseManager.postgresPool = { connect: async () => ({ query, release() {} }) };
+databaseManager.connectionType = 'postgresql';
+await databaseManager.createTables();
+db.pool = { query };
+
+const usageRows = async (orgId) => (await query(
+  'SELECT usage_type, amount FROM usage_tracking WHERE org_id = $1 ORDER BY usage_type', [orgId]
+)).rows;
+
+test('usage is recorded as one row per organization, type and day', async () => {
+  const org = await createOrganization('Usage Co');
+  const other = await createOrganization('Other Co');
+
+  await databaseManager.recordUsage(org.id, 'chat_messages');
+  await databaseManager.recordUsage(org.id, 'chat_messages', 2);
+  await databaseManager.recordUsage(org.id, 'invoices');
+  await databaseManager.recordUsage(other.id, 'chat_messages', 5);
+
+  assert.deepEqual(await usageRows(org.id), [
+    { usage_type: 'chat_messages', amount: 3 },
+    { usage_type: 'invoices', amount: 1 }
+  ]);
+  assert.deepEqual(await databaseManager.getUsage(org.id), { chat_messages: 3, invoices: 1 });
+  assert.deepEqual(await databaseManager.getUsage(other.id), { chat_messages: 5 });
+});
+
+test('the migration folds duplicate usage rows before building the unique index', async () => {
+  const org = await createOrganization('Legacy Usage Co');
+  await query('DROP INDEX idx_usage_tracking_period');
+  for (const amount of [1, 2, 4]) {
+    await query(
+      "INSERT INTO usage_tracking (org_id, usage_type, amount, period_start, period_end) VALUES ($1, 'chat_messages', $2, '2024-01-01', '2024-01-01')",
+      [org.id, amount]
+    );
+  }
+
+  await databaseManager.createTables();
+
+  assert.deepEqual(await usageRows(org.id), [{ usage_type: 'chat_messages', amount: 7 }]);
+  const { rows } = await query("SELECT indexdef FROM pg_indexes WHERE indexname = 'idx_usage_tracking_period'");
+  assert.match(rows[0].indexdef, /UNIQUE INDEX .* \(org_id, usage_type, period_start\)/);
+});
+
+test('chat_messages from an older version gains its columns and hides rows without a tenant', async () => {
+  await query(`CREATE TABLE chat_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_email VARCHAR(255),
+    message TEXT NOT NULL,
+    response TEXT,
+    agent_type VARCHAR(100),
+    created_at TIMESTAMP DEFAULT NOW()
+  )`);
+  await query("INSERT INTO chat_messages (user_email, message, response) VALUES ('sara@example.com', 'old', 'old')");
+
+  const toolCalls = [{ name: 'calculate_vat', arguments: { amount: 100 } }];
+  await db.saveChatMessage('org-a', 'sara@example.com', 'new', 'new', 'financial-agent', toolCalls);
+  await db.saveChatMessage('org-b', 'sara@example.com', 'other', 'other', 'financial-agent');
+
+  const history = await db.getChatHistory('org-a', 'sara@example.com');
+  assert.deepEqual(history.map(row => row.message), ['new']);
+  assert.deepEqual(history[0].tool_calls, toolCalls);
+
+  const { rows } = await query('SELECT COUNT(*)::int AS count FROM chat_messages WHERE org_id IS NULL');
+  assert.equal(rows[0].count, 1);
+});
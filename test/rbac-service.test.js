@@ -0,0 +1,92 @@
+/**
+ * RBAC Service tests
+ * Nobody grants more than they hold, directly, through a role or through an invite; routes
+ * check permissions
+ */
+
+import { createOrganization, createMember, signIn, serve } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../api/index.js';
+import rbacService from '../proxy/services/rbac-service.js';
+import inviteService from '../proxy/services/invite-service.js';
+
+const org = await createOrganization('RBAC Test Co.');
+const owner = await createMember(org.id, 'owner');
+const admin = await createMember(org.id, 'admin');
+
+const rejects = async (promise, values) => {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'ForbiddenError');
+    assert.equal(error.details[0].code, 'PERMISSION_NOT_HELD');
+    assert.deepEqual(error.details[0].values, values);
+    return true;
+  });
+};
+
+test('an admin cannot grant itself permissions it lacks', async () => {
+  await rejects(
+    rbacService.assignRole(admin, admin.id, { permissions: ['invoices:issue', 'zatca:stamp'] }),
+    ['invoices:issue', 'zatca:stamp']
+  );
+  const permissions = await rbacService.permissionsFor(admin);
+  assert.equal(permissions.has('invoices:issue'), false);
+});
+
+test('an admin cannot assign a role with permissions it lacks', async () => {
+  const viewer = await createMember(org.id, 'viewer');
+  await rejects(rbacService.assignRole(admin, viewer.id, { role: 'accountant' }), ['invoices:write', 'invoices:issue', 'zatca:stamp']);
+  await rejects(rbacService.assignRole(admin, admin.id, { role: 'accountant' }), ['invoices:write', 'invoices:issue', 'zatca:stamp']);
+
+  const member = await rbacService.assignRole(admin, viewer.id, { role: 'reviewer', permissions: ['usage:read'] });
+  assert.equal(member.role, 'reviewer');
+  assert.deepEqual(member.permissions, ['usage:read']);
+});
+
+test('an admin cannot define or widen a role beyond its own permissions', async () => {
+  await rejects(rbacService.createRole(admin, { key: 'issuer', name: 'Issuer', permissions: ['invoices:read', 'invoices:issue'] }), ['invoices:issue']);
+
+  const role = await rbacService.createRole(admin, { key: 'auditor', name: 'Auditor', permissions: ['invoices:read', 'usage:read'] });
+  assert.deepEqual(role.permissions, ['invoices:read', 'usage:read']);
+  await rejects(rbacService.updateRole(admin, 'auditor', { permissions: ['invoices:read', 'zatca:stamp'] }), ['zatca:stamp']);
+});
+
+test('an admin cannot invite to a role with permissions it lacks', async () => {
+  await rejects(inviteService.create(admin, { email: 'new-accountant@example.com', role: 'accountant' }), ['invoices:write', 'invoices:issue', 'zatca:stamp']);
+  const invite = await inviteService.create(admin, { email: 'new-viewer@example.com' });
+  assert.equal(invite.role, 'viewer');
+});
+
+test('owners can still grant every permission', async () => {
+  const member = await createMember(org.id, 'viewer');
+  const promoted = await rbacService.assignRole(owner, member.id, { role: 'accountant' });
+  assert.equal(promoted.role, 'accountant');
+
+  const role = await rbacService.createRole(owner, { key: 'issuer', name: 'Issuer', permissions: ['invoices:read', 'invoices:issue'] });
+  assert.deepEqual(role.permissions, ['invoices:read', 'invoices:issue']);
+  const invite = await inviteService.create(owner, { email: 'accountant@example.com', role: 'accountant' });
+  assert.equal(invite.role, 'accountant');
+});
+
+test('owner-only and last-owner rules still come first', async () => {
+  await assert.rejects(rbacService.assignRole(admin, owner.id, { role: 'viewer' }), { name: 'ForbiddenError', details: [{ field: 'role', code: 'OWNER_ONLY' }] });
+  await assert.rejects(rbacService.assignRole(admin, admin.id, { role: 'nope' }), { name: 'ValidationError' });
+});
+
+test('routes refuse members without the permission', async () => {
+  const server = await serve(app);
+  try {
+    const viewer = await createMember(org.id, 'viewer');
+    const accountant = await createMember(org.id, 'accountant');
+    const draft = { orgId: org.id, type: 'simplified', lines: [{ description: 'Item', quantity: '1', unitPrice: '10' }] };
+
+    const refused = await server.request('POST', '/api/invoices', { token: await signIn(viewer), body: draft });
+    assert.equal(refused.status, 403);
+    assert.deepEqual(refused.body.required, ['invoices:write']);
+
+    const created = await server.request('POST', '/api/invoices', { token: await signIn(accountant), body: draft });
+    assert.equal(created.status, 201);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Tenant isolation tests
+ * Chat history, conversations, usage and invoices created under one organization are
+ * invisible to another, both in the services and through the HTTP routes
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { databaseManager, createOrganization, createMember, signIn, serve } from './helpers.js';
+import app from '../api/index.js';
+import db from '../api/db.js';
+import invoiceService from '../proxy/services/invoice-service.js';
+import conversationMemory from '../proxy/services/conversation-memory.js';
+import { tenantOf } from '../proxy/utils/tenant.js';
+
+// Stand-in for the chat_messages table of api/db.js, which lives on its own PostgreSQL server
+const chatMessages = [];
+db.pool = {
+  async query(text, params) {
+    if (/^\s*(CREATE|ALTER)/.test(text)) return { rows: [] };
+    if (text.includes('INSERT INTO chat_messages')) {
+      const [org_id, user_email, message, response, agent_type] = params;
+      const row = { id: chatMessages.length + 1, org_id, user_email, message, response, agent_type, created_at: new Date().toISOString() };
+      chatMessages.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes('FROM chat_messages')) {
+      assert.match(text, /WHERE org_id = \$1 AND user_email = \$2/);
+      const [orgId, userEmail, limit] = params;
+      return { rows: chatMessages.filter(row => row.org_id === orgId && row.user_email === userEmail).slice(0, limit) };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  }
+};
+
+const orgA = await createOrganization('Tenant A');
+const orgB = await createOrganization('Tenant B');
+const alice = await createMember(orgA.id, 'owner');
+const bob = await createMember(orgB.id, 'owner');
+
+const draft = {
+  customer: { name: 'Customer LLC' },
+  lines: [{ description: 'Consulting', quantity: 1, unitPrice: '1000.00' }]
+};
+
+// Records of organization A, created through the services
+const invoice = await invoiceService.create(orgA.id, draft, { createdBy: alice.id });
+const conversation = conversationMemory.create(alice, 'financial-agent');
+await conversationMemory.appendTurn(conversation, 'كم ضريبة ١٠٠٠ ريال؟', '150 ريال');
+await databaseManager.recordUsage(orgA.id, 'chat_messages', 3);
+await db.saveChatMessage(tenantOf(alice), alice.email, 'Hello', 'Hi', 'financial-agent');
+
+test('services: organization A sees its own records', async () => {
+  assert.equal((await invoiceService.get(orgA.id, invoice.id)).id, invoice.id);
+  assert.equal((await conversationMemory.load(conversation.id, alice)).messages.length, 2);
+  assert.equal((await databaseManager.getUsage(orgA.id)).chat_messages, 3);
+  assert.equal((await db.getChatHistory(tenantOf(alice), alice.email)).length, 1);
+});
+
+test('services: organization B cannot read or change A\'s invoices', async () => {
+  assert.equal(await invoiceService.get(orgB.id, invoice.id), null);
+  assert.equal((await invoiceService.list(orgB.id)).invoices.some(item => item.id === invoice.id), false);
+  assert.equal(await invoiceService.update(orgB.id, invoice.id, { currency: 'USD' }), null);
+  assert.equal(await invoiceService.issue(orgB.id, invoice.id), null);
+  assert.equal(await invoiceService.remove(orgB.id, invoice.id), false);
+  assert.equal((await invoiceService.get(orgA.id, invoice.id)).currency, 'SAR');
+});
+
+test('services: organization B cannot read A\'s chats or usage', async () => {
+  assert.equal(await conversationMemory.load(conversation.id, bob), null);
+  assert.deepEqual(await conversationMemory.list(bob), []);
+  // Even with the same user id and email, a conversation stays with the tenant it was saved in
+  assert.equal(await conversationMemory.load(conversation.id, { ...alice, orgId: orgB.id }), null);
+  assert.deepEqual(await db.getChatHistory(orgB.id, alice.email), []);
+  assert.deepEqual(await databaseManager.getUsage(orgB.id), {});
+});
+
+test('services: the data layer refuses to run without a tenant', async () => {
+  for (const orgId of [undefined, null, '']) {
+    await assert.rejects(databaseManager.getInvoice(orgId, invoice.id), /orgId is required/);
+    await assert.rejects(databaseManager.getUsage(orgId), /orgId is required/);
+    await assert.rejects(databaseManager.getSession(orgId, conversation.id), /orgId is required/);
+    await assert.rejects(db.getChatHistory(orgId, alice.email), /orgId is required/);
+  }
+});
+
+test('routes: organization B gets 404 or nothing for A\'s records', async (t) => {
+  const { request, close } = await serve(app);
+  t.after(close);
+  const [aliceToken, bobToken] = await Promise.all([signIn(alice), signIn(bob)]);
+
+  // A can reach its records...
+  assert.equal((await request('GET', `/api/invoices/${invoice.id}`, { token: aliceToken })).status, 200);
+  assert.equal((await request('GET', `/api/chat/conversations/${conversation.id}`, { token: aliceToken })).status, 200);
+  assert.equal((await request('GET', '/api/subscription/usage', { token: aliceToken })).body.usage.chat_messages, 3);
+  assert.equal((await request('GET', '/api/chat/history', { token: aliceToken })).body.history.length, 1);
+
+  // ...B cannot, whatever orgId it sends
+  const asBob = (method, path, body) => request(method, path, { token: bobToken, body });
+  assert.equal((await asBob('GET', `/api/invoices/${invoice.id}?orgId=${orgA.id}`)).status, 404);
+  assert.equal((await asBob('PUT', `/api/invoices/${invoice.id}`, { orgId: orgA.id, currency: 'USD' })).status, 404);
+  assert.equal((await asBob('POST', `/api/invoices/${invoice.id}/issue`, { orgId: orgA.id })).status, 404);
+  assert.equal((await asBob('DELETE', `/api/invoices/${invoice.id}`)).status, 404);
+  const invoices = await asBob('GET', `/api/invoices?orgId=${orgA.id}`);
+  assert.equal(invoices.status, 200);
+  assert.equal(invoices.body.invoices.some(item => item.id === invoice.id), false);
+
+  assert.equal((await asBob('GET', `/api/chat/conversations/${conversation.id}`)).status, 404);
+  assert.deepEqual((await asBob('GET', '/api/chat/conversations')).body.conversations, []);
+  assert.deepEqual((await asBob('GET', '/api/chat/history')).body.history, []);
+
+  const usage = await asBob('GET', `/api/subscription/usage?orgId=${orgA.id}`);
+  assert.equal(usage.body.orgId, orgB.id);
+  assert.deepEqual(usage.body.usage, {});
+
+  assert.equal((await request('GET', `/api/invoices/${invoice.id}`, { token: aliceToken })).body.invoice.currency, 'SAR');
+});
+
+test('routes: custom agent ids do not collide across organizations', async (t) => {
+  const { request, close } = await serve(app);
+  t.after(close);
+  const [aliceToken, bobToken] = await Promise.all([signIn(alice), signIn(bob)]);
+  const agent = { id: 'tenant-agent', nameArabic: 'وكيل', nameEnglish: 'Tenant agent', systemPrompt: 'You help.' };
+
+  assert.equal((await request('POST', '/api/agents', { token: aliceToken, body: agent })).status, 201);
+  assert.equal((await request('POST', '/api/agents', { token: aliceToken, body: agent })).status, 409);
+  assert.equal((await request('GET', '/api/agents/tenant-agent', { token: bobToken })).status, 404);
+  assert.equal((await request('POST', '/api/agents', { token: bobToken, body: agent })).status, 201);
+});
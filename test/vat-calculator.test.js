@@ -0,0 +1,59 @@
+/**
+ * VAT Calculator tests
+ * Inclusive/exclusive conversion and invoice line validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import vatCalculator from '../proxy/services/vat-calculator.js';
+
+test('VAT-inclusive amounts keep the gross the caller passed in', () => {
+  const cases = [
+    ['1000.00', '869.57', '130.43'],
+    ['0.11', '0.10', '0.01'],
+    ['1000.08', '869.63', '130.45'],
+    ['115', '100.00', '15.00']
+  ];
+
+  for (const [amount, net, vat] of cases) {
+    const result = vatCalculator.calculateAmount({ amount, amountIncludesVat: true });
+    assert.deepEqual(
+      { net: result.net, vat: result.vat, gross: result.gross },
+      { net, vat, gross: Number(amount).toFixed(2) },
+      amount
+    );
+  }
+});
+
+test('VAT-inclusive invoice lines keep their total', () => {
+  const { lines, totals } = vatCalculator.calculateInvoice({
+    pricesIncludeVat: true,
+    lines: [{ unitPrice: '1000.00' }, { unitPrice: '0.11' }, { unitPrice: '1000.08' }]
+  });
+
+  assert.deepEqual(lines.map(line => line.totalAmount), ['1000.00', '0.11', '1000.08']);
+  assert.equal(totals.lineExtensionAmount, '1739.30');
+});
+
+test('VAT-exclusive amounts add VAT on top', () => {
+  const result = vatCalculator.calculateAmount({ amount: '869.57' });
+  assert.deepEqual([result.net, result.vat, result.gross], ['869.57', '130.44', '1000.01']);
+});
+
+test('invoice lines must be objects', () => {
+  for (const line of [null, 5, 'line', []]) {
+    assert.throws(
+      () => vatCalculator.calculateInvoice({ lines: [{ unitPrice: 1 }, line] }),
+      { name: 'ValidationError', message: 'lines[1] must be an object' }
+    );
+  }
+});
+
+test('VAT categories are looked up by own key only', () => {
+  for (const category of ['__proto__', 'toString', 'constructor', 'hasOwnProperty']) {
+    assert.throws(
+      () => vatCalculator.calculateInvoice({ lines: [{ unitPrice: 1, category }] }),
+      { name: 'ValidationError', message: `Unknown VAT category "${category}"` }
+    );
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * Zakat Calculator tests
+ * Nisab, hawl and input validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zakatCalculator from '../proxy/services/zakat-calculator.js';
+import { ValidationError } from '../proxy/utils/errors.js';
+
+test('zakat is 2.5% of assets less liabilities once the gold nisab is met', () => {
+  const result = zakatCalculator.calculate({
+    assets: [
+      { category: 'cash', amount: '100000' },
+      { category: 'tradeGoods', amount: '50000' }
+    ],
+    liabilities: [{ category: 'debts', amount: '30000' }],
+    pricePerGram: '250'
+  });
+
+  assert.equal(result.totalAssets, '150000.00');
+  assert.equal(result.zakatBase, '120000.00');
+  assert.equal(result.nisab.value, '21250.00');
+  assert.equal(result.isDue, true);
+  assert.equal(result.zakatDue, '3000.00');
+});
+
+test('nothing is due below the nisab or before the hawl completes', () => {
+  const belowNisab = zakatCalculator.calculate({ assets: '10000', pricePerGram: '250' });
+  assert.equal(belowNisab.nisab.met, false);
+  assert.equal(belowNisab.zakatDue, '0.00');
+
+  const earlyHawl = zakatCalculator.calculate({
+    assets: '100000',
+    pricePerGram: '250',
+    hawlStart: '2024-01-01',
+    hawlEnd: '2024-06-01'
+  });
+  assert.equal(earlyHawl.hawl.complete, false);
+  assert.equal(earlyHawl.isDue, false);
+  assert.equal(earlyHawl.zakatDue, '0.00');
+});
+
+test('a solar year basis applies the 2.5775% rate', () => {
+  const result = zakatCalculator.calculate({ assets: '100000', pricePerGram: '250', yearBasis: 'solar' });
+  assert.equal(result.zakatDue, '2577.50');
+});
+
+test('asset and liability items must be objects', () => {
+  for (const assets of [[null], ['5000'], [[]]]) {
+    assert.throws(
+      () => zakatCalculator.calculate({ assets, pricePerGram: '250' }),
+      (error) => error instanceof ValidationError && error.details[0].field === 'assets[0]'
+    );
+  }
+  assert.throws(
+    () => zakatCalculator.calculate({ assets: '100000', liabilities: [null], pricePerGram: '250' }),
+    ValidationError
+  );
+});
+
+test('inherited property names are not accepted as categories or bases', () => {
+  for (const category of ['toString', 'constructor', '__proto__']) {
+    assert.throws(
+      () => zakatCalculator.calculate({ assets: [{ category, amount: '100' }], pricePerGram: '250' }),
+      ValidationError
+    );
+  }
+  assert.throws(
+    () => zakatCalculator.calculate({ assets: '100000', pricePerGram: '250', yearBasis: 'toString' }),
+    ValidationError
+  );
+  assert.throws(
+    () => zakatCalculator.calculate({ assets: '100000', pricePerGram: '250', nisabBasis: 'hasOwnProperty' }),
+    ValidationError
+  );
+});
@@ -0,0 +1,103 @@
+/**
+ * ZATCA Stamping tests
+ * EGS key pair and CSR, signed documents and the ICV/PIH chain
+ */
+
+import { databaseManager, createOrganization } from './helpers.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zatcaStamping from '../proxy/services/zatca-stamping.js';
+import { INITIAL_PREVIOUS_HASH } from '../proxy/services/zatca-invoice.js';
+import { ValidationError } from '../proxy/utils/errors.js';
+import * as der from '../proxy/utils/der.js';
+
+process.env.STAMPING_KEY_SECRET = 'test-stamping-secret';
+
+const invoiceFor = (org, number) => ({
+  type: 'simplified',
+  number,
+  seller: {
+    name: org.name,
+    vatNumber: org.vatNumber,
+    crNumber: org.crNumber,
+    address: org.settings.address
+  },
+  lines: [{ description: 'Consulting', quantity: '2', unitPrice: '150' }]
+});
+
+const createUnit = async () => {
+  const org = await createOrganization('Stamping Co');
+  const unit = await zatcaStamping.createUnit(org.id, { name: 'POS-1' });
+  return { org, unit };
+};
+
+test('a new EGS unit gets a secp256k1 key pair, a self-signed CSR and an encrypted private key', async () => {
+  const { org, unit } = await createUnit();
+
+  assert.equal(unit.vatNumber, org.vatNumber);
+  assert.equal(crypto.createPublicKey(unit.publicKey).asymmetricKeyDetails.namedCurve, 'secp256k1');
+  assert.match(unit.csr, /^-----BEGIN CERTIFICATE REQUEST-----\n/);
+  assert.equal(unit.privateKey, undefined);
+
+  // PKCS#10: the request info is signed with the unit's own key
+  const csr = der.read(Buffer.from(unit.csr.replace(/-----[^-]+-----|\s/g, ''), 'base64'));
+  const [requestInfo, , signature] = der.children(csr);
+  const signed = csr.value.subarray(requestInfo.start, requestInfo.end);
+  assert.ok(crypto.verify('sha256', signed, crypto.createPublicKey(unit.publicKey), signature.value.subarray(1)));
+
+  const stored = await databaseManager.getEgsUnit(org.id, unit.id);
+  assert.doesNotMatch(stored.privateKey || stored.private_key, /BEGIN PRIVATE KEY/);
+});
+
+test('stamped invoices verify and chain ICV 1..n through their hashes', async () => {
+  const { org, unit } = await createUnit();
+
+  const first = await zatcaStamping.stamp(org.id, unit.id, invoiceFor(org, 'INV-1'));
+  const second = await zatcaStamping.stamp(org.id, unit.id, invoiceFor(org, 'INV-2'));
+
+  assert.equal(first.icv, 1);
+  assert.equal(first.previousHash, INITIAL_PREVIOUS_HASH);
+  assert.equal(second.icv, 2);
+  assert.equal(second.previousHash, first.invoiceHash);
+
+  const document = zatcaStamping.verifyDocument(second.xml);
+  assert.deepEqual(document.errors, []);
+  assert.equal(document.valid, true);
+  assert.equal(document.icv, 2);
+  assert.equal(document.previousHash, first.invoiceHash);
+
+  const chain = await zatcaStamping.verifyChain(org.id, unit.id);
+  assert.equal(chain.valid, true);
+  assert.equal(chain.length, 2);
+  assert.equal(chain.lastHash, second.invoiceHash);
+});
+
+test('a tampered document fails verification and breaks the chain', async () => {
+  const { org, unit } = await createUnit();
+  const stamped = await zatcaStamping.stamp(org.id, unit.id, invoiceFor(org, 'INV-1'));
+
+  const tampered = stamped.xml.replace('<cbc:ID>INV-1</cbc:ID>', '<cbc:ID>INV-9</cbc:ID>');
+  const document = zatcaStamping.verifyDocument(tampered);
+  assert.equal(document.valid, false);
+  assert.ok(document.errors.some(error => error.code === 'HASH_MISMATCH'));
+  assert.ok(document.errors.some(error => error.code === 'INVALID_SIGNATURE'));
+
+  // Rewrite the stored copy the way an attacker with database access would
+  const entry = databaseManager.inMemoryStorage.invoiceChain.get(`${unit.id}:1`);
+  entry.xml = tampered;
+
+  const chain = await zatcaStamping.verifyChain(org.id, unit.id);
+  assert.equal(chain.valid, false);
+  assert.ok(chain.breaks.some(brk => brk.icv === 1 && brk.code === 'HASH_MISMATCH'));
+});
+
+test('an invoice for another seller is refused and takes no counter', async () => {
+  const { org, unit } = await createUnit();
+  const other = { ...invoiceFor(org, 'INV-1'), seller: { ...invoiceFor(org, 'INV-1').seller, vatNumber: '399999999999993' } };
+
+  await assert.rejects(zatcaStamping.stamp(org.id, unit.id, other), ValidationError);
+
+  const stamped = await zatcaStamping.stamp(org.id, unit.id, invoiceFor(org, 'INV-1'));
+  assert.equal(stamped.icv, 1);
+});